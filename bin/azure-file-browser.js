@@ -1,9 +1,12 @@
 #!/usr/bin/env node
 
-const { startApplication } = require('../src/index');
+// Environment overrides may also come from a .env file in the working directory
+require('dotenv').config();
 
-// Start the application
-startApplication()
+const { runCli } = require('../src/cli');
+
+// Run a subcommand, or start the interactive application when none is given
+runCli(process.argv.slice(2))
   .catch(error => {
     console.error('Error running application:', error);
     process.exit(1);
@@ -0,0 +1,1105 @@
+const { parseArgs } = require('util');
+const { once } = require('events');
+const nodePath = require('path');
+const inquirer = require('inquirer');
+const chalk = require('chalk');
+const { startApplication } = require('./index');
+const { listShares, listShareSnapshots } = require('./commands/listShares');
+const { listFiles } = require('./commands/listFiles');
+const { downloadRange } = require('./commands/displayFile');
+const { searchFiles } = require('./commands/searchFiles');
+const { grepFiles, formatMatches } = require('./commands/grepFiles');
+const { downloadPath, isRemoteDirectory } = require('./commands/downloadFiles');
+const { listUploadEntries, uploadFiles } = require('./commands/uploadFiles');
+const { listRestoreEntries, restoreFiles } = require('./commands/restoreFiles');
+const { planOperation, runOperation, describePlan } = require('./commands/manageFiles');
+const { getFileClient, testConnection, getAuthType, AUTH_TYPES } = require('./services/azureFileService');
+const { getCacheInfo, clearCache } = require('./services/contentCache');
+const {
+  loadConfig,
+  getConfig,
+  getConfigPath,
+  getAccount,
+  getCurrentAccount,
+  useAccount,
+  isSessionAccount,
+  addAccount,
+  removeAccount,
+  renameAccount,
+  enableVault,
+  disableVault,
+  getVaultFilePath,
+  SECRET_FIELDS
+} = require('./utils/config');
+const { getBookmarks, getRecentLocations } = require('./utils/bookmarks');
+const { splitSharePath, splitShareSnapshot, joinShareSnapshot, joinPath, parentPath, resolveLocalPath } = require('./utils/paths');
+const { parseSize, parseDate, formatBytes } = require('./utils/formatting');
+const { createProgressPrinter } = require('./utils/progress');
+
+// Interval between checks for new content when following a file
+const TAIL_POLL_INTERVAL = 2000;
+
+// Size of the blocks read backwards from the end of a file by `tail`
+const TAIL_BLOCK_SIZE = 64 * 1024;
+
+// Options accepted on the command line (shared by all subcommands)
+const CLI_OPTIONS = {
+  account: { type: 'string', short: 'a' },
+  config: { type: 'string' },
+  follow: { type: 'boolean', short: 'f' },
+  lines: { type: 'string', short: 'n' },
+  json: { type: 'boolean' },
+  path: { type: 'string' },
+  name: { type: 'string' },
+  'max-size': { type: 'string' },
+  since: { type: 'string' },
+  context: { type: 'string', short: 'C' },
+  'ignore-case': { type: 'boolean', short: 'i' },
+  'fixed-strings': { type: 'boolean', short: 'F' },
+  existing: { type: 'string' },
+  parallel: { type: 'string' },
+  'dry-run': { type: 'boolean' },
+  recursive: { type: 'boolean', short: 'r' },
+  yes: { type: 'boolean', short: 'y' },
+  open: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// Non-interactive subcommands; options lists the options only accepted by a command, as [option, description]
+const COMMANDS = {
+  shares: {
+    usage: 'shares',
+    description: 'List the file shares of the account',
+    run: runShares
+  },
+  ls: {
+    usage: 'ls <share>[/<path>]',
+    description: 'List files and directories',
+    run: runList
+  },
+  cat: {
+    usage: 'cat <share>/<path>...',
+    description: 'Print the content of files',
+    run: runCat
+  },
+  tail: {
+    usage: 'tail [-n <lines>] [-f] <share>/<path>',
+    description: 'Print the last lines of a file, optionally following new content',
+    run: runTail
+  },
+  search: {
+    usage: 'search <share> <pattern>',
+    description: 'Search a share recursively for file names matching a pattern',
+    run: runSearch
+  },
+  grep: {
+    usage: 'grep [-i] [-F] [-C <lines>] <share> <pattern>',
+    description: 'Search the content of files, printing "path:line: text"',
+    run: runGrep
+  },
+  download: {
+    usage: 'download <share>/<path> [<local-path>]',
+    description: 'Download a file or a directory tree (resumes interrupted downloads)',
+    options: [
+      ['--existing <newer|overwrite|skip>', 'What to do with existing local files (default: newer)']
+    ],
+    run: runDownload
+  },
+  upload: {
+    usage: 'upload <local-path> <share>[/<directory>]',
+    description: 'Upload a local file or directory tree into a share directory',
+    options: [
+      ['--existing <ask|overwrite|skip>', 'What to do with existing remote files (default: ask, skip without a terminal)']
+    ],
+    run: runUpload
+  },
+  snapshots: {
+    usage: 'snapshots <share>',
+    description: 'List the snapshots of a share (use <share>@<snapshot> as share in other commands)',
+    run: runSnapshots
+  },
+  restore: {
+    usage: 'restore <share>@<snapshot>/<path>',
+    description: 'Restore a file or directory tree from a snapshot into the live share',
+    options: [
+      ['--existing <overwrite|skip>', 'What to do with files of the live share (default: overwrite)']
+    ],
+    run: runRestore
+  },
+  rm: {
+    usage: 'rm [-r] <share>/<path>...',
+    description: 'Delete files, and directory trees with -r',
+    run: (args, options) => runManage('delete', args, options)
+  },
+  mv: {
+    usage: 'mv <share>/<path>... <share>/<dest>',
+    description: 'Rename or move files and directories within a share',
+    run: (args, options) => runManage('move', args, options)
+  },
+  cp: {
+    usage: 'cp <share>/<path>... <share>/<dest>',
+    description: 'Copy files and directory trees within a share',
+    run: (args, options) => runManage('copy', args, options)
+  },
+  bookmarks: {
+    usage: 'bookmarks',
+    description: 'List the bookmarks and recent locations of the account',
+    run: runBookmarks
+  },
+  accounts: {
+    usage: 'accounts [<action>]',
+    description: 'Manage the storage accounts of the configuration (actions below)',
+    run: runAccounts,
+    requiresAccount: false
+  },
+  cache: {
+    usage: 'cache [clear]',
+    description: 'Show the local cache of viewed files, or clear it',
+    run: runCache,
+    requiresAccount: false
+  }
+};
+
+// Actions of the accounts command
+const ACCOUNT_ACTIONS = {
+  list: {
+    usage: 'accounts [list]',
+    description: 'List the accounts; * marks the current one',
+    run: runAccountList
+  },
+  add: {
+    usage: 'accounts add <name>',
+    description: 'Add an account, asking for its authentication type and credentials',
+    run: runAccountAdd
+  },
+  remove: {
+    usage: 'accounts remove <name>',
+    description: 'Remove an account',
+    run: runAccountRemove
+  },
+  rename: {
+    usage: 'accounts rename <name> <new-name>',
+    description: 'Rename an account',
+    run: runAccountRename
+  },
+  test: {
+    usage: 'accounts test [<name>]',
+    description: 'Check that an account (default: the current one) can list its shares',
+    run: runAccountTest
+  },
+  encrypt: {
+    usage: 'accounts encrypt [<vault-file>]',
+    description: 'Move the account secrets into a passphrase-encrypted vault file',
+    run: runAccountEncrypt
+  },
+  decrypt: {
+    usage: 'accounts decrypt',
+    description: 'Move the account secrets back into the configuration file',
+    run: runAccountDecrypt
+  }
+};
+
+// Fields asked for by `accounts add` for each authentication type; a trailing "?" marks optional fields
+const ACCOUNT_FIELDS = {
+  accountKey: ['accountName', 'accountKey', 'endpoint?'],
+  connectionString: ['connectionString'],
+  sasToken: ['accountName', 'sasToken', 'endpoint?'],
+  servicePrincipal: ['accountName', 'tenantId', 'clientId', 'clientSecret', 'endpoint?'],
+  managedIdentity: ['accountName', 'clientId?', 'endpoint?'],
+  azureCli: ['accountName', 'tenantId?', 'endpoint?'],
+  defaultAzureCredential: ['accountName', 'tenantId?', 'endpoint?']
+};
+
+/**
+ * Entry point for bin/azure-file-browser.js: run a subcommand, or the
+ * interactive browser when no subcommand is given
+ * @param {Array<string>} argv - Command-line arguments (without node and script path)
+ */
+async function runCli(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: CLI_OPTIONS, allowPositionals: true });
+  } catch (error) {
+    console.error(chalk.red(error.message));
+    printUsage();
+    process.exitCode = 1;
+    return;
+  }
+
+  const { values: options, positionals } = parsed;
+  const [commandName, ...args] = positionals;
+
+  if (options.help) {
+    printUsage();
+    return;
+  }
+
+  if (!commandName) {
+    await startApplication({
+      account: options.account,
+      configPath: options.config,
+      open: options.open ? splitSharePath(options.open) : null
+    });
+    return;
+  }
+
+  const command = COMMANDS[commandName];
+  if (!command) {
+    console.error(chalk.red(`Unknown command: ${commandName}`));
+    printUsage();
+    process.exitCode = 1;
+    return;
+  }
+
+  // Stop quietly when the output is piped into a command that exits early (e.g. head)
+  process.stdout.on('error', error => {
+    if (error.code === 'EPIPE') {
+      process.exit(0);
+    }
+    throw error;
+  });
+
+  try {
+    await loadConfig({ quiet: true, configPath: options.config, requireAccounts: command.requiresAccount !== false });
+
+    if (options.account && !useAccount(options.account)) {
+      throw new Error(`Account not found in configuration: ${options.account}`);
+    }
+
+    await command.run(args, options);
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Print the command-line usage
+ */
+function printUsage() {
+  const lines = [
+    'Usage: azure-file-browser [--account <name>] [<command> [<args>]]',
+    '',
+    'Without a command, starts the full-screen interactive browser.',
+    '',
+    'Commands:'
+  ];
+
+  Object.values(COMMANDS).forEach(command => {
+    lines.push(`  ${command.usage.padEnd(40)} ${command.description}`);
+    // Options only accepted by this command, with their own values
+    (command.options || []).forEach(([option, description]) => {
+      lines.push(`    ${option.padEnd(38)} ${description}`);
+    });
+  });
+
+  lines.push('');
+  lines.push('Account actions:');
+  Object.values(ACCOUNT_ACTIONS).forEach(action => {
+    lines.push(`  ${action.usage.padEnd(40)} ${action.description}`);
+  });
+
+  lines.push('');
+  lines.push('Options:');
+  lines.push(`  ${'-a, --account <name>'.padEnd(40)} Use this account instead of the current one`);
+  lines.push(`  ${'--config <file>'.padEnd(40)} Configuration file (default: ~/.azure-file-browser.json)`);
+  lines.push(`  ${'--open <share>[/<path>]'.padEnd(40)} Start the browser in a directory, or open a file`);
+  lines.push(`  ${'-n, --lines <count>'.padEnd(40)} Number of lines printed by tail (default: 10)`);
+  lines.push(`  ${'-f, --follow'.padEnd(40)} Keep printing new content appended to the file`);
+  lines.push(`  ${'--json'.padEnd(40)} Print listings as JSON`);
+  lines.push(`  ${'--path <directory>'.padEnd(40)} Directory searched by grep (default: share root)`);
+  lines.push(`  ${'--name <glob>'.padEnd(40)} Only grep files whose name matches the glob`);
+  lines.push(`  ${'--max-size <size>'.padEnd(40)} Only grep files up to this size (e.g. 10MB)`);
+  lines.push(`  ${'--since <date|days>'.padEnd(40)} Only grep files modified after a date or in the last days`);
+  lines.push(`  ${'-C, --context <lines>'.padEnd(40)} Lines of context printed around grep matches`);
+  lines.push(`  ${'-i, --ignore-case'.padEnd(40)} Match case-insensitively in grep`);
+  lines.push(`  ${'-F, --fixed-strings'.padEnd(40)} Match the grep pattern as plain text`);
+  lines.push(`  ${'--parallel <count>'.padEnd(40)} Number of ranges transferred at the same time (default: 4)`);
+  lines.push(`  ${'--dry-run'.padEnd(40)} List what rm, mv or cp would change, without changing anything`);
+  lines.push(`  ${'-y, --yes'.padEnd(40)} Delete or move without asking (required by rm and mv without a terminal)`);
+  lines.push(`  ${'-h, --help'.padEnd(40)} Show this help`);
+
+  console.log(lines.join('\n'));
+}
+
+/**
+ * Parse a "<share>/<path>" argument that must name a file
+ * @param {string} arg - Command-line argument
+ * @param {string} usage - Usage of the command, shown when the argument is invalid
+ * @returns {{shareName: string, path: string}} Share name and file path
+ */
+function parseFileArg(arg, usage) {
+  const { shareName, path } = splitSharePath(arg);
+  if (!shareName || !path) {
+    throw new Error(`Usage: azure-file-browser ${usage}`);
+  }
+  return { shareName, path };
+}
+
+/**
+ * Write a readable stream to stdout, respecting backpressure
+ * @param {ReadableStream} readable - Stream to copy
+ */
+async function writeToStdout(readable) {
+  for await (const chunk of readable) {
+    if (!process.stdout.write(chunk)) {
+      await once(process.stdout, 'drain');
+    }
+  }
+}
+
+/**
+ * List file shares
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} options - Parsed command-line options
+ */
+async function runShares(args, options) {
+  const shares = await listShares();
+
+  if (options.json) {
+    console.log(JSON.stringify(shares.map(share => ({ name: share.name })), null, 2));
+    return;
+  }
+
+  shares.forEach(share => console.log(share.name));
+}
+
+/**
+ * List the content of a directory; directory names are printed with a trailing slash
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} options - Parsed command-line options
+ */
+async function runList(args, options) {
+  const { shareName, path } = splitSharePath(args[0]);
+  if (!shareName) {
+    throw new Error(`Usage: azure-file-browser ${COMMANDS.ls.usage}`);
+  }
+
+  const items = await listFiles(shareName, path);
+
+  if (options.json) {
+    console.log(JSON.stringify(items.map(item => ({
+      name: item.name,
+      path: joinPath(path, item.name),
+      isDirectory: item.isDirectory,
+      size: item.isDirectory ? undefined : item.properties.contentLength
+    })), null, 2));
+    return;
+  }
+
+  items.forEach(item => console.log(item.isDirectory ? `${item.name}/` : item.name));
+}
+
+/**
+ * Print the raw content of one or more files
+ * @param {Array<string>} args - Command arguments
+ */
+async function runCat(args) {
+  if (args.length === 0) {
+    throw new Error(`Usage: azure-file-browser ${COMMANDS.cat.usage}`);
+  }
+
+  for (const arg of args) {
+    const { shareName, path } = parseFileArg(arg, COMMANDS.cat.usage);
+    const fileClient = getFileClient(shareName, path, true);
+    const downloadResponse = await fileClient.download(0);
+    await writeToStdout(downloadResponse.readableStreamBody);
+  }
+}
+
+/**
+ * Print the last lines of a file and optionally follow new content
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} options - Parsed command-line options
+ */
+async function runTail(args, options) {
+  const { shareName, path } = parseFileArg(args[0], COMMANDS.tail.usage);
+  const lineCount = options.lines === undefined ? 10 : parseInt(options.lines, 10);
+
+  if (isNaN(lineCount) || lineCount < 0) {
+    throw new Error(`Invalid number of lines: ${options.lines}`);
+  }
+
+  const fileClient = getFileClient(shareName, path, true);
+  const properties = await fileClient.getProperties();
+  let position = properties.contentLength;
+
+  process.stdout.write(await readLastLines(fileClient, position, lineCount));
+
+  if (!options.follow) {
+    return;
+  }
+
+  // Poll for new content until the process is interrupted
+  for (;;) {
+    await new Promise(resolve => setTimeout(resolve, TAIL_POLL_INTERVAL));
+
+    try {
+      const { contentLength } = await fileClient.getProperties();
+
+      if (contentLength < position) {
+        console.error(chalk.yellow(`tail: ${path}: file truncated`));
+        position = 0;
+      }
+
+      if (contentLength > position) {
+        const downloadResponse = await fileClient.download(position, contentLength - position);
+        await writeToStdout(downloadResponse.readableStreamBody);
+        position = contentLength;
+      }
+    } catch (error) {
+      console.error(chalk.red(`tail: ${path}: ${error.message}`));
+    }
+  }
+}
+
+/**
+ * Read the last lines of a file by downloading blocks backwards from its end
+ * @param {object} fileClient - Azure File Client for the file
+ * @param {number} size - Size of the file in bytes
+ * @param {number} lineCount - Number of lines to return
+ * @returns {Promise<Buffer>} Bytes of the last lines
+ */
+async function readLastLines(fileClient, size, lineCount) {
+  if (lineCount === 0) {
+    return Buffer.alloc(0);
+  }
+
+  let buffer = Buffer.alloc(0);
+  let start = size;
+  let newlines = 0;
+
+  // A trailing newline terminates the last line, so one extra newline is needed
+  while (start > 0 && newlines <= lineCount) {
+    const offset = Math.max(0, start - TAIL_BLOCK_SIZE);
+    const block = await downloadRange(fileClient, offset, start - offset);
+    buffer = Buffer.concat([block, buffer]);
+    newlines += block.filter(byte => byte === 0x0a).length;
+    start = offset;
+  }
+
+  let end = buffer.length;
+  if (buffer[end - 1] === 0x0a) {
+    end--;
+  }
+
+  let index = end;
+  let found = 0;
+  while (index > 0) {
+    if (buffer[index - 1] === 0x0a && ++found === lineCount) {
+      break;
+    }
+    index--;
+  }
+
+  return buffer.subarray(index);
+}
+
+/**
+ * Search a share for file names matching a pattern
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} options - Parsed command-line options
+ */
+async function runSearch(args, options) {
+  const [shareName, pattern] = args;
+  if (!shareName || !pattern) {
+    throw new Error(`Usage: azure-file-browser ${COMMANDS.search.usage}`);
+  }
+
+  const results = await searchFiles(shareName, pattern, true, { quiet: true });
+
+  if (options.json) {
+    console.log(JSON.stringify(results, null, 2));
+    return;
+  }
+
+  results.forEach(result => console.log(result.path));
+}
+
+/**
+ * Search the content of files in a share
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} options - Parsed command-line options
+ */
+async function runGrep(args, options) {
+  const [shareName, pattern] = args;
+  if (!shareName || !pattern) {
+    throw new Error(`Usage: azure-file-browser ${COMMANDS.grep.usage}`);
+  }
+
+  const maxSize = options['max-size'] === undefined ? undefined : parseSize(options['max-size']);
+  if (maxSize === null) {
+    throw new Error(`Invalid size: ${options['max-size']}`);
+  }
+
+  const modifiedAfter = options.since === undefined ? undefined : parseDate(options.since);
+  if (modifiedAfter === null) {
+    throw new Error(`Invalid date: ${options.since}`);
+  }
+
+  const contextLines = options.context === undefined ? 0 : parseInt(options.context, 10);
+  if (isNaN(contextLines) || contextLines < 0) {
+    throw new Error(`Invalid number of context lines: ${options.context}`);
+  }
+
+  const matches = await grepFiles(shareName, pattern, {
+    directory: splitSharePath(`${shareName}/${options.path || ''}`).path,
+    nameGlob: options.name,
+    maxSize,
+    modifiedAfter,
+    contextLines,
+    ignoreCase: options['ignore-case'],
+    fixedStrings: options['fixed-strings'],
+    quiet: true
+  });
+
+  if (options.json) {
+    console.log(JSON.stringify(matches, null, 2));
+  } else {
+    formatMatches(matches).forEach(line => console.log(line));
+  }
+
+  // Like grep, exit with status 1 when nothing matched
+  if (matches.length === 0) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Download a file or a directory tree
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} options - Parsed command-line options
+ */
+async function runDownload(args, options) {
+  const { shareName, path } = splitSharePath(args[0]);
+  if (!shareName) {
+    throw new Error(`Usage: azure-file-browser ${COMMANDS.download.usage}`);
+  }
+
+  const existing = options.existing || 'newer';
+  if (!['newer', 'overwrite', 'skip'].includes(existing)) {
+    throw new Error(`Invalid value for --existing: ${existing} (expected newer, overwrite or skip)`);
+  }
+
+  const concurrency = parseConcurrency(options.parallel);
+
+  // Progress goes to stderr, and only when it is a terminal
+  const printer = process.stderr.isTTY ? createProgressPrinter(process.stderr) : null;
+  const summary = await downloadPath(shareName, path, resolveLocalPath(args[1] || '.'), {
+    existing,
+    concurrency,
+    onProgress: printer ? (progress, force) => printer.update(progress, force) : undefined
+  });
+  if (printer) {
+    printer.done();
+  }
+
+  printTransferSummary(summary.downloaded.length, 'downloaded', summary);
+}
+
+/**
+ * Upload a local file or directory tree into a share directory
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} options - Parsed command-line options
+ */
+async function runUpload(args, options) {
+  const [localArg, remoteArg] = args;
+  const { shareName, path } = splitSharePath(remoteArg);
+  if (!localArg || !shareName) {
+    throw new Error(`Usage: azure-file-browser ${COMMANDS.upload.usage}`);
+  }
+
+  // Without a terminal to ask on, existing files are skipped unless --existing overwrite is given
+  const existing = options.existing || (process.stdin.isTTY ? 'ask' : 'skip');
+  if (!['ask', 'overwrite', 'skip'].includes(existing)) {
+    throw new Error(`Invalid value for --existing: ${existing} (expected ask, overwrite or skip)`);
+  }
+
+  const localPath = resolveLocalPath(localArg);
+  const entries = await listUploadEntries(localPath, joinPath(path, nodePath.basename(localPath)));
+
+  // Prompts go to stderr so that stdout only carries the summary
+  const prompt = inquirer.createPromptModule({ output: process.stderr });
+  const printer = process.stderr.isTTY ? createProgressPrinter(process.stderr) : null;
+  const summary = await uploadFiles(shareName, entries, {
+    existing,
+    concurrency: parseConcurrency(options.parallel),
+    onProgress: printer ? (progress, force) => printer.update(progress, force) : undefined,
+    confirmOverwrite: async (remotePath) => {
+      if (printer) {
+        printer.done();
+      }
+      const { answer } = await prompt([
+        {
+          type: 'expand',
+          name: 'answer',
+          message: `${shareName}/${remotePath} already exists. Overwrite?`,
+          choices: [
+            { key: 'y', name: 'Overwrite', value: 'yes' },
+            { key: 'n', name: 'Skip', value: 'no' },
+            { key: 'a', name: 'Overwrite this and all remaining files', value: 'all' },
+            { key: 's', name: 'Skip this and all remaining existing files', value: 'none' }
+          ]
+        }
+      ]);
+      return answer;
+    }
+  });
+  if (printer) {
+    printer.done();
+  }
+
+  printTransferSummary(summary.uploaded.length, 'uploaded', summary);
+}
+
+/**
+ * Parse the --parallel option
+ * @param {string} value - Option value
+ * @returns {number|undefined} Number of parallel ranges, or undefined for the default
+ */
+function parseConcurrency(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const concurrency = parseInt(value, 10);
+  if (isNaN(concurrency) || concurrency < 1) {
+    throw new Error(`Invalid value for --parallel: ${value}`);
+  }
+  return concurrency;
+}
+
+/**
+ * List the snapshots of a share, newest first
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} options - Parsed command-line options
+ */
+async function runSnapshots(args, options) {
+  if (!args[0]) {
+    throw new Error(`Usage: azure-file-browser ${COMMANDS.snapshots.usage}`);
+  }
+
+  const snapshots = await listShareSnapshots(args[0]);
+
+  if (options.json) {
+    console.log(JSON.stringify(snapshots.map(item => ({
+      share: joinShareSnapshot(item.name, item.snapshot),
+      snapshot: item.snapshot
+    })), null, 2));
+    return;
+  }
+
+  snapshots.forEach(item => console.log(joinShareSnapshot(item.name, item.snapshot)));
+}
+
+/**
+ * List the bookmarks and the recent locations of the account, as "<share>/<path>"
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} options - Parsed command-line options
+ */
+async function runBookmarks(args, options) {
+  const bookmarks = getBookmarks();
+  const recent = getRecentLocations();
+  const describe = (location) => location.path ? `${location.shareName}/${location.path}` : location.shareName;
+
+  if (options.json) {
+    console.log(JSON.stringify({ bookmarks, recent }, null, 2));
+    return;
+  }
+
+  bookmarks.forEach(bookmark => console.log(describe(bookmark)));
+  if (recent.length > 0) {
+    console.log('');
+    console.log(chalk.dim('Recent:'));
+    recent.forEach(location => console.log(describe(location)));
+  }
+}
+
+/**
+ * Run an action of the accounts command
+ * @param {Array<string>} args - Command arguments, starting with the action
+ * @param {Object} options - Parsed command-line options
+ */
+async function runAccounts(args, options) {
+  const [actionName = 'list', ...actionArgs] = args;
+  const action = ACCOUNT_ACTIONS[actionName];
+  if (!action) {
+    throw new Error(`Unknown accounts action: ${actionName} (expected ${Object.keys(ACCOUNT_ACTIONS).join(', ')})`);
+  }
+
+  await action.run(actionArgs, options);
+}
+
+/**
+ * List the accounts with their authentication type; secrets are never printed
+ * @param {Array<string>} args - Action arguments
+ * @param {Object} options - Parsed command-line options
+ */
+async function runAccountList(args, options) {
+  const config = getConfig();
+  const accounts = Object.keys(config.accounts).map(name => {
+    const account = getAccount(name);
+    let authType;
+    try {
+      authType = getAuthType(account);
+    } catch (error) {
+      authType = 'invalid';
+    }
+    return {
+      name,
+      accountName: account.accountName || account.endpoint || null,
+      authType,
+      current: name === config.currentAccount,
+      environment: isSessionAccount(name)
+    };
+  });
+
+  if (options.json) {
+    console.log(JSON.stringify({ config: getConfigPath(), vault: getVaultFilePath(), accounts }, null, 2));
+    return;
+  }
+
+  console.log(chalk.dim(`Configuration: ${getConfigPath()}`));
+  if (getVaultFilePath()) {
+    console.log(chalk.dim(`Secrets vault: ${getVaultFilePath()}`));
+  }
+  if (accounts.length === 0) {
+    console.log(`No accounts configured. Add one with: azure-file-browser ${ACCOUNT_ACTIONS.add.usage}`);
+    return;
+  }
+
+  const nameWidth = Math.max(...accounts.map(account => account.name.length));
+  const typeWidth = Math.max(...accounts.map(account => account.authType.length));
+  accounts.forEach(account => {
+    const origin = account.environment ? chalk.dim(' (environment)') : '';
+    console.log(`${account.current ? '*' : ' '} ${account.name.padEnd(nameWidth)}  ${account.authType.padEnd(typeWidth)}  ` +
+      `${account.accountName || chalk.dim('(no accountName or endpoint)')}${origin}`);
+  });
+}
+
+/**
+ * Add an account, asking for its authentication type and the fields this type needs
+ * @param {Array<string>} args - Action arguments
+ */
+async function runAccountAdd(args) {
+  const [name] = args;
+  if (!name) {
+    throw new Error(`Usage: azure-file-browser ${ACCOUNT_ACTIONS.add.usage}`);
+  }
+  if (getConfig().accounts[name]) {
+    throw new Error(`An account named ${name} already exists`);
+  }
+  if (!process.stdin.isTTY) {
+    throw new Error('Adding an account asks for its credentials and needs a terminal');
+  }
+
+  const { authType } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'authType',
+      message: 'How does the account authenticate?',
+      choices: AUTH_TYPES
+    }
+  ]);
+
+  // Secrets are typed without echo; optional fields are left out when empty
+  const answers = await inquirer.prompt(ACCOUNT_FIELDS[authType].map(field => {
+    const optional = field.endsWith('?');
+    const fieldName = optional ? field.slice(0, -1) : field;
+    return {
+      type: SECRET_FIELDS.includes(fieldName) ? 'password' : 'input',
+      name: fieldName,
+      message: optional ? `${fieldName} (optional):` : `${fieldName}:`,
+      mask: '*',
+      filter: input => input.trim(),
+      validate: input => optional || input.trim().length > 0 || `${fieldName} is required`
+    };
+  }));
+
+  const account = { authType };
+  Object.entries(answers).forEach(([field, value]) => {
+    if (value) {
+      account[field] = value;
+    }
+  });
+
+  addAccount(name, account);
+  const vaultPath = getVaultFilePath();
+  console.log(chalk.green(`Account added: ${name}`) + (vaultPath ? chalk.dim(` (secrets kept in ${vaultPath})`) : ''));
+  console.log(`Check it with: azure-file-browser accounts test ${name}`);
+}
+
+/**
+ * Remove an account
+ * @param {Array<string>} args - Action arguments
+ */
+async function runAccountRemove(args) {
+  const [name] = args;
+  if (!name) {
+    throw new Error(`Usage: azure-file-browser ${ACCOUNT_ACTIONS.remove.usage}`);
+  }
+
+  removeAccount(name);
+  console.log(chalk.green(`Account removed: ${name}`));
+}
+
+/**
+ * Rename an account
+ * @param {Array<string>} args - Action arguments
+ */
+async function runAccountRename(args) {
+  const [name, newName] = args;
+  if (!name || !newName) {
+    throw new Error(`Usage: azure-file-browser ${ACCOUNT_ACTIONS.rename.usage}`);
+  }
+
+  renameAccount(name, newName);
+  console.log(chalk.green(`Account renamed: ${name} -> ${newName}`));
+}
+
+/**
+ * Check that an account can list its file shares, and set the exit code if it cannot
+ * @param {Array<string>} args - Action arguments
+ */
+async function runAccountTest(args) {
+  const name = args[0] || getConfig().currentAccount;
+  const account = args[0] ? getAccount(name) : getCurrentAccount();
+
+  try {
+    await testConnection(account);
+    console.log(chalk.green(`${name}: OK (${getAuthType(account)}, ${account.accountName || account.endpoint})`));
+  } catch (error) {
+    console.error(chalk.red(`${name}: ${error.message}`));
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Move the account secrets into a passphrase-encrypted vault file
+ * @param {Array<string>} args - Action arguments
+ */
+async function runAccountEncrypt(args) {
+  // By default the vault sits next to the configuration file, with the same name
+  const vaultFile = args[0] || `${nodePath.basename(getConfigPath(), '.json')}.vault`;
+  const vaultPath = await enableVault(vaultFile);
+
+  console.log(chalk.green(`Account secrets moved to the vault ${vaultPath}`));
+  console.log('Set AZURE_FILE_BROWSER_PASSPHRASE to unlock it without a prompt.');
+}
+
+/**
+ * Move the account secrets from the vault back into the configuration file
+ */
+async function runAccountDecrypt() {
+  const vaultPath = disableVault();
+  console.log(chalk.green(`Account secrets moved back to ${getConfigPath()}; deleted the vault ${vaultPath}`));
+}
+
+/**
+ * Restore a file or directory tree from a share snapshot into the live share, at the same path
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} options - Parsed command-line options
+ */
+async function runRestore(args, options) {
+  const { shareName, path } = splitSharePath(args[0]);
+  if (!splitShareSnapshot(shareName).snapshot || !path) {
+    throw new Error(`Usage: azure-file-browser ${COMMANDS.restore.usage}`);
+  }
+
+  const existing = options.existing || 'overwrite';
+  if (!['overwrite', 'skip'].includes(existing)) {
+    throw new Error(`Invalid value for --existing: ${existing} (expected overwrite or skip)`);
+  }
+
+  const isDirectory = await isRemoteDirectory(shareName, path);
+  const entries = await listRestoreEntries(shareName, [{ path, isDirectory }]);
+
+  // Progress goes to stderr, and only when it is a terminal
+  const printer = process.stderr.isTTY ? createProgressPrinter(process.stderr) : null;
+  const summary = await restoreFiles(shareName, entries, {
+    existing,
+    concurrency: parseConcurrency(options.parallel),
+    onProgress: printer ? (progress, force) => printer.update(progress, force) : undefined
+  });
+  if (printer) {
+    printer.done();
+  }
+
+  printTransferSummary(summary.restored.length, 'restored', summary);
+}
+
+/**
+ * Delete, move or copy files and directories within a share. With several sources, or when the
+ * destination is an existing directory, the items go into it (created if missing); otherwise the
+ * single source is given the destination path, which also renames it. Deleting a directory needs -r.
+ * Deletions and moves list what they change and ask first, or need --yes without a terminal; with
+ * --dry-run, the affected files and directories are only listed.
+ * @param {string} operation - "delete", "move" or "copy"
+ * @param {Array<string>} args - Command arguments: the sources, then the destination unless deleting
+ * @param {Object} options - Parsed command-line options
+ */
+async function runManage(operation, args, options) {
+  const command = { delete: 'rm', move: 'mv', copy: 'cp' }[operation];
+  const verb = { delete: 'deleted', move: 'moved', copy: 'copied' }[operation];
+  const sourceArgs = operation === 'delete' ? args : args.slice(0, -1);
+  const usage = `Usage: azure-file-browser ${COMMANDS[command].usage}`;
+  if (sourceArgs.length === 0) {
+    throw new Error(usage);
+  }
+
+  const sources = sourceArgs.map(arg => parseFileArg(arg, COMMANDS[command].usage));
+  const { shareName } = sources[0];
+  if (sources.some(source => source.shareName !== shareName)) {
+    throw new Error(`All paths must be in the same share: ${shareName}`);
+  }
+
+  const items = [];
+  for (const source of sources) {
+    try {
+      items.push({ path: source.path, isDirectory: await isRemoteDirectory(shareName, source.path) });
+    } catch (error) {
+      throw error.statusCode === 404 ? new Error(`No such file or directory: ${shareName}/${source.path}`) : error;
+    }
+  }
+
+  // A directory tree is only deleted when asked for explicitly
+  const directory = items.find(item => item.isDirectory);
+  if (operation === 'delete' && directory && !options.recursive) {
+    throw new Error(`${shareName}/${directory.path} is a directory (use -r to delete it with all its content)`);
+  }
+
+  let target = {};
+  if (operation !== 'delete') {
+    const destination = splitSharePath(args[args.length - 1]);
+    if (destination.shareName !== shareName) {
+      throw new Error(`The destination must be in the same share as the sources: ${shareName}`);
+    }
+
+    if (items.length > 1 || await isExistingDirectory(shareName, destination.path)) {
+      target = { directory: destination.path };
+    } else if (destination.path) {
+      target = { directory: parentPath(destination.path), name: destination.path.split('/').pop() };
+    } else {
+      throw new Error(usage);
+    }
+  }
+
+  const plan = await planOperation(operation, shareName, items, target);
+  const fileCount = plan.entries.filter(entry => !entry.isDirectory).length;
+  const directoryCount = plan.entries.length - fileCount;
+  const affected = `${fileCount} file(s) and ${directoryCount} ${directoryCount === 1 ? 'directory' : 'directories'} ` +
+    `(${formatBytes(plan.totalSize)})`;
+  if (options['dry-run']) {
+    describePlan(plan, formatBytes).forEach(line => console.log(line));
+    console.log(`Dry run: ${affected} would be ${verb}; nothing was changed`);
+    return;
+  }
+
+  // Copies never replace anything; deletions and moves are confirmed first
+  if (operation !== 'copy' && !options.yes) {
+    if (!process.stdin.isTTY) {
+      throw new Error(`${command} needs --yes to change ${affected} without a terminal (use --dry-run to list them)`);
+    }
+
+    // The list and the prompt go to stderr so that stdout only carries the summary
+    describePlan(plan, formatBytes).forEach(line => console.error(line));
+    const prompt = inquirer.createPromptModule({ output: process.stderr });
+    const { confirmed } = await prompt([
+      {
+        type: 'confirm',
+        name: 'confirmed',
+        message: `${operation === 'delete' ? 'Delete' : 'Move'} ${affected} in ${shareName}?`,
+        default: false
+      }
+    ]);
+    if (!confirmed) {
+      console.log('Nothing was changed');
+      return;
+    }
+  }
+
+  // Progress goes to stderr, and only when it is a terminal
+  const printer = operation === 'copy' && process.stderr.isTTY ? createProgressPrinter(process.stderr) : null;
+  const summary = await runOperation(plan, {
+    concurrency: parseConcurrency(options.parallel),
+    onProgress: printer ? (progress, force) => printer.update(progress, force) : undefined
+  });
+  if (printer) {
+    printer.done();
+  }
+
+  summary.failed.forEach(failure => {
+    console.error(chalk.red(`Failed: ${failure.path}: ${failure.error}`));
+  });
+  console.log(`${summary.done.length} item(s) ${verb}${operation === 'copy' ? ` (${formatBytes(summary.bytes)})` : ''}, ` +
+    `${summary.failed.length} failed`);
+
+  if (summary.failed.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Check whether a path of a share is an existing directory
+ * @param {string} shareName - Name of the file share
+ * @param {string} remotePath - Path of the item (empty for the root)
+ * @returns {Promise<boolean>} True for existing directories, false for files and missing paths
+ */
+async function isExistingDirectory(shareName, remotePath) {
+  try {
+    return await isRemoteDirectory(shareName, remotePath);
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Print the result of a transfer and set the exit code if some files failed
+ * @param {number} count - Number of transferred files
+ * @param {string} verb - Past tense of the transfer ("downloaded", "uploaded", "restored")
+ * @param {Object} summary - Summary with skipped and failed files and transferred bytes
+ */
+function printTransferSummary(count, verb, summary) {
+  summary.failed.forEach(failure => {
+    console.error(chalk.red(`Failed: ${failure.path}: ${failure.error}`));
+  });
+
+  console.log(`${count} file(s) ${verb} (${formatBytes(summary.bytes)}), ` +
+    `${summary.skipped.length} skipped, ${summary.failed.length} failed`);
+
+  if (summary.failed.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Show the size of the local cache of viewed files, or clear it
+ * @param {Array<string>} args - Command arguments: "clear" to remove the cached files
+ * @param {Object} options - Parsed command-line options
+ */
+async function runCache(args, options) {
+  const [action] = args;
+  if (action === 'clear') {
+    const { files, bytes } = clearCache();
+    console.log(`Removed ${files} cached file${files === 1 ? '' : 's'} (${formatBytes(bytes)})`);
+    return;
+  }
+  if (action) {
+    throw new Error(`Usage: azure-file-browser ${COMMANDS.cache.usage}`);
+  }
+
+  const info = getCacheInfo();
+  if (options.json) {
+    console.log(JSON.stringify(info, null, 2));
+    return;
+  }
+
+  console.log(`${chalk.dim('Directory:')} ${info.directory}`);
+  console.log(`${chalk.dim('Cached files:')} ${info.files} (${formatBytes(info.bytes)})`);
+  console.log(`${chalk.dim('Size limit:')} ${info.limit > 0 ? formatBytes(info.limit) : '0 (the cache is disabled)'}`);
+}
+
+module.exports = { runCli };
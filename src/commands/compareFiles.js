@@ -0,0 +1,370 @@
+const fs = require('fs');
+const blessed = require('blessed');
+const chalk = require('chalk');
+const { structuredPatch } = require('diff');
+const { getFileClient } = require('../services/azureFileService');
+const { downloadRange } = require('./displayFile');
+const { isJsonFile } = require('../utils/formatters');
+const { formatBytes } = require('../utils/formatting');
+const { openView, showMessage } = require('../ui/screen');
+
+// Largest file compared; both files are loaded in memory to compute the diff
+const MAX_COMPARE_SIZE = 10 * 1024 * 1024;
+
+// Number of unchanged lines shown around each change
+const DIFF_CONTEXT_LINES = 3;
+
+/**
+ * Load the content of a file to compare
+ * @param {Object} source - File to load: { shareName, path } for a file in a share (or a snapshot),
+ *   or { localPath } for a local file
+ * @returns {Promise<string>} Content of the file
+ */
+async function loadSource(source) {
+  if (source.localPath) {
+    const stats = await fs.promises.stat(source.localPath);
+    checkSize(source, stats.size);
+    return fs.promises.readFile(source.localPath, 'utf8');
+  }
+
+  const fileClient = getFileClient(source.shareName, source.path, true);
+  const properties = await fileClient.getProperties();
+  checkSize(source, properties.contentLength);
+  return properties.contentLength > 0 ? (await downloadRange(fileClient, 0, properties.contentLength)).toString() : '';
+}
+
+/**
+ * Make sure a file is small enough to be compared
+ * @param {Object} source - File to compare
+ * @param {number} size - Size of the file in bytes
+ */
+function checkSize(source, size) {
+  if (size > MAX_COMPARE_SIZE) {
+    throw new Error(`${describeSource(source)} is too large to compare (${formatBytes(size)}, at most ${formatBytes(MAX_COMPARE_SIZE)})`);
+  }
+}
+
+/**
+ * Describe a file to compare for titles and messages
+ * @param {Object} source - File to compare
+ * @returns {string} Label of the file, or its share and path
+ */
+function describeSource(source) {
+  return source.label || source.localPath || `${source.shareName}/${source.path}`;
+}
+
+/**
+ * Re-indent JSON documents, so that minified files are compared value by value
+ * @param {string} content - File content
+ * @returns {string} Indented JSON, or the content unchanged if it is not valid JSON
+ */
+function normalizeJson(content) {
+  try {
+    return JSON.stringify(JSON.parse(content), null, 2) + '\n';
+  } catch (e) {
+    return content;
+  }
+}
+
+/**
+ * Build the rows of a diff, in unified and side-by-side form
+ * @param {Array} hunks - Hunks of a structured patch
+ * @returns {{unified: Array, sideBySide: Array}} Rows of both views; each view has a row of type "hunk" per hunk
+ */
+function buildRows(hunks) {
+  const unified = [];
+  const sideBySide = [];
+
+  hunks.forEach(hunk => {
+    const header = `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`;
+    unified.push({ type: 'hunk', text: header });
+    sideBySide.push({ type: 'hunk', text: header });
+
+    let oldLine = hunk.oldStart;
+    let newLine = hunk.newStart;
+    let removed = [];
+    let added = [];
+
+    // Removed and added lines are paired, so changed lines face each other
+    const flushChanges = () => {
+      for (let index = 0; index < Math.max(removed.length, added.length); index++) {
+        sideBySide.push({ type: 'change', left: removed[index], right: added[index] });
+      }
+      removed = [];
+      added = [];
+    };
+
+    hunk.lines.forEach(line => {
+      const marker = line[0];
+      const text = line.slice(1);
+
+      if (marker === '\\') {
+        // "\ No newline at end of file"
+        return;
+      }
+
+      if (marker === '-') {
+        unified.push({ type: 'removed', number: oldLine, text });
+        removed.push({ number: oldLine++, text });
+      } else if (marker === '+') {
+        unified.push({ type: 'added', number: newLine, text });
+        added.push({ number: newLine++, text });
+      } else {
+        flushChanges();
+        unified.push({ type: 'context', number: newLine, text });
+        sideBySide.push({ type: 'context', left: { number: oldLine++, text }, right: { number: newLine++, text } });
+      }
+    });
+    flushChanges();
+  });
+
+  return { unified, sideBySide };
+}
+
+/**
+ * Fit text to a width, expanding tabs and cutting what does not fit
+ * @param {string} text - Text of a line
+ * @param {number} width - Width of the column
+ * @returns {string} Text padded or cut to the width
+ */
+function fit(text, width) {
+  const expanded = text.replace(/\t/g, '    ');
+  if (expanded.length > width) {
+    return width > 0 ? expanded.slice(0, width - 1) + '…' : '';
+  }
+  return expanded.padEnd(width);
+}
+
+/**
+ * Render diff rows as colored lines, one line per row
+ * @param {Array} rows - Rows of the unified or side-by-side view
+ * @param {boolean} sideBySide - Whether the rows are side-by-side rows
+ * @param {number} width - Width of the view
+ * @param {number} numberWidth - Width of the line numbers
+ * @returns {Array<string>} Rendered lines
+ */
+function renderRows(rows, sideBySide, width, numberWidth) {
+  const number = (side) => side ? String(side.number).padStart(numberWidth) : ' '.repeat(numberWidth);
+
+  if (!sideBySide) {
+    const textWidth = width - numberWidth - 3;
+    return rows.map(row => {
+      if (row.type === 'hunk') {
+        return chalk.cyan(fit(row.text, width));
+      }
+      const marker = row.type === 'removed' ? '-' : row.type === 'added' ? '+' : ' ';
+      const line = `${number(row)} ${marker} ${fit(row.text, textWidth)}`;
+      return row.type === 'removed' ? chalk.red(line) : row.type === 'added' ? chalk.green(line) : chalk.dim(line);
+    });
+  }
+
+  const columnWidth = Math.floor((width - 3) / 2);
+  const textWidth = columnWidth - numberWidth - 1;
+  return rows.map(row => {
+    if (row.type === 'hunk') {
+      return chalk.cyan(fit(row.text, width));
+    }
+
+    const left = `${number(row.left)} ${fit(row.left ? row.left.text : '', textWidth)}`;
+    const right = `${number(row.right)} ${fit(row.right ? row.right.text : '', textWidth)}`;
+    if (row.type === 'context') {
+      return chalk.dim(`${left} │ ${right}`);
+    }
+
+    // A line present on one side only is shown against an empty column
+    const changed = row.left && row.right;
+    const leftText = row.left ? (changed ? chalk.yellow(left) : chalk.red(left)) : left;
+    const rightText = row.right ? (changed ? chalk.yellow(right) : chalk.green(right)) : right;
+    return `${leftText} ${chalk.dim('│')} ${rightText}`;
+  });
+}
+
+/**
+ * Compare two files and show their differences in a scrollable view, either unified or side by side
+ * @param {Object} left - Original file: { shareName, path } for a file in a share (or a snapshot), or { localPath }
+ *   for a local file, with an optional label
+ * @param {Object} right - Changed file, in the same form
+ */
+async function compareFiles(left, right) {
+  showMessage(chalk.cyan(`Comparing ${describeSource(left)} with ${describeSource(right)}...`));
+
+  let [leftContent, rightContent] = await Promise.all([loadSource(left), loadSource(right)]);
+
+  // Compare JSON documents by value rather than by formatting
+  const leftName = left.localPath || left.path;
+  const rightName = right.localPath || right.path;
+  if (isJsonFile(leftContent, leftName) && isJsonFile(rightContent, rightName)) {
+    leftContent = normalizeJson(leftContent);
+    rightContent = normalizeJson(rightContent);
+  }
+
+  const patch = structuredPatch(describeSource(left), describeSource(right), leftContent, rightContent, '', '',
+    { context: DIFF_CONTEXT_LINES });
+  if (patch.hunks.length === 0) {
+    showMessage(chalk.green('The files are identical.'));
+    return;
+  }
+
+  await displayDiff(patch.hunks, describeSource(left), describeSource(right));
+}
+
+/**
+ * Display the hunks of a diff in a blessed view with hunk navigation
+ * @param {Array} hunks - Hunks of a structured patch
+ * @param {string} leftName - Name of the original file
+ * @param {string} rightName - Name of the changed file
+ */
+async function displayDiff(hunks, leftName, rightName) {
+  // Open the view, inside the full-screen browser when it runs
+  const view = openView(`Diff: ${leftName} ↔ ${rightName}`);
+  const screen = view.screen;
+
+  const contentBox = blessed.box({
+    parent: view.container,
+    top: 1,
+    left: 0,
+    width: '100%',
+    height: screen.height - 2,
+    border: {
+      type: 'line'
+    },
+    scrollable: true,
+    alwaysScroll: true,
+    scrollbar: {
+      style: {
+        bg: 'blue'
+      }
+    },
+    mouse: true,
+    keys: true,
+    vi: true,
+    tags: false, // Lines are colored with ANSI codes; braces in files must not be parsed as tags
+    style: {
+      fg: 'white',
+      bg: 'black',
+      border: {
+        fg: 'blue'
+      }
+    }
+  });
+
+  const title = blessed.box({
+    parent: view.container,
+    top: 0,
+    left: 0,
+    width: '100%',
+    height: 1,
+    style: {
+      fg: 'white',
+      bg: 'blue'
+    }
+  });
+
+  blessed.box({
+    parent: view.container,
+    bottom: 0,
+    left: 0,
+    width: '100%',
+    height: 1,
+    content: ' ↑/↓/PgUp/PgDn: Scroll | n/p: Next/Previous change | v: Unified/Side by side | q: Quit ',
+    style: {
+      fg: 'black',
+      bg: 'green'
+    }
+  });
+
+  const rows = buildRows(hunks);
+  const added = rows.unified.filter(row => row.type === 'added').length;
+  const removed = rows.unified.filter(row => row.type === 'removed').length;
+  const lastHunk = hunks[hunks.length - 1];
+  const numberWidth = String(Math.max(lastHunk.oldStart + lastHunk.oldLines, lastHunk.newStart + lastHunk.newLines)).length;
+
+  let sideBySide = true;
+  let hunkRows = [];
+  let currentHunk = 0;
+
+  /**
+   * Render the current view, keeping the current change in view
+   */
+  function render() {
+    const viewRows = sideBySide ? rows.sideBySide : rows.unified;
+    hunkRows = [];
+    viewRows.forEach((row, index) => {
+      if (row.type === 'hunk') {
+        hunkRows.push(index);
+      }
+    });
+
+    contentBox.setContent(renderRows(viewRows, sideBySide, contentBox.width - contentBox.iwidth, numberWidth).join('\n'));
+    showHunk(currentHunk);
+  }
+
+  /**
+   * Scroll so that a change is at the top of the view
+   * @param {number} index - Index of the change
+   */
+  function showHunk(index) {
+    currentHunk = Math.max(0, Math.min(index, hunkRows.length - 1));
+    const visibleRows = contentBox.height - contentBox.iheight;
+    contentBox.childBase = Math.max(0, Math.min(hunkRows[currentHunk], contentBox.getScrollHeight() - visibleRows));
+    contentBox.childOffset = 0;
+    updateTitle();
+    screen.render();
+  }
+
+  /**
+   * Show the compared files, the size of the diff and the current change
+   */
+  function updateTitle() {
+    title.setContent(` Diff: ${leftName} ↔ ${rightName} | ${chalk.green(`+${added}`)} ${chalk.red(`-${removed}`)} ` +
+      `| change ${currentHunk + 1} of ${hunkRows.length} `);
+  }
+
+  // Page through the diff (the box only handles line-by-line keys itself)
+  contentBox.key(['pagedown', 'space'], function() {
+    contentBox.scroll(contentBox.height - contentBox.iheight - 1);
+    screen.render();
+  });
+
+  contentBox.key(['pageup'], function() {
+    contentBox.scroll(-(contentBox.height - contentBox.iheight - 1));
+    screen.render();
+  });
+
+  // Move between changes, from the change at the top of the view
+  view.key(['n'], function() {
+    const next = hunkRows.findIndex(row => row > contentBox.childBase);
+    showHunk(next === -1 ? hunkRows.length - 1 : next);
+  });
+
+  view.key(['p', 'S-n'], function() {
+    let previous = -1;
+    hunkRows.forEach((row, index) => {
+      if (row < contentBox.childBase) {
+        previous = index;
+      }
+    });
+    showHunk(Math.max(previous, 0));
+  });
+
+  view.key(['v'], function() {
+    sideBySide = !sideBySide;
+    render();
+  });
+
+  screen.on('resize', render);
+
+  contentBox.focus();
+  render();
+
+  // Wait for the user to quit
+  return new Promise(resolve => {
+    view.key(['q', 'escape'], function() {
+      screen.removeListener('resize', render);
+      view.close();
+      resolve();
+    });
+  });
+}
+
+module.exports = { compareFiles };
@@ -0,0 +1,190 @@
+const blessed = require('blessed');
+const chalk = require('chalk');
+const { toListingEntries, sortEntries, formatEntryRow } = require('../utils/listing');
+const { formatBytes } = require('../utils/formatting');
+const { openView } = require('../ui/screen');
+
+/**
+ * Get the entries of an archive directory as listing items. Archives do not always have entries for
+ * their directories, so directories are also taken from the paths of the files they contain.
+ * @param {Array} entries - Entries of the archive, as { name, size, lastModified, isDirectory }
+ * @param {string} directory - Directory within the archive ('' for its root)
+ * @returns {Array} Items as returned by listFiles, each file item with its archive entry
+ */
+function listArchiveDirectory(entries, directory) {
+  const prefix = directory ? `${directory}/` : '';
+  const items = new Map();
+
+  entries.forEach(entry => {
+    const name = entry.name.replace(/^(\.\/)+/, '').replace(/\/+$/, '');
+    if (!name.startsWith(prefix) || name.length === prefix.length) {
+      return;
+    }
+
+    const rest = name.slice(prefix.length);
+    const slash = rest.indexOf('/');
+    const childName = slash === -1 ? rest : rest.slice(0, slash);
+    if (slash !== -1 || entry.isDirectory) {
+      if (!items.has(childName)) {
+        items.set(childName, { name: childName, isDirectory: true, properties: {} });
+      }
+    } else {
+      items.set(childName, {
+        name: childName,
+        isDirectory: false,
+        properties: { contentLength: entry.size, lastModified: entry.lastModified },
+        entry
+      });
+    }
+  });
+
+  return [...items.values()];
+}
+
+/**
+ * Browse the entries of a zip or tar archive like a directory tree, until a file is chosen.
+ * The view is closed before the file is shown; calling this again with the same state shows
+ * the archive where it was left.
+ * @param {string} archiveName - Name of the archive
+ * @param {Array} entries - Entries of the archive, as { name, size, lastModified, isDirectory }
+ * @param {Object} state - Position in the archive, as { directory, selectName, message }, updated by the view
+ * @returns {Promise<Object|null>} Chosen entry, or null when the archive is closed
+ */
+async function chooseArchiveEntry(archiveName, entries, state) {
+  const view = openView(`Archive: ${archiveName}`);
+  const screen = view.screen;
+  const totalSize = entries.reduce((total, entry) => total + (entry.isDirectory ? 0 : entry.size), 0);
+  const fileCount = entries.filter(entry => !entry.isDirectory).length;
+
+  let rows = [];
+
+  const title = blessed.box({
+    parent: view.container,
+    top: 0,
+    left: 0,
+    width: '100%',
+    height: 1,
+    style: {
+      fg: 'white',
+      bg: 'blue'
+    }
+  });
+
+  const list = blessed.list({
+    parent: view.container,
+    top: 1,
+    left: 0,
+    width: '100%',
+    height: screen.height - 2,
+    border: {
+      type: 'line'
+    },
+    scrollbar: {
+      style: {
+        bg: 'blue'
+      }
+    },
+    mouse: true,
+    keys: true,
+    vi: true,
+    tags: false,
+    style: {
+      fg: 'white',
+      bg: 'black',
+      border: {
+        fg: 'blue'
+      },
+      selected: {
+        fg: 'black',
+        bg: 'cyan'
+      }
+    }
+  });
+
+  blessed.box({
+    parent: view.container,
+    bottom: 0,
+    left: 0,
+    width: '100%',
+    height: 1,
+    content: ' ↑/↓: Move | Enter: Open | ←/Backspace: Up | q: Close archive ',
+    style: {
+      fg: 'black',
+      bg: 'green'
+    }
+  });
+
+  /**
+   * List the current directory of the archive
+   * @param {string} selectName - Name to select, if listed
+   */
+  function showDirectory(selectName) {
+    rows = sortEntries(toListingEntries(listArchiveDirectory(entries, state.directory)));
+    if (state.directory) {
+      rows.unshift({ kind: 'up', name: '..' });
+    }
+
+    // The border, the marker and the scrollbar take 5 columns
+    const width = Math.max(list.width - 5, 0);
+    list.setItems(rows.map(row => {
+      if (row.kind === 'up') {
+        return '.. (Go back)';
+      }
+      const marker = row.kind === 'file' ? '  ' : `${chalk.blue('+')} `;
+      return `${marker}${formatEntryRow(row, width)}`;
+    }));
+    list.select(Math.max(0, rows.findIndex(row => row.name === selectName)));
+
+    const message = state.message ? ` | ${state.message}` : '';
+    state.message = '';
+    title.setContent(` Archive: ${archiveName}${state.directory ? ` | ${state.directory}` : ''} | ` +
+      `${fileCount} file${fileCount === 1 ? '' : 's'}, ${formatBytes(totalSize)} uncompressed${message} `);
+    screen.render();
+  }
+
+  /**
+   * Go to the parent directory within the archive
+   */
+  function goUp() {
+    if (!state.directory) {
+      return;
+    }
+    const slash = state.directory.lastIndexOf('/');
+    const previous = state.directory.slice(slash + 1);
+    state.directory = slash === -1 ? '' : state.directory.slice(0, slash);
+    showDirectory(previous);
+  }
+
+  showDirectory(state.selectName);
+  list.focus();
+  screen.render();
+
+  return new Promise(resolve => {
+    list.on('select', (item, index) => {
+      const row = rows[index];
+      if (!row) {
+        return;
+      }
+
+      if (row.kind === 'up') {
+        goUp();
+      } else if (row.kind === 'directory') {
+        state.directory = state.directory ? `${state.directory}/${row.name}` : row.name;
+        showDirectory();
+      } else {
+        state.selectName = row.name;
+        view.close();
+        resolve(row.item.entry);
+      }
+    });
+
+    view.key(['left', 'backspace'], goUp);
+
+    view.key(['q', 'escape'], function() {
+      view.close();
+      resolve(null);
+    });
+  });
+}
+
+module.exports = { chooseArchiveEntry };
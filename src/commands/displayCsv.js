@@ -0,0 +1,562 @@
+const blessed = require('blessed');
+const chalk = require('chalk');
+const { detectDelimiter, parseCsvLines, isNumericCell, compareCells, toFieldMap } = require('../utils/csv');
+const { parseRecordFilter } = require('../utils/ndjson');
+const { openView } = require('../ui/screen');
+
+// Widest a column can be; longer cells are cut in the table and shown whole with Enter
+const MAX_COLUMN_WIDTH = 40;
+const COLUMN_SEPARATOR = ' │ ';
+
+/**
+ * Fit the text of a cell to the width of its column
+ * @param {string} text - Text of the cell
+ * @param {number} width - Width of the column
+ * @param {boolean} alignRight - Whether to align the text to the right (numbers)
+ * @returns {string} Text of exactly width characters
+ */
+function fitCell(text, width, alignRight) {
+  const line = text.replace(/\s*[\r\n]+\s*/g, ' ');
+  if (line.length > width) {
+    return width > 0 ? line.slice(0, width - 1) + '…' : '';
+  }
+  return alignRight ? line.padStart(width) : line.padEnd(width);
+}
+
+/**
+ * Display a CSV or TSV file as a table with a fixed header row, loading the file in windows as the
+ * cursor moves. Columns are aligned, and can be scrolled horizontally, sorted and filtered.
+ * @param {Object} fileWindow - Window over the lines of the file (see services/fileWindow)
+ * @param {string} fileName - Name of the file
+ * @param {Object} options - Display options
+ * @param {number} options.initialLine - Line number (1-based) to put the cursor on, if any
+ * @returns {Promise<Object>} Whether to refresh
+ */
+async function displayCsvInPager(fileWindow, fileName, options = {}) {
+  // The header is the first record of the file, whatever part of the file is in view
+  await fileWindow.loadHead();
+  const delimiter = detectDelimiter(fileWindow.lines[0] || '', fileName);
+  const headerRecord = parseCsvLines(fileWindow.lines.slice(0, 100), delimiter)[0];
+  const header = headerRecord ? headerRecord.fields : [];
+
+  let initialOffset = null;
+  if (options.initialLine) {
+    const initialIndex = await fileWindow.loadAtLine(options.initialLine);
+    initialOffset = initialIndex >= 0 ? fileWindow.offsets[initialIndex] : null;
+  }
+
+  const view = openView(`File: ${fileName}`);
+  const screen = view.screen;
+
+  const title = blessed.box({
+    parent: view.container,
+    top: 0,
+    left: 0,
+    width: '100%',
+    height: 1,
+    style: {
+      fg: 'white',
+      bg: 'blue'
+    }
+  });
+
+  const box = blessed.box({
+    parent: view.container,
+    top: 1,
+    left: 0,
+    width: '100%',
+    height: screen.height - 2,
+    border: {
+      type: 'line'
+    },
+    mouse: true,
+    tags: false, // Rows are colored with ANSI codes; braces in cells must not be parsed as tags
+    wrap: false,
+    style: {
+      fg: 'white',
+      bg: 'black',
+      border: {
+        fg: 'blue'
+      }
+    }
+  });
+
+  blessed.box({
+    parent: view.container,
+    bottom: 0,
+    left: 0,
+    width: '100%',
+    height: 1,
+    content: ' ↑/↓/PgUp/PgDn: Move | ←/→: Column | Home/End: Start/End of file | s: Sort | f: Filter | Enter: Expand | r: Refresh | q: Quit ',
+    style: {
+      fg: 'black',
+      bg: 'green'
+    }
+  });
+
+  const table = {
+    entries: [],        // Records of the loaded lines, without the header
+    shown: [],          // Indices of the entries passing the filter, in sort order
+    widths: [],         // Width of each column, for the loaded records
+    numeric: [],        // Whether each column holds numbers only, aligned to the right
+    columnCount: Math.max(header.length, 1),
+    cursor: 0,          // Position of the cursor in shown
+    top: 0,             // Position of the first row in view in shown
+    column: 0,          // Selected column, for sorting
+    leftColumn: 0,      // First column in view
+    sort: null,         // Sort order, as { column, descending }
+    filter: null,
+    filterExpression: '',
+    detail: null,       // Box showing the whole record, while open
+    prompting: false    // Whether an input line is open
+  };
+
+  const rowCount = () => Math.max(1, box.height - box.iheight - 1);
+  const isBusy = () => table.detail !== null || table.prompting;
+  const columnName = (index) => header[index] || `Column ${index + 1}`;
+
+  /**
+   * Parse the loaded lines into table entries and size the columns to them
+   */
+  function buildEntries() {
+    table.entries = parseCsvLines(fileWindow.lines, delimiter)
+      .map(record => ({ fields: record.fields, offset: fileWindow.offsets[record.lineIndex] }))
+      .filter(entry => entry.offset !== 0);
+
+    table.columnCount = Math.max(header.length, ...table.entries.map(entry => entry.fields.length), 1);
+    table.widths = [];
+    table.numeric = [];
+    for (let index = 0; index < table.columnCount; index++) {
+      const cells = table.entries.map(entry => entry.fields[index] || '');
+      table.widths.push(Math.min(MAX_COLUMN_WIDTH, Math.max(columnName(index).length + 2, ...cells.map(cell => cell.length))));
+      table.numeric.push(cells.some(cell => cell !== '') && cells.every(cell => cell === '' || isNumericCell(cell)));
+    }
+  }
+
+  /**
+   * Filter and sort the entries, keeping the cursor and the first row in view on given records
+   * @param {number} cursorOffset - Offset of the record to put the cursor on (the next shown one if it is hidden)
+   * @param {number} topOffset - Offset of the record to show at the top
+   */
+  function arrangeEntries(cursorOffset, topOffset = cursorOffset) {
+    table.shown = [];
+    table.entries.forEach((entry, index) => {
+      if (!table.filter || table.filter(toFieldMap(header, entry.fields), entry.fields.join(delimiter))) {
+        table.shown.push(index);
+      }
+    });
+
+    if (table.sort) {
+      const { column, descending } = table.sort;
+      table.shown.sort((a, b) => {
+        const left = table.entries[a].fields[column] || '';
+        const right = table.entries[b].fields[column] || '';
+        // Empty cells stay last in both orders
+        if (left === '' || right === '') {
+          return (left === '') - (right === '');
+        }
+        return descending ? compareCells(right, left) : compareCells(left, right);
+      });
+    }
+
+    const positionOf = (offset) => {
+      const exact = table.shown.findIndex(index => table.entries[index].offset === offset);
+      if (exact !== -1 || table.sort) {
+        return exact;
+      }
+      const next = table.shown.findIndex(index => table.entries[index].offset >= offset);
+      return next === -1 ? table.shown.length - 1 : next;
+    };
+    table.cursor = Math.max(0, positionOf(cursorOffset));
+    table.top = Math.max(0, positionOf(topOffset));
+  }
+
+  /**
+   * @param {number} position - Position in shown
+   * @returns {number|undefined} Offset of the record at this position
+   */
+  const offsetAt = (position) => {
+    const index = table.shown[position];
+    return index !== undefined ? table.entries[index].offset : undefined;
+  };
+
+  /**
+   * Render the header and the rows in view, keeping the cursor and the selected column in view
+   */
+  function renderTable() {
+    const width = box.width - box.iwidth;
+    const rows = rowCount();
+
+    if (table.cursor < table.top) {
+      table.top = table.cursor;
+    } else if (table.cursor >= table.top + rows) {
+      table.top = table.cursor - rows + 1;
+    }
+    table.top = Math.max(0, Math.min(table.top, table.shown.length - rows));
+
+    // Scroll horizontally so that the selected column is in view
+    const spanWidth = (from, to) => table.widths.slice(from, to + 1)
+      .reduce((total, columnWidth) => total + columnWidth + COLUMN_SEPARATOR.length, -COLUMN_SEPARATOR.length);
+    if (table.column < table.leftColumn) {
+      table.leftColumn = table.column;
+    }
+    while (table.leftColumn < table.column && spanWidth(table.leftColumn, table.column) > width) {
+      table.leftColumn++;
+    }
+
+    // Columns that fit in the width; the last one may be cut
+    const columns = [];
+    let used = 0;
+    for (let index = table.leftColumn; index < table.columnCount && used < width; index++) {
+      const columnWidth = Math.min(table.widths[index], width - used);
+      columns.push({ index, width: columnWidth });
+      used += columnWidth + COLUMN_SEPARATOR.length;
+    }
+    table.rightColumn = columns.length > 0 ? columns[columns.length - 1].index : table.leftColumn;
+
+    const headerCells = columns.map(({ index, width: columnWidth }) => {
+      const marker = table.sort && table.sort.column === index ? (table.sort.descending ? ' ▼' : ' ▲') : '';
+      const text = fitCell(columnName(index) + marker, columnWidth, false);
+      return index === table.column ? chalk.black.bgCyan(text) : chalk.bold(text);
+    });
+
+    const lines = [headerCells.join(chalk.gray(COLUMN_SEPARATOR))];
+    table.shown.slice(table.top, table.top + rows).forEach((entryIndex, position) => {
+      const fields = table.entries[entryIndex].fields;
+      const cells = columns.map(({ index, width: columnWidth }) => fitCell(fields[index] || '', columnWidth, table.numeric[index]));
+      if (table.top + position === table.cursor) {
+        lines.push(chalk.inverse(cells.join(COLUMN_SEPARATOR).padEnd(width)));
+      } else {
+        lines.push(cells.map(cell => chalk.whiteBright(cell)).join(chalk.gray(COLUMN_SEPARATOR)));
+      }
+    });
+
+    box.setContent(lines.join('\n'));
+  }
+
+  /**
+   * Render the table and show the byte range in view, the columns in view, the sort and the filter
+   * @param {string} status - Additional status, such as a loading message
+   */
+  function update(status) {
+    renderTable();
+
+    const from = offsetAt(table.top) !== undefined && !table.sort ? offsetAt(table.top) : fileWindow.start;
+    const bottom = Math.min(table.top + rowCount(), table.shown.length) - 1;
+    const bottomIndex = table.shown[bottom];
+    const nextLine = bottomIndex !== undefined ? fileWindow.offsets.indexOf(table.entries[bottomIndex].offset) + 1 : -1;
+    const to = !table.sort && nextLine > 0 ? (fileWindow.offsets[nextLine] || fileWindow.end) : fileWindow.end;
+    const percent = fileWindow.size > 0 ? Math.floor(to / fileWindow.size * 100) : 100;
+
+    const parts = [`File: ${fileName} [${delimiter === '\t' ? 'TSV' : 'CSV'}]`,
+      `bytes ${from.toLocaleString()}-${to.toLocaleString()} of ${fileWindow.size.toLocaleString()} (${percent}%)`,
+      `columns ${table.leftColumn + 1}-${table.rightColumn + 1} of ${table.columnCount}`];
+    if (table.sort) {
+      const wholeFile = fileWindow.atStart() && fileWindow.atEnd();
+      parts.push(`Sort: ${columnName(table.sort.column)} ${table.sort.descending ? '▼' : '▲'}${wholeFile ? '' : ' (loaded rows only)'}`);
+    }
+    if (table.filter) {
+      parts.push(`Filter: ${table.filterExpression} (${(table.entries.length - table.shown.length).toLocaleString()} hidden)`);
+    }
+    if (status) {
+      parts.push(status);
+    }
+
+    title.setContent(` ${parts.join(' | ')} `);
+    screen.render();
+  }
+
+  /**
+   * Run a window operation that changes the loaded lines, then rebuild the entries
+   * @param {Function} operation - Async function loading lines and returning the cursor and top record offsets
+   */
+  let loading = false;
+  async function reloadWindow(operation) {
+    if (loading) {
+      return;
+    }
+    loading = true;
+    update('Loading...');
+
+    try {
+      const { cursorOffset, topOffset } = await operation();
+      buildEntries();
+      arrangeEntries(cursorOffset, topOffset);
+      update();
+    } catch (error) {
+      update(`Error loading file: ${error.message}`);
+    } finally {
+      loading = false;
+    }
+  }
+
+  /**
+   * Move the cursor, loading more of the file when it gets close to either end of the window.
+   * Sorted rows are only those loaded, so no more of the file is loaded while a sort is on.
+   * @param {number} delta - Number of rows to move by
+   */
+  function moveCursor(delta) {
+    if (isBusy() || loading) {
+      return;
+    }
+
+    table.cursor = Math.max(0, Math.min(table.cursor + delta, table.shown.length - 1));
+    const cursorOffset = offsetAt(table.cursor);
+    const topOffset = offsetAt(table.top) !== undefined ? offsetAt(table.top) : cursorOffset;
+
+    if (!table.sort && table.cursor < rowCount() && !fileWindow.atStart()) {
+      reloadWindow(async () => {
+        await fileWindow.loadBefore();
+        return { cursorOffset, topOffset };
+      });
+    } else if (!table.sort && table.cursor >= table.shown.length - rowCount() && !fileWindow.atEnd()) {
+      reloadWindow(async () => {
+        await fileWindow.loadAfter();
+        return { cursorOffset, topOffset };
+      });
+    } else {
+      update();
+    }
+  }
+
+  /**
+   * Load as much of the file as the window holds around the loaded part, so that a sort covers
+   * the whole file when it fits in memory
+   */
+  async function loadForSort() {
+    let dropped = 0;
+    while (!fileWindow.atEnd() && dropped === 0) {
+      ({ dropped } = await fileWindow.loadAfter());
+    }
+    while (!fileWindow.atStart() && dropped === 0) {
+      ({ dropped } = await fileWindow.loadBefore());
+    }
+  }
+
+  /**
+   * Show all the fields of the record under the cursor, one per line
+   */
+  function openDetail() {
+    const index = table.shown[table.cursor];
+    if (index === undefined) {
+      return;
+    }
+
+    const fields = table.entries[index].fields;
+    const nameWidth = Math.min(MAX_COLUMN_WIDTH, Math.max(...fields.map((field, column) => columnName(column).length)));
+    const content = fields.map((field, column) => {
+      const name = columnName(column).padEnd(nameWidth);
+      const value = field.split('\n').join(`\n${' '.repeat(nameWidth + 2)}`);
+      return `${chalk.green(name)}  ${chalk.whiteBright(value)}`;
+    }).join('\n');
+
+    table.detail = blessed.box({
+      parent: view.container,
+      top: 1,
+      left: 0,
+      width: '100%',
+      height: screen.height - 2,
+      label: ' Record (Enter/Esc/q: Close) ',
+      border: {
+        type: 'line'
+      },
+      scrollable: true,
+      alwaysScroll: true,
+      scrollbar: {
+        style: {
+          bg: 'blue'
+        }
+      },
+      mouse: true,
+      keys: true,
+      vi: true,
+      tags: false,
+      content,
+      style: {
+        fg: 'white',
+        bg: 'black',
+        border: {
+          fg: 'yellow'
+        }
+      }
+    });
+    table.detail.focus();
+  }
+
+  /**
+   * Close the record view
+   */
+  function closeDetail() {
+    table.detail.destroy();
+    table.detail = null;
+    box.focus();
+  }
+
+  /**
+   * Ask for a line of input at the bottom of the screen
+   * @param {string} label - Label of the input line
+   * @param {string} value - Initial value
+   * @param {Function} callback - Called with the entered value, or null if the input was cancelled
+   */
+  function prompt(label, value, callback) {
+    const input = blessed.textbox({
+      parent: view.container,
+      bottom: 0,
+      left: 0,
+      width: '100%',
+      height: 3,
+      label: ` ${label} (Enter: Apply, Esc: Cancel) `,
+      border: {
+        type: 'line'
+      },
+      style: {
+        fg: 'white',
+        bg: 'black',
+        border: {
+          fg: 'yellow'
+        }
+      }
+    });
+
+    table.prompting = true;
+    input.setValue(value);
+    screen.render();
+    input.readInput((error, result) => {
+      input.destroy();
+      table.prompting = false;
+      box.focus();
+      callback(error ? null : result);
+    });
+  }
+
+  view.key(['up', 'k'], () => moveCursor(-1));
+  view.key(['down', 'j'], () => moveCursor(1));
+  view.key(['pageup'], () => moveCursor(-(rowCount() - 1)));
+  view.key(['pagedown', 'space'], () => moveCursor(rowCount() - 1));
+  box.on('wheelup', () => moveCursor(-3));
+  box.on('wheeldown', () => moveCursor(3));
+
+  view.key(['left', 'h'], function() {
+    if (!isBusy() && table.column > 0) {
+      table.column--;
+      update();
+    }
+  });
+
+  view.key(['right', 'l'], function() {
+    if (!isBusy() && table.column < table.columnCount - 1) {
+      table.column++;
+      update();
+    }
+  });
+
+  // Jump to the start or the end of the whole file, or of the sorted rows
+  view.key(['home', 'g'], function() {
+    if (isBusy()) {
+      return;
+    }
+    if (table.sort) {
+      moveCursor(-table.shown.length);
+      return;
+    }
+    reloadWindow(async () => {
+      await fileWindow.loadHead();
+      return { cursorOffset: 0, topOffset: 0 };
+    });
+  });
+
+  view.key(['end', 'S-g'], function() {
+    if (isBusy()) {
+      return;
+    }
+    if (table.sort) {
+      moveCursor(table.shown.length);
+      return;
+    }
+    reloadWindow(async () => {
+      await fileWindow.loadTail();
+      return { cursorOffset: fileWindow.size, topOffset: fileWindow.size };
+    });
+  });
+
+  // Sort by the selected column: ascending, then descending, then in file order
+  view.key(['s'], function() {
+    if (isBusy() || loading) {
+      return;
+    }
+
+    const cursorOffset = offsetAt(table.cursor);
+    if (!table.sort || table.sort.column !== table.column) {
+      table.sort = { column: table.column, descending: false };
+    } else if (!table.sort.descending) {
+      table.sort.descending = true;
+    } else {
+      table.sort = null;
+    }
+
+    reloadWindow(async () => {
+      if (table.sort) {
+        await loadForSort();
+      }
+      return { cursorOffset, topOffset: table.sort ? cursorOffset : offsetAt(table.top) };
+    });
+  });
+
+  view.key(['f', '/'], function() {
+    if (isBusy()) {
+      return;
+    }
+    prompt('Filter: status=failed region~eu, 3=failed for column 3', table.filterExpression, (expression) => {
+      if (expression !== null) {
+        table.filterExpression = expression.trim();
+        table.filter = parseRecordFilter(table.filterExpression);
+        arrangeEntries(offsetAt(table.cursor), offsetAt(table.top));
+      }
+      update();
+    });
+  });
+
+  view.key(['enter'], function() {
+    if (table.detail) {
+      closeDetail();
+    } else if (!table.prompting) {
+      openDetail();
+    }
+    update();
+  });
+
+  buildEntries();
+  if (initialOffset !== null) {
+    arrangeEntries(initialOffset, initialOffset);
+    table.top = Math.max(0, table.cursor - Math.floor(rowCount() / 2));
+  } else {
+    arrangeEntries(0, 0);
+  }
+  box.focus();
+  update();
+
+  // Wait for the user to quit or refresh
+  return new Promise(resolve => {
+    const finish = (result) => {
+      view.close();
+      resolve(result);
+    };
+
+    view.key(['q', 'escape'], function() {
+      if (table.detail) {
+        closeDetail();
+        update();
+      } else if (!table.prompting) {
+        finish({ switchToStream: false, refresh: false });
+      }
+    });
+
+    view.key(['r'], function() {
+      if (!isBusy()) {
+        finish({ switchToStream: false, refresh: true });
+      }
+    });
+  });
+}
+
+module.exports = { displayCsvInPager };
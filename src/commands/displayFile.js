@@ -1,75 +1,154 @@
-const { getShareClient } = require('../services/azureFileService');
+const { getFileClient } = require('../services/azureFileService');
+const { createFileWindow } = require('../services/fileWindow');
+const { createTailEngine } = require('../services/tailEngine');
+const { openCachedFile } = require('../services/contentCache');
+const {
+  detectArchiveType,
+  createTempDirectory,
+  removeTempDirectory,
+  gunzipSource,
+  listZipEntries,
+  openZipEntry,
+  listTarEntries,
+  openTarEntry
+} = require('../services/archives');
+const { chooseArchiveEntry } = require('./displayArchive');
+const { displayHexViewer } = require('./displayHex');
+const { isBinaryContent } = require('../utils/hex');
+const { displayNdjsonInPager, displayNdjsonStreaming } = require('./displayNdjson');
+const { displayCsvInPager } = require('./displayCsv');
+const { isNdjsonContent } = require('../utils/ndjson');
+const { isCsvFile } = require('../utils/csv');
+const { LOG_LEVELS, MINIMUM_SEVERITIES, assignLogLevels, createLevelFilter } = require('../utils/logLevels');
+const { getFormatters, detectFormatter, highlightLogLine, formatJson } = require('../utils/formatters');
+const { formatBytes } = require('../utils/formatting');
+const { openView, isHosted, showMessage } = require('../ui/screen');
+const { chooseExport } = require('../ui/exportDialog');
+const { stripColors, parseLineRange, defaultExportPath, openLineWriter, exportFileLines } = require('../services/lineExport');
 const blessed = require('blessed');
 const chalk = require('chalk');
 
+// Number of bytes read from the beginning of a file to detect its type
+const TYPE_SAMPLE_SIZE = 64 * 1024;
+
+// Help for the keys filtering log levels, shown in the instructions bar
+const LEVEL_KEYS_HELP = '1-4: Min level | e/w/i/d/o/u: Toggle level';
+
+// Number of lines kept in the streaming view
+const STREAM_SCROLLBACK = 10000;
+
 /**
  * Display file content with options for streaming
  * @param {string} shareName - Name of the file share
  * @param {string} filePath - Path to the file
  * @param {boolean} streamMode - Whether to stream updates in real-time
+ * @param {Object} options - Display options
+ * @param {number} options.line - Line number (1-based) to scroll to and highlight in the pager
+ * @param {Function} options.resolveLatestFile - Resolves to the newest file of the log group, so streaming
+ *   follows log rotations
  */
-async function displayFile(shareName, filePath, streamMode = false) {
+async function displayFile(shareName, filePath, streamMode = false, options = {}) {
   try {
-    console.log(chalk.cyan(`Loading file: ${filePath}...${streamMode ? ' (streaming mode)' : ''}`));
+    showMessage(chalk.cyan(`Loading file: ${filePath}...${streamMode ? ' (streaming mode)' : ''}`));
     
-    // Always get a fresh share client (no caching) to ensure we get the latest file content
-    const shareClient = getShareClient(shareName, true);
-    const filePathParts = filePath.split('/');
-    const fileName = filePathParts.pop();
-    const directoryPath = filePathParts.join('/');
-    
-    let directoryClient;
-    if (directoryPath) {
-      directoryClient = shareClient.getDirectoryClient(directoryPath);
-    } else {
-      directoryClient = shareClient.rootDirectoryClient;
-    }
-    
-    const fileClient = directoryClient.getFileClient(fileName);
+    // Always get a fresh client (no caching) to ensure we get the latest file content
+    const fileClient = getFileClient(shareName, filePath, true);
 
     // Get latest file properties to ensure we have the most recent content
     const properties = await fileClient.getProperties();
-    console.log(chalk.gray(`File size: ${properties.contentLength} bytes, Last modified: ${properties.lastModified.toLocaleString()}`));
+    showMessage(chalk.gray(`File size: ${properties.contentLength} bytes, Last modified: ${properties.lastModified.toLocaleString()}`));
+
+    // Revisited files are read from the local cache while their ETag is unchanged
+    const download = await openCachedFile(shareName, filePath, fileClient, properties, downloadRange);
 
-    // File content download with no caching
-    const downloadResponse = await fileClient.download(0);
+    // Sample the beginning of the file to detect its type, without downloading all of it
+    const sampleBytes = properties.contentLength > 0
+      ? await download(fileClient, 0, Math.min(properties.contentLength, TYPE_SAMPLE_SIZE))
+      : Buffer.alloc(0);
+    const sample = sampleBytes.toString();
     
-    // Convert readableStream to string
-    const chunks = [];
-    for await (const chunk of downloadResponse.readableStreamBody) {
-      chunks.push(chunk);
+    // Compressed files and archives are shown decompressed, and other binary files as hex; they can't be streamed
+    const archiveType = detectArchiveType(sampleBytes, filePath);
+    if (archiveType || isBinaryContent(sampleBytes)) {
+      if (streamMode) {
+        showMessage(chalk.yellow(`Streaming mode is not available for ${archiveType ? 'compressed' : 'binary'} files.`));
+      }
+      const source = {
+        name: filePath,
+        size: properties.contentLength,
+        read: (offset, count) => download(fileClient, offset, count)
+      };
+      const result = archiveType
+        ? await displayCompressedFile(source, { initialLine: options.line })
+        : await displayHexViewer(source);
+      if (result && result.refresh) {
+        showMessage(chalk.cyan(`Refreshing file: ${filePath}...`));
+        await displayFile(shareName, filePath, false, { resolveLatestFile: options.resolveLatestFile });
+      }
+      return;
     }
-    const buffer = Buffer.concat(chunks);
-    const fileContent = buffer.toString();
+    
+    const fileWindow = createFileWindow(fileClient, properties.contentLength, download);
     
     // Determine whether streaming mode should be offered based on file type
-    const isLog = isLogFile(fileContent, filePath);
-    const canStream = isLog; // Only offer streaming for log files
+    const isCsv = isCsvFile(filePath);
+    const isNdjson = !isCsv && isNdjsonContent(sample, filePath, properties.contentLength > TYPE_SAMPLE_SIZE);
+    const formatter = detectFormatter(sample, filePath);
+    const canStream = !isCsv && (formatter.name === 'log' || isNdjson); // Only offer streaming for log files, including JSON-lines logs
     
     if (streamMode && !canStream) {
-      console.log(chalk.yellow(`Streaming mode is only available for log files.`));
+      showMessage(chalk.yellow(`Streaming mode is only available for log files.`));
       streamMode = false;
     }
     
     // Apply syntax highlighting and display file content in a pager-like interface
-    if (streamMode) {
-      await displayContentWithStreaming(fileContent, filePath, fileClient);
+    // JSON lines are shown as a table of records, and CSV files as a table of rows
+    if (streamMode && isNdjson) {
+      await fileWindow.loadTail();
+      await displayNdjsonStreaming(fileWindow, shareName, filePath, {
+        fileId: properties.fileId,
+        resolveLatestFile: options.resolveLatestFile,
+        download: downloadRange,
+        formatJson
+      });
+    } else if (streamMode) {
+      await fileWindow.loadTail();
+      await displayContentWithStreaming(fileWindow, shareName, filePath, {
+        fileId: properties.fileId,
+        resolveLatestFile: options.resolveLatestFile
+      });
     } else {
       // Pass the shareName to the pager function
-      const result = await displayContentInPager(fileContent, filePath, canStream, shareName);
+      let result;
+      if (isCsv) {
+        result = await displayCsvInPager(fileWindow, filePath, { initialLine: options.line });
+      } else if (isNdjson) {
+        result = await displayNdjsonInPager(fileWindow, filePath, canStream, { initialLine: options.line, formatJson });
+      } else {
+        result = await displayContentInPager(fileWindow, filePath, canStream, shareName, {
+          formatter,
+          initialLine: options.line
+        });
+      }
       
       // Check if we should switch to streaming mode or refresh
       if (result && result.switchToStream) {
         // Recall this function with streaming mode enabled
-        await displayFile(shareName, filePath, true);
+        await displayFile(shareName, filePath, true, { resolveLatestFile: options.resolveLatestFile });
       } else if (result && result.refresh) {
-        console.log(chalk.cyan(`Refreshing file: ${filePath}...`));
+        showMessage(chalk.cyan(`Refreshing file: ${filePath}...`));
         // Recall this function to refresh the file content
-        await displayFile(shareName, filePath, false);
+        await displayFile(shareName, filePath, false, { resolveLatestFile: options.resolveLatestFile });
       }
     }
     
   } catch (error) {
+    // The full-screen browser shows the error in its status bar
+    if (isHosted()) {
+      showMessage(chalk.red(`Error displaying file ${filePath}: ${error.message}`));
+      return;
+    }
+    
     console.error(chalk.red(`Error displaying file ${filePath}: ${error.message}`));
     // Wait for user to acknowledge the error before continuing
     await new Promise(resolve => {
@@ -82,150 +161,311 @@ async function displayFile(shareName, filePath, streamMode = false) {
 }
 
 /**
- * Apply syntax highlighting to a line based on common log patterns
- * @param {string} line - Line of text to highlight
- * @returns {string} Highlighted line
+ * Display a compressed file or an archive: gzip content is decompressed into a temporary file and shown
+ * like any file (text while the rest is decompressed), and the entries of zip and tar archives are
+ * listed to be opened one at a time.
+ * Binary content is shown in the hex viewer.
+ * Temporary files are removed when the view is closed.
+ * @param {Object} source - Content of the file (see services/archives)
+ * @param {Object} options - Display options
+ * @param {number} options.initialLine - Line number (1-based) to scroll to, in the decompressed content
+ * @returns {Promise<Object|undefined>} Result of the pager or the hex viewer, when the content was shown in it
  */
-function highlightLogLine(line) {
-  // Highlight error patterns
-  if (/error|exception|fail|fatal/i.test(line)) {
-    return chalk.red.bold(line);
-  }
-  
-  // Highlight warning patterns
-  if (/warn|warning|caution/i.test(line)) {
-    return chalk.yellow(line);
-  }
-  
-  // Highlight info patterns
-  if (/info|information|notice/i.test(line)) {
-    return chalk.blue(line);
-  }
-  
-  // Highlight debug patterns - changed from gray to cyan for better visibility on dark terminals
-  if (/debug|trace|verbose/i.test(line)) {
-    return chalk.cyan(line);
-  }
-  
-  // Highlight success patterns
-  if (/success|succeed|completed|ok/i.test(line)) {
-    return chalk.green(line);
+async function displayCompressedFile(source, options = {}) {
+  const directory = createTempDirectory();
+  try {
+    const sample = await source.read(0, Math.min(source.size, TYPE_SAMPLE_SIZE));
+    const archiveType = detectArchiveType(sample, source.name);
+    
+    if (archiveType === 'gzip') {
+      showMessage(chalk.cyan(`Decompressing ${source.name}...`));
+      const content = await gunzipSource(source, directory);
+      try {
+        // Text is shown from its start while the rest is decompressed; archives, binary content, tables
+        // and a line to scroll to need the whole content
+        const head = content.head;
+        const partial = !content.complete || content.size > TYPE_SAMPLE_SIZE;
+        if (options.initialLine || detectArchiveType(head, content.name) || isBinaryContent(head) ||
+            isCsvFile(content.name) || isNdjsonContent(head.toString(), content.name, partial)) {
+          await content.completion;
+        }
+        return await displayCompressedFile(content, options);
+      } finally {
+        content.cancel();
+      }
+    }
+    
+    if (archiveType) {
+      showMessage(chalk.cyan(`Reading the entries of ${source.name}...`));
+      const entries = archiveType === 'zip' ? await listZipEntries(source) : await listTarEntries(source);
+      const state = { directory: '', selectName: null, message: '' };
+      
+      // Show the chosen entry, then the archive again until it is closed
+      let entry;
+      while ((entry = await chooseArchiveEntry(source.name, entries, state))) {
+        // Entries are decompressed into a directory of their own, removed once they are closed
+        const entryDirectory = createTempDirectory();
+        try {
+          const content = archiveType === 'zip' ? await openZipEntry(source, entry, entryDirectory) : openTarEntry(source, entry);
+          let result;
+          do {
+            result = await displayCompressedFile(content);
+          } while (result && result.refresh);
+        } catch (error) {
+          state.message = chalk.red(`Error opening ${entry.name}: ${error.message}`);
+        } finally {
+          removeTempDirectory(entryDirectory);
+        }
+      }
+      return undefined;
+    }
+    
+    if (isBinaryContent(sample)) {
+      return await displayHexViewer(source);
+    }
+    
+    // Plain content, shown like a file that can't be streamed
+    const text = sample.toString();
+    const fileWindow = createFileWindow(null, source.size, (client, offset, count) => source.read(offset, count));
+    const isNdjson = isNdjsonContent(text, source.name, source.size > TYPE_SAMPLE_SIZE);
+    
+    if (isCsvFile(source.name)) {
+      return await displayCsvInPager(fileWindow, source.name, { initialLine: options.initialLine });
+    }
+    return isNdjson
+      ? await displayNdjsonInPager(fileWindow, source.name, false, { initialLine: options.initialLine, formatJson })
+      : await displayContentInPager(fileWindow, source.name, false, undefined, {
+        formatter: detectFormatter(text, source.name),
+        initialLine: options.initialLine,
+        growingSource: source.complete === false ? source : undefined
+      });
+  } finally {
+    removeTempDirectory(directory);
   }
+}
+
+/**
+ * Download a byte range of a file into a buffer
+ * @param {object} fileClient - Azure File Client for the file
+ * @param {number} offset - Byte offset to start downloading from
+ * @param {number} count - Number of bytes to download (omit to read to the end)
+ * @returns {Promise<Buffer>} Downloaded bytes
+ */
+async function downloadRange(fileClient, offset, count) {
+  const downloadResponse = await fileClient.download(offset, count);
   
-  // Highlight timestamp patterns (basic)
-  if (/\d{4}-\d{2}-\d{2}|\d{2}:\d{2}:\d{2}/.test(line)) {
-    return line.replace(/(\d{4}-\d{2}-\d{2}[T\s]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:[Z+-][\d:]+)?)/g, 
-      (match) => chalk.cyan(match));
+  // Convert readableStream to buffer
+  const chunks = [];
+  for await (const chunk of downloadResponse.readableStreamBody) {
+    chunks.push(chunk);
   }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Bind the keys choosing which log levels are shown: number keys show only the lines
+ * at or above a level, letter keys toggle a single level
+ * @param {Object} view - View to bind the keys in (see ui/screen)
+ * @param {Object} levelFilter - Level filter to update (see utils/logLevels)
+ * @param {Function} onChange - Called after the filter changed
+ * @param {Function} isEnabled - Returns false while the keys must be ignored, such as while a popup is open
+ */
+function bindLevelKeys(view, levelFilter, onChange, isEnabled = () => true) {
+  MINIMUM_SEVERITIES.forEach((severity, index) => {
+    view.key([String(index + 1)], function() {
+      if (!isEnabled()) {
+        return;
+      }
+      levelFilter.setMinimum(severity);
+      onChange();
+    });
+  });
   
-  // Default - ensure all text is distinctly visible by using bright white color
-  return chalk.whiteBright(line);
+  LOG_LEVELS.forEach(level => {
+    view.key([level.key], function() {
+      if (!isEnabled()) {
+        return;
+      }
+      levelFilter.toggle(level.name);
+      onChange();
+    });
+  });
 }
 
 /**
- * Format JSON content with syntax highlighting
- * @param {string} content - JSON content as string
- * @returns {string} Formatted JSON with syntax highlighting
+ * Describe the level filter for a status bar
+ * @param {Object} levelFilter - Level filter (see utils/logLevels)
+ * @param {number} hiddenCount - Number of lines hidden by the filter
+ * @returns {string} Status such as "Levels: error, warning (120 lines hidden)", or an empty string without filter
  */
-function formatJson(content) {
-  try {
-    const json = JSON.parse(content);
-    return JSON.stringify(json, null, 2)
-      .replace(/"([^"]+)":/g, (match) => chalk.green(match)) // keys
-      .replace(/"[^"]*"/g, (match) => chalk.yellow(match))   // string values
-      .replace(/\b(true|false)\b/g, (match) => chalk.blue(match))  // booleans
-      .replace(/\b(\d+)\b/g, (match) => chalk.magenta(match));    // numbers
-  } catch (e) {
-    // Not valid JSON, return original content
-    return content;
+function describeLevelFilter(levelFilter, hiddenCount) {
+  if (!levelFilter.isActive()) {
+    return '';
   }
+  return `Levels: ${levelFilter.describe()} (${hiddenCount.toLocaleString()} line${hiddenCount === 1 ? '' : 's'} hidden)`;
 }
 
 /**
- * Detect if content is likely a log file
- * @param {string} content - File content
- * @param {string} fileName - Name of the file
- * @returns {boolean} True if content appears to be a log file
+ * Find the next or previous line passing a test, from a line index
+ * @param {Array<string>} lines - Lines to search
+ * @param {Function} test - Called with each line; returns true for a match
+ * @param {number} from - Index of the first line tested
+ * @param {boolean} backwards - If true, test the lines before from, from the closest
+ * @returns {number} Index of the matching line, or -1 if there is none
  */
-function isLogFile(content, fileName) {
-  // Check by extension
-  if (/\.(log|txt)$/i.test(fileName)) {
-    return true;
+function findLineIndex(lines, test, from, backwards) {
+  const step = backwards ? -1 : 1;
+  for (let index = from; index >= 0 && index < lines.length; index += step) {
+    if (test(lines[index])) {
+      return index;
+    }
   }
-  
-  // Check content patterns
-  const logPatterns = [
-    /INFO|DEBUG|ERROR|WARN|WARNING/i,
-    /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/,
-    /\[\d{4}-\d{2}-\d{2}\]/
-  ];
-  
-  const sampleLines = content.split('\n').slice(0, 20);
-  
-  // If multiple lines match log patterns, it's likely a log file
-  const logLineCount = sampleLines.filter(line => 
-    logPatterns.some(pattern => pattern.test(line))
-  ).length;
-  
-  return logLineCount > 3;
+  return -1;
 }
 
 /**
- * Detect if content is JSON
- * @param {string} content - File content
- * @param {string} fileName - Name of the file
- * @returns {boolean} True if content is valid JSON
+ * Count the rows a line takes in a box, wrapped the way blessed wraps the content of a box:
+ * at the last space among the 10 columns before the edge, or at the edge.
+ * Double-width characters take two columns and colors take none.
+ * @param {string} line - Line, possibly colored
+ * @param {number} width - Number of columns for the content
+ * @param {Object} screen - Blessed screen showing the box, whose terminal may not show double-width characters
+ * @returns {number} Number of rows
  */
-function isJsonFile(content, fileName) {
-  if (/\.json$/i.test(fileName)) {
-    return true;
+function countWrappedRows(line, width, screen) {
+  const { unicode } = blessed;
+  let content = line
+    .replace(/[\x00-\x08\x0b-\x0c\x0e-\x1a\x1c-\x1f\x7f]/g, '')
+    .replace(/\x1b(?!\[[\d;]*m)/g, '')
+    .replace(/\t/g, screen.tabc);
+  if (screen.fullUnicode) {
+    content = content.replace(unicode.chars.all, '$1\x03');
+    if (screen.program.isiTerm2) {
+      content = content.replace(unicode.chars.combining, '');
+    }
+  } else {
+    content = content
+      .replace(unicode.chars.all, '??')
+      .replace(unicode.chars.combining, '')
+      .replace(unicode.chars.surrogate, '?');
   }
   
-  try {
-    JSON.parse(content);
-    return content.trim().startsWith('{') || content.trim().startsWith('[');
-  } catch (e) {
-    return false;
-  }
+  // Carriage returns start new lines too
+  return content.split(/\r\n|\r/).reduce((total, part) => {
+    let rows = 0;
+    let rest = part;
+    while (rest.length > width) {
+      let i = 0;
+      for (let columns = 0; i < rest.length; i++) {
+        while (rest[i] === '\x1b') {
+          while (rest[i] && rest[i++] !== 'm');
+        }
+        if (!rest[i]) {
+          break;
+        }
+        if (++columns === width) {
+          i++;
+          if (i !== rest.length && !screen.fullUnicode) {
+            let j = i;
+            while (j > i - 10 && j > 0 && rest[--j] !== ' ');
+            if (rest[j] === ' ') {
+              i = j + 1;
+            }
+          } else if (i !== rest.length) {
+            if (unicode.isSurrogate(rest, i)) {
+              i--;
+            }
+            let surrogates = 0;
+            for (let n = 0; n < i; n++) {
+              if (unicode.isSurrogate(rest, n)) {
+                surrogates++;
+                n++;
+              }
+            }
+            i += surrogates;
+            
+            // Break after a space, a double-width or combining character, or a surrogate pair
+            const canBreakAfter = (j) => rest[j] === ' ' || rest[j] === '\x03' ||
+              (unicode.isSurrogate(rest, j - 1) && rest[j + 1] !== '\x03') || unicode.isCombining(rest, j);
+            let j = i;
+            while (j > i - 10 && j > 0) {
+              j--;
+              if (canBreakAfter(j)) {
+                break;
+              }
+            }
+            if (canBreakAfter(j)) {
+              i = j + 1;
+            }
+          }
+          break;
+        }
+      }
+      
+      rows++;
+      rest = rest.substring(i);
+      if (rest === '' || /^(?:\x1b[\[\d;]*m)+$/.test(rest)) {
+        return total + rows;
+      }
+    }
+    return total + rows + 1;
+  }, 0);
 }
 
 /**
- * Display content in a pager-like interface, with option to switch to streaming mode
- * @param {string} content - File content
+ * Display a file in a pager-like interface, with option to switch to streaming mode.
+ * Only a window of the file is kept in memory; more ranges are loaded as the user scrolls.
+ * @param {Object} fileWindow - Window over the lines of the file (see services/fileWindow)
  * @param {string} fileName - Name of the file
  * @param {boolean} canStream - Whether streaming mode can be offered
  * @param {string} shareName - The name of the share containing this file
+ * @param {Object} options - Display options
+ * @param {Object} options.formatter - Formatter highlighting the lines, as detected (see utils/formatters)
+ * @param {number} options.initialLine - Line number (1-based) to scroll to and highlight, if any
+ * @param {Object} options.growingSource - Content still being decompressed, shown from its start as it grows
+ *   (see gunzipSource in services/archives)
  */
-async function displayContentInPager(content, fileName, canStream = false, shareName) {
-  // Create a screen
-  const screen = blessed.screen({
-    smartCSR: true,
-    title: `File: ${fileName}`,
-    fullUnicode: true
-  });
+async function displayContentInPager(fileWindow, fileName, canStream = false, shareName, options = {}) {
+  // Open the view, inside the full-screen browser when it runs
+  const view = openView(`File: ${fileName}`);
+  const screen = view.screen;
   
-  // Add search mode state variable
+  // Search state: searchMode is set while the search text is entered or searched for
   let searchMode = false;
+  let searchText = '';
+  let searchCancelled = false;
+  let matchRow = null; // Match in a reformatted document, as a rendered line index
   
-  // Determine file type and apply formatting
-  const isJson = isJsonFile(content, fileName);
-  const isLog = isLogFile(content, fileName);
-  const fileType = isJson ? 'JSON' : isLog ? 'LOG' : 'TEXT';
-  
-  // Format content based on file type
-  let formattedLines;
-  if (isJson) {
-    formattedLines = formatJson(content).split('\n');
-  } else if (isLog) {
-    formattedLines = content.split('\n').map(line => highlightLogLine(line));
+  // The formatter can be changed in the view when the type was not detected right
+  let formatter = options.formatter || detectFormatter('', fileName);
+  let choosingType = false;
+  let exporting = false;
+  const isLog = () => formatter.name === 'log';
+  
+  // Content still being decompressed has no end yet: the window grows with it
+  const growingSource = options.growingSource && !options.growingSource.complete ? options.growingSource : null;
+  let decompressionStatus = growingSource ? 'Decompressing...' : '';
+  
+  // Load the part of the file shown first: the requested line, the end of logs, or the beginning
+  let highlightOffset = null;
+  let initialIndex = 0;
+  if (options.initialLine) {
+    initialIndex = await fileWindow.loadAtLine(options.initialLine);
+    highlightOffset = initialIndex >= 0 ? fileWindow.offsets[initialIndex] : null;
+  } else if (isLog() && !growingSource) {
+    await fileWindow.loadTail();
   } else {
-    // Apply whiteBright to all lines for non-log, non-JSON files
-    formattedLines = content.split('\n').map(line => chalk.whiteBright(line));
+    await fileWindow.loadHead();
   }
   
-  // Create a log widget for displaying file contents
-  const logWidget = blessed.log({
-    parent: screen,
+  // Documents are only reformatted (JSON re-indented) when the whole document fits in the window,
+  // since partial documents can't be parsed and line numbers must stay valid
+  const wholeDocument = !options.initialLine && !growingSource && fileWindow.atStart() && fileWindow.atEnd();
+  let prettyDocument = wholeDocument && Boolean(formatter.formatDocument);
+  
+  // Create a scrollable box for displaying file contents
+  const contentBox = blessed.box({
+    parent: view.container,
     top: 1,          // Leave space for title
     left: 0,
     width: '100%',
@@ -246,7 +486,7 @@ async function displayContentInPager(content, fileName, canStream = false, share
     mouse: true,
     keys: true,
     vi: true,
-    tags: true,
+    tags: false, // Content is colored with ANSI codes; braces in files must not be parsed as tags
     style: {
       fg: 'white',
       bg: 'black',
@@ -258,12 +498,12 @@ async function displayContentInPager(content, fileName, canStream = false, share
   
   // Add a title
   const title = blessed.box({
-    parent: screen,
+    parent: view.container,
     top: 0,
     left: 0,
     width: '100%',
     height: 1,
-    content: ` File: ${fileName} [${fileType}] `,
+    content: ` File: ${fileName} [${formatter.label}] `,
     style: {
       fg: 'white',
       bg: 'blue'
@@ -271,97 +511,651 @@ async function displayContentInPager(content, fileName, canStream = false, share
   });
   
   // Add instructions with streaming and refresh options if available
+  const describeKeys = () => ` ↑/↓/PgUp/PgDn: Scroll | Home/End: Start/End of file | /: Search | n/N: Next/Prev | t: Type | x: Export | r: Refresh | q: Quit` +
+    `${canStream ? ' | s: Stream' : ''}${isLog() ? ` | ${LEVEL_KEYS_HELP}` : ''} `;
   const instructions = blessed.box({
-    parent: screen,
+    parent: view.container,
     bottom: 0,
     left: 0,
     width: '100%',
     height: 1,
-    content: ` ↑/↓/PgUp/PgDn: Scroll | /: Search | n/N: Next/Prev Match | r: Refresh | q: Quit ${canStream ? ' | s: Stream' : ''} `,
+    content: describeKeys(),
     style: {
       fg: 'black',
       bg: 'green'
     }
   });
   
-  // Load the content into the log widget
-  formattedLines.forEach(line => {
-    logWidget.add(line);
-  });
+  // Log lines can be filtered by level; shownLines holds the window index of each rendered line
+  const levelFilter = createLevelFilter();
+  let shownLines = [];
   
-  // Scroll to the bottom by default for logs
-  if (isLog) {
-    logWidget.setScrollPerc(100);
+  /**
+   * @returns {Array<string>} Lines of the reformatted document, highlighted
+   */
+  const documentLines = () => formatter.formatDocument(fileWindow.lines.join('\n')).split('\n');
+  
+  /**
+   * Render the loaded lines into the content box
+   */
+  function renderLines() {
+    if (prettyDocument) {
+      shownLines = [];
+      setRenderedLines(documentLines().map((line, index) => {
+        return index === matchRow ? chalk.inverse(stripColors(line)) : line;
+      }));
+      return;
+    }
+    
+    // The requested line stays visible whatever its level
+    const levels = isLog() && levelFilter.isActive() ? assignLogLevels(fileWindow.lines) : null;
+    shownLines = [];
+    fileWindow.lines.forEach((line, index) => {
+      if (!levels || levelFilter.accepts(levels[index]) || fileWindow.offsets[index] === highlightOffset) {
+        shownLines.push(index);
+      }
+    });
+    
+    // Lines are highlighted together, so that constructs spanning lines can be followed
+    const highlighted = formatter.highlightLines(fileWindow.lines);
+    setRenderedLines(shownLines.map(index => {
+      if (fileWindow.offsets[index] === highlightOffset) {
+        return chalk.inverse(fileWindow.lines[index]);
+      }
+      return highlighted[index];
+    }));
   }
   
-  // Focus the log widget
-  logWidget.focus();
+  // Lines wrap and can be filtered out, so the view scrolls by rows of rendered lines;
+  // rowMap holds the first row of each rendered line and the rendered line of each row
+  let renderedLines = [];
+  let rowMap = null;
   
-  // Fix the streaming mode key handler
-  if (canStream) {
-    screen.key(['s'], async function() {
-      // Important: Destroy the screen AFTER resolving the promise
-      const result = new Promise(resolve => {
-        // First set a flag that we're switching to stream mode
-        resolve({ switchToStream: true });
+  /**
+   * Show lines in the content box
+   * @param {Array<string>} lines - Rendered lines
+   */
+  function setRenderedLines(lines) {
+    renderedLines = lines;
+    rowMap = null;
+    contentBox.setContent(lines.join('\n'));
+  }
+  
+  /**
+   * @returns {Object} Rows of the rendered lines, as { width, firstRows, lineOfRow }, wrapped again when
+   *   the box was resized
+   */
+  function getRowMap() {
+    // Blessed keeps a column for the scrollbar
+    const boxWidth = contentBox.width - contentBox.iwidth;
+    const width = boxWidth > 1 ? boxWidth - 1 : boxWidth;
+    if (!rowMap || rowMap.width !== width) {
+      rowMap = { width, firstRows: [], lineOfRow: [] };
+      renderedLines.forEach((line, index) => {
+        rowMap.firstRows.push(rowMap.lineOfRow.length);
+        const rows = countWrappedRows(line, width, screen);
+        for (let row = 0; row < rows; row++) {
+          rowMap.lineOfRow.push(index);
+        }
       });
+    }
+    return rowMap;
+  }
+  
+  // These helpers convert between rows and loaded lines
+  const visibleRows = () => contentBox.height - contentBox.iheight;
+  const lineAtRow = (row) => {
+    const { lineOfRow } = getRowMap();
+    const renderedIndex = lineOfRow[Math.min(row, lineOfRow.length - 1)] || 0;
+    return shownLines[renderedIndex] !== undefined ? shownLines[renderedIndex] : renderedIndex;
+  };
+  
+  /**
+   * Scroll so that a loaded line is at the top of the view, or a number of rows below the top
+   * @param {number} lineIndex - Index of the line in the window; a hidden line is replaced by the next shown line
+   * @param {number} rowsBelowTop - Number of rows to show above the line
+   */
+  function showLineAtTop(lineIndex, rowsBelowTop = 0) {
+    let renderedIndex = lineIndex;
+    if (!prettyDocument) {
+      renderedIndex = shownLines.findIndex(index => index >= lineIndex);
+      if (renderedIndex === -1) {
+        renderedIndex = shownLines.length;
+      }
+    }
+    
+    const { firstRows } = getRowMap();
+    const firstRow = firstRows[Math.max(0, Math.min(renderedIndex, firstRows.length - 1))] || 0;
+    const maxBase = Math.max(0, contentBox.getScrollHeight() - visibleRows());
+    contentBox.childBase = Math.max(0, Math.min(firstRow - rowsBelowTop, maxBase));
+    contentBox.childOffset = 0;
+  }
+  
+  /**
+   * Show the byte range in view and its position in the file
+   */
+  function updateTitle(status) {
+    const topIndex = lineAtRow(contentBox.childBase);
+    const bottomIndex = lineAtRow(contentBox.childBase + visibleRows() - 1);
+    const from = prettyDocument ? 0 : (fileWindow.offsets[topIndex] || 0);
+    const to = prettyDocument ? fileWindow.size : (fileWindow.offsets[bottomIndex + 1] || fileWindow.end);
+    const percent = fileWindow.size > 0 ? Math.floor(to / fileWindow.size * 100) : 100;
+    
+    const filterStatus = isLog() ? describeLevelFilter(levelFilter, fileWindow.lines.length - shownLines.length) : '';
+    
+    title.setContent(` File: ${fileName} [${formatter.label}] | bytes ${from.toLocaleString()}-${to.toLocaleString()} ` +
+      `of ${fileWindow.size.toLocaleString()} (${percent}%)${decompressionStatus ? ` | ${decompressionStatus}` : ''}` +
+      `${filterStatus ? ` | ${filterStatus}` : ''}${status ? ` | ${status}` : ''} `);
+  }
+  
+  /**
+   * Run a window operation that changes the loaded lines, then restore the scroll position
+   * @param {Function} operation - Async function loading lines and returning the line index to show at the top
+   * @param {number} rowsBelowTop - Number of rows to show above this line
+   * @param {string} status - Status message for the title bar once loaded
+   */
+  let loading = false;
+  async function reloadWindow(operation, rowsBelowTop = 0, status) {
+    if (loading) {
+      return;
+    }
+    loading = true;
+    updateTitle('Loading...');
+    screen.render();
+    
+    try {
+      const topIndex = await operation();
+      renderLines();
+      showLineAtTop(topIndex, rowsBelowTop);
+      updateTitle(status);
+    } catch (error) {
+      updateTitle(`Error loading file: ${error.message}`);
+    } finally {
+      loading = false;
+      screen.render();
+    }
+  }
+  
+  // Load more of the file when the view gets close to either end of the window
+  contentBox.on('scroll', () => {
+    if (loading || prettyDocument) {
+      return;
+    }
+    
+    const top = contentBox.childBase;
+    if (top < visibleRows() && !fileWindow.atStart()) {
+      reloadWindow(async () => {
+        const topIndex = lineAtRow(top);
+        const { added } = await fileWindow.loadBefore();
+        return topIndex + added;
+      });
+    } else if (top + 2 * visibleRows() > contentBox.getScrollHeight() && !fileWindow.atEnd()) {
+      reloadWindow(async () => {
+        const topIndex = lineAtRow(top);
+        const { dropped } = await fileWindow.loadAfter();
+        return topIndex - dropped;
+      });
+    } else {
+      updateTitle();
+    }
+  });
+  
+  // Page through the file (the box only handles line-by-line keys itself)
+  contentBox.key(['pagedown', 'space'], function() {
+    contentBox.scroll(visibleRows() - 1);
+    screen.render();
+  });
+  
+  contentBox.key(['pageup'], function() {
+    contentBox.scroll(-(visibleRows() - 1));
+    screen.render();
+  });
+  
+  // Jump to the start or the end of the whole file, not only of the loaded window
+  view.key(['home', 'g'], function() {
+    if (!searchMode && !choosingType && !exporting) {
+      reloadWindow(async () => {
+        await fileWindow.loadHead();
+        return 0;
+      });
+    }
+  });
+  
+  view.key(['end', 'S-g'], function() {
+    if (!searchMode && !choosingType && !exporting) {
+      reloadWindow(async () => {
+        await fileWindow.loadTail();
+        return fileWindow.lines.length;
+      });
+    }
+  });
+  
+  // Filter log lines by level, keeping the line at the top of the view in place
+  bindLevelKeys(view, levelFilter, () => {
+    if (!isLog() || loading) {
+      return;
+    }
+    const topIndex = lineAtRow(contentBox.childBase);
+    renderLines();
+    showLineAtTop(topIndex);
+    updateTitle();
+    screen.render();
+  }, () => !searchMode && !choosingType && !exporting);
+  
+  /**
+   * Highlight the content with another formatter, keeping the line at the top of the view in place
+   * @param {Object} chosen - Formatter to use (see utils/formatters)
+   */
+  function setFormatter(chosen) {
+    const topIndex = prettyDocument ? 0 : lineAtRow(contentBox.childBase);
+    formatter = chosen;
+    prettyDocument = wholeDocument && Boolean(formatter.formatDocument);
+    matchRow = null;
+    renderLines();
+    showLineAtTop(prettyDocument ? 0 : topIndex);
+    instructions.setContent(describeKeys());
+    updateTitle();
+    screen.render();
+  }
+  
+  // Choose the type in a list over the content, when it was not detected right
+  view.key(['t'], function() {
+    if (searchMode || choosingType || exporting || loading) {
+      return;
+    }
+    
+    const formatters = getFormatters();
+    const typeList = blessed.list({
+      parent: view.container,
+      top: 'center',
+      left: 'center',
+      width: 40,
+      height: Math.min(formatters.length + 2, screen.height - 2),
+      label: ' Type (Enter: Apply, Esc: Cancel) ',
+      border: {
+        type: 'line'
+      },
+      keys: true,
+      vi: true,
+      mouse: true,
+      items: formatters.map(item => item.label),
+      style: {
+        fg: 'white',
+        bg: 'black',
+        border: {
+          fg: 'yellow'
+        },
+        selected: {
+          fg: 'black',
+          bg: 'yellow'
+        }
+      }
+    });
+    typeList.select(Math.max(0, formatters.indexOf(formatter)));
+    choosingType = true;
+    
+    const close = () => {
+      typeList.destroy();
+      choosingType = false;
+      contentBox.focus();
+      screen.render();
+    };
+    typeList.key(['escape', 'q'], close);
+    typeList.on('select', (item, index) => {
+      close();
+      setFormatter(formatters[index]);
+    });
+    typeList.focus();
+    screen.render();
+  });
+  
+  /**
+   * Get the lines in view, whole even when they wrap, as rendered
+   * @returns {Array<string>} Highlighted lines
+   */
+  function linesInView() {
+    const topIndex = lineAtRow(contentBox.childBase);
+    const bottomIndex = lineAtRow(contentBox.childBase + visibleRows() - 1);
+    if (prettyDocument) {
+      return documentLines().slice(topIndex, bottomIndex + 1);
+    }
+    const highlighted = formatter.highlightLines(fileWindow.lines);
+    return shownLines.filter(index => index >= topIndex && index <= bottomIndex).map(index => highlighted[index]);
+  }
+  
+  /**
+   * Write the chosen lines to a local file, reading the whole file for all choices but the lines in view
+   * @param {Object} answers - Answers of the export dialog (see ui/exportDialog)
+   */
+  async function exportLines({ choice, value, keepColors, localPath }) {
+    let writer;
+    if (choice.name === 'view') {
+      writer = await openLineWriter(localPath);
+      const lines = linesInView();
+      writer.write(keepColors ? lines : lines.map(stripColors));
+      await writer.close();
+    } else {
+      const range = choice.name === 'range' ? parseLineRange(value) : null;
+      if (choice.name === 'range' && !range) {
+        updateTitle(chalk.yellow(`Not a line range: ${value}`));
+        return;
+      }
+      
+      // Levels continue across chunks, for the lines of multi-line entries
+      const text = choice.name === 'match' ? value.toLowerCase() : choice.name === 'search' ? searchText.toLowerCase() : null;
+      let lastLevel = 'other';
+      const transform = (lines, firstLineNumber) => {
+        let selected = lines;
+        if (choice.name === 'levels') {
+          const levels = assignLogLevels(lines, lastLevel);
+          lastLevel = levels.length > 0 ? levels[levels.length - 1] : lastLevel;
+          selected = lines.filter((line, index) => levelFilter.accepts(levels[index]));
+        } else if (text !== null) {
+          selected = lines.filter(line => line.toLowerCase().includes(text));
+        } else if (range) {
+          if (firstLineNumber > range.last) {
+            return null;
+          }
+          selected = lines.filter((line, index) => firstLineNumber + index >= range.first && firstLineNumber + index <= range.last);
+        }
+        return keepColors ? formatter.highlightLines(selected) : selected;
+      };
       
-      screen.destroy();
-      return result;
+      writer = await exportFileLines(fileWindow, localPath, transform, (bytesRead) => {
+        const percent = fileWindow.size > 0 ? Math.floor(bytesRead / fileWindow.size * 100) : 100;
+        updateTitle(`Exporting... ${percent}%`);
+        screen.render();
+      });
+    }
+    
+    updateTitle(chalk.green(`Exported ${writer.lineCount.toLocaleString()} line${writer.lineCount === 1 ? '' : 's'} to ${writer.path}`));
+  }
+  
+  // Export the lines in view, the whole file, the lines of the shown levels, the lines matching the search,
+  // the lines containing a text or a line range
+  view.key(['x'], async function() {
+    if (searchMode || choosingType || exporting || loading) {
+      return;
+    }
+    
+    const choices = [
+      { name: 'view', label: 'Lines in view' },
+      { name: 'file', label: 'Whole file' },
+      { name: 'match', label: 'Lines containing a text', input: 'Text to find (ignoring case)' },
+      { name: 'range', label: 'Line range', input: 'Line numbers, e.g. 120-180, or 120- to the end' }
+    ];
+    if (searchText) {
+      choices.splice(2, 0, { name: 'search', label: `Lines matching the search "${searchText}"` });
+    }
+    if (isLog() && levelFilter.isActive()) {
+      choices.splice(2, 0, { name: 'levels', label: `Lines of the shown levels (${levelFilter.describe()})` });
+    }
+    
+    exporting = true;
+    try {
+      const answers = await chooseExport(view, choices, () => defaultExportPath(fileName, 'export'));
+      contentBox.focus();
+      if (answers) {
+        await exportLines(answers);
+      }
+    } catch (error) {
+      updateTitle(chalk.red(`Export failed: ${error.message}`));
+    } finally {
+      exporting = false;
+      contentBox.focus();
+      screen.render();
+    }
+  });
+  
+  /**
+   * Ask for a line of input at the bottom of the screen
+   * @param {string} label - Label of the input line
+   * @param {string} value - Initial value
+   * @param {Function} callback - Called with the entered value, or null if the input was cancelled
+   */
+  function prompt(label, value, callback) {
+    const input = blessed.textbox({
+      parent: view.container,
+      bottom: 0,
+      left: 0,
+      width: '100%',
+      height: 3,
+      label: ` ${label} (Enter: Apply, Esc: Cancel) `,
+      border: {
+        type: 'line'
+      },
+      style: {
+        fg: 'white',
+        bg: 'black',
+        border: {
+          fg: 'yellow'
+        }
+      }
+    });
+    
+    input.setValue(value);
+    screen.render();
+    input.readInput((error, result) => {
+      input.destroy();
+      contentBox.focus();
+      screen.render();
+      callback(error ? null : result);
     });
   }
   
-  // Add refresh functionality
-  screen.key(['r'], function() {
-    screen.destroy();
-    return new Promise(resolve => {
-      resolve({ refresh: true });
+  /**
+   * Get the line where a search starts: next to the last match while it is in view,
+   * otherwise the top (or the bottom, searching backwards) of the view
+   * @param {number} matchIndex - Line index of the last match, or -1
+   * @param {boolean} backwards - If true, for a search of the previous match
+   * @returns {number} Line index where the search starts
+   */
+  function searchOrigin(matchIndex, backwards) {
+    const topIndex = lineAtRow(contentBox.childBase);
+    const bottomIndex = lineAtRow(contentBox.childBase + visibleRows() - 1);
+    if (matchIndex < topIndex || matchIndex > bottomIndex) {
+      return backwards ? bottomIndex : topIndex;
+    }
+    return backwards ? matchIndex - 1 : matchIndex + 1;
+  }
+  
+  /**
+   * Find the next or previous line containing the search text (ignoring case), in the loaded lines
+   * first, then in the rest of the file, and show it a few rows below the top of the view
+   * @param {boolean} backwards - If true, find the previous match
+   */
+  async function search(backwards) {
+    const text = searchText.toLowerCase();
+    const test = line => line.toLowerCase().includes(text);
+    const rowsAbove = Math.floor(visibleRows() / 3);
+    const found = `Match for "${searchText}"`;
+    const notFound = chalk.yellow(`"${searchText}" not found ${backwards ? 'before' : 'after'} this point`);
+    
+    if (prettyDocument) {
+      const lines = documentLines().map(stripColors);
+      const index = findLineIndex(lines, test, searchOrigin(matchRow === null ? -1 : matchRow, backwards), backwards);
+      if (index !== -1) {
+        matchRow = index;
+        renderLines();
+        showLineAtTop(index, rowsAbove);
+      }
+      updateTitle(index !== -1 ? found : notFound);
+      screen.render();
+      return;
+    }
+    
+    const index = findLineIndex(fileWindow.lines, test, searchOrigin(fileWindow.offsets.indexOf(highlightOffset), backwards), backwards);
+    if (index !== -1) {
+      highlightOffset = fileWindow.offsets[index];
+      renderLines();
+      showLineAtTop(index, rowsAbove);
+      updateTitle(found);
+      screen.render();
+      return;
+    }
+    
+    // Read the rest of the file without loading it, then load the part around the match
+    searchCancelled = false;
+    updateTitle('Searching... (Esc: Cancel)');
+    screen.render();
+    const offset = await fileWindow.findLine(test, backwards ? fileWindow.start : fileWindow.end, backwards, (reached) => {
+      const done = backwards ? fileWindow.start - reached : reached - fileWindow.end;
+      const total = backwards ? fileWindow.start : fileWindow.size - fileWindow.end;
+      updateTitle(`Searching... ${total > 0 ? Math.floor(done / total * 100) : 100}% (Esc: Cancel)`);
+      screen.render();
+      return !searchCancelled;
+    });
+    
+    if (offset === -1) {
+      updateTitle(searchCancelled ? 'Search cancelled' : notFound);
+      screen.render();
+      return;
+    }
+    await reloadWindow(async () => {
+      highlightOffset = offset;
+      return fileWindow.loadAround(offset);
+    }, rowsAbove, found);
+  }
+  
+  /**
+   * Run a search, one at a time, showing its errors in the title bar
+   * @param {boolean} backwards - If true, find the previous match
+   */
+  async function runSearch(backwards) {
+    searchMode = true;
+    try {
+      await search(backwards);
+    } catch (error) {
+      updateTitle(chalk.red(`Search failed: ${error.message}`));
+      screen.render();
+    } finally {
+      searchMode = false;
+    }
+  }
+  
+  // Search for a text in the whole file, then for the next or previous match
+  view.key(['/'], function() {
+    if (searchMode || choosingType || exporting || loading) {
+      return;
+    }
+    
+    searchMode = true;
+    prompt('Search text (ignoring case)', searchText, (value) => {
+      searchMode = false;
+      if (value === null || value === '') {
+        return;
+      }
+      searchText = value;
+      runSearch(false);
     });
   });
   
+  view.key(['n', 'S-n'], function(ch, key) {
+    if (searchText && !searchMode && !choosingType && !exporting && !loading) {
+      runSearch(key.full === 'S-n');
+    }
+  });
+  
+  // Stop a long search
+  view.key(['escape'], function() {
+    if (searchMode) {
+      searchCancelled = true;
+    }
+  });
+  
+  // Load the content into the box
+  renderLines();
+  
+  // Show the requested line in the middle of the view,
+  // otherwise scroll to the bottom by default for logs
+  if (highlightOffset !== null) {
+    showLineAtTop(initialIndex, Math.floor(visibleRows() / 2));
+  } else if (isLog() && !options.initialLine && !growingSource) {
+    showLineAtTop(fileWindow.lines.length);
+  }
+  updateTitle();
+  
+  /**
+   * Follow the decompression: more of the content can be loaded as it grows
+   */
+  function followDecompression() {
+    fileWindow.size = growingSource.size;
+    if (growingSource.error) {
+      decompressionStatus = chalk.red(growingSource.error.message);
+    } else {
+      decompressionStatus = growingSource.complete ? '' : `Decompressing... ${formatBytes(growingSource.size)}`;
+    }
+    if (!loading && !searchMode && !exporting) {
+      updateTitle();
+      screen.render();
+    }
+  }
+  
+  // The content may have grown while the first lines were loaded
+  const stopWatching = growingSource ? growingSource.watch(followDecompression) : () => {};
+  if (growingSource) {
+    followDecompression();
+  }
+  
+  /**
+   * Close the view, no longer following the decompression
+   */
+  function closeView() {
+    stopWatching();
+    view.close();
+  }
+  
+  // Focus the content box
+  contentBox.focus();
+  screen.render();
+  
   // Wait for the user to quit or switch to streaming mode
   return new Promise(resolve => {
     // Quit handler
-    screen.key(['q', 'escape'], function() {
-      if (!searchMode) {
-        screen.destroy();
+    view.key(['q', 'escape'], function() {
+      if (!searchMode && !choosingType && !exporting) {
+        closeView();
         resolve({ switchToStream: false, refresh: false });
       }
     });
 
     // Add the streaming handler result capture
     if (canStream) {
-      screen.key(['s'], function() {
-        screen.destroy();
-        resolve({ switchToStream: true, refresh: false });
+      view.key(['s'], function() {
+        if (!searchMode && !choosingType && !exporting) {
+          closeView();
+          resolve({ switchToStream: true, refresh: false });
+        }
       });
     }
     
     // Add the refresh handler
-    screen.key(['r'], function() {
-      screen.destroy();
-      resolve({ switchToStream: false, refresh: true });
+    view.key(['r'], function() {
+      if (!searchMode && !choosingType && !exporting) {
+        closeView();
+        resolve({ switchToStream: false, refresh: true });
+      }
     });
   });
 }
 
 /**
  * Display content with real-time streaming updates
- * @param {string} initialContent - Initial file content
+ * @param {Object} fileWindow - Window loaded with the end of the file
+ * @param {string} shareName - Name of the file share
  * @param {string} fileName - Name of the file
- * @param {object} fileClient - Azure File Client for the file
+ * @param {Object} options - Streaming options
+ * @param {string} options.fileId - File ID of the loaded version of the file
+ * @param {Function} options.resolveLatestFile - Resolves to the newest file of the log group, to follow rotations
  */
-async function displayContentWithStreaming(initialContent, fileName, fileClient) {
-  // Create a screen
-  const screen = blessed.screen({
-    smartCSR: true,
-    title: `File: ${fileName} (Streaming)`,
-    fullUnicode: true
-  });
+async function displayContentWithStreaming(fileWindow, shareName, fileName, options = {}) {
+  // Open the view, inside the full-screen browser when it runs
+  const view = openView(`File: ${fileName} (Streaming)`);
+  const screen = view.screen;
   
   // Create a log widget for displaying file contents
   const logWidget = blessed.log({
-    parent: screen,
+    parent: view.container,
     top: 1,
     left: 0,
     width: '100%',
@@ -379,7 +1173,8 @@ async function displayContentWithStreaming(initialContent, fileName, fileClient)
     mouse: true,
     keys: true,
     vi: true,
-    tags: true,
+    tags: false, // Lines are colored with chalk; braces in log lines must stay literal
+    scrollback: STREAM_SCROLLBACK,
     style: {
       fg: 'white',
       bg: 'black',
@@ -391,7 +1186,7 @@ async function displayContentWithStreaming(initialContent, fileName, fileClient)
   
   // Add a title with streaming indicator (red background)
   const title = blessed.box({
-    parent: screen,
+    parent: view.container,
     top: 0,
     left: 0,
     width: '100%',
@@ -404,124 +1199,253 @@ async function displayContentWithStreaming(initialContent, fileName, fileClient)
   });
   
   // Add instructions
-  const instructions = blessed.box({
-    parent: screen,
+  blessed.box({
+    parent: view.container,
     bottom: 0,
     left: 0,
     width: '100%',
     height: 1,
-    content: ' ↑/↓: Scroll | Space: Pause/Resume | q: Quit ',
+    content: ` ↑/↓: Scroll | Space: Pause/Resume | x: Export/Record | q: Quit | ${LEVEL_KEYS_HELP} `,
     style: {
       fg: 'black',
       bg: 'green'
     }
   });
   
-  // Load the initial content into the log widget
-  initialContent.split('\n').forEach(line => {
-    logWidget.add(highlightLogLine(line));
-  });
+  // The last loaded line may still be incomplete: leave it to the tail engine, which reads it again
+  // from its start and shows it once its newline has been written
+  const lines = fileWindow.lines.slice(0, -1);
+  const position = fileWindow.lines.length > 0
+    ? fileWindow.offsets[fileWindow.offsets.length - 1]
+    : fileWindow.end;
+
+  // Lines are kept with their level, so the view can be rendered again when the level filter changes;
+  // messages of the viewer itself have no level and are always shown
+  const levelFilter = createLevelFilter();
+  const entries = [];
+  let lastLevel = 'other';
+  let hiddenCount = 0;
+  
+  // New lines are also written to a local file while recording
+  let recording = null;
+  let exporting = false;
+  
+  const isShown = (entry) => !entry.level || levelFilter.accepts(entry.level);
+  
+  /**
+   * Add a line or message, dropping the oldest one beyond the scrollback limit
+   * @param {Object} entry - Highlighted text, level and plain line of the line (no line for messages)
+   */
+  function addEntry(entry) {
+    entries.push(entry);
+    if (entries.length > STREAM_SCROLLBACK && !isShown(entries.shift())) {
+      hiddenCount--;
+    }
+    
+    if (isShown(entry)) {
+      logWidget.add(entry.text);
+    } else {
+      hiddenCount++;
+    }
+  }
   
-  // Scroll to the bottom by default
-  logWidget.setScrollPerc(100);
+  /**
+   * Add new lines of the file, and scroll to the bottom
+   * @param {Array<string>} newLines - Complete lines
+   */
+  function addLines(newLines) {
+    const levels = assignLogLevels(newLines, lastLevel);
+    const highlighted = newLines.map(highlightLogLine);
+    newLines.forEach((line, index) => addEntry({ text: highlighted[index], level: levels[index], line }));
+    lastLevel = levels.length > 0 ? levels[levels.length - 1] : lastLevel;
+    logWidget.setScrollPerc(100);
+    
+    if (recording) {
+      recording.writer.write(recording.keepColors ? highlighted : newLines).catch(stopRecordingOnError);
+    }
+  }
+  
+  /**
+   * Render the kept lines again after the level filter changed
+   */
+  function renderEntries() {
+    const shown = entries.filter(isShown);
+    hiddenCount = entries.length - shown.length;
+    logWidget.setContent(shown.map(entry => entry.text).join('\n'));
+    logWidget.setScrollPerc(100);
+  }
+  
+  // Load the initial content into the log widget, scrolled to the bottom
+  addLines(lines);
   
   // Focus the log widget
   logWidget.focus();
   
-  // Add state variables
-  let isPaused = false;
-  let currentSize = initialContent.length;
-  let lastCheckTime = new Date();
+  /**
+   * Show the followed file, its state and the polling interval in the title
+   */
+  function updateTitle() {
+    const state = tail.paused ? 'PAUSED' : 'STREAMING';
+    const lastUpdate = tail.lastUpdate ? ` - Last update: ${tail.lastUpdate.toLocaleTimeString()}` : '';
+    const polling = tail.paused ? '' : ` - Checking every ${Math.round(tail.interval / 1000)}s`;
+    const filterStatus = describeLevelFilter(levelFilter, hiddenCount);
+    const recordingStatus = recording
+      ? `Recording to ${recording.writer.path} (${recording.writer.lineCount.toLocaleString()} lines)`
+      : '';
+    title.setContent(` File: ${tail.filePath} [${state}]${lastUpdate}${polling}${filterStatus ? ` - ${filterStatus}` : ''}` +
+      `${recordingStatus ? ` - ${recordingStatus}` : ''} `);
+  }
   
-  // Add pause/resume functionality
-  screen.key(['space'], function() {
-    isPaused = !isPaused;
-    title.setContent(` File: ${fileName} [${isPaused ? 'PAUSED' : 'STREAMING'}] `);
+  /**
+   * Stop recording after a write failed, and say why in the view
+   * @param {Error} error - Write error
+   */
+  function stopRecordingOnError(error) {
+    if (!recording) {
+      return;
+    }
+    const { writer } = recording;
+    recording = null;
+    writer.close().catch(() => {});
+    addEntry({ text: chalk.red(`[${new Date().toLocaleTimeString()}] Recording to ${writer.path} stopped: ${error.message}`), level: null });
+    updateTitle();
     screen.render();
-  });
+  }
+  
+  /**
+   * Stop recording new lines, closing the local file
+   * @returns {Promise<Object>} Writer of the recording, with its path and lineCount
+   */
+  async function stopRecording() {
+    const { writer } = recording;
+    recording = null;
+    await writer.close();
+    return writer;
+  }
   
-  // Quit on q or ESC
-  screen.key(['q', 'escape'], function() {
-    clearInterval(streamingInterval);
-    screen.destroy();
+  /**
+   * Write the kept lines chosen in the export dialog to a local file, or start or stop recording
+   * @param {Object} answers - Answers of the export dialog (see ui/exportDialog)
+   * @returns {Promise<string>} Message saying what was done
+   */
+  async function exportEntries({ choice, value, keepColors, localPath }) {
+    if (choice.name === 'stop') {
+      const writer = await stopRecording();
+      return `Recorded ${writer.lineCount.toLocaleString()} lines to ${writer.path}`;
+    }
+    
+    if (choice.name === 'record') {
+      recording = { writer: await openLineWriter(localPath, true), keepColors };
+      return `Recording new lines to ${recording.writer.path}`;
+    }
+    
+    // Messages of the viewer itself are not part of the file
+    const text = choice.name === 'match' ? value.toLowerCase() : null;
+    const selected = entries.filter(entry => entry.line !== undefined &&
+      (choice.name !== 'levels' || isShown(entry)) &&
+      (text === null || entry.line.toLowerCase().includes(text)));
+    
+    const writer = await openLineWriter(localPath);
+    writer.write(selected.map(entry => keepColors ? entry.text : entry.line));
+    await writer.close();
+    return `Exported ${writer.lineCount.toLocaleString()} line${writer.lineCount === 1 ? '' : 's'} to ${writer.path}`;
+  }
+
+  const tail = createTailEngine(shareName, fileName, {
+    position,
+    fileId: options.fileId,
+    download: downloadRange,
+    resolveLatestFile: options.resolveLatestFile,
+    onLines: addLines,
+    onNotice: (message) => {
+      addEntry({ text: chalk.yellow(`[${new Date().toLocaleTimeString()}] ${message}`), level: null });
+    },
+    onError: (error) => {
+      // Log the error in the widget instead of crashing
+      addEntry({ text: chalk.red(`[${new Date().toLocaleTimeString()}] Error checking for updates: ${error.message}`), level: null });
+    },
+    onPoll: () => {
+      updateTitle();
+      screen.render();
+    }
   });
   
-  // Render the screen
-  screen.render();
+  // Filter lines by level
+  bindLevelKeys(view, levelFilter, () => {
+    renderEntries();
+    updateTitle();
+    screen.render();
+  }, () => !exporting);
   
-  // Start streaming updates with better error handling
-  const streamingInterval = setInterval(async () => {
-    if (isPaused) return;
+  // Export the kept lines, or record new lines to a local file while streaming
+  view.key(['x'], async function() {
+    if (exporting) {
+      return;
+    }
+    
+    const choices = [
+      { name: 'kept', label: `Lines kept in the view (the last ${STREAM_SCROLLBACK.toLocaleString()} at most)` },
+      { name: 'match', label: 'Lines containing a text', input: 'Text to find (ignoring case)' },
+      recording
+        ? { name: 'stop', label: `Stop recording to ${recording.writer.path}`, final: true }
+        : { name: 'record', label: 'Record new lines to a file' }
+    ];
+    if (levelFilter.isActive()) {
+      choices.splice(1, 0, { name: 'levels', label: `Lines of the shown levels (${levelFilter.describe()})` });
+    }
     
+    exporting = true;
     try {
-      // Always get the latest file properties to prevent caching issues
-      const properties = await fileClient.getProperties({_bypassCache: true});
-      const fileSize = properties.contentLength;
-      
-      // Only try to read if there's new content
-      if (fileSize > currentSize) {
-        logWidget.add(chalk.cyan(`[${new Date().toLocaleTimeString()}] New content detected (${fileSize - currentSize} bytes)`));
-        
-        // Download only the new content - with cache bypass option
-        const downloadResponse = await fileClient.download(currentSize, fileSize - currentSize, {_bypassCache: true});
-        
-        const chunks = [];
-        for await (const chunk of downloadResponse.readableStreamBody) {
-          chunks.push(chunk);
-        }
-        
-        if (chunks.length > 0) {
-          const buffer = Buffer.concat(chunks);
-          const newContent = buffer.toString();
-          
-          newContent.split('\n').forEach(line => {
-            if (line.trim()) { // Skip empty lines
-              // Ensure all new content is also properly highlighted
-              logWidget.add(highlightLogLine(line));
-            }
-          });
-          
-          // Update our tracking of the current size
-          currentSize = fileSize;
-          lastCheckTime = new Date();
-          
-          // Update the title with last update time
-          title.setContent(` File: ${fileName} [STREAMING] - Last update: ${lastCheckTime.toLocaleTimeString()} `);
-        }
-        
-        // Auto-scroll to the bottom
-        logWidget.setScrollPerc(100);
-        screen.render();
+      const answers = await chooseExport(view, choices,
+        (choice) => defaultExportPath(fileName, choice.name === 'record' ? 'recording' : 'export'));
+      if (answers) {
+        const message = await exportEntries(answers);
+        addEntry({ text: chalk.green(`[${new Date().toLocaleTimeString()}] ${message}`), level: null });
       }
     } catch (error) {
-      // Log the error in the widget instead of crashing
-      logWidget.add(chalk.red(`[${new Date().toLocaleTimeString()}] Error checking for updates: ${error.message}`));
-      logWidget.add(chalk.yellow('Trying again in 2 seconds...'));
-      screen.render();
-      
-      // Reset our position if we got a range error - the file might have been truncated
-      if (error.message.includes('range specified is invalid')) {
-        try {
-          const properties = await fileClient.getProperties({_bypassCache: true});
-          currentSize = properties.contentLength;
-          logWidget.add(chalk.yellow(`[${new Date().toLocaleTimeString()}] Resetting file position to ${currentSize} bytes`));
-          screen.render();
-        } catch (resetError) {
-          logWidget.add(chalk.red(`[${new Date().toLocaleTimeString()}] Error resetting position: ${resetError.message}`));
-          screen.render();
-        }
-      }
+      addEntry({ text: chalk.red(`[${new Date().toLocaleTimeString()}] Export failed: ${error.message}`), level: null });
+    } finally {
+      exporting = false;
+      logWidget.focus();
+    }
+    
+    logWidget.setScrollPerc(100);
+    updateTitle();
+    screen.render();
+  });
+  
+  // Add pause/resume functionality
+  view.key(['space'], function() {
+    if (exporting) {
+      return;
+    }
+    if (tail.paused) {
+      tail.resume();
+    } else {
+      tail.pause();
     }
-  }, 2000);
+    updateTitle();
+    screen.render();
+  });
+  
+  // Render the screen
+  screen.render();
+  tail.start();
   
   // Return a promise that resolves when the user quits
   return new Promise(resolve => {
-    screen.key(['q', 'escape'], function() {
-      clearInterval(streamingInterval);
-      screen.destroy();
+    view.key(['q', 'escape'], function() {
+      if (exporting) {
+        return;
+      }
+      tail.stop();
+      if (recording) {
+        stopRecording().catch(() => {});
+      }
+      view.close();
       resolve();
     });
   });
 }
 
-module.exports = { displayFile };
\ No newline at end of file
+module.exports = { displayFile, downloadRange };
\ No newline at end of file
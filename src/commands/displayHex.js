@@ -0,0 +1,352 @@
+const blessed = require('blessed');
+const chalk = require('chalk');
+const { openView } = require('../ui/screen');
+const { formatHexRow, getHexRowWidth, parseBytePattern, parseOffset } = require('../utils/hex');
+
+// Number of bytes read at a time around the rows in view
+const HEX_CHUNK_SIZE = 64 * 1024;
+
+// Number of bytes scanned at a time while searching
+const SEARCH_CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * Find the next or previous occurrence of a byte pattern, reading the content chunk by chunk
+ * @param {Object} source - Content to search (see services/archives)
+ * @param {Buffer} pattern - Bytes to find
+ * @param {number} from - Offset where the search starts; a match may start at this offset
+ * @param {boolean} backwards - If true, find the last match starting at or before from
+ * @param {Function} onProgress - Called with the offset reached after each chunk; returning false stops the search
+ * @returns {Promise<number>} Offset of the match, or -1 if there is none
+ */
+async function findBytes(source, pattern, from, backwards, onProgress) {
+  if (!backwards) {
+    for (let start = Math.max(0, from); start < source.size; start += SEARCH_CHUNK_SIZE) {
+      // Chunks overlap by the pattern length, so matches across two chunks are found
+      const buffer = await source.read(start, Math.min(SEARCH_CHUNK_SIZE + pattern.length - 1, source.size - start));
+      const index = buffer.indexOf(pattern);
+      if (index !== -1) {
+        return start + index;
+      }
+      if (onProgress(start + SEARCH_CHUNK_SIZE) === false) {
+        return -1;
+      }
+    }
+    return -1;
+  }
+
+  for (let end = Math.min(source.size, from + pattern.length); end > 0; end -= SEARCH_CHUNK_SIZE) {
+    const start = Math.max(0, end - SEARCH_CHUNK_SIZE - pattern.length + 1);
+    const buffer = await source.read(start, end - start);
+    const index = buffer.lastIndexOf(pattern);
+    if (index !== -1) {
+      return start + index;
+    }
+    if (onProgress(start) === false) {
+      return -1;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Display binary content as a hex dump, with offset, hex and ASCII columns. Only the bytes around
+ * the rows in view are read, so files of any size can be browsed.
+ * @param {Object} source - Content to show, as { name, size, read(offset, count) } (see services/archives)
+ * @returns {Promise<Object>} Resolves when the viewer is closed, with refresh set if the user asked for it
+ */
+async function displayHexViewer(source) {
+  // Open the view, inside the full-screen browser when it runs
+  const view = openView(`File: ${source.name}`);
+  const screen = view.screen;
+  const offsetWidth = Math.max(8, Math.max(source.size - 1, 0).toString(16).length);
+
+  let top = 0;                                     // Offset of the first row in view
+  let loaded = { start: 0, buffer: Buffer.alloc(0) };
+  let highlight = null;                            // Bytes of the last match or jump, as { offset, length, isMatch }
+  let lastPattern = null;
+  let lastSearch = '';
+  let busy = false;                                // A read, a search or a prompt is in progress
+  let searching = false;
+  let searchCancelled = false;
+
+  const contentBox = blessed.box({
+    parent: view.container,
+    top: 1,
+    left: 0,
+    width: '100%',
+    height: screen.height - 2,
+    border: {
+      type: 'line'
+    },
+    tags: false,
+    style: {
+      fg: 'white',
+      bg: 'black',
+      border: {
+        fg: 'blue'
+      }
+    }
+  });
+
+  const title = blessed.box({
+    parent: view.container,
+    top: 0,
+    left: 0,
+    width: '100%',
+    height: 1,
+    style: {
+      fg: 'white',
+      bg: 'blue'
+    }
+  });
+
+  blessed.box({
+    parent: view.container,
+    bottom: 0,
+    left: 0,
+    width: '100%',
+    height: 1,
+    content: ' ↑/↓/PgUp/PgDn: Scroll | Home/End: Start/End | o: Go to offset | /: Search | n/N: Next/Previous | r: Refresh | q: Quit ',
+    style: {
+      fg: 'black',
+      bg: 'green'
+    }
+  });
+
+  // Rows hold 16 bytes, or 8 when the screen is too narrow for them
+  const bytesPerRow = getHexRowWidth(16, offsetWidth) <= contentBox.width - 2 ? 16 : 8;
+  const visibleRows = () => Math.max(1, contentBox.height - 2);
+  const maxTop = () => Math.max(0, Math.ceil(source.size / bytesPerRow) - visibleRows()) * bytesPerRow;
+
+  /**
+   * Show the position in view and a status in the title bar
+   * @param {string} status - Status message, if any
+   */
+  function updateTitle(status) {
+    const end = Math.min(source.size, top + visibleRows() * bytesPerRow);
+    const percent = source.size > 0 ? Math.floor(end / source.size * 100) : 100;
+    title.setContent(` File: ${source.name} [BINARY] | offset 0x${top.toString(16)} of ${source.size.toLocaleString()} bytes ` +
+      `(${percent}%)${status ? ` | ${status}` : ''} `);
+  }
+
+  /**
+   * Read the bytes of the rows in view, unless they are already loaded, and render them
+   * @param {string} status - Status message for the title bar
+   */
+  async function render(status) {
+    const end = Math.min(source.size, top + visibleRows() * bytesPerRow);
+    if (top < loaded.start || end > loaded.start + loaded.buffer.length) {
+      const start = Math.floor(top / HEX_CHUNK_SIZE) * HEX_CHUNK_SIZE;
+      const count = Math.min(source.size, Math.max(end, start + 2 * HEX_CHUNK_SIZE)) - start;
+      loaded = { start, buffer: await source.read(start, count) };
+    }
+
+    const isHighlighted = (offset) => highlight && offset >= highlight.offset && offset < highlight.offset + highlight.length;
+    const styleByte = (offset, text) => isHighlighted(offset) ? chalk.inverse(text) : text;
+    const rows = [];
+    for (let offset = top; offset < end; offset += bytesPerRow) {
+      const bytes = loaded.buffer.subarray(offset - loaded.start, Math.min(offset + bytesPerRow, end) - loaded.start);
+      rows.push(formatHexRow(offset, bytes, bytesPerRow, offsetWidth, styleByte));
+    }
+
+    contentBox.setContent(rows.join('\n'));
+    updateTitle(status);
+    screen.render();
+  }
+
+  /**
+   * Run an operation reading the content, one at a time, showing its errors in the title bar
+   * @param {Function} operation - Async function
+   */
+  async function run(operation) {
+    if (busy) {
+      return;
+    }
+    busy = true;
+    try {
+      await operation();
+    } catch (error) {
+      updateTitle(chalk.red(`Error reading file: ${error.message}`));
+      screen.render();
+    } finally {
+      busy = false;
+    }
+  }
+
+  /**
+   * Scroll so that the row holding an offset is at the top of the view
+   * @param {number} offset - Byte offset
+   * @param {string} status - Status message for the title bar
+   */
+  function scrollTo(offset, status) {
+    top = Math.max(0, Math.min(Math.floor(offset / bytesPerRow) * bytesPerRow, maxTop()));
+    return render(status);
+  }
+
+  /**
+   * Ask for a line of input at the bottom of the screen
+   * @param {string} label - Label of the input line
+   * @param {string} value - Initial value
+   * @param {Function} callback - Called with the entered value, or null if the input was cancelled
+   */
+  function prompt(label, value, callback) {
+    const input = blessed.textbox({
+      parent: view.container,
+      bottom: 0,
+      left: 0,
+      width: '100%',
+      height: 3,
+      label: ` ${label} (Enter: Apply, Esc: Cancel) `,
+      border: {
+        type: 'line'
+      },
+      style: {
+        fg: 'white',
+        bg: 'black',
+        border: {
+          fg: 'yellow'
+        }
+      }
+    });
+
+    busy = true;
+    input.setValue(value);
+    screen.render();
+    input.readInput((error, result) => {
+      input.destroy();
+      busy = false;
+      contentBox.focus();
+      screen.render();
+      callback(error ? null : result);
+    });
+  }
+
+  /**
+   * Search for the last pattern from an offset, and show the match a few rows below the top
+   * @param {number} from - Offset where the search starts
+   * @param {boolean} backwards - If true, find the previous match
+   */
+  function search(from, backwards) {
+    run(async () => {
+      searching = true;
+      searchCancelled = false;
+      updateTitle('Searching... (Esc: Cancel)');
+      screen.render();
+
+      const offset = await findBytes(source, lastPattern, from, backwards, (reached) => {
+        const percent = source.size > 0 ? Math.floor(Math.min(reached, source.size) / source.size * 100) : 100;
+        updateTitle(`Searching... ${percent}% (Esc: Cancel)`);
+        screen.render();
+        return !searchCancelled;
+      });
+      searching = false;
+
+      if (offset === -1) {
+        await render(searchCancelled ? 'Search cancelled' : chalk.yellow(`"${lastSearch}" not found ${backwards ? 'before' : 'after'} this point`));
+        return;
+      }
+      highlight = { offset, length: lastPattern.length, isMatch: true };
+      await scrollTo(offset - Math.floor(visibleRows() / 3) * bytesPerRow, `Match at offset 0x${offset.toString(16)} (${offset.toLocaleString()})`);
+    });
+  }
+
+  /**
+   * Get the offset where a search starts: next to the last match or at the offset jumped to while
+   * they are in view, otherwise at the top (or the bottom, searching backwards) of the view
+   * @param {boolean} backwards - If true, for a search of the previous match
+   * @returns {number} Offset where the search starts
+   */
+  function searchOrigin(backwards) {
+    const end = Math.min(source.size, top + visibleRows() * bytesPerRow);
+    if (!highlight || highlight.offset < top || highlight.offset >= end) {
+      return backwards ? end - 1 : top;
+    }
+    if (!highlight.isMatch) {
+      return highlight.offset;
+    }
+    return backwards ? highlight.offset - 1 : highlight.offset + 1;
+  }
+
+  view.key(['up', 'k'], () => run(() => scrollTo(top - bytesPerRow)));
+  view.key(['down', 'j'], () => run(() => scrollTo(top + bytesPerRow)));
+  view.key(['pageup'], () => run(() => scrollTo(top - (visibleRows() - 1) * bytesPerRow)));
+  view.key(['pagedown', 'space'], () => run(() => scrollTo(top + (visibleRows() - 1) * bytesPerRow)));
+  view.key(['home', 'g'], () => run(() => scrollTo(0)));
+  view.key(['end', 'S-g'], () => run(() => scrollTo(maxTop())));
+
+  view.key(['o'], function() {
+    if (busy) {
+      return;
+    }
+    prompt('Go to offset: decimal, 0x hex or a percentage', '', (value) => {
+      if (value === null || value.trim() === '') {
+        return;
+      }
+      const offset = parseOffset(value, source.size);
+      if (offset === null) {
+        updateTitle(chalk.yellow(`Not an offset: ${value}`));
+        screen.render();
+        return;
+      }
+      highlight = { offset, length: 1, isMatch: false };
+      run(() => scrollTo(offset));
+    });
+  });
+
+  view.key(['/'], function() {
+    if (busy) {
+      return;
+    }
+    prompt('Search text, or hex bytes as 0x4d5a', lastSearch, (value) => {
+      if (value === null || value === '') {
+        return;
+      }
+      const pattern = parseBytePattern(value);
+      if (!pattern) {
+        updateTitle(chalk.yellow(`Invalid hex bytes: ${value}`));
+        screen.render();
+        return;
+      }
+      lastPattern = pattern;
+      lastSearch = value;
+      search(searchOrigin(false), false);
+    });
+  });
+
+  view.key(['n'], function() {
+    if (lastPattern) {
+      search(searchOrigin(false), false);
+    }
+  });
+
+  view.key(['S-n'], function() {
+    if (lastPattern) {
+      search(searchOrigin(true), true);
+    }
+  });
+
+  await run(() => render());
+  contentBox.focus();
+
+  return new Promise(resolve => {
+    view.key(['q', 'escape'], function() {
+      if (searching) {
+        searchCancelled = true;
+        return;
+      }
+      if (!busy) {
+        view.close();
+        resolve({ refresh: false });
+      }
+    });
+
+    view.key(['r'], function() {
+      if (!busy) {
+        view.close();
+        resolve({ refresh: true });
+      }
+    });
+  });
+}
+
+module.exports = { displayHexViewer, findBytes };
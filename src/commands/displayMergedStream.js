@@ -0,0 +1,311 @@
+const blessed = require('blessed');
+const chalk = require('chalk');
+const { getFileClient } = require('../services/azureFileService');
+const { createFileWindow } = require('../services/fileWindow');
+const { createTailEngine } = require('../services/tailEngine');
+const { downloadRange } = require('./displayFile');
+const { highlightLogLine } = require('../utils/formatters');
+const { parseLogTimestamp } = require('../utils/logTimestamps');
+const { openView, showMessage } = require('../ui/screen');
+
+// Number of lines kept in the merged view, for all sources together
+const MERGED_SCROLLBACK = 10000;
+
+// Colors of the source prefixes, used in turn; sources can be shown and hidden with the number keys
+const SOURCE_STYLES = [
+  chalk.black.bgCyan,
+  chalk.black.bgMagenta,
+  chalk.black.bgYellow,
+  chalk.black.bgGreen,
+  chalk.white.bgBlue,
+  chalk.black.bgWhite,
+  chalk.white.bgRed,
+  chalk.black.bgCyanBright,
+  chalk.black.bgMagentaBright
+];
+
+/**
+ * Stream several log files into one view, with their lines ordered by timestamp. Each line is
+ * prefixed with the name of its source; lines without a timestamp (such as stack traces) stay
+ * after the line they follow in their file.
+ * @param {string} shareName - Name of the file share
+ * @param {Array} sources - Files to follow, as { filePath, label, resolveLatestFile }; resolveLatestFile
+ *   resolves to the newest file of a log group, so the source follows its rotations
+ */
+async function displayMergedStreaming(shareName, sources) {
+  // Load the end of each file first, as the streaming view of a single file does
+  const initialLines = [];
+  const tails = [];
+  for (const source of sources) {
+    showMessage(chalk.cyan(`Loading file: ${source.filePath}...`));
+    const fileClient = getFileClient(shareName, source.filePath, true);
+    const properties = await fileClient.getProperties();
+    const fileWindow = createFileWindow(fileClient, properties.contentLength, downloadRange);
+    await fileWindow.loadTail();
+
+    // The last loaded line may still be incomplete: the tail engine reads it again from its start
+    initialLines.push(fileWindow.lines.slice(0, -1));
+    tails.push({
+      fileId: properties.fileId,
+      position: fileWindow.lines.length > 0 ? fileWindow.offsets[fileWindow.offsets.length - 1] : fileWindow.end
+    });
+  }
+
+  // Open the view, inside the full-screen browser when it runs
+  const view = openView(`Merged stream (${sources.length} files)`);
+  const screen = view.screen;
+
+  const logWidget = blessed.log({
+    parent: view.container,
+    top: 1,
+    left: 0,
+    width: '100%',
+    height: screen.height - 2,
+    border: {
+      type: 'line'
+    },
+    scrollable: true,
+    alwaysScroll: true,
+    scrollbar: {
+      style: {
+        bg: 'blue'
+      }
+    },
+    mouse: true,
+    keys: true,
+    vi: true,
+    tags: false, // Lines are colored with chalk; braces in log lines must stay literal
+    scrollback: MERGED_SCROLLBACK,
+    style: {
+      fg: 'white',
+      bg: 'black',
+      border: {
+        fg: 'blue'
+      }
+    }
+  });
+
+  const title = blessed.box({
+    parent: view.container,
+    top: 0,
+    left: 0,
+    width: '100%',
+    height: 1,
+    style: {
+      fg: 'white',
+      bg: 'red'
+    }
+  });
+
+  const toggleKeys = sources.length > 1 ? `1-${Math.min(sources.length, SOURCE_STYLES.length)}: Show/hide source | ` : '';
+  blessed.box({
+    parent: view.container,
+    bottom: 0,
+    left: 0,
+    width: '100%',
+    height: 1,
+    content: ` ↑/↓: Scroll | Space: Pause/Resume | ${toggleKeys}q: Quit `,
+    style: {
+      fg: 'black',
+      bg: 'green'
+    }
+  });
+
+  // Prefixes have the width of the longest label, so the lines stay aligned
+  const labelWidth = Math.max(...sources.map(source => source.label.length));
+  const states = sources.map((source, index) => ({
+    prefix: SOURCE_STYLES[index % SOURCE_STYLES.length](` ${source.label.padEnd(labelWidth)} `),
+    shown: true,
+    lastTime: null, // Timestamp of the last line read with one, given to the lines without timestamp that follow
+    leadingEntries: [] // Entries of the lines before the first timestamp, moved to its time when it is read
+  }));
+
+  // Entries are kept sorted by time, so the view can be rendered again when sources are shown or hidden;
+  // messages of the viewer itself have no source and are always shown
+  const entries = [];
+  let hiddenCount = 0;
+
+  const isShown = (entry) => entry.source === null || states[entry.source].shown;
+  const latestTime = () => entries.length > 0 ? entries[entries.length - 1].time : -Infinity;
+
+  /**
+   * Insert an entry after the entries with the same or an earlier time, dropping the oldest
+   * entry beyond the scrollback limit
+   * @param {Object} entry - Entry with its text, source index and time
+   * @returns {boolean} True if the entry was added at the end
+   */
+  function insertEntry(entry) {
+    let low = 0;
+    let high = entries.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (entries[middle].time <= entry.time) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    entries.splice(low, 0, entry);
+
+    if (!isShown(entry)) {
+      hiddenCount++;
+    }
+    if (entries.length > MERGED_SCROLLBACK && !isShown(entries.shift())) {
+      hiddenCount--;
+    }
+    return low === entries.length - 1;
+  }
+
+  /**
+   * Give the entries of the lines read before the first timestamp of a source the time of that timestamp
+   * @param {Object} state - State of the source
+   * @param {number} time - First timestamp of the source
+   * @returns {boolean} True if entries were moved, so the view must be rendered again
+   */
+  function moveLeadingEntries(state, time) {
+    const leading = new Set(state.leadingEntries);
+    state.leadingEntries = [];
+
+    // Entries beyond the scrollback limit are already dropped
+    const moved = entries.filter(entry => leading.has(entry));
+    entries.splice(0, entries.length, ...entries.filter(entry => !leading.has(entry)));
+    moved.forEach(entry => {
+      if (!isShown(entry)) {
+        hiddenCount--;
+      }
+      entry.time = time;
+      insertEntry(entry);
+    });
+    return moved.length > 0;
+  }
+
+  /**
+   * Add new lines of a source: lines at the end of the view are appended, older lines are
+   * inserted in their place and the view is rendered again
+   * @param {number} sourceIndex - Index of the source
+   * @param {Array<string>} lines - Complete lines
+   */
+  function addLines(sourceIndex, lines) {
+    const state = states[sourceIndex];
+    let rerender = false;
+
+    lines.forEach(line => {
+      const time = parseLogTimestamp(line);
+      if (time !== null) {
+        state.lastTime = time;
+        rerender = moveLeadingEntries(state, time) || rerender;
+      }
+
+      // Lines before the first timestamp of the source come before all the lines until it is read
+      const entry = {
+        text: `${state.prefix} ${highlightLogLine(line)}`,
+        source: sourceIndex,
+        time: state.lastTime === null ? -Infinity : state.lastTime
+      };
+      if (state.lastTime === null && state.leadingEntries.push(entry) > MERGED_SCROLLBACK) {
+        state.leadingEntries.shift();
+      }
+      if (!insertEntry(entry)) {
+        rerender = true;
+      } else if (!rerender && isShown(entry)) {
+        logWidget.add(entry.text);
+      }
+    });
+
+    if (rerender) {
+      renderEntries();
+    }
+    logWidget.setScrollPerc(100);
+  }
+
+  /**
+   * Add a message of the viewer at the end of the view
+   * @param {string} text - Colored message
+   */
+  function addMessage(text) {
+    insertEntry({ text, source: null, time: latestTime() });
+    logWidget.add(text);
+    logWidget.setScrollPerc(100);
+  }
+
+  /**
+   * Render the kept entries again, after older lines were inserted or sources were shown or hidden
+   */
+  function renderEntries() {
+    const shown = entries.filter(isShown);
+    hiddenCount = entries.length - shown.length;
+    logWidget.setContent(shown.map(entry => entry.text).join('\n'));
+    logWidget.setScrollPerc(100);
+  }
+
+  /**
+   * Show the sources, the streaming state and the last update in the title
+   */
+  function updateTitle() {
+    const paused = engines.some(engine => engine.paused);
+    const lastUpdates = engines.map(engine => engine.lastUpdate).filter(Boolean);
+    const lastUpdate = lastUpdates.length > 0
+      ? ` - Last update: ${new Date(Math.max(...lastUpdates)).toLocaleTimeString()}`
+      : '';
+    const legend = states.map((state, index) => {
+      const label = `${index + 1}:${sources[index].label}`;
+      return state.shown ? label : chalk.dim(`(${label})`);
+    }).join(' ');
+    const hidden = hiddenCount > 0 ? ` - ${hiddenCount.toLocaleString()} line${hiddenCount === 1 ? '' : 's'} hidden` : '';
+    title.setContent(` Merged: ${legend} [${paused ? 'PAUSED' : 'STREAMING'}]${lastUpdate}${hidden} `);
+  }
+
+  // Merge the end of each file, then follow the files
+  initialLines.forEach((lines, index) => addLines(index, lines));
+
+  const engines = sources.map((source, index) => createTailEngine(shareName, source.filePath, {
+    position: tails[index].position,
+    fileId: tails[index].fileId,
+    download: downloadRange,
+    resolveLatestFile: source.resolveLatestFile,
+    onLines: (lines) => addLines(index, lines),
+    onNotice: (message) => {
+      addMessage(chalk.yellow(`[${new Date().toLocaleTimeString()}] ${message}`));
+    },
+    onError: (error) => {
+      addMessage(chalk.red(`[${new Date().toLocaleTimeString()}] Error checking ${source.label} for updates: ${error.message}`));
+    },
+    onPoll: () => {
+      updateTitle();
+      screen.render();
+    }
+  }));
+
+  // Show or hide a source
+  states.slice(0, SOURCE_STYLES.length).forEach((state, index) => {
+    view.key([String(index + 1)], function() {
+      state.shown = !state.shown;
+      renderEntries();
+      updateTitle();
+      screen.render();
+    });
+  });
+
+  view.key(['space'], function() {
+    const paused = engines.some(engine => engine.paused);
+    engines.forEach(engine => paused ? engine.resume() : engine.pause());
+    updateTitle();
+    screen.render();
+  });
+
+  logWidget.focus();
+  updateTitle();
+  screen.render();
+  engines.forEach(engine => engine.start());
+
+  // Return a promise that resolves when the user quits
+  return new Promise(resolve => {
+    view.key(['q', 'escape'], function() {
+      engines.forEach(engine => engine.stop());
+      view.close();
+      resolve();
+    });
+  });
+}
+
+module.exports = { displayMergedStreaming };
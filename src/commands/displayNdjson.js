@@ -0,0 +1,682 @@
+const blessed = require('blessed');
+const chalk = require('chalk');
+const { createTailEngine } = require('../services/tailEngine');
+const { getConfig } = require('../utils/config');
+const { LEVEL_STYLES, classifyLogLine } = require('../utils/logLevels');
+const { parseNdjsonLine, getField, detectColumns, formatCell, parseRecordFilter } = require('../utils/ndjson');
+const { openView } = require('../ui/screen');
+
+// Widest a column other than the last one can be; the last column takes the remaining width
+const MAX_COLUMN_WIDTH = 32;
+const COLUMN_SEPARATOR = '  ';
+
+// Number of records kept in the streaming view
+const STREAM_SCROLLBACK = 10000;
+
+/**
+ * Parse lines of a JSON-lines file into table entries
+ * @param {Array<string>} lines - Lines of the file
+ * @returns {Array<Object>} Entries with the line and its JSON object (null for lines that are not JSON objects)
+ */
+function parseEntries(lines) {
+  return lines.map(line => ({ line, record: parseNdjsonLine(line) }));
+}
+
+/**
+ * Get the columns of the table: the configured ones ("ndjson.columns" in the configuration file),
+ * or the timestamp, level and message fields found in the records
+ * @param {Array<Object>} entries - Table entries
+ * @returns {{columns: Array<string>, levelField: string|null}} Column fields, and the field holding the log level
+ */
+function getColumns(entries) {
+  const records = entries.filter(entry => entry.record).slice(0, 100).map(entry => entry.record);
+  const detected = detectColumns(records);
+  const configured = (getConfig().ndjson || {}).columns;
+
+  return {
+    columns: Array.isArray(configured) && configured.length > 0 ? configured : detected.columns,
+    levelField: detected.levelField
+  };
+}
+
+/**
+ * Cut text to a width, marking cut text with an ellipsis
+ * @param {string} text - Text
+ * @param {number} width - Maximum width
+ * @returns {string} Text of at most width characters
+ */
+function truncate(text, width) {
+  if (text.length <= width) {
+    return text;
+  }
+  return width > 0 ? text.slice(0, width - 1) + '…' : '';
+}
+
+/**
+ * Create a table of JSON-lines records with a cursor, a filter and an expandable record view.
+ * Only the rows in view are rendered, so large windows stay fast to scroll.
+ * @param {Object} view - View to create the table in (see ui/screen)
+ * @param {Array<Object>} entries - Table entries (see parseEntries)
+ * @param {Object} options - Table options
+ * @param {Function} options.formatJson - Function formatting a JSON document with syntax highlighting
+ * @param {Function} options.onChange - Called after the cursor, filter or columns changed
+ * @returns {Object} Table
+ */
+function createRecordTable(view, entries, options) {
+  const screen = view.screen;
+
+  const box = blessed.box({
+    parent: view.container,
+    top: 1,
+    left: 0,
+    width: '100%',
+    height: screen.height - 2,
+    border: {
+      type: 'line'
+    },
+    mouse: true,
+    tags: false, // Rows are colored with ANSI codes; braces in records must not be parsed as tags
+    wrap: false,
+    style: {
+      fg: 'white',
+      bg: 'black',
+      border: {
+        fg: 'blue'
+      }
+    }
+  });
+
+  const { columns, levelField } = getColumns(entries);
+
+  const table = {
+    box,
+    entries,
+    columns,
+    shown: [],          // Indices of the entries passing the filter
+    cursor: 0,          // Position of the cursor in shown
+    top: 0,             // Position of the first row in view in shown
+    filter: null,
+    filterExpression: '',
+    detail: null,       // Box showing the expanded record, while open
+    prompting: false,   // Whether an input line is open
+
+    /**
+     * @returns {boolean} True while the record view or an input line takes the keys
+     */
+    isBusy() {
+      return table.detail !== null || table.prompting;
+    },
+
+    /**
+     * @returns {number} Number of rows in view, without the header
+     */
+    rowCount() {
+      return Math.max(1, box.height - box.iheight - 1);
+    },
+
+    /**
+     * @returns {number} Index of the entry under the cursor, or -1 if no entry is shown
+     */
+    cursorIndex() {
+      return table.shown.length > 0 ? table.shown[table.cursor] : -1;
+    },
+
+    /**
+     * @returns {number} Number of entries hidden by the filter
+     */
+    hiddenCount() {
+      return table.entries.length - table.shown.length;
+    },
+
+    /**
+     * Replace the entries, keeping the cursor and the first row in view on given entries
+     * @param {Array<Object>} newEntries - Table entries
+     * @param {number} cursorIndex - Entry to put the cursor on (the next shown one if it is hidden)
+     * @param {number} topIndex - Entry to show at the top (the next shown one if it is hidden)
+     */
+    setEntries(newEntries, cursorIndex, topIndex = cursorIndex) {
+      table.entries = newEntries;
+      table.shown = [];
+      newEntries.forEach((entry, index) => {
+        if (!table.filter || table.filter(entry.record, entry.line)) {
+          table.shown.push(index);
+        }
+      });
+
+      const positionOf = (index) => {
+        const position = table.shown.findIndex(shownIndex => shownIndex >= index);
+        return position === -1 ? table.shown.length - 1 : position;
+      };
+      table.cursor = Math.max(0, positionOf(cursorIndex));
+      table.top = Math.max(0, positionOf(topIndex));
+    },
+
+    /**
+     * Move the cursor
+     * @param {number} delta - Number of rows to move by (negative to move up)
+     */
+    move(delta) {
+      table.cursor = Math.max(0, Math.min(table.cursor + delta, table.shown.length - 1));
+    },
+
+    /**
+     * Render the rows in view, keeping the cursor in view
+     */
+    render() {
+      const width = box.width - box.iwidth;
+      const rowCount = table.rowCount();
+
+      if (table.cursor < table.top) {
+        table.top = table.cursor;
+      } else if (table.cursor >= table.top + rowCount) {
+        table.top = table.cursor - rowCount + 1;
+      }
+      table.top = Math.max(0, Math.min(table.top, table.shown.length - rowCount));
+
+      const visible = table.shown.slice(table.top, table.top + rowCount).map(index => table.entries[index]);
+      const cells = visible.map(entry => entry.record
+        ? table.columns.map(column => formatCell(getField(entry.record, column)))
+        : null);
+
+      // Size the columns to the rows in view
+      const widths = table.columns.map((column, index) => Math.min(MAX_COLUMN_WIDTH,
+        Math.max(column.length, ...cells.map(row => row ? row[index].length : 0))));
+      const fixedWidth = widths.slice(0, -1).reduce((total, columnWidth) => total + columnWidth + COLUMN_SEPARATOR.length, 0);
+      widths[widths.length - 1] = Math.max(0, width - fixedWidth);
+
+      const formatRow = (values) => values
+        .map((value, index) => index < values.length - 1 ? truncate(value, widths[index]).padEnd(widths[index]) : truncate(value, widths[index]))
+        .join(COLUMN_SEPARATOR);
+
+      const rows = visible.map((entry, position) => {
+        // Lines that are not JSON objects are shown as they are
+        const text = cells[position] ? formatRow(cells[position]) : truncate(entry.line, width);
+        if (table.top + position === table.cursor) {
+          return chalk.inverse(text.padEnd(width));
+        }
+
+        const levelText = entry.record && levelField ? formatCell(getField(entry.record, levelField)) : entry.line;
+        const levelStyle = LEVEL_STYLES[classifyLogLine(levelText)];
+        return levelStyle ? levelStyle(text) : chalk.whiteBright(text);
+      });
+
+      box.setContent([chalk.bold.underline(formatRow(table.columns).padEnd(width)), ...rows].join('\n'));
+    },
+
+    /**
+     * Show the whole JSON object of the entry under the cursor
+     */
+    openDetail() {
+      const index = table.cursorIndex();
+      if (index === -1) {
+        return;
+      }
+
+      const entry = table.entries[index];
+      table.detail = blessed.box({
+        parent: view.container,
+        top: 1,
+        left: 0,
+        width: '100%',
+        height: screen.height - 2,
+        label: ' Record (Enter/Esc/q: Close) ',
+        border: {
+          type: 'line'
+        },
+        scrollable: true,
+        alwaysScroll: true,
+        scrollbar: {
+          style: {
+            bg: 'blue'
+          }
+        },
+        mouse: true,
+        keys: true,
+        vi: true,
+        tags: false,
+        content: entry.record ? options.formatJson(JSON.stringify(entry.record)) : entry.line,
+        style: {
+          fg: 'white',
+          bg: 'black',
+          border: {
+            fg: 'yellow'
+          }
+        }
+      });
+      table.detail.focus();
+    },
+
+    /**
+     * Close the record view
+     */
+    closeDetail() {
+      table.detail.destroy();
+      table.detail = null;
+      box.focus();
+    },
+
+    /**
+     * Ask for a line of input at the bottom of the screen
+     * @param {string} label - Label of the input line
+     * @param {string} value - Initial value
+     * @param {Function} callback - Called with the entered value, or null if the input was cancelled
+     */
+    prompt(label, value, callback) {
+      const input = blessed.textbox({
+        parent: view.container,
+        bottom: 0,
+        left: 0,
+        width: '100%',
+        height: 3,
+        label: ` ${label} (Enter: Apply, Esc: Cancel) `,
+        border: {
+          type: 'line'
+        },
+        style: {
+          fg: 'white',
+          bg: 'black',
+          border: {
+            fg: 'yellow'
+          }
+        }
+      });
+
+      table.prompting = true;
+      input.setValue(value);
+      screen.render();
+      input.readInput((error, result) => {
+        input.destroy();
+        table.prompting = false;
+        box.focus();
+        callback(error ? null : result);
+      });
+    }
+  };
+
+  // Keys shared by the pager and the streaming view; each view handles moving the cursor
+  view.key(['enter'], function() {
+    if (table.detail) {
+      table.closeDetail();
+    } else if (!table.prompting) {
+      table.openDetail();
+    }
+    options.onChange();
+  });
+
+  view.key(['f', '/'], function() {
+    if (table.isBusy()) {
+      return;
+    }
+    table.prompt('Filter, e.g. level=error userId=123', table.filterExpression, (expression) => {
+      if (expression !== null) {
+        const index = table.cursorIndex();
+        table.filterExpression = expression.trim();
+        table.filter = parseRecordFilter(table.filterExpression);
+        table.setEntries(table.entries, index, table.shown[table.top]);
+      }
+      options.onChange();
+    });
+  });
+
+  view.key(['c'], function() {
+    if (table.isBusy()) {
+      return;
+    }
+    table.prompt('Columns, separated by commas', table.columns.join(', '), (value) => {
+      const newColumns = value ? value.split(',').map(column => column.trim()).filter(column => column) : [];
+      if (newColumns.length > 0) {
+        table.columns = newColumns;
+      }
+      options.onChange();
+    });
+  });
+
+  table.setEntries(entries, entries.length - 1);
+  box.focus();
+  return table;
+}
+
+/**
+ * Describe the filter of a table for a status bar
+ * @param {Object} table - Record table
+ * @returns {string} Status such as "Filter: level=error (120 hidden)", or an empty string without filter
+ */
+function describeFilter(table) {
+  return table.filter ? `Filter: ${table.filterExpression} (${table.hiddenCount().toLocaleString()} hidden)` : '';
+}
+
+/**
+ * Display a JSON-lines file as a table with one row per record, loading the file in windows as the cursor moves
+ * @param {Object} fileWindow - Window over the lines of the file (see services/fileWindow)
+ * @param {string} fileName - Name of the file
+ * @param {boolean} canStream - Whether streaming mode can be offered
+ * @param {Object} options - Display options
+ * @param {number} options.initialLine - Line number (1-based) to put the cursor on, if any
+ * @param {Function} options.formatJson - Function formatting a JSON document with syntax highlighting
+ * @returns {Promise<Object>} Whether to switch to streaming mode or refresh
+ */
+async function displayNdjsonInPager(fileWindow, fileName, canStream, options) {
+  // Open at the requested line, otherwise at the end where the newest records are
+  let initialIndex = -1;
+  if (options.initialLine) {
+    initialIndex = await fileWindow.loadAtLine(options.initialLine);
+  } else {
+    await fileWindow.loadTail();
+  }
+
+  const view = openView(`File: ${fileName}`);
+  const screen = view.screen;
+
+  const title = blessed.box({
+    parent: view.container,
+    top: 0,
+    left: 0,
+    width: '100%',
+    height: 1,
+    style: {
+      fg: 'white',
+      bg: 'blue'
+    }
+  });
+
+  blessed.box({
+    parent: view.container,
+    bottom: 0,
+    left: 0,
+    width: '100%',
+    height: 1,
+    content: ` ↑/↓/PgUp/PgDn: Move | Home/End: Start/End of file | Enter: Expand | f: Filter | c: Columns | r: Refresh | q: Quit${canStream ? ' | s: Stream' : ''} `,
+    style: {
+      fg: 'black',
+      bg: 'green'
+    }
+  });
+
+  const table = createRecordTable(view, parseEntries(fileWindow.lines), {
+    formatJson: options.formatJson,
+    onChange: () => update()
+  });
+  if (initialIndex >= 0) {
+    table.setEntries(table.entries, initialIndex, Math.max(0, initialIndex - Math.floor(table.rowCount() / 2)));
+  }
+
+  /**
+   * Render the table and show the byte range in view and its position in the file
+   * @param {string} status - Additional status, such as a loading message
+   */
+  function update(status) {
+    table.render();
+
+    const topIndex = table.shown[table.top];
+    const bottomIndex = table.shown[Math.min(table.top + table.rowCount(), table.shown.length) - 1];
+    const from = topIndex !== undefined ? fileWindow.offsets[topIndex] : fileWindow.start;
+    const to = bottomIndex !== undefined ? (fileWindow.offsets[bottomIndex + 1] || fileWindow.end) : fileWindow.end;
+    const percent = fileWindow.size > 0 ? Math.floor(to / fileWindow.size * 100) : 100;
+    const filterStatus = describeFilter(table);
+
+    title.setContent(` File: ${fileName} [NDJSON] | bytes ${from.toLocaleString()}-${to.toLocaleString()} ` +
+      `of ${fileWindow.size.toLocaleString()} (${percent}%)${filterStatus ? ` | ${filterStatus}` : ''}` +
+      `${status ? ` | ${status}` : ''} `);
+    screen.render();
+  }
+
+  /**
+   * Run a window operation that changes the loaded lines, then update the entries
+   * @param {Function} operation - Async function loading lines and returning the new entries and cursor/top entries
+   */
+  let loading = false;
+  async function reloadWindow(operation) {
+    if (loading) {
+      return;
+    }
+    loading = true;
+    update('Loading...');
+
+    try {
+      const { entries, cursorIndex, topIndex } = await operation();
+      table.setEntries(entries, cursorIndex, topIndex);
+      update();
+    } catch (error) {
+      update(`Error loading file: ${error.message}`);
+    } finally {
+      loading = false;
+    }
+  }
+
+  /**
+   * Move the cursor, loading more of the file when it gets close to either end of the window
+   * @param {number} delta - Number of rows to move by
+   */
+  function moveCursor(delta) {
+    if (table.isBusy() || loading) {
+      return;
+    }
+
+    table.move(delta);
+    const cursorIndex = Math.max(0, table.cursorIndex());
+    const topIndex = table.shown[table.top] !== undefined ? table.shown[table.top] : cursorIndex;
+
+    if (table.cursor < table.rowCount() && !fileWindow.atStart()) {
+      reloadWindow(async () => {
+        const { added, dropped } = await fileWindow.loadBefore();
+        const entries = parseEntries(fileWindow.lines.slice(0, added))
+          .concat(table.entries.slice(0, table.entries.length - dropped));
+        return { entries, cursorIndex: cursorIndex + added, topIndex: topIndex + added };
+      });
+    } else if (table.cursor >= table.shown.length - table.rowCount() && !fileWindow.atEnd()) {
+      reloadWindow(async () => {
+        const { added, dropped } = await fileWindow.loadAfter();
+        const entries = table.entries.slice(dropped)
+          .concat(parseEntries(fileWindow.lines.slice(fileWindow.lines.length - added)));
+        return { entries, cursorIndex: cursorIndex - dropped, topIndex: topIndex - dropped };
+      });
+    } else {
+      update();
+    }
+  }
+
+  view.key(['up', 'k'], () => moveCursor(-1));
+  view.key(['down', 'j'], () => moveCursor(1));
+  view.key(['pageup'], () => moveCursor(-(table.rowCount() - 1)));
+  view.key(['pagedown', 'space'], () => moveCursor(table.rowCount() - 1));
+  table.box.on('wheelup', () => moveCursor(-3));
+  table.box.on('wheeldown', () => moveCursor(3));
+
+  // Jump to the start or the end of the whole file, not only of the loaded window
+  view.key(['home', 'g'], function() {
+    if (!table.isBusy()) {
+      reloadWindow(async () => {
+        await fileWindow.loadHead();
+        return { entries: parseEntries(fileWindow.lines), cursorIndex: 0, topIndex: 0 };
+      });
+    }
+  });
+
+  view.key(['end', 'S-g'], function() {
+    if (!table.isBusy()) {
+      reloadWindow(async () => {
+        await fileWindow.loadTail();
+        const lastIndex = fileWindow.lines.length - 1;
+        return { entries: parseEntries(fileWindow.lines), cursorIndex: lastIndex, topIndex: lastIndex };
+      });
+    }
+  });
+
+  update();
+
+  // Wait for the user to quit, refresh or switch to streaming mode
+  return new Promise(resolve => {
+    const finish = (result) => {
+      view.close();
+      resolve(result);
+    };
+
+    view.key(['q', 'escape'], function() {
+      if (table.detail) {
+        table.closeDetail();
+        update();
+      } else if (!table.prompting) {
+        finish({ switchToStream: false, refresh: false });
+      }
+    });
+
+    if (canStream) {
+      view.key(['s'], function() {
+        if (!table.isBusy()) {
+          finish({ switchToStream: true, refresh: false });
+        }
+      });
+    }
+
+    view.key(['r'], function() {
+      if (!table.isBusy()) {
+        finish({ switchToStream: false, refresh: true });
+      }
+    });
+  });
+}
+
+/**
+ * Display a JSON-lines file as a table following new records as they are written
+ * @param {Object} fileWindow - Window loaded with the end of the file
+ * @param {string} shareName - Name of the file share
+ * @param {string} fileName - Name of the file
+ * @param {Object} options - Streaming options
+ * @param {string} options.fileId - File ID of the loaded version of the file
+ * @param {Function} options.resolveLatestFile - Resolves to the newest file of the log group, to follow rotations
+ * @param {Function} options.download - Function (fileClient, offset, count) resolving to a Buffer
+ * @param {Function} options.formatJson - Function formatting a JSON document with syntax highlighting
+ */
+async function displayNdjsonStreaming(fileWindow, shareName, fileName, options) {
+  const view = openView(`File: ${fileName} (Streaming)`);
+  const screen = view.screen;
+
+  const title = blessed.box({
+    parent: view.container,
+    top: 0,
+    left: 0,
+    width: '100%',
+    height: 1,
+    style: {
+      fg: 'white',
+      bg: 'red'  // Red background to make it clear we're in streaming mode
+    }
+  });
+
+  blessed.box({
+    parent: view.container,
+    bottom: 0,
+    left: 0,
+    width: '100%',
+    height: 1,
+    content: ' ↑/↓/PgUp/PgDn: Move | Home/End: First/Last record | Enter: Expand | f: Filter | c: Columns | Space: Pause/Resume | q: Quit ',
+    style: {
+      fg: 'black',
+      bg: 'green'
+    }
+  });
+
+  // The last loaded line may still be incomplete: leave it to the tail engine, which reads it again
+  const lines = fileWindow.lines.slice(0, -1);
+  const position = fileWindow.lines.length > 0
+    ? fileWindow.offsets[fileWindow.offsets.length - 1]
+    : fileWindow.end;
+
+  const table = createRecordTable(view, parseEntries(lines), {
+    formatJson: options.formatJson,
+    onChange: () => update()
+  });
+
+  /**
+   * Render the table and show the followed file, its state and the polling interval in the title
+   */
+  function update() {
+    table.render();
+
+    const state = tail.paused ? 'PAUSED' : 'STREAMING';
+    const lastUpdate = tail.lastUpdate ? ` - Last update: ${tail.lastUpdate.toLocaleTimeString()}` : '';
+    const polling = tail.paused ? '' : ` - Checking every ${Math.round(tail.interval / 1000)}s`;
+    const filterStatus = describeFilter(table);
+    title.setContent(` File: ${tail.filePath} [${state}]${lastUpdate}${polling}${filterStatus ? ` - ${filterStatus}` : ''} `);
+    screen.render();
+  }
+
+  /**
+   * Add new lines as records, dropping the oldest beyond the scrollback limit;
+   * the cursor follows new records while it is on the last row
+   * @param {Array<string>} newLines - Complete lines, or viewer messages
+   */
+  function addLines(newLines) {
+    const following = table.cursor >= table.shown.length - 1;
+    const allEntries = table.entries.concat(parseEntries(newLines));
+    const dropped = Math.max(0, allEntries.length - STREAM_SCROLLBACK);
+    const entries = allEntries.slice(dropped);
+    const cursorIndex = following ? entries.length - 1 : Math.max(0, table.cursorIndex() - dropped);
+    const topIndex = table.shown[table.top] !== undefined ? Math.max(0, table.shown[table.top] - dropped) : 0;
+
+    table.setEntries(entries, cursorIndex, topIndex);
+  }
+
+  const tail = createTailEngine(shareName, fileName, {
+    position,
+    fileId: options.fileId,
+    download: options.download,
+    resolveLatestFile: options.resolveLatestFile,
+    onLines: addLines,
+    onNotice: (message) => addLines([`[${new Date().toLocaleTimeString()}] ${message}`]),
+    onError: (error) => addLines([`[${new Date().toLocaleTimeString()}] Error checking for updates: ${error.message}`]),
+    onPoll: () => update()
+  });
+
+  /**
+   * Move the cursor
+   * @param {number} delta - Number of rows to move by
+   */
+  function moveCursor(delta) {
+    if (!table.isBusy()) {
+      table.move(delta);
+      update();
+    }
+  }
+
+  view.key(['up', 'k'], () => moveCursor(-1));
+  view.key(['down', 'j'], () => moveCursor(1));
+  view.key(['pageup'], () => moveCursor(-(table.rowCount() - 1)));
+  view.key(['pagedown'], () => moveCursor(table.rowCount() - 1));
+  view.key(['home', 'g'], () => moveCursor(-table.shown.length));
+  view.key(['end', 'S-g'], () => moveCursor(table.shown.length));
+  table.box.on('wheelup', () => moveCursor(-3));
+  table.box.on('wheeldown', () => moveCursor(3));
+
+  // Add pause/resume functionality
+  view.key(['space'], function() {
+    if (table.isBusy()) {
+      return;
+    }
+    if (tail.paused) {
+      tail.resume();
+    } else {
+      tail.pause();
+    }
+    update();
+  });
+
+  update();
+  tail.start();
+
+  // Return a promise that resolves when the user quits
+  return new Promise(resolve => {
+    view.key(['q', 'escape'], function() {
+      if (table.detail) {
+        table.closeDetail();
+        update();
+      } else if (!table.prompting) {
+        tail.stop();
+        view.close();
+        resolve();
+      }
+    });
+  });
+}
+
+module.exports = { displayNdjsonInPager, displayNdjsonStreaming };
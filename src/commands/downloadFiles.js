@@ -0,0 +1,287 @@
+const fs = require('fs');
+const path = require('path');
+const { getFileClient, getDirectoryClient } = require('../services/azureFileService');
+const { listFiles } = require('./listFiles');
+const { downloadRange } = require('./displayFile');
+const { joinPath } = require('../utils/paths');
+
+// Size of the ranges downloaded in parallel
+const DOWNLOAD_CHUNK_SIZE = 4 * 1024 * 1024;
+
+// Default number of ranges downloaded at the same time
+const DOWNLOAD_CONCURRENCY = 4;
+
+// Suffixes of the files used to resume interrupted downloads
+const PARTIAL_SUFFIX = '.partial';
+const STATE_SUFFIX = '.partial.json';
+
+/**
+ * Download a file or a whole directory tree to the local disk
+ * @param {string} shareName - Name of the file share
+ * @param {string} remotePath - Path of the file or directory (empty for the share root)
+ * @param {string} localPath - Local destination; when it is an existing directory, the item is saved inside it
+ * @param {Object} options - Download options (see downloadFiles)
+ * @param {boolean} options.isDirectory - Whether remotePath is a directory (detected when omitted)
+ * @returns {Promise<Object>} Summary with downloaded, skipped and failed files and downloaded bytes
+ */
+async function downloadPath(shareName, remotePath, localPath, options = {}) {
+  const isDirectory = options.isDirectory !== undefined
+    ? options.isDirectory
+    : await isRemoteDirectory(shareName, remotePath);
+
+  let destination = localPath;
+  if (fs.existsSync(localPath) && fs.statSync(localPath).isDirectory()) {
+    destination = path.join(localPath, remotePath.split('/').pop() || shareName);
+  }
+
+  const entries = await listDownloadEntries(shareName, remotePath, destination, isDirectory);
+  return downloadFiles(shareName, entries, options);
+}
+
+/**
+ * Check whether a path in a share is a directory
+ * @param {string} shareName - Name of the file share
+ * @param {string} remotePath - Path of the item
+ * @returns {Promise<boolean>} True for directories, false for files
+ */
+async function isRemoteDirectory(shareName, remotePath) {
+  if (!remotePath) {
+    return true;
+  }
+
+  try {
+    await getFileClient(shareName, remotePath).getProperties();
+    return false;
+  } catch (error) {
+    if (error.statusCode !== 404) {
+      throw error;
+    }
+  }
+
+  // Not a file: make sure it is an existing directory
+  await getDirectoryClient(shareName, remotePath).getProperties();
+  return true;
+}
+
+/**
+ * List the files to download for a file or directory, with their local destination
+ * @param {string} shareName - Name of the file share
+ * @param {string} remotePath - Path of the file or directory
+ * @param {string} localPath - Local path of the file, or local directory mirroring the remote directory
+ * @param {boolean} isDirectory - Whether remotePath is a directory
+ * @returns {Promise<Array>} Entries with remotePath and localPath
+ */
+async function listDownloadEntries(shareName, remotePath, localPath, isDirectory) {
+  if (!isDirectory) {
+    return [{ remotePath, localPath }];
+  }
+
+  const entries = [];
+  const items = await listFiles(shareName, remotePath);
+
+  for (const item of items) {
+    const itemPath = joinPath(remotePath, item.name);
+    const itemLocalPath = path.join(localPath, item.name);
+
+    if (item.isDirectory) {
+      entries.push(...await listDownloadEntries(shareName, itemPath, itemLocalPath, true));
+    } else {
+      entries.push({ remotePath: itemPath, localPath: itemLocalPath });
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Download a list of files, one at a time, each in parallel ranges
+ * @param {string} shareName - Name of the file share
+ * @param {Array} entries - Files to download, as { remotePath, localPath }
+ * @param {Object} options - Download options
+ * @param {string} options.existing - What to do with existing local files: "newer" (default) downloads
+ *   only when the size or modification time differs, "overwrite" always downloads, "skip" never does
+ * @param {number} options.concurrency - Number of ranges downloaded at the same time
+ * @param {Function} options.onProgress - Called with progress events while downloading
+ * @returns {Promise<Object>} Summary with downloaded, skipped and failed files and downloaded bytes
+ */
+async function downloadFiles(shareName, entries, options = {}) {
+  const summary = { downloaded: [], skipped: [], failed: [], bytes: 0 };
+  const onProgress = options.onProgress || (() => {});
+
+  // Get the properties of every file first, so total progress is known up front
+  const files = [];
+  for (const entry of entries) {
+    try {
+      const fileClient = getFileClient(shareName, entry.remotePath);
+      const properties = await fileClient.getProperties();
+      files.push({ ...entry, fileClient, properties });
+    } catch (error) {
+      summary.failed.push({ path: entry.remotePath, error: error.message });
+    }
+  }
+
+  const progress = {
+    file: '',
+    fileBytes: 0,
+    fileSize: 0,
+    filesDone: 0,
+    fileCount: files.length,
+    totalBytes: 0,
+    totalSize: files.reduce((total, file) => total + file.properties.contentLength, 0)
+  };
+
+  for (const file of files) {
+    const size = file.properties.contentLength;
+    Object.assign(progress, { file: file.remotePath, fileBytes: 0, fileSize: size });
+
+    try {
+      if (shouldSkip(file.localPath, file.properties, options.existing || 'newer')) {
+        summary.skipped.push(file.remotePath);
+        progress.totalBytes += size;
+      } else {
+        const before = progress.totalBytes;
+        await downloadToFile(file.fileClient, file.properties, file.localPath, options.concurrency || DOWNLOAD_CONCURRENCY, (bytes) => {
+          progress.fileBytes = bytes;
+          progress.totalBytes = before + bytes;
+          onProgress(progress);
+        });
+        summary.downloaded.push(file.remotePath);
+        summary.bytes += size;
+      }
+    } catch (error) {
+      summary.failed.push({ path: file.remotePath, error: error.message });
+      progress.totalBytes += size - progress.fileBytes;
+    }
+
+    progress.filesDone++;
+    onProgress(progress, true);
+  }
+
+  return summary;
+}
+
+/**
+ * Decide whether an existing local file can be kept
+ * @param {string} localPath - Local file path
+ * @param {Object} properties - Properties of the remote file
+ * @param {string} existing - Policy for existing files ("newer", "overwrite" or "skip")
+ * @returns {boolean} True if the download should be skipped
+ */
+function shouldSkip(localPath, properties, existing) {
+  if (existing === 'overwrite' || !fs.existsSync(localPath)) {
+    return false;
+  }
+  if (existing === 'skip') {
+    return true;
+  }
+
+  // Downloaded files get the remote modification time, so equal size and time means up to date
+  const stats = fs.statSync(localPath);
+  return stats.size === properties.contentLength &&
+    Math.floor(stats.mtimeMs / 1000) >= Math.floor(properties.lastModified.getTime() / 1000);
+}
+
+/**
+ * Download a file in parallel ranges into a partial file, resuming a previous attempt when the
+ * remote file has not changed, then move it to its final path
+ * @param {object} fileClient - Azure File Client for the file
+ * @param {Object} properties - Properties of the remote file
+ * @param {string} localPath - Local file path
+ * @param {number} concurrency - Number of ranges downloaded at the same time
+ * @param {Function} onBytes - Called with the number of bytes of the file downloaded so far
+ */
+async function downloadToFile(fileClient, properties, localPath, concurrency, onBytes) {
+  const size = properties.contentLength;
+  const partialPath = localPath + PARTIAL_SUFFIX;
+  const statePath = localPath + STATE_SUFFIX;
+  const chunkCount = Math.ceil(size / DOWNLOAD_CHUNK_SIZE);
+
+  await fs.promises.mkdir(path.dirname(localPath), { recursive: true });
+
+  // Resume only if the previous attempt was for the same version of the file
+  let completed = new Set();
+  const state = readState(statePath);
+  if (state && state.etag === properties.etag && state.size === size &&
+      state.chunkSize === DOWNLOAD_CHUNK_SIZE && fs.existsSync(partialPath)) {
+    completed = new Set(state.completed);
+  }
+
+  const handle = await fs.promises.open(partialPath, completed.size > 0 ? 'r+' : 'w');
+  let downloadedBytes = 0;
+  completed.forEach(index => {
+    downloadedBytes += Math.min(DOWNLOAD_CHUNK_SIZE, size - index * DOWNLOAD_CHUNK_SIZE);
+  });
+  onBytes(downloadedBytes);
+
+  // State is only worth saving when the file has several ranges
+  let stateWrite = Promise.resolve();
+  const saveState = () => {
+    if (chunkCount > 1) {
+      const content = JSON.stringify({ etag: properties.etag, size, chunkSize: DOWNLOAD_CHUNK_SIZE, completed: [...completed] });
+      stateWrite = stateWrite.then(() => fs.promises.writeFile(statePath, content));
+    }
+    return stateWrite;
+  };
+
+  try {
+    const pending = [];
+    for (let index = 0; index < chunkCount; index++) {
+      if (!completed.has(index)) {
+        pending.push(index);
+      }
+    }
+
+    // The first failure stops all workers; completed ranges are kept for the next attempt
+    let failure = null;
+    const worker = async () => {
+      while (pending.length > 0 && !failure) {
+        const index = pending.shift();
+        const offset = index * DOWNLOAD_CHUNK_SIZE;
+        const count = Math.min(DOWNLOAD_CHUNK_SIZE, size - offset);
+
+        try {
+          const buffer = await downloadRange(fileClient, offset, count);
+          if (buffer.length !== count) {
+            throw new Error(`Expected ${count} bytes at offset ${offset}, received ${buffer.length}`);
+          }
+          await handle.write(buffer, 0, buffer.length, offset);
+
+          completed.add(index);
+          downloadedBytes += count;
+          onBytes(downloadedBytes);
+          await saveState();
+        } catch (error) {
+          failure = failure || error;
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, Math.max(pending.length, 1)) }, worker));
+    if (failure) {
+      throw failure;
+    }
+    await handle.truncate(size);
+  } finally {
+    await handle.close();
+    await stateWrite.catch(() => {});
+  }
+
+  await fs.promises.rename(partialPath, localPath);
+  await fs.promises.rm(statePath, { force: true });
+  await fs.promises.utimes(localPath, properties.lastModified, properties.lastModified);
+}
+
+/**
+ * Read the saved state of an interrupted download
+ * @param {string} statePath - Path of the state file
+ * @returns {Object|null} Saved state, or null if there is none
+ */
+function readState(statePath) {
+  try {
+    return JSON.parse(fs.readFileSync(statePath, 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = { downloadPath, isRemoteDirectory, listDownloadEntries, downloadFiles };
@@ -0,0 +1,176 @@
+const readline = require('readline');
+const chalk = require('chalk');
+const { getFileClient } = require('../services/azureFileService');
+const { gunzipStreamIfCompressed } = require('../services/archives');
+const { searchFiles } = require('./searchFiles');
+
+// Number of files downloaded and scanned at the same time
+const GREP_CONCURRENCY = 4;
+
+/**
+ * Search the content of files in a file share, line by line
+ * @param {string} shareName - Name of the file share
+ * @param {string} searchPattern - Regular expression (or plain text with options.fixedStrings) to search for
+ * @param {Object} options - Search options
+ * @param {string} options.nameGlob - Only scan files whose name matches this glob (defaults to all files)
+ * @param {string} options.directory - Directory to start searching from (defaults to the root directory)
+ * @param {number} options.maxSize - Skip files larger than this many bytes
+ * @param {Date} options.modifiedAfter - Skip files modified before this date
+ * @param {boolean} options.fixedStrings - If true, searchPattern is matched as plain text
+ * @param {boolean} options.ignoreCase - If true, match case-insensitively
+ * @param {number} options.contextLines - Number of lines to keep before and after each match
+ * @param {number} options.maxResults - Stop after this many matches
+ * @param {boolean} options.quiet - If true, don't print progress while searching
+ * @param {Function} options.onProgress - Called with progress messages instead of printing them
+ * @param {Function} options.onError - Called with the errors of directories and files that cannot be searched,
+ *   as (path, error), instead of printing them
+ * @returns {Promise<Array>} Array of matches with path, lineNumber, line, before and after
+ */
+async function grepFiles(shareName, searchPattern, options = {}) {
+  const source = options.fixedStrings ? searchPattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') : searchPattern;
+  const pattern = new RegExp(source, options.ignoreCase ? 'i' : '');
+  const contextLines = options.contextLines || 0;
+  const maxResults = options.maxResults || Infinity;
+
+  // Find candidate files using the name search and its size/date filters
+  const candidates = await searchFiles(shareName, options.nameGlob || '*', true, {
+    glob: true,
+    quiet: options.quiet,
+    onProgress: options.onProgress,
+    onError: options.onError,
+    directory: options.directory,
+    maxSize: options.maxSize,
+    modifiedAfter: options.modifiedAfter
+  });
+
+  // Scan files in parallel, keeping the matches of each file in listing order
+  const matchesByFile = new Array(candidates.length);
+  let nextIndex = 0;
+  let matchCount = 0;
+  let scanned = 0;
+
+  const worker = async () => {
+    while (nextIndex < candidates.length && matchCount < maxResults) {
+      const index = nextIndex++;
+      const candidate = candidates[index];
+
+      try {
+        matchesByFile[index] = await scanFile(shareName, candidate.path, pattern, contextLines);
+        matchCount += matchesByFile[index].length;
+      } catch (error) {
+        if (options.onError) {
+          options.onError(candidate.path, error);
+        } else {
+          console.error(`Error scanning ${candidate.path}: ${error.message}`);
+        }
+      }
+
+      scanned++;
+      if (options.onProgress) {
+        options.onProgress(`Scanned ${scanned}/${candidates.length} files, ${matchCount} matches...`);
+      } else if (!options.quiet) {
+        process.stdout.write(chalk.gray(`\r\x1b[KScanned ${scanned}/${candidates.length} files, ${matchCount} matches...`));
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: GREP_CONCURRENCY }, worker));
+
+  if (!options.quiet && !options.onProgress) {
+    // Clear the progress indicator
+    process.stdout.write('\r\x1b[K');
+  }
+
+  return matchesByFile.filter(Boolean).flat().slice(0, maxResults);
+}
+
+/**
+ * Download a file and collect the lines matching a pattern, with context lines.
+ * Gzip-compressed files are searched decompressed.
+ * @param {string} shareName - Name of the file share
+ * @param {string} filePath - Path to the file
+ * @param {RegExp} pattern - Pattern to search for
+ * @param {number} contextLines - Number of lines to keep before and after each match
+ * @returns {Promise<Array>} Matches found in the file
+ */
+async function scanFile(shareName, filePath, pattern, contextLines) {
+  const fileClient = getFileClient(shareName, filePath);
+  const downloadResponse = await fileClient.download(0);
+  const lines = readline.createInterface({
+    input: gunzipStreamIfCompressed(downloadResponse.readableStreamBody),
+    crlfDelay: Infinity
+  });
+
+  const matches = [];
+  const before = [];
+  let pending = [];
+  let lineNumber = 0;
+
+  for await (const line of lines) {
+    lineNumber++;
+
+    // Complete the trailing context of previous matches
+    pending.forEach(match => match.after.push(line));
+    pending = pending.filter(match => match.after.length < contextLines);
+
+    if (pattern.test(line)) {
+      const match = { path: filePath, lineNumber, line, before: [...before], after: [] };
+      matches.push(match);
+      if (contextLines > 0) {
+        pending.push(match);
+      }
+    }
+
+    before.push(line);
+    if (before.length > contextLines) {
+      before.shift();
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Format matches the way grep does: "path:line: text" for matching lines and
+ * "path-line- text" for context lines, with "--" between non-adjacent blocks
+ * @param {Array} matches - Matches returned by grepFiles
+ * @returns {Array<string>} Output lines
+ */
+function formatMatches(matches) {
+  const output = [];
+  const hasContext = matches.some(match => match.before.length > 0 || match.after.length > 0);
+  let index = 0;
+
+  while (index < matches.length) {
+    // Merge the lines of all consecutive matches in the same file, so overlapping context is printed once
+    const filePath = matches[index].path;
+    const lines = new Map();
+
+    for (; index < matches.length && matches[index].path === filePath; index++) {
+      const match = matches[index];
+      const firstLine = match.lineNumber - match.before.length;
+
+      match.before.forEach((text, offset) => {
+        if (!lines.has(firstLine + offset)) lines.set(firstLine + offset, { text, isMatch: false });
+      });
+      lines.set(match.lineNumber, { text: match.line, isMatch: true });
+      match.after.forEach((text, offset) => {
+        if (!lines.has(match.lineNumber + offset + 1)) lines.set(match.lineNumber + offset + 1, { text, isMatch: false });
+      });
+    }
+
+    let previous = null;
+    [...lines.keys()].sort((a, b) => a - b).forEach(lineNumber => {
+      if (hasContext && output.length > 0 && (previous === null || lineNumber !== previous + 1)) {
+        output.push('--');
+      }
+      const { text, isMatch } = lines.get(lineNumber);
+      output.push(`${filePath}${isMatch ? ':' : '-'}${lineNumber}${isMatch ? ':' : '-'} ${text}`);
+      previous = lineNumber;
+    });
+  }
+
+  return output;
+}
+
+module.exports = { grepFiles, formatMatches };
@@ -1,4 +1,9 @@
 const { getShareClient } = require('../services/azureFileService');
+const { groupLogFiles } = require('../utils/logGroups');
+const { joinPath } = require('../utils/paths');
+
+// Number of items requested per page by the interactive listings (the service returns at most 5000)
+const LISTING_PAGE_SIZE = 500;
 
 /**
  * List files in a specific directory of a file share
@@ -7,32 +12,89 @@ const { getShareClient } = require('../services/azureFileService');
  * @returns {Promise<Array>} Array of file and directory items
  */
 async function listFiles(shareName, directory = '') {
-  try {
-    const shareClient = getShareClient(shareName);
-    let directoryClient;
-    
-    if (directory) {
-      directoryClient = shareClient.getDirectoryClient(directory);
-    } else {
-      directoryClient = shareClient.rootDirectoryClient;
-    }
-    
-    const items = [];
-    
-    // List all files and directories in the directory
-    for await (const item of directoryClient.listFilesAndDirectories()) {
-      items.push({
-        name: item.name,
-        isDirectory: item.kind === 'directory',
-        properties: item.properties
-      });
-    }
-    
-    return items;
-  } catch (error) {
-    console.error(`Error listing files in ${shareName}/${directory}: ${error.message}`);
-    throw error;
+  const shareClient = getShareClient(shareName);
+  let directoryClient;
+  
+  if (directory) {
+    directoryClient = shareClient.getDirectoryClient(directory);
+  } else {
+    directoryClient = shareClient.rootDirectoryClient;
+  }
+  
+  const items = [];
+  
+  // List all files and directories in the directory, with their modification times
+  for await (const item of directoryClient.listFilesAndDirectories({ includeTimestamps: true })) {
+    items.push({
+      name: item.name,
+      isDirectory: item.kind === 'directory',
+      properties: item.properties
+    });
   }
+  
+  return items;
+}
+
+/**
+ * List one page of a directory, for directories too large to be listed at once
+ * @param {string} shareName - Name of the file share
+ * @param {string} directory - Directory path (optional)
+ * @param {Object} options - Page options
+ * @param {string} options.prefix - Only list the names starting with this prefix (matched by the service)
+ * @param {string} options.continuationToken - Token returned with the previous page, to list the next one
+ * @param {number} options.pageSize - Maximum number of items of the page
+ * @returns {Promise<{items: Array, continuationToken: string|undefined}>} Items of the page, directories first,
+ *   and the token of the next page, undefined after the last page
+ */
+async function listFilesPage(shareName, directory = '', options = {}) {
+  const shareClient = getShareClient(shareName);
+  const directoryClient = directory ? shareClient.getDirectoryClient(directory) : shareClient.rootDirectoryClient;
+  const pages = directoryClient
+    .listFilesAndDirectories({ includeTimestamps: true, prefix: options.prefix || undefined })
+    .byPage({ continuationToken: options.continuationToken, maxPageSize: options.pageSize || LISTING_PAGE_SIZE });
+  const { value: page } = await pages.next();
+
+  if (!page) {
+    return { items: [], continuationToken: undefined };
+  }
+
+  const items = [
+    ...page.segment.directoryItems.map(item => ({ name: item.name, isDirectory: true, properties: item.properties })),
+    ...page.segment.fileItems.map(item => ({ name: item.name, isDirectory: false, properties: item.properties }))
+  ];
+  return { items, continuationToken: page.continuationToken || undefined };
+}
+
+/**
+ * List all the files of a log file group, using the group name as prefix so that only the
+ * pages holding them are listed, however large the directory
+ * @param {string} shareName - Name of the file share
+ * @param {string} directory - Directory containing the group
+ * @param {string} groupName - Base name of the group
+ * @returns {Promise<Array>} Files of the group, newest first
+ */
+async function listGroupFiles(shareName, directory, groupName) {
+  const items = [];
+  let continuationToken;
+  do {
+    const page = await listFilesPage(shareName, directory, { prefix: groupName, continuationToken });
+    items.push(...page.items);
+    continuationToken = page.continuationToken;
+  } while (continuationToken);
+
+  return groupLogFiles(items).fileGroups[groupName] || [];
+}
+
+/**
+ * Find the newest file of a log file group, listing its directory again
+ * @param {string} shareName - Name of the file share
+ * @param {string} directory - Directory containing the group
+ * @param {string} groupName - Base name of the group
+ * @returns {Promise<string|null>} Path of the newest file, or null if the group is empty
+ */
+async function findNewestGroupFile(shareName, directory, groupName) {
+  const files = await listGroupFiles(shareName, directory, groupName);
+  return files.length > 0 ? joinPath(directory, files[0].name) : null;
 }
 
-module.exports = { listFiles };
\ No newline at end of file
+module.exports = { listFiles, listFilesPage, listGroupFiles, findNewestGroupFile };
\ No newline at end of file
@@ -2,26 +2,47 @@ const { getFileServiceClient } = require('../services/azureFileService');
 
 /**
  * List all available file shares
+ * @param {Object} options - List options
+ * @param {boolean} options.includeSnapshots - Also list share snapshots, as items with a snapshot timestamp
  * @returns {Promise<Array>} Array of file share items
  */
-async function listShares() {
-  try {
-    const fileServiceClient = getFileServiceClient();
-    const shares = [];
-    
-    // List all shares in the account
-    for await (const share of fileServiceClient.listShares()) {
-      shares.push({
+async function listShares(options = {}) {
+  const fileServiceClient = getFileServiceClient();
+  const shares = [];
+  
+  // List all shares in the account
+  for await (const share of fileServiceClient.listShares({ includeSnapshots: options.includeSnapshots })) {
+    shares.push({
+      name: share.name,
+      snapshot: share.snapshot || '',
+      properties: share.properties
+    });
+  }
+  
+  return shares;
+}
+
+/**
+ * List the snapshots of a file share
+ * @param {string} shareName - Name of the file share
+ * @returns {Promise<Array>} Snapshot items, newest first
+ */
+async function listShareSnapshots(shareName) {
+  const fileServiceClient = getFileServiceClient();
+  const snapshots = [];
+
+  // Listing by prefix also returns other shares starting with the same name
+  for await (const share of fileServiceClient.listShares({ prefix: shareName, includeSnapshots: true })) {
+    if (share.name === shareName && share.snapshot) {
+      snapshots.push({
         name: share.name,
+        snapshot: share.snapshot,
         properties: share.properties
       });
     }
-    
-    return shares;
-  } catch (error) {
-    console.error(`Error listing file shares: ${error.message}`);
-    throw error;
   }
+
+  return snapshots.sort((a, b) => b.snapshot.localeCompare(a.snapshot));
 }
 
-module.exports = { listShares };
\ No newline at end of file
+module.exports = { listShares, listShareSnapshots };
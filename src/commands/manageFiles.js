@@ -0,0 +1,208 @@
+const { getFileClient, getDirectoryClient, ensureDirectory } = require('../services/azureFileService');
+const { listFiles } = require('./listFiles');
+const { copyFile } = require('./restoreFiles');
+const { splitShareSnapshot, joinPath, parentPath } = require('../utils/paths');
+
+// Operations on files and directories of a share
+const FILE_OPERATIONS = ['delete', 'rename', 'move', 'copy'];
+
+// Default number of ranges copied at the same time
+const COPY_CONCURRENCY = 4;
+
+/**
+ * Check whether a file or a directory exists at a path of a share
+ * @param {string} shareName - Name of the file share
+ * @param {string} itemPath - Path within the share
+ * @returns {Promise<boolean>} True if a file or a directory exists at this path
+ */
+async function pathExists(shareName, itemPath) {
+  for (const client of [getFileClient(shareName, itemPath), getDirectoryClient(shareName, itemPath)]) {
+    try {
+      await client.getProperties();
+      return true;
+    } catch (error) {
+      if (error.statusCode !== 404) {
+        throw error;
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * List the files and directories of items, directories recursively
+ * @param {string} shareName - Name of the file share
+ * @param {Array} items - Items as { path, isDirectory }
+ * @returns {Promise<Array>} Entries as { path, isDirectory, size }, each directory before its content
+ */
+async function listItemEntries(shareName, items) {
+  const entries = [];
+
+  for (const item of items) {
+    if (!item.isDirectory) {
+      const properties = await getFileClient(shareName, item.path).getProperties();
+      entries.push({ path: item.path, isDirectory: false, size: properties.contentLength });
+      continue;
+    }
+
+    entries.push({ path: item.path, isDirectory: true, size: 0 });
+    const children = await listFiles(shareName, item.path);
+    entries.push(...await listItemEntries(shareName, children.map(child => ({
+      path: joinPath(item.path, child.name),
+      isDirectory: child.isDirectory
+    }))));
+  }
+
+  return entries;
+}
+
+/**
+ * Plan an operation on files and directories, checking it against the share without changing anything.
+ * The plan lists every file and directory affected, for a confirmation or a dry run.
+ * @param {string} operation - "delete", "rename", "move" or "copy"
+ * @param {string} shareName - Name of the file share
+ * @param {Array} items - Items to operate on, as { path, isDirectory }
+ * @param {Object} target - Destination: { name } to rename an item, { directory, name } to move or copy items
+ *   (name is only allowed with a single item, and defaults to the name of each item)
+ * @returns {Promise<Object>} Plan as { operation, shareName, entries, steps, totalSize } where entries are the affected
+ *   files and directories, with their destination for rename, move and copy
+ */
+async function planOperation(operation, shareName, items, target = {}) {
+  if (!FILE_OPERATIONS.includes(operation)) {
+    throw new Error(`Unknown operation: ${operation} (expected ${FILE_OPERATIONS.join(', ')})`);
+  }
+  if (splitShareSnapshot(shareName).snapshot) {
+    throw new Error(`Share snapshots are read-only: ${shareName}`);
+  }
+  if (items.length === 0) {
+    throw new Error('No files or directories to ' + operation);
+  }
+  if (target.name !== undefined && (items.length > 1 || !target.name || target.name.includes('/'))) {
+    throw new Error(items.length > 1 ? 'A new name can only be given to a single item' : `Invalid name: ${target.name}`);
+  }
+
+  const entries = await listItemEntries(shareName, items);
+  const steps = [];
+
+  if (operation === 'delete') {
+    // Files first, then directories from the deepest, which are empty by then
+    entries.filter(entry => !entry.isDirectory).forEach(entry => steps.push({ action: 'delete', ...entry }));
+    entries.filter(entry => entry.isDirectory)
+      .sort((a, b) => b.path.split('/').length - a.path.split('/').length)
+      .forEach(entry => steps.push({ action: 'delete', ...entry }));
+  } else {
+    const directory = operation === 'rename' ? parentPath(items[0].path) : (target.directory || '');
+    for (const item of items) {
+      const destination = joinPath(directory, target.name || item.path.split('/').pop());
+      if (destination === item.path) {
+        throw new Error(`${item.path} is already at this path`);
+      }
+      if (item.isDirectory && (destination + '/').startsWith(item.path + '/')) {
+        throw new Error(`Cannot ${operation} ${item.path} into itself`);
+      }
+      if (await pathExists(shareName, destination)) {
+        throw new Error(`${destination} already exists`);
+      }
+
+      // The entries under the item keep their place under its destination
+      entries.filter(entry => entry.path === item.path || entry.path.startsWith(item.path + '/')).forEach(entry => {
+        entry.destination = destination + entry.path.slice(item.path.length);
+      });
+
+      if (operation !== 'copy') {
+        // A rename moves a directory with all its content at once
+        steps.push({ action: 'rename', path: item.path, isDirectory: item.isDirectory, destination, size: 0 });
+      }
+    }
+
+    if (operation === 'copy') {
+      entries.forEach(entry => steps.push({ action: entry.isDirectory ? 'create' : 'copy', ...entry }));
+    }
+  }
+
+  const totalSize = entries.reduce((total, entry) => total + entry.size, 0);
+  return { operation, shareName, entries, steps, totalSize };
+}
+
+/**
+ * Run a planned operation, step by step. A failed step does not stop the next ones; deleting a
+ * directory whose files could not be deleted fails too.
+ * @param {Object} plan - Plan returned by planOperation
+ * @param {Object} options - Run options
+ * @param {number} options.concurrency - Number of ranges copied at the same time
+ * @param {Function} options.onProgress - Called with progress events while running
+ * @returns {Promise<Object>} Summary with the paths done and failed, and copied bytes
+ */
+async function runOperation(plan, options = {}) {
+  const { shareName } = plan;
+  const summary = { done: [], failed: [], bytes: 0 };
+  const onProgress = options.onProgress || (() => {});
+  const knownDirectories = new Set();
+
+  const progress = {
+    file: '',
+    fileBytes: 0,
+    fileSize: 0,
+    filesDone: 0,
+    fileCount: plan.steps.length,
+    totalBytes: 0,
+    totalSize: plan.steps.reduce((total, step) => total + (step.action === 'copy' ? step.size : 0), 0)
+  };
+
+  for (const step of plan.steps) {
+    Object.assign(progress, { file: step.path, fileBytes: 0, fileSize: step.action === 'copy' ? step.size : 0 });
+
+    try {
+      if (step.action === 'delete') {
+        if (step.isDirectory) {
+          await getDirectoryClient(shareName, step.path).delete();
+        } else {
+          await getFileClient(shareName, step.path).delete();
+        }
+      } else if (step.action === 'rename') {
+        await ensureDirectory(shareName, parentPath(step.destination), knownDirectories);
+        const client = step.isDirectory ? getDirectoryClient(shareName, step.path) : getFileClient(shareName, step.path);
+        await client.rename(step.destination);
+      } else if (step.action === 'create') {
+        await ensureDirectory(shareName, step.destination, knownDirectories);
+      } else {
+        await ensureDirectory(shareName, parentPath(step.destination), knownDirectories);
+        const before = progress.totalBytes;
+        await copyFile(getFileClient(shareName, step.path), shareName, step.destination, step.size,
+          options.concurrency || COPY_CONCURRENCY, (bytes) => {
+            progress.fileBytes = bytes;
+            progress.totalBytes = before + bytes;
+            onProgress(progress);
+          });
+        summary.bytes += step.size;
+      }
+      summary.done.push(step.path);
+    } catch (error) {
+      summary.failed.push({ path: step.path, error: error.message });
+    }
+
+    if (step.action === 'copy') {
+      progress.totalBytes += step.size - progress.fileBytes;
+    }
+    progress.filesDone++;
+    onProgress(progress, true);
+  }
+
+  return summary;
+}
+
+/**
+ * Describe a plan for a confirmation or a dry run: one line per affected file and directory
+ * @param {Object} plan - Plan returned by planOperation
+ * @param {Function} formatSize - Formats a number of bytes
+ * @returns {Array<string>} Lines such as "logs/app.log.1 -> archive/app.log.1 (1.2 MB)"
+ */
+function describePlan(plan, formatSize) {
+  return plan.entries.map(entry => {
+    const name = entry.isDirectory ? `${entry.path}/` : entry.path;
+    const destination = entry.destination ? ` -> ${entry.destination}${entry.isDirectory ? '/' : ''}` : '';
+    return `${name}${destination}${entry.isDirectory ? '' : ` (${formatSize(entry.size)})`}`;
+  });
+}
+
+module.exports = { FILE_OPERATIONS, planOperation, runOperation, describePlan };
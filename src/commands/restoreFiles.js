@@ -0,0 +1,147 @@
+const { getFileClient, ensureDirectory, replaceFile } = require('../services/azureFileService');
+const { listFiles } = require('./listFiles');
+const { downloadRange } = require('./displayFile');
+const { splitShareSnapshot, joinPath, parentPath } = require('../utils/paths');
+
+// Size of the ranges copied from the snapshot (the service accepts at most 4 MiB per range)
+const RESTORE_RANGE_SIZE = 4 * 1024 * 1024;
+
+// Default number of ranges copied at the same time
+const RESTORE_CONCURRENCY = 4;
+
+/**
+ * List the files to restore for files and directories of a snapshot
+ * @param {string} snapshotShareName - Snapshot reference ("<share>@<snapshot>")
+ * @param {Array} items - Items to restore, as { path, isDirectory }
+ * @returns {Promise<Array>} Paths of the files to restore, with their size
+ */
+async function listRestoreEntries(snapshotShareName, items) {
+  const entries = [];
+
+  for (const item of items) {
+    if (!item.isDirectory) {
+      const properties = await getFileClient(snapshotShareName, item.path).getProperties();
+      entries.push({ path: item.path, size: properties.contentLength });
+      continue;
+    }
+
+    const children = await listFiles(snapshotShareName, item.path);
+    entries.push(...await listRestoreEntries(snapshotShareName, children.map(child => ({
+      path: joinPath(item.path, child.name),
+      isDirectory: child.isDirectory
+    }))));
+  }
+
+  return entries;
+}
+
+/**
+ * Restore files from a share snapshot into the live share, at the same paths
+ * @param {string} snapshotShareName - Snapshot reference ("<share>@<snapshot>")
+ * @param {Array} entries - Entries returned by listRestoreEntries
+ * @param {Object} options - Restore options
+ * @param {string} options.existing - What to do with files existing in the live share: "overwrite" (default)
+ *   replaces them with their snapshot version, "skip" only restores missing files
+ * @param {number} options.concurrency - Number of ranges copied at the same time
+ * @param {Function} options.onProgress - Called with progress events while restoring
+ * @returns {Promise<Object>} Summary with restored, skipped and failed files and restored bytes
+ */
+async function restoreFiles(snapshotShareName, entries, options = {}) {
+  const { name: liveShareName, snapshot } = splitShareSnapshot(snapshotShareName);
+  if (!snapshot) {
+    throw new Error(`Not a share snapshot: ${snapshotShareName}`);
+  }
+
+  const summary = { restored: [], skipped: [], failed: [], bytes: 0 };
+  const onProgress = options.onProgress || (() => {});
+  const knownDirectories = new Set();
+
+  const progress = {
+    file: '',
+    fileBytes: 0,
+    fileSize: 0,
+    filesDone: 0,
+    fileCount: entries.length,
+    totalBytes: 0,
+    totalSize: entries.reduce((total, entry) => total + entry.size, 0)
+  };
+
+  for (const entry of entries) {
+    Object.assign(progress, { file: entry.path, fileBytes: 0, fileSize: entry.size });
+
+    try {
+      const liveFileClient = getFileClient(liveShareName, entry.path);
+      if (options.existing === 'skip' && await liveFileClient.exists()) {
+        summary.skipped.push(entry.path);
+        progress.totalBytes += entry.size;
+      } else {
+        await ensureDirectory(liveShareName, parentPath(entry.path), knownDirectories);
+
+        const before = progress.totalBytes;
+        await copyFile(getFileClient(snapshotShareName, entry.path), liveShareName, entry.path, entry.size,
+          options.concurrency || RESTORE_CONCURRENCY, (bytes) => {
+            progress.fileBytes = bytes;
+            progress.totalBytes = before + bytes;
+            onProgress(progress);
+          });
+        summary.restored.push(entry.path);
+        summary.bytes += entry.size;
+      }
+    } catch (error) {
+      summary.failed.push({ path: entry.path, error: error.message });
+      progress.totalBytes += entry.size - progress.fileBytes;
+    }
+
+    progress.filesDone++;
+    onProgress(progress, true);
+  }
+
+  return summary;
+}
+
+/**
+ * Copy a file in parallel ranges through this client, replacing the destination once every range is
+ * copied (see replaceFile). The content goes through the client instead of a server-side copy, so it
+ * works with every authentication type.
+ * @param {object} sourceClient - Azure File Client for the source file
+ * @param {string} shareName - Name of the destination file share
+ * @param {string} filePath - Path of the destination file (its directory must exist)
+ * @param {number} size - Size of the file in bytes
+ * @param {number} concurrency - Number of ranges copied at the same time
+ * @param {Function} onBytes - Called with the number of bytes copied so far
+ */
+async function copyFile(sourceClient, shareName, filePath, size, concurrency, onBytes) {
+  await replaceFile(shareName, filePath, size, async (destinationClient) => {
+    const pending = [];
+    for (let offset = 0; offset < size; offset += RESTORE_RANGE_SIZE) {
+      pending.push(offset);
+    }
+
+    // The first failure stops all workers
+    let copiedBytes = 0;
+    let failure = null;
+    const worker = async () => {
+      while (pending.length > 0 && !failure) {
+        const offset = pending.shift();
+        const count = Math.min(RESTORE_RANGE_SIZE, size - offset);
+
+        try {
+          const buffer = await downloadRange(sourceClient, offset, count);
+          await destinationClient.uploadRange(buffer, offset, buffer.length);
+
+          copiedBytes += buffer.length;
+          onBytes(copiedBytes);
+        } catch (error) {
+          failure = failure || error;
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, Math.max(pending.length, 1)) }, worker));
+    if (failure) {
+      throw failure;
+    }
+  });
+}
+
+module.exports = { listRestoreEntries, restoreFiles, copyFile };
@@ -1,25 +1,37 @@
 const { getShareClient } = require('../services/azureFileService');
 const chalk = require('chalk');
+const { globToRegExp } = require('../utils/patterns');
 
 /**
  * Search for files in a file share
  * @param {string} shareName - Name of the file share
  * @param {string} searchPattern - Pattern to search for
  * @param {boolean} recursive - Whether to search recursively through subdirectories
+ * @param {Object} options - Search options
+ * @param {boolean} options.quiet - If true, don't print progress while searching
+ * @param {Function} options.onProgress - Called with progress messages instead of printing them
+ * @param {Function} options.onError - Called with the errors of directories that cannot be searched, as
+ *   (path, error), instead of printing them
+ * @param {boolean} options.glob - If true, searchPattern is a glob (e.g. "*.log") instead of a regular expression
+ * @param {string} options.directory - Directory to start searching from (defaults to the root directory)
+ * @param {number} options.minSize - Only match files of at least this many bytes
+ * @param {number} options.maxSize - Only match files of at most this many bytes
+ * @param {Date} options.modifiedAfter - Only match files modified after this date
+ * @param {Date} options.modifiedBefore - Only match files modified before this date
  * @returns {Promise<Array>} Array of matching file paths
  */
-async function searchFiles(shareName, searchPattern, recursive = true) {
+async function searchFiles(shareName, searchPattern, recursive = true, options = {}) {
   const results = [];
-  const pattern = new RegExp(searchPattern, 'i'); // Case insensitive
+  const pattern = options.glob ? globToRegExp(searchPattern) : new RegExp(searchPattern, 'i'); // Case insensitive
   
-  try {
-    // Start the recursive search from the root directory
-    await searchDirectory(shareName, '', pattern, recursive, results);
-    return results;
-  } catch (error) {
-    console.error(`Error searching files: ${error.message}`);
-    throw error;
+  // Start the recursive search from the requested directory
+  await searchDirectory(shareName, options.directory || '', pattern, recursive, results, options);
+  
+  if (!options.quiet && !options.onProgress) {
+    // Clear the progress indicator
+    process.stdout.write('\r\x1b[K');
   }
+  return results;
 }
 
 /**
@@ -29,8 +41,9 @@ async function searchFiles(shareName, searchPattern, recursive = true) {
  * @param {RegExp} pattern - Search pattern
  * @param {boolean} recursive - Whether to search recursively
  * @param {Array} results - Array to store matching file paths
+ * @param {Object} options - Search options
  */
-async function searchDirectory(shareName, dirPath, pattern, recursive, results) {
+async function searchDirectory(shareName, dirPath, pattern, recursive, results, options) {
   try {
     const shareClient = getShareClient(shareName);
     let directoryClient;
@@ -43,11 +56,15 @@ async function searchDirectory(shareName, dirPath, pattern, recursive, results)
     
     // List all items in the current directory
     let items = [];
-    const itemIter = directoryClient.listFilesAndDirectories();
+    const itemIter = directoryClient.listFilesAndDirectories({ includeTimestamps: true });
     let item = await itemIter.next();
     
     // Add progress indicator for large directories
-    process.stdout.write(chalk.gray(`Searching in ${dirPath || 'root'}...\r`));
+    if (options.onProgress) {
+      options.onProgress(`Searching in ${dirPath || 'root'}...`);
+    } else if (!options.quiet) {
+      process.stdout.write(chalk.gray(`\r\x1b[KSearching in ${dirPath || 'root'}...`));
+    }
     
     while (!item.done) {
       items.push(item.value);
@@ -61,10 +78,10 @@ async function searchDirectory(shareName, dirPath, pattern, recursive, results)
       
       if (item.kind === 'directory' && recursive) {
         // Recursively search subdirectories
-        await searchDirectory(shareName, fullPath, pattern, recursive, results);
+        await searchDirectory(shareName, fullPath, pattern, recursive, results, options);
       } else if (item.kind === 'file') {
-        // Check if file name matches the pattern
-        if (pattern.test(itemName)) {
+        // Check if file name matches the pattern and the size/date filters
+        if (pattern.test(itemName) && matchesFilters(item.properties, options)) {
           results.push({
             path: fullPath,
             isDirectory: false,
@@ -76,8 +93,38 @@ async function searchDirectory(shareName, dirPath, pattern, recursive, results)
       }
     }
   } catch (error) {
-    console.error(`Error searching directory ${dirPath}: ${error.message}`);
+    if (options.onError) {
+      options.onError(dirPath, error);
+    } else {
+      console.error(`Error searching directory ${dirPath}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Check file properties against the size and modification date filters
+ * @param {Object} properties - File properties from the directory listing
+ * @param {Object} options - Search options
+ * @returns {boolean} True if the file passes all filters
+ */
+function matchesFilters(properties, options) {
+  const size = properties.contentLength;
+  const lastModified = properties.lastModified;
+  
+  if (options.minSize !== undefined && size < options.minSize) {
+    return false;
   }
+  if (options.maxSize !== undefined && size > options.maxSize) {
+    return false;
+  }
+  if (options.modifiedAfter && (!lastModified || lastModified < options.modifiedAfter)) {
+    return false;
+  }
+  if (options.modifiedBefore && (!lastModified || lastModified > options.modifiedBefore)) {
+    return false;
+  }
+  
+  return true;
 }
 
 module.exports = { searchFiles };
\ No newline at end of file
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const { getFileClient, ensureDirectory, uploadFile } = require('../services/azureFileService');
+const { joinPath, parentPath } = require('../utils/paths');
+
+/**
+ * List the files and directories to upload for a local file or directory
+ * @param {string} localPath - Local file or directory
+ * @param {string} remotePath - Destination path in the share for localPath itself
+ * @returns {Promise<Array>} Entries with localPath, remotePath, isDirectory and size
+ */
+async function listUploadEntries(localPath, remotePath) {
+  const stats = await fs.promises.stat(localPath);
+
+  if (!stats.isDirectory()) {
+    return [{ localPath, remotePath, isDirectory: false, size: stats.size }];
+  }
+
+  const entries = [{ localPath, remotePath, isDirectory: true, size: 0 }];
+  const names = await fs.promises.readdir(localPath);
+
+  for (const name of names.sort()) {
+    entries.push(...await listUploadEntries(path.join(localPath, name), joinPath(remotePath, name)));
+  }
+
+  return entries;
+}
+
+/**
+ * Upload files into a share, creating missing directories
+ * @param {string} shareName - Name of the file share
+ * @param {Array} entries - Entries returned by listUploadEntries
+ * @param {Object} options - Upload options
+ * @param {string} options.existing - What to do with existing remote files: "ask" (default) calls
+ *   options.confirmOverwrite, "overwrite" always uploads, "skip" never does
+ * @param {Function} options.confirmOverwrite - Called with the remote path of an existing file, resolves to
+ *   "yes", "no", "all" (overwrite this and all following files) or "none" (skip all following files)
+ * @param {number} options.concurrency - Number of ranges uploaded at the same time
+ * @param {Function} options.onProgress - Called with progress events while uploading
+ * @returns {Promise<Object>} Summary with uploaded, skipped and failed files and uploaded bytes
+ */
+async function uploadFiles(shareName, entries, options = {}) {
+  const summary = { uploaded: [], skipped: [], failed: [], bytes: 0 };
+  const onProgress = options.onProgress || (() => {});
+  const files = entries.filter(entry => !entry.isDirectory);
+  const knownDirectories = new Set();
+  let existing = options.existing || 'ask';
+
+  const progress = {
+    file: '',
+    fileBytes: 0,
+    fileSize: 0,
+    filesDone: 0,
+    fileCount: files.length,
+    totalBytes: 0,
+    totalSize: files.reduce((total, file) => total + file.size, 0)
+  };
+
+  // Create every directory up front, so empty local directories are uploaded too
+  for (const entry of entries.filter(entry => entry.isDirectory)) {
+    await ensureDirectory(shareName, entry.remotePath, knownDirectories);
+  }
+
+  for (const file of files) {
+    Object.assign(progress, { file: file.remotePath, fileBytes: 0, fileSize: file.size });
+
+    try {
+      await ensureDirectory(shareName, parentPath(file.remotePath), knownDirectories);
+
+      let upload = true;
+      if (existing !== 'overwrite' && await getFileClient(shareName, file.remotePath).exists()) {
+        if (existing === 'skip') {
+          upload = false;
+        } else {
+          const answer = options.confirmOverwrite ? await options.confirmOverwrite(file.remotePath) : 'no';
+          if (answer === 'all') {
+            existing = 'overwrite';
+          } else if (answer === 'none') {
+            existing = 'skip';
+          }
+          upload = answer === 'yes' || answer === 'all';
+        }
+      }
+
+      if (upload) {
+        const before = progress.totalBytes;
+        await uploadFile(shareName, file.localPath, file.remotePath, {
+          concurrency: options.concurrency,
+          onBytes: (bytes) => {
+            progress.fileBytes = bytes;
+            progress.totalBytes = before + bytes;
+            onProgress(progress);
+          }
+        });
+        summary.uploaded.push(file.remotePath);
+        summary.bytes += file.size;
+      } else {
+        summary.skipped.push(file.remotePath);
+        progress.totalBytes += file.size;
+      }
+    } catch (error) {
+      summary.failed.push({ path: file.remotePath, error: error.message });
+      progress.totalBytes += file.size - progress.fileBytes;
+    }
+
+    progress.filesDone++;
+    onProgress(progress, true);
+  }
+
+  return summary;
+}
+
+module.exports = { listUploadEntries, uploadFiles };
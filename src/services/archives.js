@@ -0,0 +1,593 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { getConfig } = require('../utils/config');
+const { formatBytes, parseSize } = require('../utils/formatting');
+
+// Size of the ranges read from a compressed file while decompressing it
+const READ_CHUNK_SIZE = 4 * 1024 * 1024;
+
+// Size limit of decompressed content used when the configuration does not set "maxDecompressedSize"
+const DEFAULT_MAX_DECOMPRESSED_SIZE = 2 * 1024 * 1024 * 1024;
+
+// Number of bytes decompressed from gzip content before it can be read, enough to detect its type
+const GZIP_HEAD_SIZE = 64 * 1024;
+
+// Growth of gzip content being decompressed between two notifications
+const GROWTH_NOTIFICATION_SIZE = 1024 * 1024;
+
+const NEWLINE = 0x0a;
+
+// Signatures of zip records
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_DIRECTORY = 0x06054b50;
+
+// The end of central directory record is 22 bytes, followed by a comment of at most 65535 bytes
+const ZIP_END_SIZE = 22;
+const ZIP_MAX_COMMENT = 65535;
+
+// Compression methods of zip entries
+const ZIP_STORED = 0;
+const ZIP_DEFLATED = 8;
+
+const TAR_BLOCK_SIZE = 512;
+
+// Archives are read through sources: objects with a name, a size in bytes and read(offset, count)
+// resolving to a Buffer. A source can be the remote file, a temporary file holding decompressed
+// content, or the part of another source holding an archive entry.
+
+/**
+ * Detect compressed files and archives from their first bytes (and the extension, for tar files
+ * written without the ustar signature)
+ * @param {Buffer} sample - First bytes of the file; at least 512 are needed to recognize tar files
+ * @param {string} fileName - Name of the file
+ * @returns {string|null} "gzip", "zip", "tar", or null for other files
+ */
+function detectArchiveType(sample, fileName) {
+  if (sample.length >= 2 && sample[0] === 0x1f && sample[1] === 0x8b) {
+    return 'gzip';
+  }
+  if (sample.length >= 4 && [ZIP_LOCAL_HEADER, ZIP_END_OF_DIRECTORY].includes(sample.readUInt32LE(0))) {
+    return 'zip';
+  }
+  if (sample.length >= TAR_BLOCK_SIZE && hasValidTarChecksum(sample) &&
+      (sample.toString('latin1', 257, 262) === 'ustar' || /\.tar$/i.test(fileName))) {
+    return 'tar';
+  }
+  return null;
+}
+
+/**
+ * Decompress the beginning of gzip content, for previews
+ * @param {Buffer} sample - First bytes of gzip content
+ * @returns {Buffer|null} Decompressed bytes, or null if the sample cannot be decompressed
+ */
+function decompressGzipSample(sample) {
+  try {
+    // Flushing instead of finishing accepts content cut anywhere
+    return zlib.gunzipSync(sample, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Decompress a stream on the fly when it holds gzip content, so that compressed files can be read
+ * like plain ones
+ * @param {Readable} stream - Content of a file
+ * @returns {Readable} Decompressed content, or the content itself when it is not compressed
+ */
+function gunzipStreamIfCompressed(stream) {
+  return Readable.from((async function* () {
+    // Read enough bytes to check the gzip signature
+    const chunks = stream[Symbol.asyncIterator]();
+    let head = Buffer.alloc(0);
+    let next = await chunks.next();
+    while (!next.done && head.length + next.value.length < 2) {
+      head = Buffer.concat([head, next.value]);
+      next = await chunks.next();
+    }
+    if (!next.done) {
+      head = Buffer.concat([head, next.value]);
+    }
+    if (head.length === 0) {
+      return;
+    }
+
+    const content = Readable.from((async function* () {
+      yield head;
+      for (let chunk = await chunks.next(); !chunk.done; chunk = await chunks.next()) {
+        yield chunk.value;
+      }
+    })());
+    const isGzip = head.length >= 2 && head[0] === 0x1f && head[1] === 0x8b;
+    yield* isGzip ? content.pipe(zlib.createGunzip()) : content;
+  })());
+}
+
+/**
+ * Get the name of gzip content once decompressed: "app.log.gz" gives "app.log" and "logs.tgz" gives "logs.tar"
+ * @param {string} fileName - Name of the compressed file
+ * @returns {string} Name of the decompressed content
+ */
+function getDecompressedName(fileName) {
+  if (/\.tgz$/i.test(fileName)) {
+    return fileName.replace(/\.tgz$/i, '.tar');
+  }
+  return fileName.replace(/\.gz$/i, '');
+}
+
+/**
+ * Create a temporary directory for decompressed content
+ * @returns {string} Path of the new directory
+ */
+function createTempDirectory() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'azure-file-browser-'));
+}
+
+/**
+ * Remove a temporary directory and the files decompressed into it
+ * @param {string} directory - Path of the directory
+ */
+function removeTempDirectory(directory) {
+  fs.rmSync(directory, { recursive: true, force: true });
+}
+
+/**
+ * Create a source reading a local file
+ * @param {string} filePath - Path of the local file
+ * @param {string} name - Name of the content, shown in the viewer
+ * @param {number} size - Number of bytes of the file
+ * @returns {Object} Source
+ */
+function createLocalSource(filePath, name, size) {
+  const source = {
+    name,
+    size,
+    async read(offset, count) {
+      const length = Math.max(0, Math.min(count === undefined ? source.size : count, source.size - offset));
+      const handle = await fs.promises.open(filePath, 'r');
+      try {
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await handle.read(buffer, 0, length, offset);
+        return buffer.subarray(0, bytesRead);
+      } finally {
+        await handle.close();
+      }
+    }
+  };
+  return source;
+}
+
+/**
+ * Create a source reading a part of another source
+ * @param {Object} source - Source holding the part
+ * @param {string} name - Name of the part
+ * @param {number} start - Offset of the part in the source
+ * @param {number} size - Number of bytes of the part
+ * @returns {Object} Source
+ */
+function createSliceSource(source, name, start, size) {
+  return {
+    name,
+    size,
+    read(offset, count) {
+      const length = Math.max(0, Math.min(count === undefined ? size : count, size - offset));
+      return source.read(start + offset, length);
+    }
+  };
+}
+
+/**
+ * Read a range of a source as a stream of chunks
+ * @param {Object} source - Source to read
+ * @param {number} start - Offset of the first byte
+ * @param {number} end - Offset just after the last byte
+ * @returns {Readable} Stream of the bytes
+ */
+function readRange(source, start, end) {
+  return Readable.from((async function* () {
+    for (let offset = start; offset < end; offset += READ_CHUNK_SIZE) {
+      yield await source.read(offset, Math.min(READ_CHUNK_SIZE, end - offset));
+    }
+  })());
+}
+
+/**
+ * Get the size limit of decompressed content, from the "maxDecompressedSize" of the configuration
+ * (a number of bytes or a size such as "1GB"), so that a small compressed file can't fill the disk
+ * @returns {number} Maximum number of decompressed bytes
+ */
+function getDecompressedSizeLimit() {
+  const { maxDecompressedSize } = getConfig();
+  if (maxDecompressedSize === undefined) {
+    return DEFAULT_MAX_DECOMPRESSED_SIZE;
+  }
+
+  const limit = typeof maxDecompressedSize === 'number' ? maxDecompressedSize : parseSize(maxDecompressedSize);
+  if (limit === null || !(limit > 0)) {
+    throw new Error(`Invalid "maxDecompressedSize" in the configuration: ${maxDecompressedSize} (expected a size such as 2GB)`);
+  }
+  return limit;
+}
+
+/**
+ * Get the path of a new file in a temporary directory
+ * @param {string} directory - Temporary directory
+ * @param {string} name - Name of the content written to the file
+ * @returns {string} Path of the file, unique in the directory
+ */
+function getTempFilePath(directory, name) {
+  return path.join(directory, `${fs.readdirSync(directory).length}-${path.basename(name)}`);
+}
+
+/**
+ * Decompress a range of a source through a zlib stream into a local file, failing once the
+ * decompressed content exceeds the size limit
+ * @param {Object} source - Source holding compressed bytes
+ * @param {number} start - Offset of the compressed bytes
+ * @param {number} end - Offset just after the compressed bytes
+ * @param {Object} decompressor - zlib stream
+ * @param {string} filePath - Path of the file to write
+ * @param {Object} options - Decompression options
+ * @param {AbortSignal} options.signal - Stops the decompression when aborted
+ * @param {Function} options.onWrite - Called with each decompressed chunk once written, and the number of bytes written
+ * @returns {Promise<number>} Number of decompressed bytes
+ */
+async function decompressRange(source, start, end, decompressor, filePath, options = {}) {
+  const limit = getDecompressedSizeLimit();
+  const onWrite = options.onWrite || (() => {});
+  const handle = await fs.promises.open(filePath, 'w');
+  let written = 0;
+
+  try {
+    await pipeline(readRange(source, start, end), decompressor, async (chunks) => {
+      for await (const chunk of chunks) {
+        written += chunk.length;
+        if (written > limit) {
+          throw new Error(`it is larger than ${formatBytes(limit)} once decompressed (see "maxDecompressedSize")`);
+        }
+        await handle.write(chunk);
+        onWrite(chunk, written);
+      }
+    }, { signal: options.signal });
+  } finally {
+    await handle.close();
+  }
+  return written;
+}
+
+/**
+ * Decompress a range of a source through a zlib stream into a temporary file
+ * @param {Object} source - Source holding compressed bytes
+ * @param {number} start - Offset of the compressed bytes
+ * @param {number} end - Offset just after the compressed bytes
+ * @param {Object} decompressor - zlib stream
+ * @param {string} directory - Temporary directory
+ * @param {string} name - Name of the decompressed content
+ * @returns {Promise<Object>} Source reading the decompressed content
+ */
+async function decompressToFile(source, start, end, decompressor, directory, name) {
+  const filePath = getTempFilePath(directory, name);
+  const size = await decompressRange(source, start, end, decompressor, filePath);
+  return createLocalSource(filePath, name, size);
+}
+
+/**
+ * Decompress gzip content into a temporary file in the background. The content can be read as soon
+ * as its first bytes are decompressed, and grows with the rest: until it is complete, its size ends
+ * after the last complete line, so that lines are never read cut.
+ * @param {Object} source - Source holding gzip content
+ * @param {string} directory - Temporary directory
+ * @returns {Promise<Object>} Source reading the decompressed content, with:
+ *   head - its first bytes, to detect its type;
+ *   complete - true once the whole content is decompressed;
+ *   error - the error that stopped decompressing, if any;
+ *   completion - promise resolved once the whole content is decompressed, or rejected if decompression failed;
+ *   watch(listener) - calls the listener as the content grows and once decompression ended, and returns
+ *   a function to stop watching;
+ *   cancel() - stops decompressing
+ */
+async function gunzipSource(source, directory) {
+  const name = getDecompressedName(source.name);
+  const filePath = getTempFilePath(directory, name);
+  const content = createLocalSource(filePath, name, 0);
+  const listeners = new Set();
+  const controller = new AbortController();
+  const notify = () => listeners.forEach(listener => listener());
+  let notifiedSize = 0;
+  let headRead;
+  const headAvailable = new Promise(resolve => {
+    headRead = resolve;
+  });
+
+  Object.assign(content, {
+    head: Buffer.alloc(0),
+    complete: false,
+    error: null,
+    watch(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    cancel() {
+      controller.abort();
+    }
+  });
+
+  const onWrite = (chunk, written) => {
+    if (content.head.length < GZIP_HEAD_SIZE) {
+      content.head = Buffer.concat([content.head, chunk.subarray(0, GZIP_HEAD_SIZE - content.head.length)]);
+      if (content.head.length === GZIP_HEAD_SIZE) {
+        headRead();
+      }
+    }
+
+    const lastNewline = chunk.lastIndexOf(NEWLINE);
+    if (lastNewline !== -1) {
+      content.size = written - chunk.length + lastNewline + 1;
+    }
+    if (content.size - notifiedSize >= GROWTH_NOTIFICATION_SIZE) {
+      notifiedSize = content.size;
+      notify();
+    }
+  };
+
+  content.completion = decompressRange(source, 0, source.size, zlib.createGunzip(), filePath, {
+    signal: controller.signal,
+    onWrite
+  }).then((size) => {
+    content.size = size;
+    content.complete = true;
+    notify();
+  }, (error) => {
+    content.error = new Error(`Cannot decompress ${source.name}: ${error.message}`);
+    notify();
+    throw content.error;
+  });
+  // Failures reach the listeners and whoever waits for the completion; none is left unhandled
+  content.completion.catch(() => {});
+
+  await Promise.race([headAvailable, content.completion]);
+  return content;
+}
+
+/**
+ * List the entries of a zip archive from its central directory, reading only the end of the archive
+ * @param {Object} source - Source holding the zip archive
+ * @returns {Promise<Array>} Entries, as { name, size, lastModified, isDirectory } with the fields needed
+ *   to extract them
+ */
+async function listZipEntries(source) {
+  // The end of central directory record is at the end, before an optional comment
+  const tailStart = Math.max(0, source.size - ZIP_END_SIZE - ZIP_MAX_COMMENT);
+  const tail = await source.read(tailStart, source.size - tailStart);
+  let endOffset = -1;
+  for (let offset = tail.length - ZIP_END_SIZE; offset >= 0; offset--) {
+    if (tail.readUInt32LE(offset) === ZIP_END_OF_DIRECTORY) {
+      endOffset = offset;
+      break;
+    }
+  }
+  if (endOffset === -1) {
+    throw new Error(`${source.name} is not a valid zip archive`);
+  }
+
+  const entryCount = tail.readUInt16LE(endOffset + 10);
+  const directorySize = tail.readUInt32LE(endOffset + 12);
+  const directoryOffset = tail.readUInt32LE(endOffset + 16);
+  if (entryCount === 0xffff || directorySize === 0xffffffff || directoryOffset === 0xffffffff) {
+    throw new Error(`${source.name} is a ZIP64 archive, which is not supported`);
+  }
+
+  const directory = await source.read(directoryOffset, directorySize);
+  const entries = [];
+  let offset = 0;
+  for (let index = 0; index < entryCount; index++) {
+    if (offset + 46 > directory.length || directory.readUInt32LE(offset) !== ZIP_CENTRAL_HEADER) {
+      throw new Error(`${source.name} has a damaged zip central directory`);
+    }
+
+    const flags = directory.readUInt16LE(offset + 8);
+    const nameLength = directory.readUInt16LE(offset + 28);
+    const extraLength = directory.readUInt16LE(offset + 30);
+    const commentLength = directory.readUInt16LE(offset + 32);
+    // Bit 11 marks UTF-8 names; older archives use the DOS code page, close enough to latin1 for display
+    const name = directory.toString(flags & 0x800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+
+    entries.push({
+      name,
+      size: directory.readUInt32LE(offset + 24),
+      lastModified: parseDosDate(directory.readUInt16LE(offset + 14), directory.readUInt16LE(offset + 12)),
+      isDirectory: name.endsWith('/'),
+      method: directory.readUInt16LE(offset + 10),
+      encrypted: (flags & 0x1) !== 0,
+      compressedSize: directory.readUInt32LE(offset + 20),
+      headerOffset: directory.readUInt32LE(offset + 42)
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Convert the date and time of a zip entry, stored in MS-DOS format in local time
+ * @param {number} date - DOS date
+ * @param {number} time - DOS time
+ * @returns {Date} Modification date
+ */
+function parseDosDate(date, time) {
+  return new Date(1980 + (date >> 9), ((date >> 5) & 0xf) - 1, date & 0x1f,
+    time >> 11, (time >> 5) & 0x3f, (time & 0x1f) * 2);
+}
+
+/**
+ * Get the content of a zip entry: stored entries are read in place, deflated ones are decompressed
+ * into a temporary file
+ * @param {Object} source - Source holding the zip archive
+ * @param {Object} entry - Entry returned by listZipEntries
+ * @param {string} directory - Temporary directory
+ * @returns {Promise<Object>} Source reading the content of the entry
+ */
+async function openZipEntry(source, entry, directory) {
+  const name = `${source.name}/${entry.name}`;
+  if (entry.encrypted) {
+    throw new Error(`${entry.name} is encrypted, which is not supported`);
+  }
+
+  // The data follows the local header, whose name and extra fields may differ from the central directory
+  const header = await source.read(entry.headerOffset, 30);
+  if (header.length < 30 || header.readUInt32LE(0) !== ZIP_LOCAL_HEADER) {
+    throw new Error(`${source.name} has a damaged header for ${entry.name}`);
+  }
+  const dataStart = entry.headerOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+
+  if (entry.method === ZIP_STORED) {
+    return createSliceSource(source, name, dataStart, entry.size);
+  }
+  if (entry.method === ZIP_DEFLATED) {
+    try {
+      return await decompressToFile(source, dataStart, dataStart + entry.compressedSize, zlib.createInflateRaw(), directory, name);
+    } catch (error) {
+      throw new Error(`Cannot decompress ${entry.name}: ${error.message}`);
+    }
+  }
+  throw new Error(`${entry.name} uses compression method ${entry.method}, which is not supported`);
+}
+
+/**
+ * List the entries of a tar archive by reading the header of each entry
+ * @param {Object} source - Source holding the tar archive
+ * @returns {Promise<Array>} Entries, as { name, size, lastModified, isDirectory, offset } where offset
+ *   is the position of the content in the archive
+ */
+async function listTarEntries(source) {
+  const entries = [];
+  let offset = 0;
+  let longName = null;
+
+  while (offset + TAR_BLOCK_SIZE <= source.size) {
+    const header = await source.read(offset, TAR_BLOCK_SIZE);
+    // The archive ends with empty blocks
+    if (header.length < TAR_BLOCK_SIZE || header.every(byte => byte === 0)) {
+      break;
+    }
+    if (!hasValidTarChecksum(header)) {
+      throw new Error(`${source.name} has a damaged tar header at offset ${offset}`);
+    }
+
+    const size = parseTarNumber(header, 124, 12);
+    const type = String.fromCharCode(header[156] || 0x30);
+    const contentOffset = offset + TAR_BLOCK_SIZE;
+    offset = contentOffset + Math.ceil(size / TAR_BLOCK_SIZE) * TAR_BLOCK_SIZE;
+
+    // Long names are stored in an entry of their own before the entry they name (GNU "L" and pax "x")
+    if (type === 'L') {
+      longName = readTarString(await source.read(contentOffset, size), 0, size);
+      continue;
+    }
+    if (type === 'x') {
+      const match = (await source.read(contentOffset, size)).toString('utf8').match(/^\d+ path=(.*)$/m);
+      longName = match ? match[1] : longName;
+      continue;
+    }
+    if (type === 'g') {
+      continue;
+    }
+
+    const prefix = header.toString('latin1', 257, 262) === 'ustar' ? readTarString(header, 345, 155) : '';
+    const headerName = readTarString(header, 0, 100);
+    const name = longName || (prefix ? `${prefix}/${headerName}` : headerName);
+    longName = null;
+
+    // Links, devices and fifos have no content to show
+    if (type === '0' || type === '7' || type === '5') {
+      entries.push({
+        name,
+        size: type === '5' ? 0 : size,
+        lastModified: new Date(parseTarNumber(header, 136, 12) * 1000),
+        isDirectory: type === '5',
+        offset: contentOffset
+      });
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Get the content of a tar entry, read in place
+ * @param {Object} source - Source holding the tar archive
+ * @param {Object} entry - Entry returned by listTarEntries
+ * @returns {Object} Source reading the content of the entry
+ */
+function openTarEntry(source, entry) {
+  return createSliceSource(source, `${source.name}/${entry.name}`, entry.offset, entry.size);
+}
+
+/**
+ * Read a NUL-terminated string field of a tar header
+ * @param {Buffer} buffer - Header
+ * @param {number} start - Offset of the field
+ * @param {number} length - Length of the field
+ * @returns {string} Value of the field
+ */
+function readTarString(buffer, start, length) {
+  const end = buffer.indexOf(0, start);
+  return buffer.toString('utf8', start, end === -1 || end > start + length ? start + length : end);
+}
+
+/**
+ * Read a numeric field of a tar header: octal text, or base-256 for values too large for it
+ * @param {Buffer} buffer - Header
+ * @param {number} start - Offset of the field
+ * @param {number} length - Length of the field
+ * @returns {number} Value of the field
+ */
+function parseTarNumber(buffer, start, length) {
+  if (buffer[start] & 0x80) {
+    let value = buffer[start] & 0x7f;
+    for (let index = start + 1; index < start + length; index++) {
+      value = value * 256 + buffer[index];
+    }
+    return value;
+  }
+  return parseInt(readTarString(buffer, start, length).trim() || '0', 8);
+}
+
+/**
+ * Check the checksum of a tar header: the sum of its bytes, with the checksum field counted as spaces
+ * @param {Buffer} header - Block of 512 bytes
+ * @returns {boolean} True if the block is a tar header
+ */
+function hasValidTarChecksum(header) {
+  const expected = parseInt(header.toString('latin1', 148, 156).replace(/\0/g, ' ').trim(), 8);
+  if (isNaN(expected)) {
+    return false;
+  }
+
+  let sum = 8 * 0x20;
+  for (let index = 0; index < TAR_BLOCK_SIZE; index++) {
+    if (index < 148 || index >= 156) {
+      sum += header[index];
+    }
+  }
+  return sum === expected;
+}
+
+module.exports = {
+  detectArchiveType,
+  decompressGzipSample,
+  gunzipStreamIfCompressed,
+  createTempDirectory,
+  removeTempDirectory,
+  gunzipSource,
+  listZipEntries,
+  openZipEntry,
+  listTarEntries,
+  openTarEntry
+};
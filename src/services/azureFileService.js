@@ -1,5 +1,36 @@
 const { ShareServiceClient, StorageSharedKeyCredential } = require('@azure/storage-file-share');
-const { getCurrentAccount } = require('../utils/config');
+const fs = require('fs');
+const crypto = require('crypto');
+const { getConfig, getCurrentAccount } = require('../utils/config');
+const { splitShareSnapshot, joinPath, parentPath } = require('../utils/paths');
+
+// Size of the ranges uploaded in parallel (the service accepts at most 4 MiB per range)
+const UPLOAD_RANGE_SIZE = 4 * 1024 * 1024;
+
+// Default number of ranges uploaded at the same time
+const UPLOAD_CONCURRENCY = 4;
+
+// Suffix of the temporary files written next to a file before replacing it
+const TEMPORARY_FILE_SUFFIX = '.partial';
+
+// Errors of the service that prevent a file from being replaced, by error code, with their cause
+const REPLACE_CONFLICTS = {
+  SharingViolation: 'it is open in another program',
+  LeaseIdMissing: 'it is leased',
+  LeaseIdMismatchWithFileOperation: 'it is leased',
+  ReadOnlyAttribute: 'it is read-only'
+};
+
+// Authentication types accepted in the "authType" field of an account
+const AUTH_TYPES = [
+  'accountKey',
+  'connectionString',
+  'sasToken',
+  'servicePrincipal',
+  'managedIdentity',
+  'azureCli',
+  'defaultAzureCredential'
+];
 
 let fileServiceClients = {};
 
@@ -10,45 +41,317 @@ let fileServiceClients = {};
  */
 function getFileServiceClient(noCache = false) {
   const account = getCurrentAccount();
-  const accountName = account.accountName;
+  const accountKey = getConfig().currentAccount;
   
-  if (!noCache && fileServiceClients[accountName]) {
-    return fileServiceClients[accountName];
-  }
-
-  if (!account.accountName || !account.accountKey) {
-    throw new Error('Azure Storage account credentials are not configured');
+  if (!noCache && fileServiceClients[accountKey]) {
+    return fileServiceClients[accountKey];
   }
 
-  // Create a shared key credential
-  const credential = new StorageSharedKeyCredential(
-    account.accountName,
-    account.accountKey
-  );
-
-  // Create a service client
-  const client = new ShareServiceClient(
-    `https://${account.accountName}.file.core.windows.net`,
-    credential
-  );
+  const client = createFileServiceClient(account);
   
   // Only cache the client if noCache is false
   if (!noCache) {
-    fileServiceClients[accountName] = client;
+    fileServiceClients[accountKey] = client;
   }
   
   return client;
 }
 
 /**
- * Get a ShareClient for a specific file share
- * @param {string} shareName - Name of the file share
+ * Get the authentication type of an account, inferred from its fields when "authType" is not set
+ * @param {Object} account - Account configuration
+ * @returns {string} One of AUTH_TYPES
+ */
+function getAuthType(account) {
+  if (account.authType) {
+    if (!AUTH_TYPES.includes(account.authType)) {
+      throw new Error(`Unknown authType "${account.authType}" (expected one of: ${AUTH_TYPES.join(', ')})`);
+    }
+    return account.authType;
+  }
+  
+  if (account.connectionString) return 'connectionString';
+  if (account.sasToken) return 'sasToken';
+  if (account.accountKey) return 'accountKey';
+  
+  throw new Error('Azure Storage account credentials are not configured');
+}
+
+/**
+ * Create a ShareServiceClient for an account using its authentication type
+ * @param {Object} account - Account configuration
+ * @returns {ShareServiceClient} FileServiceClient for Azure Storage
+ */
+function createFileServiceClient(account) {
+  const authType = getAuthType(account);
+  
+  // The connection string carries its own endpoint
+  if (authType === 'connectionString') {
+    requireFields(account, authType, ['connectionString']);
+    return ShareServiceClient.fromConnectionString(account.connectionString);
+  }
+  
+  const url = getServiceUrl(account);
+  
+  if (authType === 'accountKey') {
+    requireFields(account, authType, ['accountName', 'accountKey']);
+    const credential = new StorageSharedKeyCredential(account.accountName, account.accountKey);
+    return new ShareServiceClient(url, credential);
+  }
+  
+  if (authType === 'sasToken') {
+    requireFields(account, authType, ['sasToken']);
+    return new ShareServiceClient(`${url}?${account.sasToken.replace(/^\?/, '')}`);
+  }
+  
+  // Azure AD credentials must declare the backup intent to access file data over REST
+  return new ShareServiceClient(url, createTokenCredential(account, authType), { fileRequestIntent: 'backup' });
+}
+
+/**
+ * Check that an account is reachable with its credentials by listing its first file share
+ * @param {Object} account - Account configuration
+ * @returns {Promise<void>} Resolves if the service accepted the request
+ */
+async function testConnection(account) {
+  const client = createFileServiceClient(account);
+  await client.listShares().byPage({ maxPageSize: 1 }).next();
+}
+
+/**
+ * Get the file service URL of an account
+ * @param {Object} account - Account configuration
+ * @returns {string} Custom endpoint if set, otherwise the public Azure endpoint of the account
+ */
+function getServiceUrl(account) {
+  if (account.endpoint) {
+    return account.endpoint.replace(/\/+$/, '');
+  }
+  
+  if (!account.accountName) {
+    throw new Error('Either accountName or endpoint must be configured');
+  }
+  return `https://${account.accountName}.file.core.windows.net`;
+}
+
+/**
+ * Create an Azure AD token credential for an account
+ * @param {Object} account - Account configuration
+ * @param {string} authType - servicePrincipal, managedIdentity, azureCli or defaultAzureCredential
+ * @returns {TokenCredential} Token credential
+ */
+function createTokenCredential(account, authType) {
+  // Loaded on demand, so accounts using keys don't pay for it
+  const identity = require('@azure/identity');
+  
+  switch (authType) {
+    case 'servicePrincipal':
+      if (account.clientCertificatePath) {
+        requireFields(account, authType, ['tenantId', 'clientId']);
+        return new identity.ClientCertificateCredential(account.tenantId, account.clientId, account.clientCertificatePath);
+      }
+      requireFields(account, authType, ['tenantId', 'clientId', 'clientSecret']);
+      return new identity.ClientSecretCredential(account.tenantId, account.clientId, account.clientSecret);
+    case 'managedIdentity':
+      // A clientId selects a user-assigned identity; without it the system-assigned identity is used
+      return account.clientId
+        ? new identity.ManagedIdentityCredential(account.clientId)
+        : new identity.ManagedIdentityCredential();
+    case 'azureCli':
+      return new identity.AzureCliCredential({ tenantId: account.tenantId });
+    default:
+      return new identity.DefaultAzureCredential({ tenantId: account.tenantId });
+  }
+}
+
+/**
+ * Check that an account has the fields its authentication type needs
+ * @param {Object} account - Account configuration
+ * @param {string} authType - Authentication type
+ * @param {Array<string>} fields - Required field names
+ */
+function requireFields(account, authType, fields) {
+  const missing = fields.filter(field => !account[field]);
+  if (missing.length > 0) {
+    throw new Error(`Account using ${authType} authentication is missing: ${missing.join(', ')}`);
+  }
+}
+
+/**
+ * Get a ShareClient for a specific file share, or for a read-only snapshot of it
+ * @param {string} shareName - Name of the file share, optionally followed by "@<snapshot>" (see utils/paths)
  * @param {boolean} noCache - If true, creates a new client instead of using cached one
  * @returns {ShareClient} ShareClient for the specified file share
  */
 function getShareClient(shareName, noCache = false) {
   const serviceClient = getFileServiceClient(noCache);
-  return serviceClient.getShareClient(shareName);
+  const { name, snapshot } = splitShareSnapshot(shareName);
+  const shareClient = serviceClient.getShareClient(name);
+  return snapshot ? shareClient.withSnapshot(snapshot) : shareClient;
+}
+
+/**
+ * Create a directory and any missing parent directories in a file share
+ * @param {string} shareName - Name of the file share
+ * @param {string} directory - Directory path (empty for the root directory)
+ * @param {Set<string>} knownDirectories - Directories known to exist, updated with the ones created
+ */
+async function ensureDirectory(shareName, directory, knownDirectories = new Set()) {
+  const parts = directory.split('/').filter(part => part.length > 0);
+  
+  for (let index = 1; index <= parts.length; index++) {
+    const partialPath = parts.slice(0, index).join('/');
+    if (!knownDirectories.has(partialPath)) {
+      await getDirectoryClient(shareName, partialPath).createIfNotExists();
+      knownDirectories.add(partialPath);
+    }
+  }
+}
+
+/**
+ * Give a file the SMB attributes, permission, creation time, content headers and metadata of the file
+ * it replaces, if that file exists
+ * @param {ShareFileClient} replacedClient - Client of the file being replaced
+ * @param {ShareFileClient} fileClient - Client of the file replacing it
+ */
+async function copyReplacedProperties(replacedClient, fileClient) {
+  let properties;
+  try {
+    properties = await replacedClient.getProperties();
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return;
+    }
+    throw error;
+  }
+  
+  // A read-only file could not be deleted if the rename failed; the rename over a read-only file fails anyway
+  const attributes = properties.fileAttributes
+    ? properties.fileAttributes.split('|').map(attribute => attribute.trim()).filter(attribute => attribute !== 'ReadOnly')
+    : [];
+  await fileClient.setProperties({
+    fileAttributes: properties.fileAttributes ? attributes.join(' | ') || 'None' : undefined,
+    filePermissionKey: properties.filePermissionKey,
+    creationTime: properties.fileCreatedOn,
+    fileHttpHeaders: {
+      fileContentType: properties.contentType,
+      fileContentEncoding: properties.contentEncoding,
+      fileContentLanguage: properties.contentLanguage,
+      fileContentDisposition: properties.contentDisposition,
+      fileCacheControl: properties.cacheControl
+    }
+  });
+  await fileClient.setMetadata(properties.metadata);
+}
+
+/**
+ * Write a file of a share through a temporary file next to it, renamed over the file once all its
+ * content is written, so that a failed write never leaves an existing file truncated. The file keeps
+ * the properties and metadata of the file it replaces. The temporary file is deleted if the write fails.
+ * @param {string} shareName - Name of the file share
+ * @param {string} filePath - Path of the file (its directory must exist)
+ * @param {number} size - Size of the file in bytes
+ * @param {Function} write - Called with the client of the temporary file, created with this size;
+ *   resolves once all its content is written
+ */
+async function replaceFile(shareName, filePath, size, write) {
+  const name = filePath.split('/').pop();
+  const temporaryPath = joinPath(parentPath(filePath), `.${name}.${crypto.randomBytes(4).toString('hex')}${TEMPORARY_FILE_SUFFIX}`);
+  const temporaryClient = getFileClient(shareName, temporaryPath);
+  await temporaryClient.create(size);
+  
+  try {
+    await write(temporaryClient);
+    await copyReplacedProperties(getFileClient(shareName, filePath), temporaryClient);
+    try {
+      await temporaryClient.rename(filePath, { replaceIfExists: true });
+    } catch (error) {
+      const cause = REPLACE_CONFLICTS[error.code];
+      throw cause ? new Error(`Cannot replace ${shareName}/${filePath}: ${cause}`) : error;
+    }
+  } catch (error) {
+    // Keep the error of the write rather than one of the cleanup
+    await temporaryClient.deleteIfExists().catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Upload a local file to a file share in parallel ranges, replacing any existing file once the
+ * whole file is uploaded
+ * @param {string} shareName - Name of the file share
+ * @param {string} localPath - Path of the local file
+ * @param {string} filePath - Destination path in the share (its directory must exist)
+ * @param {Object} options - Upload options
+ * @param {number} options.concurrency - Number of ranges uploaded at the same time
+ * @param {Function} options.onBytes - Called with the number of bytes uploaded so far
+ */
+async function uploadFile(shareName, localPath, filePath, options = {}) {
+  const onBytes = options.onBytes || (() => {});
+  const handle = await fs.promises.open(localPath, 'r');
+  
+  try {
+    const { size } = await handle.stat();
+    await replaceFile(shareName, filePath, size, async (fileClient) => {
+      const pending = [];
+      for (let offset = 0; offset < size; offset += UPLOAD_RANGE_SIZE) {
+        pending.push(offset);
+      }
+      
+      let uploadedBytes = 0;
+      let failure = null;
+      const worker = async () => {
+        while (pending.length > 0 && !failure) {
+          const offset = pending.shift();
+          const count = Math.min(UPLOAD_RANGE_SIZE, size - offset);
+          
+          try {
+            const buffer = Buffer.alloc(count);
+            await handle.read(buffer, 0, count, offset);
+            await fileClient.uploadRange(buffer, offset, count);
+            
+            uploadedBytes += count;
+            onBytes(uploadedBytes);
+          } catch (error) {
+            failure = failure || error;
+          }
+        }
+      };
+      
+      const concurrency = options.concurrency || UPLOAD_CONCURRENCY;
+      await Promise.all(Array.from({ length: Math.min(concurrency, Math.max(pending.length, 1)) }, worker));
+      if (failure) {
+        throw failure;
+      }
+    });
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Get a ShareDirectoryClient for a directory in a file share
+ * @param {string} shareName - Name of the file share
+ * @param {string} directory - Directory path (empty for the root directory)
+ * @param {boolean} noCache - If true, creates a new client instead of using cached one
+ * @returns {ShareDirectoryClient} ShareDirectoryClient for the directory
+ */
+function getDirectoryClient(shareName, directory = '', noCache = false) {
+  const shareClient = getShareClient(shareName, noCache);
+  return directory ? shareClient.getDirectoryClient(directory) : shareClient.rootDirectoryClient;
+}
+
+/**
+ * Get a ShareFileClient for a file in a file share
+ * @param {string} shareName - Name of the file share
+ * @param {string} filePath - Path to the file
+ * @param {boolean} noCache - If true, creates a new client instead of using cached one
+ * @returns {ShareFileClient} ShareFileClient for the file
+ */
+function getFileClient(shareName, filePath, noCache = false) {
+  const filePathParts = filePath.split('/');
+  const fileName = filePathParts.pop();
+  return getDirectoryClient(shareName, filePathParts.join('/'), noCache).getFileClient(fileName);
 }
 
 /**
@@ -61,5 +364,13 @@ function clearFileServiceCache() {
 module.exports = {
   getFileServiceClient,
   getShareClient,
-  clearFileServiceCache
+  getDirectoryClient,
+  getFileClient,
+  ensureDirectory,
+  replaceFile,
+  uploadFile,
+  clearFileServiceCache,
+  testConnection,
+  getAuthType,
+  AUTH_TYPES
 };
\ No newline at end of file
@@ -0,0 +1,356 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getFileServiceClient } = require('./azureFileService');
+const { getConfig } = require('../utils/config');
+const { resolveLocalPath } = require('../utils/paths');
+const { parseSize } = require('../utils/formatting');
+
+// Cache directory used when the configuration does not set "cacheDirectory"
+const DEFAULT_CACHE_DIRECTORY = path.join(os.homedir(), '.azure-file-browser-cache');
+
+// Size limit used when the configuration does not set "cacheSize"
+const DEFAULT_CACHE_SIZE = 512 * 1024 * 1024;
+
+// Number of cached bytes compared with the service to check that a changed file was only appended to
+const APPEND_CHECK_SIZE = 4 * 1024;
+
+// File listing the cached files, next to their data files
+const INDEX_FILE = 'index.json';
+const INDEX_VERSION = 1;
+
+/**
+ * Get the directory of the content cache
+ * @returns {string} Absolute path of the cache directory
+ */
+function getCacheDirectory() {
+  const { cacheDirectory } = getConfig();
+  return cacheDirectory ? resolveLocalPath(cacheDirectory) : DEFAULT_CACHE_DIRECTORY;
+}
+
+/**
+ * Get the size limit of the content cache, from the "cacheSize" of the configuration
+ * (a number of bytes or a size such as "1GB"; 0 disables the cache)
+ * @returns {number} Maximum number of cached bytes
+ */
+function getCacheSizeLimit() {
+  const { cacheSize } = getConfig();
+  if (cacheSize === undefined) {
+    return DEFAULT_CACHE_SIZE;
+  }
+
+  const limit = typeof cacheSize === 'number' ? cacheSize : parseSize(cacheSize);
+  if (limit === null || !(limit >= 0)) {
+    throw new Error(`Invalid "cacheSize" in the configuration: ${cacheSize} (expected a size such as 500MB, or 0)`);
+  }
+  return limit;
+}
+
+/**
+ * Open a remote file through the content cache. Cached bytes are reused while the ETag of the file
+ * is unchanged; when a file changed by growing and the start and end of its cached bytes are still
+ * the same, it is taken as an appended log and only the new bytes will be downloaded.
+ * @param {string} shareName - Name of the file share
+ * @param {string} filePath - Path of the file
+ * @param {object} fileClient - Azure File Client for the file
+ * @param {Object} properties - Current properties of the file, from getProperties()
+ * @param {Function} download - Function (fileClient, offset, count) resolving to a Buffer
+ * @returns {Promise<Function>} Download function with the same signature, reading cached ranges from
+ *   disk and caching the ranges it downloads
+ */
+async function openCachedFile(shareName, filePath, fileClient, properties, download) {
+  const limit = getCacheSizeLimit();
+  if (limit === 0) {
+    return download;
+  }
+
+  const directory = getCacheDirectory();
+  const key = getCacheKey(shareName, filePath);
+  const dataPath = path.join(directory, `${key}.data`);
+  let entry = readIndex(directory).entries[key];
+
+  const isCurrent = entry && entry.etag === properties.etag && entry.size === properties.contentLength;
+  if (!isCurrent) {
+    const isAppended = entry && await isAppendedTo(entry, dataPath, fileClient, properties, download);
+    entry = {
+      shareName,
+      path: filePath,
+      etag: properties.etag,
+      fileId: properties.fileId,
+      size: properties.contentLength,
+      ranges: isAppended ? entry.ranges : []
+    };
+    if (!isAppended) {
+      await fs.promises.rm(dataPath, { force: true });
+    }
+  }
+  entry.lastAccess = Date.now();
+  saveEntry(directory, key, entry, limit);
+
+  return async (client, offset, count) => {
+    const end = count === undefined ? entry.size : Math.min(offset + count, entry.size);
+    const parts = [];
+
+    for (const segment of splitByRanges(entry.ranges, offset, end)) {
+      if (segment.cached) {
+        parts.push(await readData(dataPath, segment.start, segment.end));
+        continue;
+      }
+
+      const buffer = await download(client, segment.start, segment.end - segment.start);
+      parts.push(buffer);
+
+      // Files too large for the whole cache are still shown, without being cached
+      if (buffer.length === segment.end - segment.start && getCachedBytes(entry) + buffer.length <= limit) {
+        // The cache is a convenience: failing to write it must not interrupt viewing
+        try {
+          await writeData(dataPath, buffer, segment.start);
+          entry.ranges = addRange(entry.ranges, segment.start, segment.end);
+          entry.lastAccess = Date.now();
+          saveEntry(directory, key, entry, limit);
+        } catch (error) {
+          // Downloaded again next time
+        }
+      }
+    }
+
+    return Buffer.concat(parts);
+  };
+}
+
+/**
+ * Check whether a changed file is the cached version with content appended to it: same file, not
+ * smaller, and with the same bytes at the start and at the end of its cached content
+ * @param {Object} entry - Cache entry of the previous version
+ * @param {string} dataPath - Path of the cached data
+ * @param {object} fileClient - Azure File Client for the file
+ * @param {Object} properties - Current properties of the file
+ * @param {Function} download - Function (fileClient, offset, count) resolving to a Buffer
+ * @returns {Promise<boolean>} True if the cached ranges are still valid
+ */
+async function isAppendedTo(entry, dataPath, fileClient, properties, download) {
+  if (entry.ranges.length === 0 || properties.contentLength < entry.size ||
+      (entry.fileId && properties.fileId && entry.fileId !== properties.fileId)) {
+    return false;
+  }
+
+  // Compare the start of the first cached range and the end of the last one
+  const [firstStart, firstEnd] = entry.ranges[0];
+  const [lastStart, lastEnd] = entry.ranges[entry.ranges.length - 1];
+  const probes = [
+    [firstStart, Math.min(firstEnd, firstStart + APPEND_CHECK_SIZE)],
+    [Math.max(lastStart, lastEnd - APPEND_CHECK_SIZE), lastEnd]
+  ];
+  try {
+    for (const [start, end] of probes) {
+      const [cached, current] = await Promise.all([
+        readData(dataPath, start, end),
+        download(fileClient, start, end - start)
+      ]);
+      if (!cached.equals(current)) {
+        return false;
+      }
+    }
+    return true;
+  } catch (error) {
+    // Missing or unreadable cached data: the file is cached again
+    return false;
+  }
+}
+
+/**
+ * Get the cache key of a file of the current account
+ * @param {string} shareName - Name of the file share, with its snapshot if any
+ * @param {string} filePath - Path of the file
+ * @returns {string} Key, also used as the name of the data file
+ */
+function getCacheKey(shareName, filePath) {
+  // The service URL identifies the account whatever its credentials, such as a connection string
+  // without AccountName; a SAS token in its query would change the key when it is renewed
+  const serviceUrl = getFileServiceClient().url.split('?')[0];
+  return crypto.createHash('sha256').update(`${serviceUrl}\n${shareName}\n${filePath}`).digest('hex').slice(0, 40);
+}
+
+/**
+ * Split a byte range into the parts that are cached and the parts that must be downloaded
+ * @param {Array} ranges - Sorted, non-overlapping cached ranges, as [start, end]
+ * @param {number} start - Offset of the first byte
+ * @param {number} end - Offset just after the last byte
+ * @returns {Array} Consecutive segments, as { start, end, cached }
+ */
+function splitByRanges(ranges, start, end) {
+  const segments = [];
+  let position = start;
+
+  ranges.forEach(([rangeStart, rangeEnd]) => {
+    if (rangeEnd <= position || rangeStart >= end) {
+      return;
+    }
+    if (rangeStart > position) {
+      segments.push({ start: position, end: rangeStart, cached: false });
+    }
+    segments.push({ start: Math.max(position, rangeStart), end: Math.min(rangeEnd, end), cached: true });
+    position = Math.min(rangeEnd, end);
+  });
+
+  if (position < end) {
+    segments.push({ start: position, end, cached: false });
+  }
+  return segments;
+}
+
+/**
+ * Add a range to a list of cached ranges, merging it with the ranges it touches
+ * @param {Array} ranges - Sorted, non-overlapping ranges, as [start, end]
+ * @param {number} start - Offset of the first byte
+ * @param {number} end - Offset just after the last byte
+ * @returns {Array} New sorted list of ranges
+ */
+function addRange(ranges, start, end) {
+  const merged = [];
+  [...ranges, [start, end]].sort((a, b) => a[0] - b[0]).forEach(([rangeStart, rangeEnd]) => {
+    const last = merged[merged.length - 1];
+    if (last && rangeStart <= last[1]) {
+      last[1] = Math.max(last[1], rangeEnd);
+    } else {
+      merged.push([rangeStart, rangeEnd]);
+    }
+  });
+  return merged;
+}
+
+/**
+ * Get the number of bytes cached for a file
+ * @param {Object} entry - Cache entry
+ * @returns {number} Total length of its cached ranges
+ */
+function getCachedBytes(entry) {
+  return entry.ranges.reduce((total, [start, end]) => total + end - start, 0);
+}
+
+/**
+ * Read cached bytes from a data file
+ * @param {string} dataPath - Path of the data file
+ * @param {number} start - Offset of the first byte
+ * @param {number} end - Offset just after the last byte
+ * @returns {Promise<Buffer>} Bytes read
+ */
+async function readData(dataPath, start, end) {
+  const handle = await fs.promises.open(dataPath, 'r');
+  try {
+    const buffer = Buffer.alloc(end - start);
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, start);
+    if (bytesRead !== buffer.length) {
+      throw new Error(`Cached data of ${dataPath} is incomplete`);
+    }
+    return buffer;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Write downloaded bytes into a data file at their offset in the remote file
+ * @param {string} dataPath - Path of the data file
+ * @param {Buffer} buffer - Downloaded bytes
+ * @param {number} offset - Offset of the bytes in the remote file
+ */
+async function writeData(dataPath, buffer, offset) {
+  await fs.promises.mkdir(path.dirname(dataPath), { recursive: true });
+  const handle = await fs.promises.open(dataPath, fs.existsSync(dataPath) ? 'r+' : 'w');
+  try {
+    await handle.write(buffer, 0, buffer.length, offset);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Read the index of the cache
+ * @param {string} directory - Cache directory
+ * @returns {Object} Index, as { version, entries } with the entries by cache key
+ */
+function readIndex(directory) {
+  try {
+    const index = JSON.parse(fs.readFileSync(path.join(directory, INDEX_FILE), 'utf8'));
+    if (index.version === INDEX_VERSION && index.entries) {
+      return index;
+    }
+  } catch (error) {
+    // Missing or damaged index: the cache starts empty
+  }
+  return { version: INDEX_VERSION, entries: {} };
+}
+
+/**
+ * Save the entry of a file in the index, then evict the least recently used files until the
+ * cache fits in its size limit. The index is read again first, so that entries saved by another
+ * instance of the application are kept.
+ * @param {string} directory - Cache directory
+ * @param {string} key - Cache key of the file
+ * @param {Object} entry - Cache entry of the file
+ * @param {number} limit - Maximum number of cached bytes
+ */
+function saveEntry(directory, key, entry, limit) {
+  const index = readIndex(directory);
+  index.entries[key] = entry;
+
+  let total = Object.values(index.entries).reduce((sum, cached) => sum + getCachedBytes(cached), 0);
+  const leastRecentFirst = Object.keys(index.entries)
+    .filter(cachedKey => cachedKey !== key)
+    .sort((a, b) => index.entries[a].lastAccess - index.entries[b].lastAccess);
+
+  while (total > limit && leastRecentFirst.length > 0) {
+    const evictedKey = leastRecentFirst.shift();
+    total -= getCachedBytes(index.entries[evictedKey]);
+    delete index.entries[evictedKey];
+    fs.rmSync(path.join(directory, `${evictedKey}.data`), { force: true });
+  }
+
+  writeIndex(directory, index);
+}
+
+/**
+ * Write the index of the cache, replacing the previous one at once
+ * @param {string} directory - Cache directory
+ * @param {Object} index - Index
+ */
+function writeIndex(directory, index) {
+  fs.mkdirSync(directory, { recursive: true });
+  const indexPath = path.join(directory, INDEX_FILE);
+  fs.writeFileSync(`${indexPath}.tmp`, JSON.stringify(index));
+  fs.renameSync(`${indexPath}.tmp`, indexPath);
+}
+
+/**
+ * Describe the content of the cache
+ * @returns {{directory: string, files: number, bytes: number, limit: number}} Cache directory, number of
+ *   cached files, number of cached bytes and size limit
+ */
+function getCacheInfo() {
+  const directory = getCacheDirectory();
+  const entries = Object.values(readIndex(directory).entries);
+  return {
+    directory,
+    files: entries.length,
+    bytes: entries.reduce((total, entry) => total + getCachedBytes(entry), 0),
+    limit: getCacheSizeLimit()
+  };
+}
+
+/**
+ * Remove all the cached files
+ * @returns {{files: number, bytes: number}} Number of files and bytes removed
+ */
+function clearCache() {
+  const { directory, files, bytes } = getCacheInfo();
+  if (fs.existsSync(directory)) {
+    fs.readdirSync(directory)
+      .filter(name => name.endsWith('.data') || name.startsWith(INDEX_FILE))
+      .forEach(name => fs.rmSync(path.join(directory, name), { force: true }));
+  }
+  return { files, bytes };
+}
+
+module.exports = { openCachedFile, getCacheInfo, clearCache };
@@ -0,0 +1,372 @@
+// Size of each ranged download
+const WINDOW_CHUNK_SIZE = 256 * 1024;
+
+// Maximum number of bytes kept in memory; lines are dropped from the other end beyond it
+const MAX_WINDOW_BYTES = 4 * 1024 * 1024;
+
+const NEWLINE = 0x0a;
+
+/**
+ * Create a window over the lines of a remote file, loaded in ranged chunks as the
+ * viewer moves through it. Only a bounded slice of the file is kept in memory, and the
+ * window always starts and ends on line boundaries (except for lines longer than a chunk).
+ * @param {object} fileClient - Azure File Client for the file
+ * @param {number} size - Size of the file in bytes
+ * @param {Function} download - Function (fileClient, offset, count) resolving to a Buffer
+ * @returns {Object} File window
+ */
+function createFileWindow(fileClient, size, download) {
+  const fileWindow = {
+    size,
+    lines: [],     // Decoded lines currently loaded
+    offsets: [],   // Byte offset of the start of each loaded line
+    start: 0,      // Byte offset of the first loaded line
+    end: 0,        // Byte offset just after the last loaded line
+
+    /**
+     * @returns {boolean} True if the window includes the beginning of the file
+     */
+    atStart() {
+      return fileWindow.start === 0;
+    },
+
+    /**
+     * @returns {boolean} True if the window includes the end of the file
+     */
+    atEnd() {
+      return fileWindow.end >= fileWindow.size;
+    },
+
+    /**
+     * Replace the window with the first chunk of the file
+     */
+    async loadHead() {
+      await fileWindow.loadAt(0);
+    },
+
+    /**
+     * Replace the window with the last chunk of the file
+     */
+    async loadTail() {
+      const { buffer, start } = await readBackward(fileWindow.size);
+      setLines(splitLines(buffer, start), start, fileWindow.size);
+    },
+
+    /**
+     * Replace the window with the chunk starting at a line boundary
+     * @param {number} offset - Byte offset of the start of a line
+     */
+    async loadAt(offset) {
+      const { buffer, end } = await readForward(offset);
+      setLines(splitLines(buffer, offset), offset, end);
+    },
+
+    /**
+     * Replace the window with the chunk containing a given line, scanning the file from its start
+     * @param {number} lineNumber - Line number (1-based)
+     * @returns {Promise<number>} Index of the line in the window, or -1 if the file has fewer lines
+     */
+    async loadAtLine(lineNumber) {
+      let offset = 0;
+      let currentLine = 1;
+
+      // Count newlines chunk by chunk without keeping the content
+      while (currentLine < lineNumber && offset < fileWindow.size) {
+        const count = Math.min(WINDOW_CHUNK_SIZE, fileWindow.size - offset);
+        const buffer = await download(fileClient, offset, count);
+        let index = buffer.indexOf(NEWLINE);
+
+        while (index !== -1 && currentLine < lineNumber) {
+          currentLine++;
+          if (currentLine === lineNumber) {
+            offset += index + 1;
+            break;
+          }
+          index = buffer.indexOf(NEWLINE, index + 1);
+        }
+
+        if (currentLine < lineNumber) {
+          offset += count;
+        }
+      }
+
+      if (currentLine < lineNumber || offset >= fileWindow.size) {
+        await fileWindow.loadTail();
+        return -1;
+      }
+
+      return fileWindow.loadAround(offset);
+    },
+
+    /**
+     * Replace the window with the chunk starting at a line, with a few lines before it
+     * @param {number} offset - Byte offset of the start of a line
+     * @returns {Promise<number>} Index of the line in the window
+     */
+    async loadAround(offset) {
+      // Start a little before the line, so some context is visible above it
+      const { buffer: before, start } = await readBackward(offset, Math.min(offset, 16 * 1024));
+      const { buffer: after, end } = await readForward(offset);
+      const lines = splitLines(Buffer.concat([before, after]), start);
+      setLines(lines, start, end);
+      return fileWindow.offsets.indexOf(offset);
+    },
+
+    /**
+     * Find the next or previous line passing a test, reading the file chunk by chunk without changing the window
+     * @param {Function} test - Called with each decoded line; returns true for a match
+     * @param {number} from - Byte offset of the start of a line: the search starts at this line, or
+     *   searching backwards, at the line before it
+     * @param {boolean} backwards - If true, find the last matching line before from
+     * @param {Function} onProgress - Called with the offset reached after each chunk; returning false stops the search
+     * @returns {Promise<number>} Byte offset of the matching line, or -1 if there is none
+     */
+    async findLine(test, from, backwards, onProgress) {
+      let rest = Buffer.alloc(0);
+
+      if (!backwards) {
+        let offset = from;
+        while (offset < fileWindow.size) {
+          const count = Math.min(WINDOW_CHUNK_SIZE, fileWindow.size - offset);
+          const buffer = Buffer.concat([rest, await download(fileClient, offset, count)]);
+          const bufferStart = offset - rest.length;
+          offset += count;
+
+          // The last line of a chunk continues in the next one, except at the end of the file
+          const end = offset < fileWindow.size ? buffer.lastIndexOf(NEWLINE) + 1 : buffer.length;
+          rest = buffer.subarray(end);
+          const { lines, offsets } = splitLines(buffer.subarray(0, end), bufferStart);
+          const index = lines.findIndex(test);
+          if (index !== -1) {
+            return offsets[index];
+          }
+          if (onProgress(offset) === false) {
+            return -1;
+          }
+        }
+        return -1;
+      }
+
+      let offset = from;
+      while (offset > 0) {
+        const start = Math.max(0, offset - WINDOW_CHUNK_SIZE);
+        const buffer = Buffer.concat([await download(fileClient, start, offset - start), rest]);
+        offset = start;
+
+        // The first line of a chunk started in the previous one, except at the start of the file
+        const firstNewline = buffer.indexOf(NEWLINE);
+        const cut = start === 0 ? 0 : firstNewline !== -1 ? firstNewline + 1 : buffer.length;
+        rest = buffer.subarray(0, cut);
+        const { lines, offsets } = splitLines(buffer.subarray(cut), start + cut);
+        for (let index = lines.length - 1; index >= 0; index--) {
+          if (test(lines[index])) {
+            return offsets[index];
+          }
+        }
+        if (onProgress(offset) === false) {
+          return -1;
+        }
+      }
+      return -1;
+    },
+
+    /**
+     * Load the chunk before the window, dropping lines at the end if the window grows too large
+     * @returns {Promise<{added: number, dropped: number}>} Number of lines added at the start and dropped at the end
+     */
+    async loadBefore() {
+      if (fileWindow.atStart()) {
+        return { added: 0, dropped: 0 };
+      }
+
+      const { buffer, start } = await readBackward(fileWindow.start);
+      const { lines, offsets } = splitLines(buffer, start);
+      fileWindow.lines = lines.concat(fileWindow.lines);
+      fileWindow.offsets = offsets.concat(fileWindow.offsets);
+      fileWindow.start = start;
+
+      let dropped = 0;
+      while (fileWindow.end - fileWindow.start > MAX_WINDOW_BYTES && fileWindow.lines.length > lines.length) {
+        fileWindow.lines.pop();
+        fileWindow.end = fileWindow.offsets.pop();
+        dropped++;
+      }
+
+      return { added: lines.length, dropped };
+    },
+
+    /**
+     * Load the chunk after the window, dropping lines at the start if the window grows too large
+     * @returns {Promise<{added: number, dropped: number}>} Number of lines added at the end and dropped at the start
+     */
+    async loadAfter() {
+      if (fileWindow.atEnd()) {
+        return { added: 0, dropped: 0 };
+      }
+
+      const { buffer, end } = await readForward(fileWindow.end);
+      const { lines, offsets } = splitLines(buffer, fileWindow.end);
+      fileWindow.lines = fileWindow.lines.concat(lines);
+      fileWindow.offsets = fileWindow.offsets.concat(offsets);
+      fileWindow.end = end;
+
+      let dropped = 0;
+      while (fileWindow.end - fileWindow.start > MAX_WINDOW_BYTES && fileWindow.lines.length > lines.length) {
+        fileWindow.lines.shift();
+        fileWindow.offsets.shift();
+        fileWindow.start = fileWindow.offsets[0];
+        dropped++;
+      }
+
+      return { added: lines.length, dropped };
+    },
+
+    /**
+     * Read the whole file chunk by chunk, without changing the window, to go through all its lines
+     * @param {Function} onLines - Called with the complete lines of each chunk, the line number (1-based)
+     *   of the first one and the number of bytes read so far; a returned promise is awaited before the next chunk,
+     *   and returning (or resolving to) false stops the scan
+     */
+    async scanLines(onLines) {
+      let offset = 0;
+      let lineNumber = 1;
+      let rest = Buffer.alloc(0);
+
+      while (offset < fileWindow.size) {
+        const count = Math.min(WINDOW_CHUNK_SIZE, fileWindow.size - offset);
+        const buffer = Buffer.concat([rest, await download(fileClient, offset, count)]);
+        offset += count;
+
+        // The last line of a chunk continues in the next one, except at the end of the file
+        const end = offset < fileWindow.size ? buffer.lastIndexOf(NEWLINE) + 1 : buffer.length;
+        rest = buffer.subarray(end);
+        const { lines } = splitLines(buffer.subarray(0, end), 0);
+        if (await onLines(lines, lineNumber, offset) === false) {
+          return;
+        }
+        lineNumber += lines.length;
+      }
+    }
+  };
+
+  /**
+   * Replace the loaded lines
+   */
+  function setLines({ lines, offsets }, start, end) {
+    fileWindow.lines = lines;
+    fileWindow.offsets = offsets;
+    fileWindow.start = start;
+    fileWindow.end = end;
+  }
+
+  /**
+   * Download the chunk starting at an offset, cut after its last complete line
+   * @param {number} offset - Byte offset of the start of a line
+   * @returns {Promise<{buffer: Buffer, end: number}>} Bytes and the offset just after them
+   */
+  async function readForward(offset) {
+    const count = Math.min(WINDOW_CHUNK_SIZE, fileWindow.size - offset);
+    if (count <= 0) {
+      return { buffer: Buffer.alloc(0), end: offset };
+    }
+
+    let buffer = await download(fileClient, offset, count);
+    if (offset + buffer.length < fileWindow.size) {
+      const lastNewline = buffer.lastIndexOf(NEWLINE);
+      buffer = buffer.subarray(0, lastNewline !== -1 ? lastNewline + 1 : completeUtf8Length(buffer));
+    }
+
+    return { buffer, end: offset + buffer.length };
+  }
+
+  /**
+   * Download the chunk ending at an offset, cut before its first complete line
+   * @param {number} end - Byte offset just after the end of a line
+   * @param {number} chunkSize - Number of bytes to read
+   * @returns {Promise<{buffer: Buffer, start: number}>} Bytes and the offset of their start
+   */
+  async function readBackward(end, chunkSize = WINDOW_CHUNK_SIZE) {
+    const start = Math.max(0, end - chunkSize);
+    if (end <= start) {
+      return { buffer: Buffer.alloc(0), start: end };
+    }
+
+    let buffer = await download(fileClient, start, end - start);
+    let cut = 0;
+    if (start > 0) {
+      // The first line started before the chunk; skip it unless the chunk is a single line
+      const firstNewline = buffer.indexOf(NEWLINE);
+      cut = firstNewline !== -1 && firstNewline < buffer.length - 1
+        ? firstNewline + 1
+        : firstUtf8Boundary(buffer);
+    }
+
+    buffer = buffer.subarray(cut);
+    return { buffer, start: start + cut };
+  }
+
+  return fileWindow;
+}
+
+/**
+ * Split bytes into decoded lines, keeping the byte offset of each line
+ * @param {Buffer} buffer - Bytes starting at a line boundary
+ * @param {number} start - Byte offset of the buffer in the file
+ * @returns {{lines: Array<string>, offsets: Array<number>}} Lines (without line terminators) and their offsets
+ */
+function splitLines(buffer, start) {
+  const lines = [];
+  const offsets = [];
+  let lineStart = 0;
+
+  while (lineStart < buffer.length) {
+    let lineEnd = buffer.indexOf(NEWLINE, lineStart);
+    if (lineEnd === -1) {
+      lineEnd = buffer.length;
+    }
+
+    lines.push(buffer.toString('utf8', lineStart, lineEnd).replace(/\r$/, ''));
+    offsets.push(start + lineStart);
+    lineStart = lineEnd + 1;
+  }
+
+  return { lines, offsets };
+}
+
+/**
+ * Find the position of the first complete UTF-8 character, skipping leading continuation bytes
+ * @param {Buffer} buffer - Bytes
+ * @returns {number} Position of the start of the first character
+ */
+function firstUtf8Boundary(buffer) {
+  let position = 0;
+  // Continuation bytes look like 10xxxxxx
+  while (position < buffer.length && (buffer[position] & 0xc0) === 0x80) {
+    position++;
+  }
+  return position;
+}
+
+/**
+ * Get the length of a buffer without a trailing incomplete UTF-8 character
+ * @param {Buffer} buffer - Bytes
+ * @returns {number} Number of bytes forming complete characters
+ */
+function completeUtf8Length(buffer) {
+  let position = buffer.length - 1;
+  let continuation = 0;
+  while (position >= 0 && continuation < 3 && (buffer[position] & 0xc0) === 0x80) {
+    position--;
+    continuation++;
+  }
+
+  if (position < 0) {
+    return buffer.length;
+  }
+
+  const lead = buffer[position];
+  const expected = lead >= 0xf0 ? 4 : lead >= 0xe0 ? 3 : lead >= 0xc0 ? 2 : 1;
+  return continuation + 1 >= expected ? buffer.length : position;
+}
+
+module.exports = { createFileWindow };
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const path = require('path');
+const { resolveLocalPath } = require('../utils/paths');
+
+// ANSI escape sequences setting colors and styles
+const ANSI_STYLE_PATTERN = /\x1b\[[0-9;]*m/g;
+
+/**
+ * Remove the colors of highlighted text
+ * @param {string} text - Text possibly containing ANSI color codes
+ * @returns {string} Plain text
+ */
+function stripColors(text) {
+  return text.replace(ANSI_STYLE_PATTERN, '');
+}
+
+/**
+ * Parse a range of line numbers: "120-180", "120-" (to the end of the file) or "120"
+ * @param {string} input - Range typed by the user
+ * @returns {{first: number, last: number}|null} First and last line numbers (1-based, last may be Infinity),
+ *   or null if the input is not a range
+ */
+function parseLineRange(input) {
+  const match = input.trim().match(/^(\d+)\s*(?:(-)\s*(\d*))?$/);
+  if (!match) {
+    return null;
+  }
+
+  const first = parseInt(match[1], 10);
+  const last = match[2] ? (match[3] ? parseInt(match[3], 10) : Infinity) : first;
+  return first >= 1 && last >= first ? { first, last } : null;
+}
+
+/**
+ * Get a default local path for exported lines, in the current directory
+ * @param {string} fileName - Name or path of the exported file
+ * @param {string} suffix - Suffix added to the name, before its extension
+ * @returns {string} Path such as "./app-export.log"
+ */
+function defaultExportPath(fileName, suffix) {
+  const extension = path.extname(fileName);
+  return `./${path.basename(fileName, extension)}-${suffix}${extension || '.txt'}`;
+}
+
+/**
+ * Open a local file to write lines to. Writes are queued, so lines can be added as they arrive
+ * without waiting for the previous ones to be written.
+ * @param {string} localPath - Local path, which may start with ~
+ * @param {boolean} append - If true, add to the end of an existing file; otherwise the file must not exist
+ * @returns {Promise<Object>} Writer with path, lineCount, write(lines) and close()
+ */
+async function openLineWriter(localPath, append = false) {
+  const filePath = resolveLocalPath(localPath);
+  let handle;
+  try {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    handle = await fs.promises.open(filePath, append ? 'a' : 'wx');
+  } catch (error) {
+    if (error.code === 'EEXIST') {
+      throw new Error(`${filePath} already exists`);
+    }
+    throw error;
+  }
+
+  let queue = Promise.resolve();
+  const writer = {
+    path: filePath,
+    lineCount: 0,
+
+    /**
+     * Add lines at the end of the file
+     * @param {Array<string>} lines - Lines, without line terminators
+     * @returns {Promise} Resolves when the lines are written
+     */
+    write(lines) {
+      if (lines.length === 0) {
+        return queue;
+      }
+      writer.lineCount += lines.length;
+      const text = lines.map(line => `${line}\n`).join('');
+      queue = queue.then(() => handle.write(text));
+      return queue;
+    },
+
+    /**
+     * Wait for the queued lines to be written and close the file
+     */
+    async close() {
+      try {
+        await queue;
+      } finally {
+        await handle.close();
+      }
+    }
+  };
+
+  return writer;
+}
+
+/**
+ * Export lines of a file to a local file, reading the whole file chunk by chunk
+ * @param {Object} fileWindow - Window over the lines of the file (see services/fileWindow)
+ * @param {string} localPath - Local path of the export, which must not exist
+ * @param {Function} transform - Called with the lines of each chunk and the line number (1-based) of the first one,
+ *   returns the lines to write, or null when no more lines are exported (the rest of the file is not read)
+ * @param {Function} onProgress - Called with the number of bytes read after each chunk
+ * @returns {Promise<Object>} Writer of the export, with its path and lineCount
+ */
+async function exportFileLines(fileWindow, localPath, transform, onProgress = () => {}) {
+  const writer = await openLineWriter(localPath);
+  try {
+    await fileWindow.scanLines(async (lines, firstLineNumber, bytesRead) => {
+      const selected = transform(lines, firstLineNumber);
+      if (selected === null) {
+        return false;
+      }
+      await writer.write(selected);
+      onProgress(bytesRead);
+      return true;
+    });
+  } finally {
+    await writer.close();
+  }
+  return writer;
+}
+
+module.exports = { stripColors, parseLineRange, defaultExportPath, openLineWriter, exportFileLines };
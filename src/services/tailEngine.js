@@ -0,0 +1,252 @@
+const { StringDecoder } = require('string_decoder');
+const { getFileClient } = require('./azureFileService');
+
+// Polling interval while the file is changing, and upper bound while it is idle
+const TAIL_MIN_INTERVAL = 1000;
+const TAIL_MAX_INTERVAL = 15000;
+
+// Factor applied to the polling interval after each poll without new content
+const TAIL_BACKOFF_FACTOR = 1.5;
+
+// Minimum delay between two checks for a newer file in the log group
+const ROTATION_CHECK_INTERVAL = 10000;
+
+// Maximum number of bytes read in one poll; the rest is read by the following polls
+const TAIL_MAX_READ = 4 * 1024 * 1024;
+
+/**
+ * Create a tail engine following the end of a remote file. New bytes are decoded with a
+ * streaming decoder, so characters split across two reads are kept whole, and incomplete
+ * lines are buffered until their newline arrives. Truncated files are read again from
+ * their start, and replaced or rotated files are followed to their new version.
+ * @param {string} shareName - Name of the file share
+ * @param {string} filePath - Path of the file to follow
+ * @param {Object} options - Tail options
+ * @param {number} options.position - Byte offset to start reading from, at the start of a line (defaults to 0)
+ * @param {string} options.fileId - File ID of the version already read, to detect replaced files
+ * @param {Function} options.download - Function (fileClient, offset, count) resolving to a Buffer
+ * @param {Function} options.resolveLatestFile - Resolves to the path of the newest file of the log group, if any
+ * @param {Function} options.onLines - Called with an array of new complete lines
+ * @param {Function} options.onNotice - Called with a message when the file is truncated, replaced or rotated
+ * @param {Function} options.onError - Called with errors from a poll; polling continues
+ * @param {Function} options.onPoll - Called after each poll with the tail engine
+ * @returns {Object} Tail engine, stopped until start() is called
+ */
+function createTailEngine(shareName, filePath, options) {
+  const noop = () => {};
+  const onLines = options.onLines || noop;
+  const onNotice = options.onNotice || noop;
+  const onError = options.onError || noop;
+  const onPoll = options.onPoll || noop;
+
+  let fileClient = getFileClient(shareName, filePath, true);
+  let fileId = options.fileId;
+  let decoder = new StringDecoder('utf8');
+  let partialLine = '';
+  let timer = null;
+  let polling = false;
+  let missing = false;
+  let lastRotationCheck = Date.now();
+
+  const engine = {
+    filePath,
+    position: options.position || 0,
+    interval: TAIL_MIN_INTERVAL,
+    lastUpdate: null,   // Time new content was last read
+    running: false,
+    paused: false,
+
+    /**
+     * Start polling, with a first poll right away
+     */
+    start() {
+      engine.running = true;
+      schedule(0);
+    },
+
+    /**
+     * Stop polling for good
+     */
+    stop() {
+      engine.running = false;
+      clearTimeout(timer);
+    },
+
+    /**
+     * Stop polling until resume() is called
+     */
+    pause() {
+      engine.paused = true;
+      clearTimeout(timer);
+    },
+
+    /**
+     * Resume polling, at the fastest interval
+     */
+    resume() {
+      engine.paused = false;
+      engine.interval = TAIL_MIN_INTERVAL;
+      schedule(0);
+    }
+  };
+
+  /**
+   * Schedule the next poll, unless one is running or polling is stopped
+   * @param {number} delay - Delay in milliseconds
+   */
+  function schedule(delay) {
+    clearTimeout(timer);
+    if (engine.running && !engine.paused && !polling) {
+      timer = setTimeout(poll, delay);
+    }
+  }
+
+  /**
+   * Read new content, then schedule the next poll: sooner when the file changed, later when it did not
+   */
+  async function poll() {
+    polling = true;
+    let delay;
+
+    try {
+      const { changed, remaining } = await readChanges();
+
+      if (changed) {
+        engine.interval = TAIL_MIN_INTERVAL;
+        engine.lastUpdate = new Date();
+      } else {
+        engine.interval = Math.min(Math.round(engine.interval * TAIL_BACKOFF_FACTOR), TAIL_MAX_INTERVAL);
+      }
+
+      // Catch up without waiting when a single read could not get all the new content
+      delay = remaining ? 0 : engine.interval;
+    } catch (error) {
+      engine.interval = Math.min(Math.round(engine.interval * TAIL_BACKOFF_FACTOR), TAIL_MAX_INTERVAL);
+      delay = engine.interval;
+      onError(error);
+    }
+
+    polling = false;
+    if (engine.running) {
+      onPoll(engine);
+      schedule(delay);
+    }
+  }
+
+  /**
+   * Check the file for new content, truncation, replacement and rotation
+   * @returns {Promise<{changed: boolean, remaining: boolean}>} Whether anything was read or switched,
+   *   and whether new content is left to read
+   */
+  async function readChanges() {
+    let properties;
+    try {
+      properties = await fileClient.getProperties();
+    } catch (error) {
+      if (error.statusCode !== 404) {
+        throw error;
+      }
+
+      // The file was deleted, usually by a rotation: follow the newest file of the group if there is one
+      if (await switchToLatestFile(true)) {
+        return { changed: true, remaining: false };
+      }
+      if (!missing) {
+        missing = true;
+        onNotice(`${engine.filePath} no longer exists, waiting for it to be created again`);
+      }
+      return { changed: false, remaining: false };
+    }
+
+    missing = false;
+    const size = properties.contentLength;
+
+    if (fileId === undefined) {
+      fileId = properties.fileId;
+    } else if (properties.fileId !== fileId) {
+      fileId = properties.fileId;
+      flushPartialLine();
+      onNotice(`${engine.filePath} was replaced, reading the new file from its start`);
+      engine.position = 0;
+    } else if (size < engine.position) {
+      // The partial line was overwritten with the rest of the content
+      resetDecoder();
+      onNotice(`${engine.filePath} was truncated, reading again from its start`);
+      engine.position = 0;
+    }
+
+    if (size > engine.position) {
+      const count = Math.min(size - engine.position, TAIL_MAX_READ);
+      const buffer = await options.download(fileClient, engine.position, count);
+      engine.position += buffer.length;
+      emit(decoder.write(buffer));
+      return { changed: true, remaining: engine.position < size };
+    }
+
+    if (await switchToLatestFile(false)) {
+      return { changed: true, remaining: false };
+    }
+    return { changed: false, remaining: false };
+  }
+
+  /**
+   * Switch to the newest file of the log group when it is not the file being followed
+   * @param {boolean} force - Check even if the last check was recent
+   * @returns {Promise<boolean>} True if the engine switched to another file
+   */
+  async function switchToLatestFile(force) {
+    if (!options.resolveLatestFile || (!force && Date.now() - lastRotationCheck < ROTATION_CHECK_INTERVAL)) {
+      return false;
+    }
+    lastRotationCheck = Date.now();
+
+    const latestFile = await options.resolveLatestFile();
+    if (!latestFile || latestFile === engine.filePath) {
+      return false;
+    }
+
+    flushPartialLine();
+    onNotice(`Log rotated: following ${latestFile}`);
+    engine.filePath = latestFile;
+    engine.position = 0;
+    fileClient = getFileClient(shareName, latestFile, true);
+    fileId = undefined;
+    missing = false;
+    return true;
+  }
+
+  /**
+   * Emit the complete lines of newly decoded text, keeping the incomplete last line
+   * @param {string} text - Decoded text
+   */
+  function emit(text) {
+    const lines = (partialLine + text).split('\n');
+    partialLine = lines.pop();
+    if (lines.length > 0) {
+      onLines(lines.map(line => line.replace(/\r$/, '')));
+    }
+  }
+
+  /**
+   * Emit the buffered incomplete line, when the file it belongs to will not be read any further
+   */
+  function flushPartialLine() {
+    const rest = partialLine + decoder.end();
+    resetDecoder();
+    if (rest) {
+      onLines([rest.replace(/\r$/, '')]);
+    }
+  }
+
+  /**
+   * Drop the buffered incomplete line and decoder state
+   */
+  function resetDecoder() {
+    decoder = new StringDecoder('utf8');
+    partialLine = '';
+  }
+
+  return engine;
+}
+
+module.exports = { createTailEngine };
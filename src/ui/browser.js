@@ -0,0 +1,1724 @@
+const path = require('path');
+const blessed = require('blessed');
+const chalk = require('chalk');
+const { listShares, listShareSnapshots } = require('../commands/listShares');
+const { listFilesPage, listGroupFiles, findNewestGroupFile } = require('../commands/listFiles');
+const { displayFile, downloadRange } = require('../commands/displayFile');
+const { searchFiles } = require('../commands/searchFiles');
+const { grepFiles } = require('../commands/grepFiles');
+const { isRemoteDirectory, listDownloadEntries, downloadFiles } = require('../commands/downloadFiles');
+const { listUploadEntries, uploadFiles } = require('../commands/uploadFiles');
+const { listRestoreEntries, restoreFiles } = require('../commands/restoreFiles');
+const { planOperation, runOperation, describePlan } = require('../commands/manageFiles');
+const { compareFiles } = require('../commands/compareFiles');
+const { displayMergedStreaming } = require('../commands/displayMergedStream');
+const { getFileClient, getDirectoryClient } = require('../services/azureFileService');
+const { detectArchiveType, decompressGzipSample } = require('../services/archives');
+const { getAvailableAccounts, switchAccount, getCurrentAccount } = require('../utils/config');
+const { formatBytes, formatDate, parseSize, parseDate } = require('../utils/formatting');
+const { splitShareSnapshot, joinShareSnapshot, joinPath, parentPath, resolveLocalPath } = require('../utils/paths');
+const { isBinaryContent } = require('../utils/hex');
+const { detectFormatter, highlightLogLine } = require('../utils/formatters');
+const { describeProgress } = require('../utils/progress');
+const { DEFAULT_SORT, toListingEntries, sortEntries, filterEntries, describeSort, formatEntryRow } = require('../utils/listing');
+const { getBookmarks, isBookmarked, addBookmark, removeBookmark, getRecentLocations, addRecentLocation } = require('../utils/bookmarks');
+const { hostViews } = require('./screen');
+const { chooseItem, askText, confirmAction } = require('./dialogs');
+
+// Number of bytes downloaded from the beginning of a file for its preview
+const PREVIEW_SIZE = 16 * 1024;
+
+// Delay before the preview of the selected item is loaded, so moving quickly through a list stays fast
+const PREVIEW_DELAY = 150;
+
+// Keys sorting the list, by name, size and modification date; pressing the same key again reverses the order
+const SORT_KEYS = { 1: 'name', 2: 'size', 3: 'date' };
+
+// Kinds of entries that can be marked, for the actions on several items
+const MARKABLE_KINDS = ['directory', 'file', 'group', 'match'];
+
+// Minimum delay between two progress messages in the status bar
+const PROGRESS_INTERVAL = 100;
+
+// Most content matches listed by a search of the text in files
+const MAX_CONTENT_MATCHES = 1000;
+
+// Keys of the browser, shown with ?
+const KEY_HELP = [
+  'Enter, →, l    Open the share, directory, log group or file',
+  '←, Backspace   Go up, or back from a log group or search results',
+  's              Stream the file, or the newest file of a log group',
+  'Space          Mark or unmark the item: actions apply to the marked items',
+  '/              Filter the list',
+  'p              List the names starting with a prefix',
+  'Esc            List all the names again after a prefix',
+  '1, 2, 3        Sort by name, size or date (again to reverse)',
+  'r              Refresh',
+  'f              Find files by name',
+  'F              Find text in files',
+  'O              Go to the directory of a search result',
+  'd              Download to a local directory',
+  'u              Upload local files into this directory',
+  'm              Delete, rename, move or copy',
+  'c              Compare two files, or a file with another version',
+  'S              Stream the marked files and log groups together',
+  'n              Browse the snapshots of the share, or return to the live share',
+  'R              Restore from a snapshot into the live share',
+  'b              Bookmark this directory',
+  'o              Go to a bookmark or a recent location',
+  'a              Switch account',
+  'Tab            Scroll the preview',
+  'q              Quit'
+];
+
+/**
+ * Run the full-screen browser: a list of shares and directories, a preview of the selected file
+ * and a status bar, in one persistent screen. Files open in the same screen.
+ * @param {Object} options - Browser options
+ * @param {Object} options.open - Location to open first, as { shareName, path }: a directory, or a file
+ *   opened from its directory
+ * @returns {Promise<void>} Resolves when the user quits
+ */
+async function startBrowser(options = {}) {
+  if (getAvailableAccounts().length === 0) {
+    throw new Error('No Azure Storage accounts configured.');
+  }
+
+  const screen = blessed.screen({
+    smartCSR: true,
+    title: 'Azure File Share Browser',
+    fullUnicode: true
+  });
+
+  blessed.box({
+    parent: screen,
+    top: 0,
+    left: 0,
+    width: '100%',
+    height: 1,
+    content: ' Azure File Share Browser ',
+    style: {
+      fg: 'white',
+      bg: 'blue',
+      bold: true
+    }
+  });
+
+  const list = blessed.list({
+    parent: screen,
+    top: 1,
+    left: 0,
+    width: '55%',
+    height: '100%-3',
+    border: {
+      type: 'line'
+    },
+    scrollbar: {
+      style: {
+        bg: 'blue'
+      }
+    },
+    mouse: true,
+    keys: true,
+    vi: true,
+    tags: false,
+    style: {
+      fg: 'white',
+      bg: 'black',
+      border: {
+        fg: 'blue'
+      },
+      selected: {
+        fg: 'black',
+        bg: 'cyan'
+      }
+    }
+  });
+
+  const preview = blessed.box({
+    parent: screen,
+    top: 1,
+    left: '55%',
+    width: '45%',
+    height: '100%-3',
+    label: ' Preview ',
+    border: {
+      type: 'line'
+    },
+    scrollable: true,
+    alwaysScroll: true,
+    scrollbar: {
+      style: {
+        bg: 'blue'
+      }
+    },
+    mouse: true,
+    keys: true,
+    vi: true,
+    tags: false, // File content is colored with ANSI codes; braces in files must stay literal
+    style: {
+      fg: 'white',
+      bg: 'black',
+      border: {
+        fg: 'blue'
+      }
+    }
+  });
+
+  const status = blessed.box({
+    parent: screen,
+    bottom: 1,
+    left: 0,
+    width: '100%',
+    height: 1,
+    style: {
+      fg: 'white',
+      bg: 'blue'
+    }
+  });
+
+  blessed.box({
+    parent: screen,
+    bottom: 0,
+    left: 0,
+    width: '100%',
+    height: 1,
+    content: ' Enter: Open | ←: Up | s: Stream | Space: Mark | /: Filter | f/F: Find | ?: All keys | q: Quit ',
+    style: {
+      fg: 'black',
+      bg: 'green'
+    }
+  });
+
+  // Dialogs open over the whole browser
+  const dialogView = { screen, container: screen };
+
+  // Current location: the list of shares when shareName is null. Items are the directory items listed
+  // so far, and listing their entries, with rotated log files gathered in log groups.
+  let shareName = null;
+  let directory = '';
+  let items = [];
+  let listing = [];
+  let entries = [];
+
+  // List shown instead of the directory: the files of a log group or search results, as { kind, name,
+  // title, listing, order } where order describes the order of lists that are not sorted
+  let mode = null;
+
+  // Marked entries by key, and the file kept to be compared with another one, as { shareName, path }
+  let marked = new Map();
+  let comparisonMark = null;
+  let sort = DEFAULT_SORT;
+  let filter = '';
+  let prefix = '';
+  let continuationToken;
+  let message = '';
+  let busy = false;
+  let loadingMore = false;
+  let loadCount = 0;
+  let previewCount = 0;
+  let previewTimer = null;
+  let lastProgress = 0;
+
+  /**
+   * Show the account, the location, the number of items and the last message
+   */
+  function updateStatus() {
+    const account = getCurrentAccount();
+    const location = describeView();
+    const shownListing = mode ? mode.listing : listing;
+    const shown = entries.filter(entry => entry.kind !== 'up' && entry.kind !== 'more').length;
+
+    // "+" marks a listing with more pages to load
+    const total = `${shownListing.length}${continuationToken && !mode ? '+' : ''}`;
+    const count = shown === shownListing.length ? `${total} item${total === '1' ? '' : 's'}` : `${shown} of ${total} items`;
+    const markedCount = marked.size > 0 ? ` | Marked: ${marked.size}` : '';
+    const prefixed = prefix && !mode ? ` | Prefix: ${prefix}` : '';
+    const filtered = filter ? ` | Filter: ${filter}` : '';
+    const order = mode && mode.order ? mode.order : `Sort: ${describeSort(sort)}`;
+    status.setContent(` ${account.accountName || account.name} | ${location} | ${count}${markedCount}${prefixed}${filtered} | ${order}${message ? ` | ${message}` : ''} `);
+  }
+
+  /**
+   * Describe what the list shows: the location, and the log group or the search shown there
+   * @returns {string} Description for the status bar and the label of the list
+   */
+  function describeView() {
+    const location = describeLocation(shareName, directory);
+    return mode ? `${location} > ${mode.title}` : location;
+  }
+
+  /**
+   * Show a message in the status bar, such as a progress or an error
+   * @param {string} text - Message, or an empty string to clear it
+   */
+  function setMessage(text) {
+    message = text;
+    updateStatus();
+    screen.render();
+  }
+
+  /**
+   * Show the progress of a transfer in the status bar, at most every PROGRESS_INTERVAL ms
+   * @param {Object} progress - Progress event from a transfer
+   * @param {boolean} force - Show it even if the last one was shown too recently
+   */
+  function showProgress(progress, force = false) {
+    const now = Date.now();
+    if (force || now - lastProgress >= PROGRESS_INTERVAL) {
+      lastProgress = now;
+      setMessage(describeProgress(progress));
+    }
+  }
+
+  /**
+   * Show the result of an action on several files, with the first failure if any failed
+   * @param {string} text - Result, such as "3 file(s) downloaded"
+   * @param {Array} failed - Failures, as { path, error }
+   */
+  function showSummary(text, failed) {
+    const more = failed.length > 1 ? ` (and ${failed.length - 1} more)` : '';
+    const failure = failed.length > 0 ? ` | ${chalk.red(`${failed.length} failed: ${failed[0].path}: ${failed[0].error}${more}`)}` : '';
+    setMessage(`${chalk.green(text)}${failure}`);
+  }
+
+  /**
+   * List the shares, or the first page of the items of a directory, and select an item by name
+   * @param {string|null} newShareName - Share to list, or null for the list of shares
+   * @param {string} newDirectory - Directory of the share
+   * @param {string} selectName - Name of the item to select, such as the directory just left
+   * @param {string} newPrefix - Only list the names starting with this prefix; by default, the prefix
+   *   is kept when the same directory is listed again and cleared otherwise
+   */
+  async function loadLocation(newShareName, newDirectory, selectName, newPrefix) {
+    const loadId = ++loadCount;
+    const samePlace = newShareName === shareName && newDirectory === directory;
+
+    // A page still being listed is dropped when it arrives (see loadMore)
+    loadingMore = false;
+    const listPrefix = newPrefix !== undefined ? newPrefix : samePlace ? prefix : '';
+    setMessage(`Loading ${describeLocation(newShareName, newDirectory)}...`);
+
+    try {
+      let newItems = [];
+      let newListing;
+      let newToken;
+      if (newShareName) {
+        const page = await listFilesPage(newShareName, newDirectory, { prefix: listPrefix });
+        newItems = page.items;
+        newListing = toListingEntries(newItems, true);
+        newToken = page.continuationToken;
+      } else {
+        const shares = await listShares();
+        newListing = shares.map(share => ({
+          kind: 'share',
+          name: share.name,
+          lastModified: share.properties && share.properties.lastModified,
+          properties: share.properties
+        }));
+      }
+
+      // A newer navigation started while listing
+      if (loadId !== loadCount) {
+        return;
+      }
+
+      // The filter is kept when the same location is listed again, unless a log group or a search was shown
+      if (!samePlace || mode) {
+        filter = '';
+      }
+      shareName = newShareName;
+      directory = newDirectory;
+      items = newItems;
+      listing = newListing;
+      continuationToken = newToken;
+      prefix = newShareName ? listPrefix : '';
+      mode = null;
+      marked = new Map();
+      if (shareName) {
+        addRecentLocation(shareName, directory);
+      }
+      list.setLabel(` ${describeView()} `);
+      message = '';
+      showEntries(selectName);
+    } catch (error) {
+      if (loadId === loadCount) {
+        setMessage(chalk.red(`Error: ${error.message}`));
+      }
+    }
+    screen.render();
+  }
+
+  /**
+   * List the next page of the current directory, add it to the list and select its first item
+   */
+  async function loadMore() {
+    // The same page must not be listed twice
+    if (loadingMore) {
+      return;
+    }
+    const loadId = loadCount;
+    const location = { shareName, directory, continuationToken };
+    loadingMore = true;
+    setMessage('Loading more items...');
+
+    try {
+      const page = await listFilesPage(shareName, directory, { prefix, continuationToken });
+
+      // The user went elsewhere or listed the directory again while listing
+      if (loadId !== loadCount || shareName !== location.shareName || directory !== location.directory ||
+        continuationToken !== location.continuationToken) {
+        return;
+      }
+
+      // Log groups are gathered again, since their files can be on several pages; marks follow their entries
+      const previous = new Set(listing.map(getEntryKey));
+      items = [...items, ...page.items];
+      listing = toListingEntries(items, true);
+      marked = new Map(listing.filter(entry => marked.has(getEntryKey(entry))).map(entry => [getEntryKey(entry), entry]));
+      continuationToken = page.continuationToken;
+      message = '';
+      if (mode) {
+        updateStatus();
+        screen.render();
+        return;
+      }
+      showEntries(null);
+
+      // The new items are sorted among the others: select the first one shown, or the last row
+      const first = entries.findIndex(entry => entry.kind !== 'up' && entry.kind !== 'more' && !previous.has(getEntryKey(entry)));
+      list.select(first !== -1 ? first : entries.length - 1);
+    } catch (error) {
+      if (loadId === loadCount) {
+        setMessage(chalk.red(`Error: ${error.message}`));
+      }
+    } finally {
+      if (loadId === loadCount) {
+        loadingMore = false;
+      }
+    }
+    screen.render();
+  }
+
+  /**
+   * Show the sorted entries of the listing that match the filter, and select an item by name
+   * @param {string} selectName - Name of the item to select; the filter is cleared if it hides this item
+   */
+  function showEntries(selectName) {
+    const shownListing = mode ? mode.listing : listing;
+    if (selectName && filter && !filterEntries(shownListing, filter).some(entry => entry.name === selectName) &&
+      shownListing.some(entry => entry.name === selectName)) {
+      filter = '';
+    }
+
+    // Only the pages listed so far are sorted and filtered; the next page is loaded on demand
+    const filtered = filterEntries(shownListing, filter);
+    const visible = mode && mode.order ? filtered : sortEntries(filtered, sort);
+    entries = shareName ? [{ kind: 'up', name: '..' }, ...visible] : visible;
+    if (continuationToken && !mode) {
+      entries.push({ kind: 'more', name: '' });
+    }
+    renderEntries();
+    list.select(Math.max(0, entries.findIndex(entry => entry.name === selectName)));
+    updateStatus();
+    schedulePreview();
+  }
+
+  /**
+   * Render the rows of the list: the marks, the name, and the type, size and date columns fitted to its width.
+   * Marked items start with "*", directories and log groups, which open as lists, with "+".
+   */
+  function renderEntries() {
+    // The border, the marks and the scrollbar take 6 columns
+    const width = Math.max(list.width - 6, 0);
+    list.setItems(entries.map(entry => {
+      if (entry.kind === 'up') {
+        return mode ? '.. (Back to the directory)' : '.. (Go back)';
+      }
+      if (entry.kind === 'more') {
+        return chalk.yellow(`… Load more (${items.length} loaded)`);
+      }
+      const mark = marked.has(getEntryKey(entry)) ? chalk.yellow('*') : ' ';
+      const opens = entry.kind === 'directory' ? chalk.blue('+') : entry.kind === 'group' ? chalk.yellow('+') : ' ';
+      if (entry.kind === 'match') {
+        // Matching lines have no size or date: the line takes the whole row
+        const text = entry.name.length > width ? `${entry.name.slice(0, Math.max(width - 1, 0))}…` : entry.name;
+        return `${mark}${opens} ${text}`;
+      }
+      return `${mark}${opens} ${formatEntryRow(entry, width)}`;
+    }));
+  }
+
+  /**
+   * Sort the list by a key, or reverse the order when it is already sorted by this key
+   * @param {string} key - Sort key: name, size or date
+   */
+  function setSort(key) {
+    if (mode && mode.order) {
+      setMessage(`${mode.order} (sorting applies to directories)`);
+      return;
+    }
+
+    // Sizes and dates are first shown largest and newest first
+    sort = sort.key === key ? { key, descending: !sort.descending } : { key, descending: key !== 'name' };
+    const entry = entries[list.selected];
+    showEntries(entry ? entry.name : null);
+    screen.render();
+  }
+
+  /**
+   * Type a filter in a line over the help bar; the list narrows as the filter is typed.
+   * Enter keeps the filter, Escape clears it.
+   */
+  function editFilter() {
+    readLine('Filter', filter, (text) => {
+      filter = text;
+      showEntries(null);
+      screen.render();
+    }, (text) => {
+      if (text === null) {
+        filter = '';
+      }
+      const entry = entries[list.selected];
+      showEntries(entry ? entry.name : null);
+    });
+  }
+
+  /**
+   * Type a prefix and list the names of the directory starting with it; the service matches the prefix,
+   * so names can be found in directories too large to be loaded. An empty prefix lists everything again.
+   */
+  function editPrefix() {
+    if (!shareName) {
+      setMessage('Open a share to list the names starting with a prefix');
+      return;
+    }
+
+    readLine('Prefix', prefix, null, (text) => {
+      if (text !== null && text.trim() !== prefix) {
+        loadLocation(shareName, directory, null, text.trim());
+      }
+    });
+  }
+
+  /**
+   * List all the names of the directory again after a prefix, keeping the selected item
+   */
+  function clearPrefix() {
+    if (!prefix || mode || busy) {
+      return;
+    }
+    const entry = entries[list.selected];
+    loadLocation(shareName, directory, entry && entry.kind !== 'up' && entry.kind !== 'more' ? entry.name : null, '');
+  }
+
+  /**
+   * Read a line typed over the help bar, then return to the list
+   * @param {string} label - Label shown before the typed text
+   * @param {string} value - Initial text
+   * @param {Function} onChange - Called with the text after each change, or null
+   * @param {Function} onDone - Called with the text when Enter is pressed, or with null on Escape
+   */
+  function readLine(label, value, onChange, onDone) {
+    const line = blessed.box({
+      parent: screen,
+      bottom: 0,
+      left: 0,
+      width: '100%',
+      height: 1,
+      content: ` ${label}: `,
+      style: {
+        fg: 'white',
+        bg: 'magenta'
+      }
+    });
+    const input = blessed.textbox({
+      parent: line,
+      top: 0,
+      left: label.length + 3,
+      width: `100%-${label.length + 3}`,
+      height: 1,
+      style: {
+        fg: 'white',
+        bg: 'magenta'
+      }
+    });
+    input.setValue(value);
+    let editing = true;
+    let lastValue = value;
+
+    // The value is updated after the keypress is handled
+    if (onChange) {
+      input.on('keypress', () => {
+        setImmediate(() => {
+          if (editing && input.value !== lastValue) {
+            lastValue = input.value;
+            onChange(input.value);
+          }
+        });
+      });
+    }
+
+    input.readInput((error, text) => {
+      editing = false;
+      line.destroy();
+      list.focus();
+      onDone(text === undefined ? null : text);
+      screen.render();
+    });
+    screen.render();
+  }
+
+  /**
+   * Load the preview of the selected item after a short delay
+   */
+  function schedulePreview() {
+    clearTimeout(previewTimer);
+    const previewId = ++previewCount;
+    preview.setContent('');
+    previewTimer = setTimeout(() => {
+      showPreview(entries[list.selected], previewId).catch(error => {
+        if (previewId === previewCount) {
+          preview.setContent(chalk.red(`Error loading preview: ${error.message}`));
+          screen.render();
+        }
+      });
+    }, PREVIEW_DELAY);
+  }
+
+  /**
+   * Show the properties of the selected item and, for a file, its first lines
+   * @param {Object} entry - Selected entry
+   * @param {number} previewId - Number of the preview, to drop the results of outdated previews
+   */
+  async function showPreview(entry, previewId) {
+    if (!entry) {
+      return;
+    }
+
+    const lines = [];
+    if (entry.kind === 'up' && mode) {
+      lines.push(chalk.dim(`Back to ${describeLocation(shareName, directory)}`));
+    } else if (entry.kind === 'up') {
+      lines.push(chalk.dim(`Back to ${directory ? parentPath(directory) || shareName : 'the list of file shares'}`));
+    } else if (entry.kind === 'more') {
+      lines.push(chalk.dim('Large directories are listed one page at a time: press Enter to load the next page,'));
+      lines.push(chalk.dim('or p to list the names starting with a prefix.'));
+    } else if (entry.kind === 'share') {
+      lines.push(`${chalk.bold('Share:')} ${entry.name}`);
+      if (entry.properties && entry.properties.quota) {
+        lines.push(`${chalk.bold('Quota:')} ${entry.properties.quota} GiB`);
+      }
+      if (entry.properties && entry.properties.lastModified) {
+        lines.push(`${chalk.bold('Modified:')} ${formatDate(entry.properties.lastModified)}`);
+      }
+    } else if (entry.kind === 'directory') {
+      lines.push(`${chalk.bold('Directory:')} ${entry.name}`);
+    } else if (entry.kind === 'group') {
+      lines.push(`${chalk.bold('Log group:')} ${entry.name}, ${entry.files.length} files, newest first`);
+      lines.push(chalk.dim('Press Enter to list its files, s to stream its newest file across rotations'));
+      lines.push('');
+      toListingEntries(entry.files).forEach(file => {
+        lines.push(`${file.name}  ${chalk.dim(`${formatBytes(file.size)}  ${formatDate(file.lastModified)}`)}`);
+      });
+    } else if (entry.kind === 'match') {
+      // Matches show their context lines, numbered as in the file
+      const { match } = entry;
+      const firstLine = match.lineNumber - match.before.length;
+      lines.push(`${chalk.bold('File:')} ${match.path}  ${chalk.bold('Line:')} ${match.lineNumber}`);
+      lines.push(chalk.dim('Press Enter to open the file at this line'));
+      lines.push('');
+      match.before.forEach((line, index) => lines.push(chalk.dim(`${firstLine + index}- ${line}`)));
+      lines.push(`${chalk.yellow(`${match.lineNumber}:`)} ${highlightLogLine(match.line)}`);
+      match.after.forEach((line, index) => lines.push(chalk.dim(`${match.lineNumber + index + 1}- ${line}`)));
+    } else {
+      const fileClient = getFileClient(shareName, getEntryPath(entry), true);
+      const properties = await fileClient.getProperties();
+      let content = properties.contentLength > 0
+        ? await downloadRange(fileClient, 0, Math.min(properties.contentLength, PREVIEW_SIZE))
+        : Buffer.alloc(0);
+      if (previewId !== previewCount) {
+        return;
+      }
+
+      lines.push(`${chalk.bold('Size:')} ${formatBytes(properties.contentLength)}  ${chalk.bold('Modified:')} ${formatDate(properties.lastModified)}`);
+      lines.push('');
+
+      // Gzip files are previewed decompressed; archives are opened to list their entries
+      const archiveType = detectArchiveType(content, entry.name);
+      if (archiveType === 'gzip') {
+        content = decompressGzipSample(content) || Buffer.alloc(0);
+        lines.push(chalk.dim('(gzip-compressed, shown decompressed)'));
+      }
+      const decompressedType = archiveType === 'gzip' ? detectArchiveType(content, '') : archiveType;
+
+      if (decompressedType === 'zip' || decompressedType === 'tar') {
+        lines.push(chalk.dim(`(${decompressedType} archive: press Enter to browse its entries)`));
+      } else if (isBinaryContent(content)) {
+        lines.push(chalk.dim('(binary file: press Enter to view it in hex)'));
+      } else {
+        const text = content.toString().replace(/\t/g, '    ');
+        lines.push(...detectFormatter(text, entry.name).highlightLines(text.split('\n')));
+      }
+    }
+
+    if (previewId === previewCount) {
+      preview.setContent(lines.join('\n'));
+      preview.scrollTo(0);
+      screen.render();
+    }
+  }
+
+  /**
+   * Get the path of an entry of the list within the share
+   * @param {Object} entry - Entry of a directory, a log group or search results
+   * @returns {string} Path of the item
+   */
+  function getEntryPath(entry) {
+    return entry.path || joinPath(directory, entry.name);
+  }
+
+  /**
+   * Open the selected share, directory, log group or file
+   * @param {boolean} streamMode - Whether to stream the selected file, or the newest file of the selected log group
+   */
+  async function openSelected(streamMode) {
+    const entry = entries[list.selected];
+    if (!entry || busy) {
+      return;
+    }
+
+    if (entry.kind === 'up') {
+      await goUp();
+    } else if (entry.kind === 'more') {
+      await loadMore();
+    } else if (entry.kind === 'share') {
+      await loadLocation(entry.name, '', null);
+    } else if (entry.kind === 'directory') {
+      await loadLocation(shareName, joinPath(directory, entry.name), null);
+    } else if (entry.kind === 'group' && !streamMode) {
+      await runAction(() => openGroup(entry, null));
+    } else {
+      // While streaming, a log group is followed to its newest file when the log rotates
+      const groupName = entry.kind === 'group' ? entry.name : mode && mode.kind === 'group' && entry.name === mode.newest ? mode.name : null;
+      const filePath = entry.kind === 'group' ? joinPath(directory, entry.files[0].name) : getEntryPath(entry);
+      const options = {
+        line: entry.kind === 'match' ? entry.match.lineNumber : undefined,
+        resolveLatestFile: groupName ? () => findNewestGroupFile(shareName, directory, groupName) : undefined
+      };
+
+      // The file opens over the browser, which shows again when the file is closed
+      await runAction(async () => {
+        setMessage('');
+        addRecentLocation(shareName, filePath, true);
+        await displayFile(shareName, filePath, streamMode, options);
+        updateStatus();
+      });
+    }
+  }
+
+  /**
+   * List the files of a log group instead of the directory, newest first
+   * @param {Object} entry - Entry of the group
+   * @param {string} selectName - Name of the file to select
+   */
+  async function openGroup(entry, selectName) {
+    // Pages not listed yet may hold more of its files
+    setMessage(`Listing the log group ${entry.name}...`);
+    const files = continuationToken ? await listGroupFiles(shareName, directory, entry.name) : entry.files;
+    showMode({
+      kind: 'group',
+      name: entry.name,
+      title: `${entry.name} (log group)`,
+      listing: toListingEntries(files),
+      order: 'Order: newest first',
+      newest: files.length > 0 ? files[0].name : null
+    }, selectName);
+    setMessage('');
+  }
+
+  /**
+   * Show the files of a log group or search results instead of the directory
+   * @param {Object} newMode - What to show, as { kind, title, listing, order }
+   * @param {string} selectName - Name of the entry to select, or null for the first one after ".."
+   */
+  function showMode(newMode, selectName) {
+    mode = newMode;
+    filter = '';
+    marked = new Map();
+    list.setLabel(` ${describeView()} `);
+    showEntries(selectName);
+    if (!selectName && entries.length > 1) {
+      list.select(1);
+      schedulePreview();
+    }
+  }
+
+  /**
+   * Go back from a log group or search results to the directory, selecting the group
+   */
+  function leaveMode() {
+    const groupName = mode.kind === 'group' ? mode.name : null;
+    mode = null;
+    filter = '';
+    marked = new Map();
+    list.setLabel(` ${describeView()} `);
+    showEntries(null);
+
+    // A log file can have the name of its group
+    list.select(Math.max(0, entries.findIndex(entry => entry.kind === 'group' && entry.name === groupName)));
+    screen.render();
+  }
+
+  /**
+   * Go to the parent directory, or from the root of a share to the list of shares
+   */
+  async function goUp() {
+    if (!shareName || busy) {
+      return;
+    }
+    if (mode) {
+      leaveMode();
+    } else if (directory) {
+      await loadLocation(shareName, parentPath(directory), directory.split('/').pop());
+    } else {
+      await loadLocation(null, '', shareName);
+    }
+  }
+
+  /**
+   * Go to a directory, or to the directory of a file and open the file
+   * @param {Object} location - Location, as { shareName, path, isFile }
+   */
+  async function openLocation(location) {
+    if (!location.isFile) {
+      await loadLocation(location.shareName, location.path, null);
+      return;
+    }
+
+    const fileName = location.path.split('/').pop();
+    const inGroup = (entry) => entry.kind === 'group' && entry.files.some(file => file.name === fileName);
+    await loadLocation(location.shareName, parentPath(location.path), fileName);
+
+    // In a large directory, the file may be in a page not listed yet: it is listed with its name as prefix,
+    // shown in the status bar until Esc lists all the names again
+    if (continuationToken && !listing.some(entry => entry.name === fileName || inGroup(entry))) {
+      await loadLocation(location.shareName, parentPath(location.path), fileName, fileName);
+    }
+
+    // Rotated log files are listed in their log group
+    const group = listing.find(inGroup);
+    if (shareName === location.shareName && group && !listing.some(entry => entry.name === fileName)) {
+      await openGroup(group, fileName);
+    }
+    const entry = entries[list.selected];
+    if (shareName === location.shareName && entry && entry.kind === 'file' && entry.name === fileName) {
+      await openSelected(false);
+    } else {
+      setMessage(chalk.red(`File not found: ${location.shareName}/${location.path}`));
+    }
+  }
+
+  /**
+   * Bookmark the current directory, or remove its bookmark
+   */
+  function toggleBookmark() {
+    if (!shareName) {
+      setMessage('Open a share to bookmark it');
+      return;
+    }
+
+    try {
+      if (isBookmarked(shareName, directory)) {
+        removeBookmark(shareName, directory);
+        setMessage(`Bookmark removed: ${describeLocation(shareName, directory)}`);
+      } else {
+        addBookmark(shareName, directory);
+        setMessage(`Bookmarked: ${describeLocation(shareName, directory)}`);
+      }
+    } catch (error) {
+      setMessage(chalk.red(`Error saving bookmarks: ${error.message}`));
+    }
+  }
+
+  /**
+   * Choose a bookmark or a recent location in a list over the browser
+   */
+  function chooseLocation() {
+    const locations = [
+      ...getBookmarks().map(location => ({ ...location, bookmark: true })),
+      ...getRecentLocations()
+    ];
+    if (locations.length === 0) {
+      setMessage('No bookmarks or recent locations yet');
+      return;
+    }
+
+    const describe = (location) => {
+      const kind = location.bookmark ? chalk.yellow('Bookmark') : location.isFile ? 'File    ' : 'Recent  ';
+      return `${kind}  ${describeLocation(location.shareName, location.path)}`;
+    };
+
+    const locationList = blessed.list({
+      parent: screen,
+      top: 'center',
+      left: 'center',
+      width: '80%',
+      height: Math.min(locations.length + 2, screen.height - 4),
+      label: ' Go to (Enter: Open, d: Remove bookmark, Esc: Cancel) ',
+      border: {
+        type: 'line'
+      },
+      scrollbar: {
+        style: {
+          bg: 'yellow'
+        }
+      },
+      keys: true,
+      vi: true,
+      mouse: true,
+      tags: false,
+      items: locations.map(describe),
+      style: {
+        fg: 'white',
+        bg: 'black',
+        border: {
+          fg: 'yellow'
+        },
+        selected: {
+          fg: 'black',
+          bg: 'yellow'
+        }
+      }
+    });
+
+    const close = () => {
+      locationList.destroy();
+      list.focus();
+      screen.render();
+    };
+    locationList.key(['escape', 'q'], close);
+    locationList.key(['d', 'delete'], () => {
+      const location = locations[locationList.selected];
+      if (location && location.bookmark) {
+        removeBookmark(location.shareName, location.path);
+        close();
+        chooseLocation();
+      }
+    });
+    locationList.on('select', (item, index) => {
+      close();
+      openLocation(locations[index]);
+    });
+    locationList.focus();
+    screen.render();
+  }
+
+  /**
+   * Choose another account in a list over the browser
+   */
+  function chooseAccount() {
+    const accounts = getAvailableAccounts();
+    if (accounts.length < 2) {
+      setMessage('Only one account is configured');
+      return;
+    }
+
+    const accountList = blessed.list({
+      parent: screen,
+      top: 'center',
+      left: 'center',
+      width: 50,
+      height: Math.min(accounts.length + 2, 20),
+      label: ' Account (Enter: Switch, Esc: Cancel) ',
+      border: {
+        type: 'line'
+      },
+      keys: true,
+      vi: true,
+      mouse: true,
+      items: accounts,
+      style: {
+        fg: 'white',
+        bg: 'black',
+        border: {
+          fg: 'yellow'
+        },
+        selected: {
+          fg: 'black',
+          bg: 'yellow'
+        }
+      }
+    });
+    accountList.select(Math.max(0, accounts.indexOf(getCurrentAccount().name)));
+
+    const close = () => {
+      accountList.destroy();
+      list.focus();
+      screen.render();
+    };
+    accountList.key(['escape', 'q'], close);
+    accountList.on('select', (item, index) => {
+      close();
+      if (switchAccount(accounts[index])) {
+        loadLocation(null, '', null);
+      } else {
+        setMessage(chalk.red(`Failed to switch to account: ${accounts[index]}`));
+      }
+    });
+    accountList.focus();
+    screen.render();
+  }
+
+  /**
+   * Run an action of the browser, such as a search or a transfer, reporting its error in the status bar.
+   * Other actions wait until it ends.
+   * @param {Function} action - Async function running the action
+   */
+  async function runAction(action) {
+    if (busy) {
+      return;
+    }
+    busy = true;
+    try {
+      await action();
+    } catch (error) {
+      setMessage(chalk.red(`Error: ${error.message}`));
+    } finally {
+      busy = false;
+      list.focus();
+      screen.render();
+    }
+  }
+
+  /**
+   * Ask several questions in turn over the browser
+   * @param {Array<Object>} questions - Questions, as { label, value, validate } (see askText in ui/dialogs)
+   * @returns {Promise<Array<string>|null>} Trimmed answers, or null as soon as a question is cancelled
+   */
+  async function askAll(questions) {
+    const answers = [];
+    for (const question of questions) {
+      const answer = await askText(dialogView, question.label, question.value || '', question.validate);
+      if (answer === null) {
+        return null;
+      }
+      answers.push(answer.trim());
+    }
+    return answers;
+  }
+
+  /**
+   * Mark the selected item, or unmark it, and select the next one
+   */
+  function toggleMark() {
+    const entry = entries[list.selected];
+    if (!entry || !MARKABLE_KINDS.includes(entry.kind)) {
+      return;
+    }
+
+    const key = getEntryKey(entry);
+    if (marked.has(key)) {
+      marked.delete(key);
+    } else {
+      marked.set(key, entry);
+    }
+    renderEntries();
+    list.down(1);
+    updateStatus();
+    screen.render();
+  }
+
+  /**
+   * Get the entries the actions apply to: the marked entries, or else the selected one
+   * @returns {Array} Entries of files, directories, log groups or matches
+   */
+  function getTargets() {
+    if (marked.size > 0) {
+      return [...marked.values()];
+    }
+    const entry = entries[list.selected];
+    return entry && MARKABLE_KINDS.includes(entry.kind) ? [entry] : [];
+  }
+
+  /**
+   * Turn entries into the files and directories they stand for; log groups stand for all their files
+   * @param {Array} targets - Entries returned by getTargets
+   * @returns {Promise<Array>} Items as { path, isDirectory }, each path once
+   */
+  async function resolveTargets(targets) {
+    const resolved = new Map();
+    for (const entry of targets) {
+      if (entry.kind === 'group') {
+        // Pages not listed yet may hold more of its files
+        const files = continuationToken ? await listGroupFiles(shareName, directory, entry.name) : entry.files;
+        files.forEach(file => resolved.set(joinPath(directory, file.name), { path: joinPath(directory, file.name), isDirectory: false }));
+      } else {
+        resolved.set(getEntryPath(entry), { path: getEntryPath(entry), isDirectory: entry.kind === 'directory' });
+      }
+    }
+    return [...resolved.values()];
+  }
+
+  /**
+   * Search the share for file names matching a pattern and list the files found
+   */
+  async function findFiles() {
+    const type = await chooseItem(dialogView, 'Pattern type', ['Glob (e.g. *.log, app-??.json)', 'Regular expression']);
+    if (type === -1) {
+      return;
+    }
+
+    const answers = await askAll([
+      { label: 'File name pattern', validate: (input) => validatePattern(input, type === 1) },
+      { label: 'Start directory (empty for the share root)', value: directory },
+      { label: 'Minimum size (e.g. 10KB, empty for none)', validate: validateSize },
+      { label: 'Maximum size (e.g. 1GB, empty for none)', validate: validateSize },
+      { label: 'Modified after (YYYY-MM-DD or number of days ago, empty for any)', validate: validateDate }
+    ]);
+    if (!answers) {
+      return;
+    }
+
+    const [pattern, startDirectory, minSize, maxSize, modifiedAfter] = answers;
+    const errors = [];
+    const results = await searchFiles(shareName, pattern, true, {
+      glob: type === 0,
+      directory: startDirectory.replace(/^\/+|\/+$/g, ''),
+      minSize: minSize ? parseSize(minSize) : undefined,
+      maxSize: maxSize ? parseSize(maxSize) : undefined,
+      modifiedAfter: modifiedAfter ? parseDate(modifiedAfter) : undefined,
+      onProgress: setMessage,
+      onError: (itemPath, error) => errors.push({ path: itemPath, error: error.message })
+    });
+
+    showMode({
+      kind: 'found',
+      title: `Names matching "${pattern}"`,
+      listing: results.map(result => ({
+        kind: 'file',
+        name: result.path,
+        path: result.path,
+        size: result.size,
+        lastModified: result.lastModified
+      }))
+    }, null);
+    showSummary(`${results.length} file(s) found`, errors);
+  }
+
+  /**
+   * Search the content of files for a text or a pattern and list the matching lines
+   */
+  async function findText() {
+    const type = await chooseItem(dialogView, 'Search for', ['Plain text (e.g. a correlation ID)', 'Regular expression']);
+    if (type === -1) {
+      return;
+    }
+    const pattern = await askText(dialogView, 'Text to find', '', (input) => validatePattern(input, type === 1));
+    if (pattern === null) {
+      return;
+    }
+    const caseChoice = await chooseItem(dialogView, 'Case', ['Ignore case', 'Match case']);
+    if (caseChoice === -1) {
+      return;
+    }
+
+    const answers = await askAll([
+      { label: 'Start directory (empty for the share root)', value: directory },
+      { label: 'Only files matching (glob)', value: '*.log*' },
+      { label: 'Skip files larger than (empty for no limit)', value: '10MB', validate: validateSize },
+      { label: 'Modified after (YYYY-MM-DD or number of days ago, empty for any)', validate: validateDate },
+      { label: 'Context lines around each match', value: '2', validate: (input) => /^\d+$/.test(input.trim()) || 'Please enter a number of lines' }
+    ]);
+    if (!answers) {
+      return;
+    }
+
+    const [startDirectory, nameGlob, maxSize, modifiedAfter, contextLines] = answers;
+    const errors = [];
+    const matches = await grepFiles(shareName, pattern, {
+      fixedStrings: type === 0,
+      ignoreCase: caseChoice === 0,
+      directory: startDirectory.replace(/^\/+|\/+$/g, ''),
+      nameGlob: nameGlob || '*',
+      maxSize: maxSize ? parseSize(maxSize) : undefined,
+      modifiedAfter: modifiedAfter ? parseDate(modifiedAfter) : undefined,
+      contextLines: Number(contextLines),
+      maxResults: MAX_CONTENT_MATCHES,
+      onProgress: setMessage,
+      onError: (itemPath, error) => errors.push({ path: itemPath, error: error.message })
+    });
+
+    showMode({
+      kind: 'matches',
+      title: `Lines matching "${pattern}"`,
+      listing: matches.map(match => ({
+        kind: 'match',
+        name: `${match.path}:${match.lineNumber}: ${match.line}`,
+        path: match.path,
+        match
+      })),
+      order: 'Order: as found'
+    }, null);
+    const limited = matches.length === MAX_CONTENT_MATCHES ? ` (the first ${MAX_CONTENT_MATCHES})` : '';
+    showSummary(`${matches.length} matching line(s)${limited}`, errors);
+  }
+
+  /**
+   * Go to the directory of the selected search result, selecting it
+   */
+  async function openResultDirectory() {
+    const entry = entries[list.selected];
+    if (!entry || !entry.path) {
+      setMessage('Select a search result to go to its directory');
+      return;
+    }
+    await loadLocation(shareName, parentPath(entry.path), entry.path.split('/').pop());
+  }
+
+  /**
+   * Download the marked items, or the selected one, into a local directory
+   */
+  async function downloadItems() {
+    const selection = await resolveTargets(getTargets());
+    if (selection.length === 0) {
+      setMessage('Select or mark the files and directories to download');
+      return;
+    }
+
+    const destinationAnswer = await askText(dialogView, `Download ${selection.length} item(s) to the local directory`, process.cwd());
+    if (destinationAnswer === null) {
+      return;
+    }
+    const existing = await chooseItem(dialogView, 'When a local file already exists', [
+      'Download only if size or date differ',
+      'Always overwrite',
+      'Keep the local file'
+    ]);
+    if (existing === -1) {
+      return;
+    }
+
+    const destination = resolveLocalPath(destinationAnswer.trim() || '.');
+    setMessage('Listing files to download...');
+    const downloads = [];
+    for (const item of selection) {
+      downloads.push(...await listDownloadEntries(shareName, item.path, path.join(destination, item.path.split('/').pop()), item.isDirectory));
+    }
+
+    const summary = await downloadFiles(shareName, downloads, {
+      existing: ['newer', 'overwrite', 'skip'][existing],
+      onProgress: showProgress
+    });
+    showSummary(`${summary.downloaded.length} file(s) downloaded to ${destination}, ${summary.skipped.length} skipped`, summary.failed);
+  }
+
+  /**
+   * Upload local files and directories into the current directory, asking before overwriting files
+   */
+  async function uploadItems() {
+    const localPaths = await askText(dialogView, `Local files or directories to upload to ${describeLocation(shareName, directory)} (separate several paths with ;)`, '',
+      (input) => input.trim() ? true : 'Please enter at least one path');
+    if (localPaths === null) {
+      return;
+    }
+
+    const uploads = [];
+    for (const localPath of localPaths.split(';').map(part => part.trim()).filter(Boolean)) {
+      const resolvedPath = resolveLocalPath(localPath);
+      uploads.push(...await listUploadEntries(resolvedPath, joinPath(directory, path.basename(resolvedPath))));
+    }
+
+    const summary = await uploadFiles(shareName, uploads, {
+      existing: 'ask',
+      onProgress: showProgress,
+      confirmOverwrite: async (remotePath) => {
+        const answer = await chooseItem(dialogView, `${remotePath} already exists`, [
+          'Overwrite',
+          'Skip',
+          'Overwrite this and all remaining files',
+          'Skip this and all remaining existing files'
+        ]);
+        return ['yes', 'no', 'all', 'none'][answer] || 'no';
+      }
+    });
+
+    const selectName = uploads.length > 0 ? uploads[0].remotePath.split('/').pop() : null;
+    await loadLocation(shareName, directory, selectName);
+    showSummary(`${summary.uploaded.length} file(s) uploaded to ${describeLocation(shareName, directory)}, ${summary.skipped.length} skipped`, summary.failed);
+  }
+
+  /**
+   * Restore the marked items of a snapshot, or the selected one, into the live share at the same paths
+   */
+  async function restoreItems() {
+    const { name: liveShareName, snapshot } = splitShareSnapshot(shareName);
+    const selection = await resolveTargets(getTargets());
+    if (selection.length === 0) {
+      setMessage('Select or mark the files and directories to restore');
+      return;
+    }
+
+    const existing = await chooseItem(dialogView, `When a file exists in the live share ${liveShareName}`, [
+      `Replace it with its version from ${snapshot}`,
+      'Keep it (only restore missing files)'
+    ]);
+    if (existing === -1) {
+      return;
+    }
+
+    setMessage('Listing files to restore...');
+    const restores = await listRestoreEntries(shareName, selection);
+    const totalSize = restores.reduce((total, entry) => total + entry.size, 0);
+    const confirmed = await confirmAction(dialogView,
+      `Restore ${restores.length} file(s) (${formatBytes(totalSize)}) into ${liveShareName}?`,
+      restores.map(entry => `${entry.path} (${formatBytes(entry.size)})`));
+    if (!confirmed) {
+      setMessage('');
+      return;
+    }
+
+    const summary = await restoreFiles(shareName, restores, {
+      existing: ['overwrite', 'skip'][existing],
+      onProgress: showProgress
+    });
+    showSummary(`${summary.restored.length} file(s) restored into ${liveShareName}, ${summary.skipped.length} skipped`, summary.failed);
+  }
+
+  /**
+   * Delete, rename, move or copy the marked items, or the selected one, after listing everything affected
+   * and asking for confirmation
+   */
+  async function manageItems() {
+    const targets = getTargets();
+    if (targets.length === 0) {
+      setMessage('Select or mark the files, directories or log groups to delete, rename, move or copy');
+      return;
+    }
+
+    const operations = ['delete', 'rename', 'move', 'copy'];
+    const index = await chooseItem(dialogView, `${targets.length} item(s)`, [
+      'Delete',
+      'Rename',
+      'Move to another directory',
+      'Copy to another directory'
+    ]);
+    if (index === -1) {
+      return;
+    }
+    const operation = operations[index];
+    if (operation === 'rename' && (targets.length > 1 || targets[0].kind === 'group')) {
+      setMessage('Only one file or directory can be renamed at a time');
+      return;
+    }
+
+    const selection = await resolveTargets(targets);
+    const validateName = (input) => (input.trim() && !input.includes('/')) || 'Please enter a name without /';
+    let target = {};
+    if (operation === 'rename') {
+      const name = await askText(dialogView, 'New name', selection[0].path.split('/').pop(), validateName);
+      if (name === null) {
+        return;
+      }
+      target = { name: name.trim() };
+    } else if (operation !== 'delete') {
+      const answers = await askAll([
+        { label: `Destination directory in ${shareName} (empty for the root, created if missing)`, value: directory },
+        ...selection.length === 1 ? [{ label: 'Name at the destination', value: selection[0].path.split('/').pop(), validate: validateName }] : []
+      ]);
+      if (!answers) {
+        return;
+      }
+      target = { directory: answers[0].replace(/^\/+|\/+$/g, '') };
+      if (answers[1]) {
+        target.name = answers[1];
+      }
+    }
+
+    setMessage('Listing affected files...');
+    const plan = await planOperation(operation, shareName, selection, target);
+    const fileCount = plan.entries.filter(entry => !entry.isDirectory).length;
+    const directoryCount = plan.entries.length - fileCount;
+    const confirmed = await confirmAction(dialogView,
+      `${operation.charAt(0).toUpperCase()}${operation.slice(1)} these ${plan.entries.length} item(s) in ${shareName}? ` +
+      `${fileCount} file(s), ${directoryCount} ${directoryCount === 1 ? 'directory' : 'directories'}, ${formatBytes(plan.totalSize)}`,
+      describePlan(plan, formatBytes));
+    if (!confirmed) {
+      setMessage('');
+      return;
+    }
+
+    // Only copies transfer content; the other operations are a request per item
+    const summary = await runOperation(plan, {
+      onProgress: (progress, force) => {
+        if (operation === 'copy') {
+          showProgress(progress, force);
+        }
+      }
+    });
+
+    const entry = entries[list.selected];
+    const selectName = operation === 'rename' && target.name && !mode ? target.name : entry && !mode ? entry.name : null;
+    await loadLocation(shareName, directory, selectName);
+    const verb = { delete: 'deleted', rename: 'renamed', move: 'moved', copy: 'copied' }[operation];
+    showSummary(`${summary.done.length} item(s) ${verb}`, summary.failed);
+  }
+
+  /**
+   * Stream the marked files and log groups into one view, ordered by timestamp. A log group is followed
+   * through its newest file, across rotations.
+   */
+  async function streamMarkedItems() {
+    const targets = [...marked.values()].filter(entry => entry.kind !== 'directory');
+    if (targets.length < 2) {
+      setMessage('Mark at least two files or log groups with Space to stream them together');
+      return;
+    }
+
+    const sources = [];
+    for (const entry of targets) {
+      if (entry.kind === 'group') {
+        const files = continuationToken ? await listGroupFiles(shareName, directory, entry.name) : entry.files;
+        sources.push({
+          filePath: joinPath(directory, files[0].name),
+          label: entry.name,
+          resolveLatestFile: () => findNewestGroupFile(shareName, directory, entry.name)
+        });
+      } else if (!sources.some(source => source.filePath === getEntryPath(entry))) {
+        sources.push({ filePath: getEntryPath(entry), label: getEntryPath(entry).split('/').pop() });
+      }
+    }
+
+    await displayMergedStreaming(shareName, sources);
+    setMessage('');
+  }
+
+  /**
+   * Compare two files: the two marked files, or the selected file (or the file kept earlier) with another
+   * file, the same file in a snapshot or in the live share, or a local file
+   */
+  async function compareItems() {
+    const files = [...marked.values()].filter(entry => entry.kind === 'file' || entry.kind === 'match');
+    if (marked.size === 2 && files.length === 2) {
+      await compareFiles({ shareName, path: getEntryPath(files[0]) }, { shareName, path: getEntryPath(files[1]) });
+      return;
+    }
+
+    const entry = entries[list.selected];
+    const selected = entry && (entry.kind === 'file' || entry.kind === 'match') ? { shareName, path: getEntryPath(entry) } : null;
+    const first = comparisonMark || selected;
+    if (!first) {
+      setMessage('Select a file to compare, or mark two files with Space');
+      return;
+    }
+
+    const { name: liveShareName, snapshot } = splitShareSnapshot(first.shareName);
+    const firstName = `${first.shareName}/${first.path}`;
+    const choices = [];
+    if (comparisonMark && selected && (selected.shareName !== first.shareName || selected.path !== first.path)) {
+      choices.push({ value: 'selected', label: `The selected file (${selected.shareName}/${selected.path})` });
+    }
+    if (!comparisonMark) {
+      choices.push({ value: 'keep', label: 'Another file (keep this one, then select the other and press c)' });
+    }
+    choices.push({ value: 'snapshot', label: 'The same file in a snapshot' });
+    if (snapshot) {
+      choices.push({ value: 'live', label: 'The same file in the live share' });
+    }
+    choices.push({ value: 'local', label: 'A local file' });
+    if (comparisonMark) {
+      choices.push({ value: 'clear', label: 'Forget this file' });
+    }
+
+    const index = await chooseItem(dialogView, `Compare ${firstName} with`, choices.map(choice => choice.label));
+    if (index === -1) {
+      return;
+    }
+    const choice = choices[index].value;
+    if (choice === 'keep') {
+      comparisonMark = first;
+      setMessage(`Kept ${firstName}: select the other file and press c`);
+      return;
+    }
+
+    comparisonMark = null;
+    if (choice === 'clear') {
+      setMessage('');
+    } else if (choice === 'selected') {
+      await compareFiles(first, selected);
+    } else if (choice === 'live') {
+      // The older version is shown on the left
+      await compareFiles(first, { shareName: liveShareName, path: first.path });
+    } else if (choice === 'snapshot') {
+      setMessage(`Loading snapshots of ${liveShareName}...`);
+      const snapshots = await listShareSnapshots(liveShareName);
+      if (snapshots.length === 0) {
+        setMessage(`No snapshots found for ${liveShareName}`);
+        return;
+      }
+
+      const snapshotIndex = await chooseItem(dialogView, `Snapshot of ${liveShareName}, newest first`,
+        snapshots.map(item => `${formatDate(new Date(item.snapshot))}  ${item.snapshot}`));
+      if (snapshotIndex === -1) {
+        setMessage('');
+        return;
+      }
+      const other = { shareName: joinShareSnapshot(liveShareName, snapshots[snapshotIndex].snapshot), path: first.path };
+      const otherIsOlder = !snapshot || snapshots[snapshotIndex].snapshot < snapshot;
+      await (otherIsOlder ? compareFiles(other, first) : compareFiles(first, other));
+    } else {
+      const localPath = await askText(dialogView, 'Local file', '', (input) => input.trim() ? true : 'Please enter a path');
+      if (localPath !== null) {
+        await compareFiles(first, { localPath: resolveLocalPath(localPath.trim()) });
+      }
+    }
+  }
+
+  /**
+   * Browse the share as it was at the time of a snapshot, from the current directory if it existed then,
+   * or return to the live share
+   */
+  async function chooseSnapshot() {
+    const { name: liveShareName, snapshot } = splitShareSnapshot(shareName);
+    setMessage(`Loading snapshots of ${liveShareName}...`);
+    const snapshots = await listShareSnapshots(liveShareName);
+    if (snapshots.length === 0 && !snapshot) {
+      setMessage(`No snapshots found for ${liveShareName}`);
+      return;
+    }
+
+    const choices = [
+      ...snapshot ? [{ snapshot: '', label: 'The live share' }] : [],
+      ...snapshots.map(item => ({ snapshot: item.snapshot, label: `${formatDate(new Date(item.snapshot))}  ${item.snapshot}` }))
+    ];
+    const index = await chooseItem(dialogView, `Snapshots of ${liveShareName}, newest first`, choices.map(choice => choice.label),
+      Math.max(0, choices.findIndex(choice => choice.snapshot === snapshot)));
+    if (index === -1) {
+      setMessage('');
+      return;
+    }
+
+    const newShareName = joinShareSnapshot(liveShareName, choices[index].snapshot);
+    const exists = !directory || await getDirectoryClient(newShareName, directory).exists();
+    await loadLocation(newShareName, exists ? directory : '', null);
+    if (!exists) {
+      setMessage(chalk.yellow(`${directory} does not exist there: showing the root directory`));
+    }
+  }
+
+  /**
+   * Show the keys of the browser over it
+   */
+  function showKeys() {
+    const help = blessed.box({
+      parent: screen,
+      top: 'center',
+      left: 'center',
+      width: Math.min(Math.max(...KEY_HELP.map(line => line.length)) + 4, screen.width - 4),
+      height: Math.min(KEY_HELP.length + 2, screen.height - 2),
+      label: ' Keys (Esc: Close) ',
+      content: KEY_HELP.join('\n'),
+      border: {
+        type: 'line'
+      },
+      scrollable: true,
+      alwaysScroll: true,
+      keys: true,
+      vi: true,
+      mouse: true,
+      style: {
+        fg: 'white',
+        bg: 'black',
+        border: {
+          fg: 'yellow'
+        }
+      }
+    });
+
+    help.key(['escape', 'q', '?', 'enter'], () => {
+      help.destroy();
+      list.focus();
+      screen.render();
+    });
+    help.focus();
+    screen.render();
+  }
+
+  /**
+   * Bind a key to an action that needs an open share, and possibly the live share or a snapshot
+   * @param {Array<string>} keys - Keys of the action
+   * @param {string} needs - "share", "live" or "snapshot"
+   * @param {Function} action - Async function running the action
+   */
+  function bindAction(keys, needs, action) {
+    list.key(keys, () => {
+      if (busy) {
+        return;
+      }
+      const snapshot = shareName ? splitShareSnapshot(shareName).snapshot : '';
+      if (!shareName) {
+        setMessage('Open a share first');
+      } else if (needs === 'live' && snapshot) {
+        setMessage('Share snapshots are read-only: press n to return to the live share');
+      } else if (needs === 'snapshot' && !snapshot) {
+        setMessage('Press n to browse a snapshot, then restore its files from there');
+      } else {
+        runAction(action);
+      }
+    });
+  }
+
+  // Moving to another item clears the last message
+  list.on('select item', () => {
+    if (!busy) {
+      message = '';
+      updateStatus();
+      schedulePreview();
+    }
+  });
+  const reportError = (error) => setMessage(chalk.red(`Error: ${error.message}`));
+  list.key(['enter', 'right', 'l'], () => openSelected(false).catch(reportError));
+  list.key(['left', 'backspace', 'h'], () => goUp());
+  list.key(['s'], () => {
+    const entry = entries[list.selected];
+    if (entry && (entry.kind === 'file' || entry.kind === 'group')) {
+      openSelected(true).catch(reportError);
+    }
+  });
+  list.key(['r'], () => {
+    const entry = entries[list.selected];
+    loadLocation(shareName, directory, entry ? entry.name : null);
+  });
+  list.key(['/'], editFilter);
+  list.key(['p'], editPrefix);
+  list.key(['escape'], clearPrefix);
+  Object.entries(SORT_KEYS).forEach(([key, sortKey]) => {
+    list.key([key], () => setSort(sortKey));
+  });
+  list.key(['a'], chooseAccount);
+  list.key(['b'], toggleBookmark);
+  list.key(['o'], chooseLocation);
+  list.key(['space'], toggleMark);
+  bindAction(['f'], 'share', findFiles);
+  bindAction(['S-f'], 'share', findText);
+  bindAction(['S-o'], 'share', openResultDirectory);
+  bindAction(['d'], 'share', downloadItems);
+  bindAction(['u'], 'live', uploadItems);
+  bindAction(['m'], 'live', manageItems);
+  bindAction(['c'], 'share', compareItems);
+  bindAction(['S-s'], 'share', streamMarkedItems);
+  bindAction(['n'], 'share', chooseSnapshot);
+  bindAction(['S-r'], 'snapshot', restoreItems);
+  list.key(['?'], showKeys);
+  list.key(['tab'], () => {
+    preview.focus();
+    screen.render();
+  });
+  preview.key(['tab', 'escape'], () => {
+    list.focus();
+    screen.render();
+  });
+
+  // Columns are fitted to the width of the list
+  screen.on('resize', () => {
+    renderEntries();
+    screen.render();
+  });
+
+  // Views of files open inside this screen and report their messages in the status bar
+  hostViews(screen, setMessage);
+
+  // Wait for the user to quit, also while a location given on the command line opens
+  const quitting = new Promise(resolve => {
+    const quit = () => {
+      hostViews(null);
+      screen.destroy();
+      resolve();
+    };
+    list.key(['q'], () => {
+      if (!busy) {
+        quit();
+      }
+    });
+    screen.key(['C-c'], quit);
+  });
+
+  list.focus();
+  updateStatus();
+  screen.render();
+  await loadLocation(null, '', null);
+
+  // Open the location given on the command line, once the shares are listed
+  if (options.open) {
+    try {
+      const isFile = !await isRemoteDirectory(options.open.shareName, options.open.path);
+      await openLocation({ ...options.open, isFile });
+    } catch (error) {
+      setMessage(chalk.red(`Cannot open ${options.open.shareName}/${options.open.path}: ${error.message}`));
+    }
+  }
+
+  return quitting;
+}
+
+/**
+ * Get the key of an entry, identifying it among the entries of the same list
+ * @param {Object} entry - Listing entry
+ * @returns {string} Key made of its kind and name
+ */
+function getEntryKey(entry) {
+  return `${entry.kind}:${entry.name}`;
+}
+
+/**
+ * Check a pattern typed in a search dialog
+ * @param {string} input - Typed pattern
+ * @param {boolean} isRegex - Whether the pattern is a regular expression
+ * @returns {boolean|string} True, or the reason the pattern is not valid
+ */
+function validatePattern(input, isRegex) {
+  if (!input.trim()) {
+    return 'Please enter a pattern';
+  }
+  if (isRegex) {
+    try {
+      new RegExp(input);
+    } catch (error) {
+      return `Invalid regular expression: ${error.message}`;
+    }
+  }
+  return true;
+}
+
+/**
+ * Check an optional size typed in a search dialog
+ * @param {string} input - Typed size
+ * @returns {boolean|string} True, or the reason the size is not valid
+ */
+function validateSize(input) {
+  return !input.trim() || parseSize(input) !== null || 'Please enter a size such as 500, 10KB or 2MB';
+}
+
+/**
+ * Check an optional date typed in a search dialog
+ * @param {string} input - Typed date
+ * @returns {boolean|string} True, or the reason the date is not valid
+ */
+function validateDate(input) {
+  return !input.trim() || parseDate(input) !== null || 'Please enter a date (YYYY-MM-DD) or a number of days';
+}
+
+/**
+ * Describe a location of the browser
+ * @param {string|null} shareName - Name of the share, or null for the list of shares
+ * @param {string} directory - Directory of the share
+ * @returns {string} "share/directory", "share", or "File shares"
+ */
+function describeLocation(shareName, directory) {
+  if (!shareName) {
+    return 'File shares';
+  }
+  return directory ? `${shareName}/${directory}` : shareName;
+}
+
+module.exports = { startBrowser };
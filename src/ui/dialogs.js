@@ -0,0 +1,170 @@
+const blessed = require('blessed');
+
+/**
+ * Show a list over a view and wait for an item to be chosen
+ * @param {Object} view - View to show the list in (see ui/screen)
+ * @param {string} label - Label of the list
+ * @param {Array<string>} items - Items of the list
+ * @param {number} selected - Index of the item selected first
+ * @returns {Promise<number>} Index of the chosen item, or -1 if the list was cancelled
+ */
+function chooseItem(view, label, items, selected = 0) {
+  const fullLabel = ` ${label} (Enter: Choose, Esc: Cancel) `;
+  const list = blessed.list({
+    parent: view.container,
+    top: 'center',
+    left: 'center',
+    width: Math.min(Math.max(fullLabel.length + 4, ...items.map(item => item.length + 2)), view.screen.width - 4),
+    height: Math.min(items.length + 2, view.screen.height - 2),
+    label: fullLabel,
+    border: {
+      type: 'line'
+    },
+    keys: true,
+    vi: true,
+    mouse: true,
+    items,
+    style: {
+      fg: 'white',
+      bg: 'black',
+      border: {
+        fg: 'yellow'
+      },
+      selected: {
+        fg: 'black',
+        bg: 'yellow'
+      }
+    }
+  });
+  list.select(selected);
+
+  return new Promise(resolve => {
+    const close = (index) => {
+      list.destroy();
+      view.screen.render();
+      resolve(index);
+    };
+    list.key(['escape', 'q'], () => close(-1));
+    list.on('select', (item, index) => close(index));
+    list.focus();
+    view.screen.render();
+  });
+}
+
+/**
+ * Read a line of input at the bottom of a view
+ * @param {Object} view - View to show the input line in
+ * @param {string} label - Label of the input line
+ * @param {string} value - Initial value
+ * @returns {Promise<string|null>} Entered value, or null if the input was cancelled
+ */
+function readText(view, label, value) {
+  const input = blessed.textbox({
+    parent: view.container,
+    bottom: 0,
+    left: 0,
+    width: '100%',
+    height: 3,
+    label: ` ${label} (Enter: Apply, Esc: Cancel) `,
+    border: {
+      type: 'line'
+    },
+    style: {
+      fg: 'white',
+      bg: 'black',
+      border: {
+        fg: 'yellow'
+      }
+    }
+  });
+
+  return new Promise(resolve => {
+    input.setValue(value);
+    view.screen.render();
+    input.readInput((error, result) => {
+      input.destroy();
+      view.screen.render();
+      resolve(error || result === undefined ? null : result);
+    });
+  });
+}
+
+/**
+ * Ask for a line of input at the bottom of a view, asking again while the value is not valid
+ * @param {Object} view - View to show the input line in (see ui/screen)
+ * @param {string} label - Label of the input line
+ * @param {string} value - Initial value
+ * @param {Function} validate - Called with the entered value, returns true or the reason it is not valid
+ * @returns {Promise<string|null>} Entered value, or null if the input was cancelled
+ */
+async function askText(view, label, value, validate) {
+  let problem = null;
+  for (;;) {
+    const result = await readText(view, problem ? `${label} ${problem}` : label, value);
+    if (result === null || !validate) {
+      return result;
+    }
+
+    const check = validate(result);
+    if (check === true) {
+      return result;
+    }
+    problem = `(${check})`;
+    value = result;
+  }
+}
+
+/**
+ * Ask to confirm an action over a view, with the details of what it does in a scrollable box
+ * @param {Object} view - View to show the question in (see ui/screen)
+ * @param {string} question - Question, such as "Delete these 3 items?"
+ * @param {Array<string>} lines - Details of the action, such as the affected files
+ * @returns {Promise<boolean>} True if the action was confirmed with y
+ */
+function confirmAction(view, question, lines = []) {
+  const content = [question, ...(lines.length > 0 ? ['', ...lines] : [])];
+  const box = blessed.box({
+    parent: view.container,
+    top: 'center',
+    left: 'center',
+    width: Math.min(Math.max(40, ...content.map(line => line.length + 4)), view.screen.width - 4),
+    height: Math.min(content.length + 2, view.screen.height - 2),
+    label: ' Confirm (y: Yes, n/Esc: No) ',
+    content: content.join('\n'),
+    border: {
+      type: 'line'
+    },
+    scrollable: true,
+    alwaysScroll: true,
+    scrollbar: {
+      style: {
+        bg: 'yellow'
+      }
+    },
+    keys: true,
+    vi: true,
+    mouse: true,
+    tags: false, // Details are file names; braces in them must stay literal
+    style: {
+      fg: 'white',
+      bg: 'black',
+      border: {
+        fg: 'yellow'
+      }
+    }
+  });
+
+  return new Promise(resolve => {
+    const close = (confirmed) => {
+      box.destroy();
+      view.screen.render();
+      resolve(confirmed);
+    };
+    box.key(['y'], () => close(true));
+    box.key(['n', 'escape', 'q'], () => close(false));
+    box.focus();
+    view.screen.render();
+  });
+}
+
+module.exports = { chooseItem, askText, confirmAction };
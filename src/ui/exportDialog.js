@@ -0,0 +1,44 @@
+const { chooseItem, askText } = require('./dialogs');
+
+/**
+ * Ask what to export from a view and where: the lines to export, a value some choices need (such as
+ * a line range), whether to keep the colors, and the local path
+ * @param {Object} view - View to show the questions in (see ui/screen)
+ * @param {Array<Object>} choices - Lines that can be exported, as { name, label, input, final } where input is the
+ *   label of the value to ask for, if any, and final skips the other questions (for actions such as stopping a recording)
+ * @param {Function} defaultPath - Called with the chosen choice, returns the local path proposed
+ * @returns {Promise<Object|null>} Answers as { choice, value, keepColors, localPath }, or null if cancelled
+ */
+async function chooseExport(view, choices, defaultPath) {
+  const index = await chooseItem(view, 'Export', choices.map(choice => choice.label));
+  if (index === -1) {
+    return null;
+  }
+
+  const choice = choices[index];
+  if (choice.final) {
+    return { choice };
+  }
+
+  let value = null;
+  if (choice.input) {
+    value = await askText(view, choice.input, '');
+    if (value === null || value.trim() === '') {
+      return null;
+    }
+  }
+
+  const format = await chooseItem(view, 'Format', ['Plain text', 'Keep colors (ANSI escape codes)']);
+  if (format === -1) {
+    return null;
+  }
+
+  const localPath = await askText(view, 'Save to local file', defaultPath(choice));
+  if (localPath === null || localPath.trim() === '') {
+    return null;
+  }
+
+  return { choice, value, keepColors: format === 1, localPath: localPath.trim() };
+}
+
+module.exports = { chooseExport };
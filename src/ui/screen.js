@@ -0,0 +1,97 @@
+const blessed = require('blessed');
+
+// Screen of the full-screen browser while it runs; views are then opened inside it
+let appScreen = null;
+
+// Shows messages of the views in the browser's status bar
+let messageHandler = null;
+
+/**
+ * Make views open inside a screen instead of in a screen of their own
+ * @param {Object} screen - Blessed screen of the application, or null to stop hosting views
+ * @param {Function} onMessage - Called with the messages of the views, instead of printing them
+ */
+function hostViews(screen, onMessage) {
+  appScreen = screen;
+  messageHandler = screen ? onMessage : null;
+}
+
+/**
+ * @returns {boolean} True if views open inside the full-screen browser
+ */
+function isHosted() {
+  return appScreen !== null;
+}
+
+/**
+ * Show a message of a view: in the status bar of the browser, or on the console
+ * @param {string} message - Message, possibly colored
+ */
+function showMessage(message) {
+  if (messageHandler) {
+    messageHandler(message);
+  } else {
+    console.log(message);
+  }
+}
+
+/**
+ * Open a full-screen view. Inside the browser, the view is a box covering its screen and its keys are
+ * unbound when it closes; otherwise the view gets a screen of its own, destroyed when it closes.
+ * @param {string} title - Title of the terminal window
+ * @returns {Object} View with the screen, the container to add widgets to, key() to bind screen keys
+ *   and close()
+ */
+function openView(title) {
+  if (!appScreen) {
+    const screen = blessed.screen({
+      smartCSR: true,
+      title,
+      fullUnicode: true
+    });
+
+    return {
+      screen,
+      container: screen,
+      key: (keys, handler) => screen.key(keys, handler),
+      close: () => screen.destroy()
+    };
+  }
+
+  const screen = appScreen;
+  const previousTitle = screen.title;
+  const previousFocus = screen.focused;
+  const bindings = [];
+
+  const container = blessed.box({
+    parent: screen,
+    top: 0,
+    left: 0,
+    width: '100%',
+    height: '100%',
+    style: {
+      bg: 'black'
+    }
+  });
+  screen.title = title;
+
+  return {
+    screen,
+    container,
+    key(keys, handler) {
+      screen.key(keys, handler);
+      bindings.push([keys, handler]);
+    },
+    close() {
+      bindings.forEach(([keys, handler]) => screen.unkey(keys, handler));
+      container.destroy();
+      screen.title = previousTitle;
+      if (previousFocus) {
+        previousFocus.focus();
+      }
+      screen.render();
+    }
+  };
+}
+
+module.exports = { hostViews, isHosted, showMessage, openView };
@@ -0,0 +1,99 @@
+const { getConfig, saveConfig } = require('./config');
+
+// Number of recently visited directories and opened files kept per account
+const MAX_RECENT_LOCATIONS = 20;
+
+/**
+ * Get the configuration entry of the current account, where its bookmarks and recent locations are kept
+ * @returns {Object} Account entry of the configuration
+ */
+function getAccountEntry() {
+  const config = getConfig();
+  const entry = config.accounts[config.currentAccount];
+  if (!entry) {
+    throw new Error('No current account selected or account configuration is invalid');
+  }
+  return entry;
+}
+
+/**
+ * Check whether two locations are the same
+ * @param {Object} a - Location, as { shareName, path }
+ * @param {Object} b - Location, as { shareName, path }
+ * @returns {boolean} True if both locations have the same share and path
+ */
+function isSameLocation(a, b) {
+  return a.shareName === b.shareName && a.path === b.path;
+}
+
+/**
+ * Get the bookmarks of the current account
+ * @returns {Array} Bookmarked locations, as { shareName, path }, in the order they were added
+ */
+function getBookmarks() {
+  return getAccountEntry().bookmarks || [];
+}
+
+/**
+ * Check whether a location is bookmarked
+ * @param {string} shareName - Name of the file share
+ * @param {string} path - Directory path within the share
+ * @returns {boolean} True if the location is bookmarked
+ */
+function isBookmarked(shareName, path) {
+  return getBookmarks().some(bookmark => isSameLocation(bookmark, { shareName, path }));
+}
+
+/**
+ * Bookmark a location of the current account and save the configuration
+ * @param {string} shareName - Name of the file share
+ * @param {string} path - Directory path within the share
+ */
+function addBookmark(shareName, path) {
+  if (!isBookmarked(shareName, path)) {
+    const entry = getAccountEntry();
+    entry.bookmarks = [...getBookmarks(), { shareName, path }];
+    saveConfig();
+  }
+}
+
+/**
+ * Remove a bookmark of the current account and save the configuration
+ * @param {string} shareName - Name of the file share
+ * @param {string} path - Directory path within the share
+ */
+function removeBookmark(shareName, path) {
+  const entry = getAccountEntry();
+  entry.bookmarks = getBookmarks().filter(bookmark => !isSameLocation(bookmark, { shareName, path }));
+  saveConfig();
+}
+
+/**
+ * Get the recently visited directories and opened files of the current account
+ * @returns {Array} Locations, as { shareName, path, isFile }, most recent first
+ */
+function getRecentLocations() {
+  return getAccountEntry().recent || [];
+}
+
+/**
+ * Record a visited directory or an opened file as the most recent location of the current account
+ * @param {string} shareName - Name of the file share
+ * @param {string} path - Path within the share
+ * @param {boolean} isFile - Whether the location is a file
+ */
+function addRecentLocation(shareName, path, isFile = false) {
+  const entry = getAccountEntry();
+  const location = { shareName, path, isFile };
+  entry.recent = [location, ...getRecentLocations().filter(recent => !isSameLocation(recent, location))]
+    .slice(0, MAX_RECENT_LOCATIONS);
+
+  // The history is a convenience: failing to save it must not interrupt browsing
+  try {
+    saveConfig();
+  } catch (error) {
+    // Kept in memory for this session
+  }
+}
+
+module.exports = { getBookmarks, isBookmarked, addBookmark, removeBookmark, getRecentLocations, addRecentLocation };
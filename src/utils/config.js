@@ -1,6 +1,9 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const inquirer = require('inquirer');
+const { openVault, createVault } = require('./vault');
+const { resolveLocalPath } = require('./paths');
 
 // Default configuration
 let config = {
@@ -8,58 +11,180 @@ let config = {
   accounts: {}
 };
 
+// Configuration file used when neither --config nor AZURE_FILE_BROWSER_CONFIG gives one
+const DEFAULT_CONFIG_PATH = path.join(os.homedir(), '.azure-file-browser.json');
+
+// Account fields holding credentials; they go to the vault instead of the configuration file when it has one
+const SECRET_FIELDS = ['accountKey', 'connectionString', 'sasToken', 'clientSecret'];
+
+// Name of the account defined by the AZURE_STORAGE_* environment variables, which is never saved
+const ENVIRONMENT_ACCOUNT = 'env';
+
 // Path to the configuration file
-const configFilePath = path.join(os.homedir(), '.azure-file-browser.json');
+let configFilePath = DEFAULT_CONFIG_PATH;
+
+// Current account saved in the configuration file; useAccount() only changes it for the session
+let savedCurrentAccount = '';
+
+// Unlocked vault holding the secrets of the accounts, if the configuration uses one
+let vault = null;
+
+// Whether the environment account was added to the accounts of this session
+let hasEnvironmentAccount = false;
 
 /**
- * Load configuration from the JSON configuration file
+ * Load configuration from the JSON configuration file, its vault and the environment
+ * @param {Object} options - Load options
+ * @param {boolean} options.quiet - If true, don't print the loaded accounts summary
+ * @param {string} options.configPath - Configuration file to use instead of the default one
+ * @param {boolean} options.requireAccounts - If false, don't fail when no account is configured
+ *   (to add the first one)
  */
-async function loadConfig() {
-  try {
-    // Check if the configuration file exists
-    if (fs.existsSync(configFilePath)) {
-      const fileContent = fs.readFileSync(configFilePath, 'utf8');
-      const loadedConfig = JSON.parse(fileContent);
-      
-      // Update the config object with the loaded configuration
-      config = { ...config, ...loadedConfig };
-      
-      if (Object.keys(config.accounts).length > 0) {
-        // If current account is not set or invalid, set it to the first account
-        if (!config.currentAccount || !config.accounts[config.currentAccount]) {
-          config.currentAccount = Object.keys(config.accounts)[0];
+async function loadConfig(options = {}) {
+  configFilePath = resolveLocalPath(options.configPath || process.env.AZURE_FILE_BROWSER_CONFIG || DEFAULT_CONFIG_PATH);
+  config = { currentAccount: '', accounts: {} };
+  vault = null;
+  hasEnvironmentAccount = false;
+
+  const fileExists = fs.existsSync(configFilePath);
+  if (fileExists) {
+    let loadedConfig;
+    try {
+      loadedConfig = JSON.parse(fs.readFileSync(configFilePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read the configuration file ${configFilePath}: ${error.message}`);
+    }
+    if (!isObject(loadedConfig) || (loadedConfig.accounts !== undefined && !isObject(loadedConfig.accounts))) {
+      throw new Error(`Invalid configuration file ${configFilePath}: "accounts" must be an object of named accounts`);
+    }
+    
+    // Update the config object with the loaded configuration
+    config = { ...config, ...loadedConfig, accounts: { ...loadedConfig.accounts } };
+    
+    if (config.vault) {
+      vault = await openVault(getVaultPath(), await getPassphrase('Passphrase of the account vault:'));
+      Object.entries(vault.secrets).forEach(([name, secrets]) => {
+        if (config.accounts[name]) {
+          config.accounts[name] = { ...config.accounts[name], ...secrets };
         }
-        console.log(`Loaded configuration for ${Object.keys(config.accounts).length} account(s).`);
-        console.log(`Current account: ${config.currentAccount}`);
-      } else {
-        console.error('No storage accounts found in the configuration file.');
-        process.exit(1);
-      }
-    } else {
-      console.error(`Configuration file not found at: ${configFilePath}`);
-      console.log('Please create a configuration file with your Azure Storage accounts.');
-      console.log(`Example content for ${configFilePath}:`);
-      console.log(`
-{
-  "currentAccount": "account1",
-  "accounts": {
-    "account1": {
-      "accountName": "your_storage_account_name_1",
-      "accountKey": "your_storage_account_key_1"
-    },
-    "account2": {
-      "accountName": "your_storage_account_name_2",
-      "accountKey": "your_storage_account_key_2"
+      });
     }
   }
-}
-      `);
-      process.exit(1);
+  
+  // Credentials in the environment (or in a .env file) define one more account for the session
+  const environmentAccount = getEnvironmentAccount();
+  if (environmentAccount && !config.accounts[ENVIRONMENT_ACCOUNT]) {
+    config.accounts[ENVIRONMENT_ACCOUNT] = environmentAccount;
+    hasEnvironmentAccount = true;
+  }
+  
+  const accountNames = Object.keys(config.accounts);
+  if (accountNames.length === 0) {
+    if (options.requireAccounts === false) {
+      return;
     }
-  } catch (error) {
-    console.error(`Error loading configuration: ${error.message}`);
-    process.exit(1);
+    throw new Error([
+      fileExists
+        ? `No storage accounts found in the configuration file ${configFilePath}.`
+        : `Configuration file not found at: ${configFilePath}`,
+      'Add an account with "azure-file-browser accounts add <name>", or set AZURE_STORAGE_ACCOUNT and',
+      'AZURE_STORAGE_KEY (or AZURE_STORAGE_CONNECTION_STRING) in the environment or in a .env file.'
+    ].join('\n'));
+  }
+  
+  // If current account is not set or invalid, set it to the first account
+  if (!config.currentAccount || !config.accounts[config.currentAccount]) {
+    config.currentAccount = accountNames[0];
+  }
+  savedCurrentAccount = isSessionAccount(config.currentAccount) ? '' : config.currentAccount;
+  
+  const sessionAccount = process.env.AZURE_FILE_BROWSER_ACCOUNT;
+  if (sessionAccount && !useAccount(sessionAccount)) {
+    throw new Error(`Account not found in configuration: ${sessionAccount} (from AZURE_FILE_BROWSER_ACCOUNT)`);
+  }
+  
+  if (!options.quiet) {
+    console.log(`Loaded configuration for ${accountNames.length} account(s).`);
+    console.log(`Current account: ${config.currentAccount}`);
+  }
+}
+
+/**
+ * Build an account from the AZURE_STORAGE_* environment variables
+ * @returns {Object|null} Account configuration, or null if the environment has no storage credentials
+ */
+function getEnvironmentAccount() {
+  const env = process.env;
+  
+  if (env.AZURE_STORAGE_CONNECTION_STRING) {
+    return { connectionString: env.AZURE_STORAGE_CONNECTION_STRING };
   }
+  if (env.AZURE_STORAGE_ACCOUNT && env.AZURE_STORAGE_KEY) {
+    return { accountName: env.AZURE_STORAGE_ACCOUNT, accountKey: env.AZURE_STORAGE_KEY };
+  }
+  if (env.AZURE_STORAGE_ACCOUNT && env.AZURE_STORAGE_SAS_TOKEN) {
+    return { accountName: env.AZURE_STORAGE_ACCOUNT, sasToken: env.AZURE_STORAGE_SAS_TOKEN };
+  }
+  return null;
+}
+
+/**
+ * Get the passphrase of the vault from AZURE_FILE_BROWSER_PASSPHRASE, or ask for it on the terminal
+ * @param {string} message - Prompt shown when asking
+ * @param {boolean} confirm - If true, ask twice and check that both entries match (for a new passphrase)
+ * @returns {Promise<string>} Passphrase
+ */
+async function getPassphrase(message, confirm = false) {
+  if (process.env.AZURE_FILE_BROWSER_PASSPHRASE) {
+    return process.env.AZURE_FILE_BROWSER_PASSPHRASE;
+  }
+  if (!process.stdin.isTTY) {
+    throw new Error('The account secrets are kept in a vault: set AZURE_FILE_BROWSER_PASSPHRASE to unlock it');
+  }
+  
+  // Prompts go to stderr so that the output of commands can still be piped
+  const prompt = inquirer.createPromptModule({ output: process.stderr });
+  const questions = [
+    { type: 'password', name: 'passphrase', message, mask: '*', validate: input => input.length > 0 || 'The passphrase cannot be empty' }
+  ];
+  if (confirm) {
+    questions.push({
+      type: 'password',
+      name: 'confirmation',
+      message: 'Enter the passphrase again:',
+      mask: '*',
+      validate: (input, answers) => input === answers.passphrase || 'The passphrases do not match'
+    });
+  }
+  
+  const { passphrase } = await prompt(questions);
+  return passphrase;
+}
+
+/**
+ * Get the path of the vault file named in the configuration, relative to the configuration file
+ * @returns {string} Absolute path of the vault file
+ */
+function getVaultPath() {
+  const vaultPath = config.vault.startsWith('~') ? resolveLocalPath(config.vault) : config.vault;
+  return path.resolve(path.dirname(configFilePath), vaultPath);
+}
+
+/**
+ * Check whether a parsed JSON value is an object (and not an array or null)
+ * @param {*} value - Parsed value
+ * @returns {boolean} True for objects
+ */
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Get the path of the configuration file in use
+ * @returns {string} Absolute path of the configuration file
+ */
+function getConfigPath() {
+  return configFilePath;
 }
 
 /**
@@ -78,7 +203,36 @@ function getCurrentAccount() {
   if (!config.currentAccount || !config.accounts[config.currentAccount]) {
     throw new Error('No current account selected or account configuration is invalid');
   }
-  return config.accounts[config.currentAccount];
+  
+  return getAccount(config.currentAccount);
+}
+
+/**
+ * Get the configuration of an account
+ * @param {string} name - Account name in the configuration
+ * @returns {Object} Account configuration, with its name in the configuration, and its accountName
+ *   taken from the connection string when it is not set
+ */
+function getAccount(name) {
+  const account = config.accounts[name];
+  if (!account) {
+    throw new Error(`Account not found in configuration: ${name}`);
+  }
+  
+  // Accounts using a connection string may omit accountName; the other ones need it or an endpoint,
+  // which the service layer checks
+  const accountName = getConnectionStringAccountName(account.connectionString);
+  return { name, ...(accountName ? { accountName } : {}), ...account };
+}
+
+/**
+ * Extract the account name from a storage connection string
+ * @param {string} connectionString - Connection string
+ * @returns {string|undefined} Value of AccountName, if present
+ */
+function getConnectionStringAccountName(connectionString) {
+  const match = (connectionString || '').match(/(?:^|;)\s*AccountName=([^;]+)/i);
+  return match ? match[1] : undefined;
 }
 
 /**
@@ -87,12 +241,16 @@ function getCurrentAccount() {
  * @returns {boolean} Success of the operation
  */
 function switchAccount(accountName) {
+  if (isSessionAccount(accountName)) {
+    return useAccount(accountName);
+  }
   if (config.accounts[accountName]) {
     config.currentAccount = accountName;
+    savedCurrentAccount = accountName;
     
     // Update the configuration file
     try {
-      fs.writeFileSync(configFilePath, JSON.stringify(config, null, 2));
+      saveConfig();
       return true;
     } catch (error) {
       console.error(`Error updating configuration file: ${error.message}`);
@@ -102,6 +260,195 @@ function switchAccount(accountName) {
   return false;
 }
 
+/**
+ * Write the configuration file, keeping the saved current account when another one is used for the session.
+ * The environment account is left out, and the secrets go to the vault when the configuration has one.
+ */
+function saveConfig() {
+  const accounts = {};
+  const secrets = {};
+  
+  Object.entries(config.accounts).forEach(([name, account]) => {
+    if (isSessionAccount(name)) {
+      return;
+    }
+    if (!vault) {
+      accounts[name] = account;
+      return;
+    }
+    
+    accounts[name] = {};
+    Object.entries(account).forEach(([field, value]) => {
+      if (SECRET_FIELDS.includes(field)) {
+        secrets[name] = { ...secrets[name], [field]: value };
+      } else {
+        accounts[name][field] = value;
+      }
+    });
+  });
+  
+  // The vault is written first, so the configuration never names secrets that were not saved
+  if (vault) {
+    vault.save(secrets);
+  }
+  fs.writeFileSync(configFilePath, JSON.stringify({ ...config, currentAccount: savedCurrentAccount, accounts }, null, 2), { mode: 0o600 });
+}
+
+/**
+ * Check whether an account only exists for the session (defined by the environment)
+ * @param {string} name - Account name
+ * @returns {boolean} True if the account is never saved
+ */
+function isSessionAccount(name) {
+  return hasEnvironmentAccount && name === ENVIRONMENT_ACCOUNT;
+}
+
+/**
+ * Add an account and save the configuration; the first account added becomes the current one
+ * @param {string} name - Name of the account in the configuration
+ * @param {Object} account - Account configuration (see the authentication types of the README)
+ */
+function addAccount(name, account) {
+  if (config.accounts[name]) {
+    throw new Error(`An account named ${name} already exists`);
+  }
+  
+  config.accounts[name] = account;
+  if (!savedCurrentAccount) {
+    config.currentAccount = name;
+    savedCurrentAccount = name;
+  }
+  saveConfig();
+}
+
+/**
+ * Remove an account and save the configuration
+ * @param {string} name - Name of the account in the configuration
+ */
+function removeAccount(name) {
+  requireSavedAccount(name);
+  
+  delete config.accounts[name];
+  const remaining = Object.keys(config.accounts).filter(key => !isSessionAccount(key));
+  if (savedCurrentAccount === name) {
+    savedCurrentAccount = remaining[0] || '';
+  }
+  if (config.currentAccount === name) {
+    config.currentAccount = savedCurrentAccount;
+  }
+  saveConfig();
+}
+
+/**
+ * Rename an account, keeping its place in the configuration, and save the configuration
+ * @param {string} name - Current name of the account
+ * @param {string} newName - New name of the account
+ */
+function renameAccount(name, newName) {
+  requireSavedAccount(name);
+  if (config.accounts[newName]) {
+    throw new Error(`An account named ${newName} already exists`);
+  }
+  
+  config.accounts = Object.fromEntries(Object.entries(config.accounts).map(([key, account]) =>
+    [key === name ? newName : key, account]
+  ));
+  if (savedCurrentAccount === name) {
+    savedCurrentAccount = newName;
+  }
+  if (config.currentAccount === name) {
+    config.currentAccount = newName;
+  }
+  saveConfig();
+}
+
+/**
+ * Check that an account exists in the configuration file
+ * @param {string} name - Account name
+ */
+function requireSavedAccount(name) {
+  if (!config.accounts[name]) {
+    throw new Error(`Account not found in configuration: ${name}`);
+  }
+  if (isSessionAccount(name)) {
+    throw new Error(`The ${name} account comes from the environment and is not saved in the configuration`);
+  }
+}
+
+/**
+ * Get the name of the account saved as current in the configuration file
+ * @returns {string} Account name, or an empty string if none is saved
+ */
+function getSavedCurrentAccount() {
+  return savedCurrentAccount;
+}
+
+/**
+ * Move the secrets of the accounts into a new vault protected by a passphrase, and save the configuration
+ * @param {string} vaultPath - Path of the vault file, as written in the configuration (relative to it)
+ * @returns {Promise<string>} Absolute path of the vault file
+ */
+async function enableVault(vaultPath) {
+  if (vault) {
+    throw new Error(`The account secrets are already kept in the vault ${vault.filePath}`);
+  }
+  
+  const passphrase = await getPassphrase('New passphrase for the account vault:', true);
+  config.vault = vaultPath;
+  try {
+    vault = await createVault(getVaultPath(), passphrase);
+    saveConfig();
+  } catch (error) {
+    delete config.vault;
+    vault = null;
+    throw error;
+  }
+  return getVaultPath();
+}
+
+/**
+ * Move the secrets of the accounts from the vault back into the configuration file, and delete the vault
+ * @returns {string} Absolute path of the deleted vault file
+ */
+function disableVault() {
+  if (!vault) {
+    throw new Error('The account secrets are not kept in a vault');
+  }
+  
+  const vaultPath = vault.filePath;
+  delete config.vault;
+  vault = null;
+  saveConfig();
+  fs.rmSync(vaultPath, { force: true });
+  return vaultPath;
+}
+
+/**
+ * Get the path of the vault holding the account secrets
+ * @returns {string|null} Absolute path of the vault file, or null if the secrets are in the configuration file
+ */
+function getVaultFilePath() {
+  return vault ? vault.filePath : null;
+}
+
+/**
+ * Use an account for the current session only, without updating the configuration file
+ * @param {string} name - Account key or storage account name
+ * @returns {boolean} Success of the operation
+ */
+function useAccount(name) {
+  const accountKey = Object.keys(config.accounts).find(key =>
+    key === name || config.accounts[key].accountName === name
+  );
+  
+  if (!accountKey) {
+    return false;
+  }
+  
+  config.currentAccount = accountKey;
+  return true;
+}
+
 /**
  * Get list of available accounts
  * @returns {Array} List of account names
@@ -113,7 +460,20 @@ function getAvailableAccounts() {
 module.exports = { 
   loadConfig, 
   getConfig, 
+  getConfigPath,
+  saveConfig,
   getCurrentAccount, 
+  getAccount,
+  getSavedCurrentAccount,
   switchAccount, 
-  getAvailableAccounts 
+  useAccount,
+  getAvailableAccounts,
+  isSessionAccount,
+  addAccount,
+  removeAccount,
+  renameAccount,
+  enableVault,
+  disableVault,
+  getVaultFilePath,
+  SECRET_FIELDS
 };
\ No newline at end of file
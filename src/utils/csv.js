@@ -0,0 +1,139 @@
+// Delimiters tried when detecting the delimiter of a CSV file
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Detect if a file is shown as a table, by its extension
+ * @param {string} fileName - Name of the file
+ * @returns {boolean} True for CSV and TSV files
+ */
+function isCsvFile(fileName) {
+  return /\.(csv|tsv|tab)$/i.test(fileName);
+}
+
+/**
+ * Detect the delimiter of a CSV file: tabs for TSV files, otherwise the candidate found most
+ * often outside quotes in the header line (European CSV files often use semicolons)
+ * @param {string} line - First line of the file
+ * @param {string} fileName - Name of the file
+ * @returns {string} Delimiter
+ */
+function detectDelimiter(line, fileName) {
+  if (/\.(tsv|tab)$/i.test(fileName)) {
+    return '\t';
+  }
+
+  const unquoted = line.replace(/"(?:[^"]|"")*"/g, '');
+  const counts = CSV_DELIMITERS.map(delimiter => unquoted.split(delimiter).length - 1);
+  const best = counts.indexOf(Math.max(...counts));
+  return counts[best] > 0 ? CSV_DELIMITERS[best] : ',';
+}
+
+/**
+ * Parse lines of a CSV file into records. Quoted fields may contain delimiters, doubled quotes
+ * and newlines, so a record can span several lines.
+ * @param {Array<string>} lines - Consecutive lines of the file
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<Object>} Records, as { fields, lineIndex, lineCount } where lineIndex is the index of the
+ *   first line of the record
+ */
+function parseCsvLines(lines, delimiter) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let firstLine = 0;
+
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.endsWith('\r') ? rawLine.slice(0, -1) : rawLine;
+    if (inQuotes) {
+      field += '\n';
+    } else {
+      firstLine = index;
+      fields = [];
+      field = '';
+    }
+
+    for (let position = 0; position < line.length; position++) {
+      const char = line[position];
+      if (inQuotes) {
+        if (char !== '"') {
+          field += char;
+        } else if (line[position + 1] === '"') {
+          field += '"';
+          position++;
+        } else {
+          inQuotes = false;
+        }
+      } else if (char === '"' && field === '') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        fields.push(field);
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    // Blank lines are not records
+    if (!inQuotes && (fields.length > 0 || field !== '')) {
+      fields.push(field);
+      records.push({ fields, lineIndex: firstLine, lineCount: index - firstLine + 1 });
+    }
+  });
+
+  // A quoted field still open after the last line (cut by the end of the loaded lines) ends there
+  if (inQuotes) {
+    fields.push(field);
+    records.push({ fields, lineIndex: firstLine, lineCount: lines.length - firstLine });
+  }
+
+  return records;
+}
+
+/**
+ * @param {string} text - Text of a cell
+ * @returns {boolean} True if the cell holds a number
+ */
+function isNumericCell(text) {
+  return text.trim() !== '' && !isNaN(Number(text));
+}
+
+/**
+ * Compare two cells for sorting: numbers by value, other text in natural order ignoring case
+ * @param {string} a - Text of a cell
+ * @param {string} b - Text of another cell
+ * @returns {number} Negative if a comes first, positive if b comes first, 0 if they are equal
+ */
+function compareCells(a, b) {
+  if (isNumericCell(a) && isNumericCell(b)) {
+    return Number(a) - Number(b);
+  }
+  return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+}
+
+/**
+ * Get the fields of a CSV record as an object, for record filters (see utils/ndjson): each field
+ * is named by its column header and by its column number (1-based)
+ * @param {Array<string>} header - Column headers
+ * @param {Array<string>} fields - Fields of the record
+ * @returns {Object} Fields by name and number
+ */
+function toFieldMap(header, fields) {
+  const map = {};
+  fields.forEach((value, index) => {
+    map[String(index + 1)] = value;
+    if (header[index] && !Object.prototype.hasOwnProperty.call(map, header[index])) {
+      map[header[index]] = value;
+    }
+  });
+  return map;
+}
+
+module.exports = {
+  isCsvFile,
+  detectDelimiter,
+  parseCsvLines,
+  isNumericCell,
+  compareCells,
+  toFieldMap
+};
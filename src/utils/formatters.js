@@ -0,0 +1,562 @@
+const chalk = require('chalk');
+const { LEVEL_STYLES, classifyLogLine } = require('./logLevels');
+
+// Formatters highlight the lines of a file in the viewer. A formatter has:
+// - name: identifier of the formatter
+// - label: type shown in the title bar
+// - extensions: file name extensions it handles
+// - detect(sample): optional, whether a sample of content looks like its type
+// - highlightLines(lines): the lines colored with ANSI codes; lines are consecutive lines of the file,
+//   so constructs spanning lines (comments, code blocks) can be followed
+// - formatDocument(content): optional, reformats a whole document, used when the whole file is loaded
+const formatters = [];
+
+// Formatter used when no other one matches
+const TEXT_FORMATTER = 'text';
+
+// Number of lines of a sample looked at to detect a type
+const DETECTION_LINES = 20;
+
+/**
+ * Add a formatter, or replace the formatter with the same name. Types are detected from the
+ * content in the order formatters are registered.
+ * @param {Object} formatter - Formatter, as described above
+ */
+function registerFormatter(formatter) {
+  const index = formatters.findIndex(existing => existing.name === formatter.name);
+  if (index === -1) {
+    formatters.push(formatter);
+  } else {
+    formatters[index] = formatter;
+  }
+}
+
+/**
+ * @returns {Array} Registered formatters
+ */
+function getFormatters() {
+  return [...formatters];
+}
+
+/**
+ * @param {string} name - Name of a formatter
+ * @returns {Object} Formatter with this name, or the plain text formatter if there is none
+ */
+function getFormatter(name) {
+  return formatters.find(formatter => formatter.name === name) ||
+    formatters.find(formatter => formatter.name === TEXT_FORMATTER);
+}
+
+/**
+ * Choose the formatter of a file: by extension, then by sniffing its content
+ * @param {string} sample - Beginning of the file
+ * @param {string} fileName - Name of the file
+ * @returns {Object} Formatter to use
+ */
+function detectFormatter(sample, fileName) {
+  const name = fileName.toLowerCase();
+  const byExtension = formatters.filter(formatter => formatter.extensions.some(extension => name.endsWith(extension)));
+
+  // Some extensions are shared by several types (.config files are XML or INI)
+  if (byExtension.length > 1) {
+    return byExtension.find(formatter => formatter.detect && formatter.detect(sample)) || byExtension[0];
+  }
+  if (byExtension.length === 1) {
+    return byExtension[0];
+  }
+
+  return formatters.find(formatter => formatter.detect && formatter.detect(sample)) || getFormatter(TEXT_FORMATTER);
+}
+
+/**
+ * Get the first lines of a sample that are neither blank nor comments
+ * @param {string} sample - Beginning of a file
+ * @param {RegExp} commentPattern - Pattern of comment lines
+ * @returns {Array<string>} Lines to detect the type from
+ */
+function meaningfulLines(sample, commentPattern) {
+  return sample.split('\n')
+    .slice(0, DETECTION_LINES * 2)
+    .filter(line => line.trim() !== '' && !commentPattern.test(line))
+    .slice(0, DETECTION_LINES);
+}
+
+/**
+ * Color the tokens of a text matched by a pattern, and the rest of the text in bright white
+ * @param {string} text - Text to highlight
+ * @param {RegExp} pattern - Global pattern matching the tokens
+ * @param {Function} styleToken - Called with the match of each token, returns the colored token
+ * @returns {string} Highlighted text
+ */
+function highlightTokens(text, pattern, styleToken) {
+  let result = '';
+  let last = 0;
+  let match;
+
+  pattern.lastIndex = 0;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[0].length === 0) {
+      pattern.lastIndex++;
+      continue;
+    }
+    result += chalk.whiteBright(text.slice(last, match.index)) + styleToken(match);
+    last = match.index + match[0].length;
+  }
+  return result + chalk.whiteBright(text.slice(last));
+}
+
+/**
+ * Apply syntax highlighting to a line based on common log patterns
+ * @param {string} line - Line of text to highlight
+ * @returns {string} Highlighted line
+ */
+function highlightLogLine(line) {
+  // Highlight lines mentioning a log level
+  const levelStyle = LEVEL_STYLES[classifyLogLine(line)];
+  if (levelStyle) {
+    return levelStyle(line);
+  }
+
+  // Highlight timestamp patterns (basic)
+  if (/\d{4}-\d{2}-\d{2}|\d{2}:\d{2}:\d{2}/.test(line)) {
+    return line.replace(/(\d{4}-\d{2}-\d{2}[T\s]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:[Z+-][\d:]+)?)/g,
+      (match) => chalk.cyan(match));
+  }
+
+  // Default - ensure all text is distinctly visible by using bright white color
+  return chalk.whiteBright(line);
+}
+
+/**
+ * Detect if content is likely a log file
+ * @param {string} content - File content
+ * @param {string} fileName - Name of the file
+ * @returns {boolean} True if content appears to be a log file
+ */
+function isLogFile(content, fileName) {
+  // Check by extension
+  if (/\.(log|txt)$/i.test(fileName)) {
+    return true;
+  }
+
+  // Check content patterns
+  const logPatterns = [
+    /INFO|DEBUG|ERROR|WARN|WARNING/i,
+    /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/,
+    /\[\d{4}-\d{2}-\d{2}\]/
+  ];
+
+  const sampleLines = content.split('\n').slice(0, 20);
+
+  // If multiple lines match log patterns, it's likely a log file
+  const logLineCount = sampleLines.filter(line =>
+    logPatterns.some(pattern => pattern.test(line))
+  ).length;
+
+  return logLineCount > 3;
+}
+
+// Strings (keys when followed by a colon), literals and numbers of JSON
+const JSON_TOKEN_PATTERN = /("(?:[^"\\]|\\.)*")(\s*:)?|\b(true|false|null)\b|(-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b)/g;
+
+/**
+ * Highlight a line of JSON: keys, string values, literals and numbers
+ * @param {string} line - Line of JSON
+ * @returns {string} Highlighted line
+ */
+function highlightJsonLine(line) {
+  return highlightTokens(line, JSON_TOKEN_PATTERN, ([, string, colon, literal, number]) => {
+    if (string) {
+      return colon ? chalk.green(string) + chalk.whiteBright(colon) : chalk.yellow(string);
+    }
+    return literal ? chalk.blue(literal) : chalk.magenta(number);
+  });
+}
+
+/**
+ * Format JSON content with syntax highlighting
+ * @param {string} content - JSON content as string
+ * @returns {string} Formatted JSON with syntax highlighting
+ */
+function formatJson(content) {
+  try {
+    const json = JSON.parse(content);
+    return JSON.stringify(json, null, 2).split('\n').map(highlightJsonLine).join('\n');
+  } catch (e) {
+    // Not valid JSON, return original content
+    return content;
+  }
+}
+
+/**
+ * Detect if content is JSON
+ * @param {string} content - File content
+ * @param {string} fileName - Name of the file
+ * @returns {boolean} True if content is valid JSON
+ */
+function isJsonFile(content, fileName) {
+  if (/\.json$/i.test(fileName)) {
+    return true;
+  }
+
+  try {
+    JSON.parse(content);
+    return content.trim().startsWith('{') || content.trim().startsWith('[');
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Highlight the lines of XML or HTML: tags, attributes, their values, comments and entities
+ * @param {Array<string>} lines - Consecutive lines of the document
+ * @returns {Array<string>} Highlighted lines
+ */
+function highlightMarkupLines(lines) {
+  // Comments and tags with their attributes can span lines
+  let inComment = false;
+  let inTag = false;
+
+  return lines.map(line => {
+    let result = '';
+    let rest = line;
+
+    while (rest.length > 0) {
+      if (inComment || rest.startsWith('<!--')) {
+        const end = rest.indexOf('-->');
+        const part = end === -1 ? rest : rest.slice(0, end + 3);
+        result += chalk.gray(part);
+        rest = rest.slice(part.length);
+        inComment = end === -1;
+      } else if (inTag) {
+        const token = /^(\s+)|^("[^"]*"|'[^']*')|^([\w:.-]+)|^([/?]?>)|^./.exec(rest);
+        if (token[2]) {
+          result += chalk.yellow(token[2]);
+        } else if (token[3]) {
+          result += chalk.cyan(token[3]);
+        } else if (token[4]) {
+          result += chalk.blue(token[4]);
+          inTag = false;
+        } else {
+          result += token[0];
+        }
+        rest = rest.slice(token[0].length);
+      } else {
+        const tag = /^<[/!?]?[\w:.-]+/.exec(rest);
+        if (tag) {
+          result += chalk.blue(tag[0]);
+          rest = rest.slice(tag[0].length);
+          inTag = true;
+          continue;
+        }
+
+        // Text up to the next tag
+        const next = rest.indexOf('<', 1);
+        const text = next === -1 ? rest : rest.slice(0, next);
+        result += highlightTokens(text, /&[#\w]+;/g, ([entity]) => chalk.magenta(entity));
+        rest = rest.slice(text.length);
+      }
+    }
+    return result;
+  });
+}
+
+/**
+ * Highlight a scalar value of YAML or INI: quoted strings, literals, numbers and anchors
+ * @param {string} value - Value, without its key
+ * @returns {string} Highlighted value
+ */
+function highlightScalar(value) {
+  // Trailing comments, after the value or its closing quote
+  const comment = /^\s*((["']).*?\2|[^'"\s].*?)(\s+[#;].*)$/.exec(value);
+  if (comment) {
+    return highlightScalar(value.slice(0, value.length - comment[3].length)) + chalk.gray(comment[3]);
+  }
+
+  const trimmed = value.trim();
+  if (/^(["']).*\1$/.test(trimmed)) {
+    return chalk.yellow(value);
+  }
+  if (/^(true|false|yes|no|on|off|null|~)$/i.test(trimmed)) {
+    return chalk.blue(value);
+  }
+  if (/^[-+]?(\d[\d_]*(\.\d+)?([eE][-+]?\d+)?|0x[0-9a-f]+)$/i.test(trimmed)) {
+    return chalk.magenta(value);
+  }
+  if (/^[&*!]\S+/.test(trimmed)) {
+    return chalk.cyan(value);
+  }
+  return chalk.whiteBright(value);
+}
+
+/**
+ * Highlight the lines of YAML: keys, values, list items, comments and block scalars
+ * @param {Array<string>} lines - Consecutive lines of the document
+ * @returns {Array<string>} Highlighted lines
+ */
+function highlightYamlLines(lines) {
+  // Indentation of the key of a block scalar (| or >) whose text lines follow
+  let blockIndent = null;
+
+  return lines.map(line => {
+    const indent = line.length - line.trimStart().length;
+    if (blockIndent !== null) {
+      if (line.trim() === '' || indent > blockIndent) {
+        return chalk.yellow(line);
+      }
+      blockIndent = null;
+    }
+
+    if (/^\s*#/.test(line)) {
+      return chalk.gray(line);
+    }
+    if (/^(---|\.\.\.)(\s|$)/.test(line)) {
+      return chalk.magenta(line);
+    }
+
+    const entry = /^(\s*(?:-\s+)*)([^\s#'"][^:#]*?|"[^"]*"|'[^']*')(:)(\s+|$)(.*)$/.exec(line);
+    if (entry) {
+      const [, prefix, key, colon, space, value] = entry;
+      if (/^[|>][-+0-9]*\s*(#.*)?$/.test(value)) {
+        blockIndent = indent;
+      }
+      return chalk.yellow(prefix) + chalk.green(key) + colon + space + (value ? highlightScalar(value) : '');
+    }
+
+    const item = /^(\s*-\s+)(.*)$/.exec(line);
+    if (item) {
+      return chalk.yellow(item[1]) + highlightScalar(item[2]);
+    }
+    return chalk.whiteBright(line);
+  });
+}
+
+/**
+ * Detect YAML content: a document start marker, or mostly "key: value" and "- item" lines
+ * @param {string} sample - Beginning of a file
+ * @returns {boolean} True if the content looks like YAML
+ */
+function isYamlContent(sample) {
+  if (/^---\s*$/.test(sample.split('\n')[0])) {
+    return true;
+  }
+  const lines = meaningfulLines(sample, /^\s*#/);
+  const entries = lines.filter(line => /^\s*(-\s+)?[\w.-]+:(\s|$)/.test(line) || /^\s*-\s+\S/.test(line));
+  const topLevelKey = lines.length > 0 && /^[\w.-]+:(\s|$)/.test(lines[0]);
+  return topLevelKey && entries.length >= 3 && entries.length >= lines.length * 0.8;
+}
+
+/**
+ * Highlight the lines of INI, .config and .properties files: sections, keys, values and comments
+ * @param {Array<string>} lines - Consecutive lines of the file
+ * @returns {Array<string>} Highlighted lines
+ */
+function highlightIniLines(lines) {
+  return lines.map(line => {
+    if (/^\s*[;#!]/.test(line)) {
+      return chalk.gray(line);
+    }
+    if (/^\s*\[[^\]]*\]\s*$/.test(line)) {
+      return chalk.blue.bold(line);
+    }
+    const entry = /^(\s*)([^=:\s][^=:]*?)(\s*[=:]\s*)(.*)$/.exec(line);
+    if (entry) {
+      const [, indent, key, separator, value] = entry;
+      return indent + chalk.green(key) + chalk.gray(separator) + highlightScalar(value);
+    }
+    return chalk.whiteBright(line);
+  });
+}
+
+/**
+ * Detect INI content: a section header followed by "key = value" lines
+ * @param {string} sample - Beginning of a file
+ * @returns {boolean} True if the content looks like INI
+ */
+function isIniContent(sample) {
+  const lines = meaningfulLines(sample, /^\s*[;#]/);
+  return lines.length > 1 && /^\s*\[[^\]]+\]\s*$/.test(lines[0]) &&
+    lines.slice(1).some(line => /^\s*[^=\s[][^=]*=/.test(line));
+}
+
+// Inline markdown: code spans, bold, emphasis and links (text, then the target)
+const MARKDOWN_INLINE_PATTERN = /(`[^`]+`)|(\*\*[^*]+\*\*|__[^_]+__)|(\*[^*\s][^*]*\*|\b_[^_\s][^_]*_\b)|(!?\[[^\]]*\])(\([^)]*\))/g;
+
+/**
+ * Highlight inline markdown in a line of text
+ * @param {string} text - Text of a line
+ * @returns {string} Highlighted text
+ */
+function highlightMarkdownInline(text) {
+  return highlightTokens(text, MARKDOWN_INLINE_PATTERN, ([, code, bold, emphasis, linkText, linkTarget]) => {
+    if (code) {
+      return chalk.cyan(code);
+    }
+    if (bold) {
+      return chalk.whiteBright.bold(bold);
+    }
+    if (emphasis) {
+      return chalk.whiteBright.italic(emphasis);
+    }
+    return chalk.blue.underline(linkText) + chalk.gray(linkTarget);
+  });
+}
+
+/**
+ * Highlight the lines of markdown: headings, code blocks, quotes, lists and inline styles
+ * @param {Array<string>} lines - Consecutive lines of the document
+ * @returns {Array<string>} Highlighted lines
+ */
+function highlightMarkdownLines(lines) {
+  // Fence of the code block the lines are in
+  let fence = null;
+
+  return lines.map(line => {
+    const fenceMatch = /^\s*(`{3,}|~{3,})/.exec(line);
+    if (fence) {
+      if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+        fence = null;
+        return chalk.gray(line);
+      }
+      return chalk.cyan(line);
+    }
+    if (fenceMatch) {
+      fence = fenceMatch[1];
+      return chalk.gray(line);
+    }
+
+    if (/^\s{0,3}#{1,6}(\s|$)/.test(line)) {
+      return chalk.magenta.bold(line);
+    }
+    if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      return chalk.gray(line);
+    }
+    if (/^\s*>/.test(line)) {
+      return chalk.gray(line);
+    }
+
+    const item = /^(\s*)([-*+]|\d+[.)])(\s+)(.*)$/.exec(line);
+    if (item) {
+      return item[1] + chalk.yellow(item[2]) + item[3] + highlightMarkdownInline(item[4]);
+    }
+    return highlightMarkdownInline(line);
+  });
+}
+
+/**
+ * Detect markdown content: a heading with other markdown (code blocks, links, bold or code spans).
+ * Lists and "#" lines alone are not enough, since YAML and shell comments look the same.
+ * @param {string} sample - Beginning of a file
+ * @returns {boolean} True if the content looks like markdown
+ */
+function isMarkdownContent(sample) {
+  const lines = sample.split('\n').slice(0, DETECTION_LINES * 2);
+  const hasHeading = lines.some(line => /^#{1,6}\s+\S/.test(line));
+  const hasMarkdown = lines.some(line => /^(```|~~~)|\[[^\]]+\]\([^)]+\)|\*\*[^*]+\*\*|`[^`]+`/.test(line));
+  return hasHeading && hasMarkdown;
+}
+
+// Shell tokens: comments, quoted strings, variables and keywords
+const SHELL_TOKEN_PATTERN = /(^|\s)(#.*)$|("(?:[^"\\]|\\.)*"|'[^']*')|(\$\{[^}]*\}|\$\w+|\$[@#?*$!-])|\b(if|then|else|elif|fi|for|while|until|do|done|case|esac|function|in|return|local|export|readonly|select|break|continue|exit)\b/g;
+
+/**
+ * Highlight the lines of a shell script: comments, strings, variables and keywords
+ * @param {Array<string>} lines - Consecutive lines of the script
+ * @returns {Array<string>} Highlighted lines
+ */
+function highlightShellLines(lines) {
+  return lines.map(line => highlightTokens(line, SHELL_TOKEN_PATTERN, ([, space, comment, string, variable, keyword]) => {
+    if (comment) {
+      return space + chalk.gray(comment);
+    }
+    if (string) {
+      return chalk.yellow(string);
+    }
+    return variable ? chalk.cyan(variable) : chalk.blue(keyword);
+  }));
+}
+
+// Content is sniffed in this order: the most distinctive types first, YAML last since other
+// types can have "key: value" lines
+registerFormatter({
+  name: 'json',
+  label: 'JSON',
+  extensions: ['.json'],
+  detect: (sample) => isJsonFile(sample, ''),
+  highlightLines: (lines) => lines.map(highlightJsonLine),
+  formatDocument: formatJson
+});
+
+registerFormatter({
+  name: 'html',
+  label: 'HTML',
+  extensions: ['.html', '.htm', '.xhtml'],
+  detect: (sample) => /^\s*(<!doctype html|<html)/i.test(sample),
+  highlightLines: highlightMarkupLines
+});
+
+registerFormatter({
+  name: 'ini',
+  label: 'INI',
+  extensions: ['.ini', '.cfg', '.conf', '.config', '.properties', '.toml', '.env'],
+  detect: isIniContent,
+  highlightLines: highlightIniLines
+});
+
+registerFormatter({
+  name: 'xml',
+  label: 'XML',
+  extensions: ['.xml', '.xsd', '.xsl', '.svg', '.csproj', '.props', '.config'],
+  detect: (sample) => /^\s*(<\?xml|<[\w:-]+[\s>/])/.test(sample) && /<\/|\/>/.test(sample),
+  highlightLines: highlightMarkupLines
+});
+
+registerFormatter({
+  name: 'shell',
+  label: 'SHELL',
+  extensions: ['.sh', '.bash', '.zsh', '.ksh'],
+  detect: (sample) => /^#!.*\b(ba|da|k|z)?sh\b/.test(sample),
+  highlightLines: highlightShellLines
+});
+
+registerFormatter({
+  name: 'markdown',
+  label: 'MARKDOWN',
+  extensions: ['.md', '.markdown'],
+  detect: isMarkdownContent,
+  highlightLines: highlightMarkdownLines
+});
+
+registerFormatter({
+  name: 'log',
+  label: 'LOG',
+  extensions: ['.log', '.txt'],
+  detect: (sample) => isLogFile(sample, ''),
+  highlightLines: (lines) => lines.map(highlightLogLine)
+});
+
+registerFormatter({
+  name: 'yaml',
+  label: 'YAML',
+  extensions: ['.yml', '.yaml'],
+  detect: isYamlContent,
+  highlightLines: highlightYamlLines
+});
+
+registerFormatter({
+  name: TEXT_FORMATTER,
+  label: 'TEXT',
+  extensions: [],
+  highlightLines: (lines) => lines.map(line => chalk.whiteBright(line))
+});
+
+module.exports = {
+  registerFormatter,
+  getFormatters,
+  getFormatter,
+  detectFormatter,
+  highlightLogLine,
+  formatJson,
+  isLogFile,
+  isJsonFile
+};
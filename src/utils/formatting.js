@@ -1,11 +1,88 @@
-export function prettyPrintFileList(fileList) {
+const SIZE_UNITS = ['B', 'KB', 'MB', 'GB', 'TB'];
+
+function prettyPrintFileList(fileList) {
     console.log("Available Files:");
     fileList.forEach((file, index) => {
         console.log(`${index + 1}: ${file}`);
     });
 }
 
-export function prettyPrintFileContent(content) {
+function prettyPrintFileContent(content) {
     console.log("File Content:");
     console.log(content);
-}
\ No newline at end of file
+}
+
+/**
+ * Format a byte count as a human-readable size
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size such as "12.3 MB"
+ */
+function formatBytes(bytes) {
+    if (bytes === undefined || bytes === null) {
+        return '';
+    }
+
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < SIZE_UNITS.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+
+    return unit === 0 ? `${value} B` : `${value.toFixed(1)} ${SIZE_UNITS[unit]}`;
+}
+
+/**
+ * Format a date for listings
+ * @param {Date} date - Date to format
+ * @returns {string} Date as "YYYY-MM-DD HH:mm" in local time
+ */
+function formatDate(date) {
+    if (!date) {
+        return '';
+    }
+
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+        `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Parse a human-readable size such as "500", "10KB" or "1.5 GB"
+ * @param {string} input - Size to parse
+ * @returns {number|null} Size in bytes, or null if the input is not a valid size
+ */
+function parseSize(input) {
+    const match = String(input).trim().match(/^(\d+(?:\.\d+)?)\s*([kmgt]?)b?$/i);
+    if (!match) {
+        return null;
+    }
+
+    const unit = ['', 'k', 'm', 'g', 't'].indexOf(match[2].toLowerCase());
+    return Math.round(parseFloat(match[1]) * Math.pow(1024, unit));
+}
+
+/**
+ * Parse a date given either as a date ("2024-01-31") or as a number of days ago ("7")
+ * @param {string} input - Date to parse
+ * @returns {Date|null} Parsed date, or null if the input is not a valid date
+ */
+function parseDate(input) {
+    const value = String(input).trim();
+
+    if (/^\d+$/.test(value)) {
+        return new Date(Date.now() - parseInt(value, 10) * 24 * 60 * 60 * 1000);
+    }
+
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+module.exports = {
+    prettyPrintFileList,
+    prettyPrintFileContent,
+    formatBytes,
+    formatDate,
+    parseSize,
+    parseDate
+};
\ No newline at end of file
@@ -0,0 +1,111 @@
+// Share of control bytes above which a sample is taken as binary
+const BINARY_CONTROL_RATIO = 0.1;
+
+// Control bytes found in text files: backspace, tab, newline, form feed, carriage return and escape (ANSI colors)
+const TEXT_CONTROL_BYTES = [0x08, 0x09, 0x0a, 0x0c, 0x0d, 0x1b];
+
+/**
+ * Detect binary content from a sample of its bytes: content with NUL bytes, or with many control
+ * bytes or invalid UTF-8 sequences
+ * @param {Buffer} sample - Bytes from the beginning of the file
+ * @returns {boolean} True if the content should not be shown as text
+ */
+function isBinaryContent(sample) {
+  if (sample.length === 0) {
+    return false;
+  }
+  if (sample.includes(0)) {
+    return true;
+  }
+
+  let controlCount = 0;
+  for (const byte of sample) {
+    if ((byte < 0x20 && !TEXT_CONTROL_BYTES.includes(byte)) || byte === 0x7f) {
+      controlCount++;
+    }
+  }
+
+  // Invalid UTF-8 is decoded as replacement characters; the last character may be cut by the sample
+  const invalidCount = (sample.toString('utf8').match(/\ufffd/g) || []).length;
+  return (controlCount + invalidCount) / sample.length > BINARY_CONTROL_RATIO;
+}
+
+/**
+ * Format a row of a hex dump: offset, bytes in hex and the same bytes as ASCII
+ * @param {number} offset - Offset of the first byte of the row
+ * @param {Buffer} bytes - Bytes of the row, at most bytesPerRow
+ * @param {number} bytesPerRow - Number of bytes of a full row
+ * @param {number} offsetWidth - Number of hex digits of the offsets
+ * @param {Function} styleByte - Called with the offset of each byte and its text, returns the text to show
+ *   (to highlight search matches)
+ * @returns {string} Row such as "00000010  48 65 6c 6c 6f 0a ...  |Hello.|"
+ */
+function formatHexRow(offset, bytes, bytesPerRow, offsetWidth, styleByte = (byteOffset, text) => text) {
+  const hex = [];
+  const ascii = [];
+
+  for (let index = 0; index < bytesPerRow; index++) {
+    // A gap in the middle of the row makes the columns easier to count
+    const separator = index === bytesPerRow / 2 ? '  ' : ' ';
+    if (index >= bytes.length) {
+      hex.push(`${separator}  `);
+      continue;
+    }
+
+    const byte = bytes[index];
+    const printable = byte >= 0x20 && byte < 0x7f;
+    hex.push(separator + styleByte(offset + index, byte.toString(16).padStart(2, '0')));
+    ascii.push(styleByte(offset + index, printable ? String.fromCharCode(byte) : '.'));
+  }
+
+  return `${offset.toString(16).padStart(offsetWidth, '0')} ${hex.join('')}  |${ascii.join('')}|`;
+}
+
+/**
+ * Get the width of a hex dump row, to choose how many bytes fit on a line
+ * @param {number} bytesPerRow - Number of bytes of a row
+ * @param {number} offsetWidth - Number of hex digits of the offsets
+ * @returns {number} Number of characters of a row
+ */
+function getHexRowWidth(bytesPerRow, offsetWidth) {
+  return offsetWidth + 1 + bytesPerRow * 3 + 1 + 2 + bytesPerRow + 2;
+}
+
+/**
+ * Parse a search pattern: hex bytes when prefixed with 0x ("0x4d5a", "0x 4d 5a 90"), otherwise text
+ * @param {string} input - Pattern typed by the user
+ * @returns {Buffer|null} Bytes to search for, or null if the hex pattern is invalid
+ */
+function parseBytePattern(input) {
+  if (/^0x/i.test(input.trim())) {
+    const digits = input.trim().slice(2).replace(/\s+/g, '');
+    if (digits.length === 0 || digits.length % 2 !== 0 || !/^[0-9a-f]+$/i.test(digits)) {
+      return null;
+    }
+    return Buffer.from(digits, 'hex');
+  }
+  return input.length > 0 ? Buffer.from(input, 'utf8') : null;
+}
+
+/**
+ * Parse an offset to jump to: decimal ("1024"), hex ("0x400") or a percentage of the size ("50%")
+ * @param {string} input - Offset typed by the user
+ * @param {number} size - Size of the file
+ * @returns {number|null} Offset within the file, or null if the input is not an offset
+ */
+function parseOffset(input, size) {
+  const value = input.trim();
+  let offset = null;
+
+  if (/^0x[0-9a-f]+$/i.test(value)) {
+    offset = parseInt(value.slice(2), 16);
+  } else if (/^\d+$/.test(value)) {
+    offset = parseInt(value, 10);
+  } else if (/^\d+(\.\d+)?%$/.test(value)) {
+    offset = Math.floor(size * parseFloat(value) / 100);
+  }
+
+  return offset === null ? null : Math.max(0, Math.min(offset, Math.max(size - 1, 0)));
+}
+
+module.exports = { isBinaryContent, formatHexRow, getHexRowWidth, parseBytePattern, parseOffset };
@@ -0,0 +1,162 @@
+const path = require('path');
+const { groupLogFiles } = require('./logGroups');
+const { formatBytes, formatDate } = require('./formatting');
+
+// Keys a directory listing can be sorted by
+const SORT_KEYS = ['name', 'size', 'date'];
+
+// Default order of the listings: by name, ascending
+const DEFAULT_SORT = { key: 'name', descending: false };
+
+// Widths of the columns after the name
+const TYPE_WIDTH = 6;
+const SIZE_WIDTH = 9;
+const DATE_WIDTH = 16;
+
+/**
+ * Turn the items of a directory listing into entries with their type, size and modification date
+ * @param {Array} items - Items returned by listFiles
+ * @param {boolean} groupLogs - If true, rotated log files are gathered in one entry per log group
+ * @returns {Array} Entries, as { kind, name, size, lastModified, item } where kind is "directory",
+ *   "file" or "group"; groups also have their files, newest first
+ */
+function toListingEntries(items, groupLogs = false) {
+  const toEntry = (item) => ({
+    kind: item.isDirectory ? 'directory' : 'file',
+    name: item.name,
+    size: item.isDirectory ? undefined : item.properties.contentLength,
+    lastModified: getLastModified(item),
+    item
+  });
+
+  if (!groupLogs) {
+    return items.map(toEntry);
+  }
+
+  const { fileGroups, nonGroupedItems } = groupLogFiles(items);
+  const entries = nonGroupedItems.map(toEntry);
+
+  Object.keys(fileGroups).forEach(groupName => {
+    const files = fileGroups[groupName];
+
+    // A group with only one file named like the group is shown as that file
+    if (files.length === 1 && files[0].name === groupName) {
+      entries.push(toEntry(files[0]));
+      return;
+    }
+
+    // A group has the combined size of its files and the date of the newest one
+    const dates = files.map(getLastModified).filter(Boolean);
+    entries.push({
+      kind: 'group',
+      name: groupName,
+      size: files.reduce((total, file) => total + file.properties.contentLength, 0),
+      lastModified: dates.length > 0 ? new Date(Math.max(...dates)) : undefined,
+      files
+    });
+  });
+
+  return entries;
+}
+
+/**
+ * Get the last modification date of a listed item
+ * @param {Object} item - Item returned by listFiles
+ * @returns {Date|undefined} Last modification date, if the listing returned timestamps
+ */
+function getLastModified(item) {
+  return item.properties && (item.properties.lastModified || item.properties.lastWriteTime);
+}
+
+/**
+ * Sort listing entries, directories first
+ * @param {Array} entries - Listing entries
+ * @param {Object} sort - Order, as { key, descending } with a key of SORT_KEYS
+ * @returns {Array} New array of sorted entries; entries with the same size or date are sorted by name
+ */
+function sortEntries(entries, sort = DEFAULT_SORT) {
+  const direction = sort.descending ? -1 : 1;
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  const byKey = {
+    name: byName,
+    size: (a, b) => (a.size || 0) - (b.size || 0),
+    date: (a, b) => (a.lastModified ? a.lastModified.getTime() : 0) - (b.lastModified ? b.lastModified.getTime() : 0)
+  }[sort.key];
+
+  return [...entries].sort((a, b) => {
+    const aIsDirectory = a.kind === 'directory';
+    if (aIsDirectory !== (b.kind === 'directory')) {
+      return aIsDirectory ? -1 : 1;
+    }
+    return direction * byKey(a, b) || byName(a, b);
+  });
+}
+
+/**
+ * Keep the entries whose name contains a text, ignoring case
+ * @param {Array} entries - Listing entries
+ * @param {string} text - Text to look for; all entries are kept when empty
+ * @returns {Array} Matching entries
+ */
+function filterEntries(entries, text) {
+  const needle = text.toLowerCase();
+  return needle ? entries.filter(entry => entry.name.toLowerCase().includes(needle)) : entries;
+}
+
+/**
+ * Describe a sort order for status lines
+ * @param {Object} sort - Order, as { key, descending }
+ * @returns {string} Description such as "size ↓"
+ */
+function describeSort(sort) {
+  return `${sort.key} ${sort.descending ? '↓' : '↑'}`;
+}
+
+/**
+ * Get the type shown in the listings: "dir", "group", "share", or the extension of a file
+ * @param {Object} entry - Listing entry
+ * @returns {string} Type of the entry
+ */
+function getEntryType(entry) {
+  if (entry.kind === 'file') {
+    return path.extname(entry.name).slice(1).toLowerCase() || 'file';
+  }
+  return entry.kind === 'directory' ? 'dir' : entry.kind;
+}
+
+/**
+ * Format the columns of an entry, fitted to a width: the name, then its type, size and modification date.
+ * Columns are dropped from the left when the width is too small for them.
+ * @param {Object} entry - Listing entry
+ * @param {number} width - Width of the row, in characters
+ * @returns {string} Row of the listing
+ */
+function formatEntryRow(entry, width) {
+  const columns = [
+    { width: TYPE_WIDTH, text: getEntryType(entry), alignRight: false },
+    { width: SIZE_WIDTH, text: formatBytes(entry.size), alignRight: true },
+    { width: DATE_WIDTH, text: formatDate(entry.lastModified), alignRight: false }
+  ];
+
+  // Keep the name at least 12 characters wide
+  while (columns.length > 0 && width - columns.reduce((total, column) => total + column.width + 1, 0) < 12) {
+    columns.shift();
+  }
+
+  const nameWidth = width - columns.reduce((total, column) => total + column.width + 1, 0);
+  const name = entry.name.length > nameWidth ? `${entry.name.slice(0, nameWidth - 1)}…` : entry.name.padEnd(nameWidth);
+  const cells = columns.map(column => column.alignRight
+    ? column.text.slice(0, column.width).padStart(column.width)
+    : column.text.slice(0, column.width).padEnd(column.width));
+  return [name, ...cells].join(' ');
+}
+
+module.exports = {
+  SORT_KEYS,
+  DEFAULT_SORT,
+  toListingEntries,
+  sortEntries,
+  filterEntries,
+  describeSort,
+  formatEntryRow
+};
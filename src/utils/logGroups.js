@@ -0,0 +1,79 @@
+// Patterns for rotated log files
+const LOG_PATTERNS = [
+  /^(.+?\.log)\.([0-9-]+)\.(\d+)$/, // Matches: name.log.date.number
+  /^(.+?\.log)\.([0-9-]+)$/         // Matches: name.log.date
+];
+
+/**
+ * Parse the name of a rotated log file
+ * @param {string} name - File name
+ * @returns {{baseName: string, date: string, number: number|null}|null} Parts of the name, or null if it is not a rotated log file
+ */
+function parseLogName(name) {
+  for (const pattern of LOG_PATTERNS) {
+    const match = name.match(pattern);
+    if (match) {
+      return {
+        baseName: match[1], // The <name>.log part
+        date: match[2],
+        number: match[3] !== undefined ? parseInt(match[3], 10) : null
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Compare two rotated log files, newest first: by date, then by number
+ * @param {Object} a - File item
+ * @param {Object} b - File item
+ * @returns {number} Sort order
+ */
+function compareLogFiles(a, b) {
+  const partsA = parseLogName(a.name);
+  const partsB = parseLogName(b.name);
+
+  if (!partsA || !partsB) return 0;
+
+  if (partsA.date !== partsB.date) {
+    return partsB.date.localeCompare(partsA.date); // Newer dates first
+  }
+
+  // If dates are the same and both have a number part, compare by number
+  if (partsA.number !== null && partsB.number !== null) {
+    return partsB.number - partsA.number; // Higher numbers (newer) first
+  }
+
+  return 0;
+}
+
+/**
+ * Group rotated log files by base name, each group sorted newest first
+ * @param {Array} items - Items of a directory listing
+ * @returns {{fileGroups: Object, nonGroupedItems: Array}} Groups by base name, and the directories and other files
+ */
+function groupLogFiles(items) {
+  const fileGroups = {};
+  const nonGroupedItems = [];
+
+  items.forEach(item => {
+    const parts = item.isDirectory ? null : parseLogName(item.name);
+
+    if (parts) {
+      if (!fileGroups[parts.baseName]) {
+        fileGroups[parts.baseName] = [];
+      }
+      fileGroups[parts.baseName].push(item);
+    } else {
+      nonGroupedItems.push(item);
+    }
+  });
+
+  Object.keys(fileGroups).forEach(group => {
+    fileGroups[group].sort(compareLogFiles);
+  });
+
+  return { fileGroups, nonGroupedItems };
+}
+
+module.exports = { parseLogName, compareLogFiles, groupLogFiles };
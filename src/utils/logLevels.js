@@ -0,0 +1,110 @@
+const chalk = require('chalk');
+
+// Log levels, in the order lines are classified; severity is used to show lines at or above a level.
+// "other" holds lines that match no level pattern.
+const LOG_LEVELS = [
+  { name: 'error', key: 'e', severity: 3, pattern: /error|exception|fail|fatal/i },
+  { name: 'warning', key: 'w', severity: 2, pattern: /warn|warning|caution/i },
+  { name: 'info', key: 'i', severity: 1, pattern: /info|information|notice/i },
+  { name: 'debug', key: 'd', severity: 0, pattern: /debug|trace|verbose/i },
+  { name: 'success', key: 'o', severity: 1, pattern: /success|succeed|completed|ok/i },
+  { name: 'other', key: 'u', severity: 1, pattern: null }
+];
+
+// Colors of lines by level; lines without a level are colored by the viewer
+const LEVEL_STYLES = {
+  error: chalk.red.bold,
+  warning: chalk.yellow,
+  info: chalk.blue,
+  debug: chalk.cyan, // Cyan rather than gray for better visibility on dark terminals
+  success: chalk.green
+};
+
+// Minimum severities selected with the number keys: everything, info, warning, errors only
+const MINIMUM_SEVERITIES = [0, 1, 2, 3];
+
+// Lines continuing the previous entry: indented lines, stack trace frames and blank lines
+const CONTINUATION_PATTERN = /^(\s|at\s|Caused by:|\.\.\. \d+ (more|common frames omitted)|$)/;
+
+/**
+ * Classify a line by the log level it mentions
+ * @param {string} line - Line of text
+ * @returns {string} Level name ("other" if no level pattern matches)
+ */
+function classifyLogLine(line) {
+  const level = LOG_LEVELS.find(level => level.pattern && level.pattern.test(line));
+  return level ? level.name : 'other';
+}
+
+/**
+ * Assign a level to each line, keeping lines of multi-line entries (such as stack traces)
+ * at the level of the line that started the entry
+ * @param {Array<string>} lines - Consecutive lines
+ * @param {string} previousLevel - Level of the entry before the first line, if known
+ * @returns {Array<string>} Level name of each line
+ */
+function assignLogLevels(lines, previousLevel = 'other') {
+  let entryLevel = previousLevel;
+  return lines.map(line => {
+    if (!CONTINUATION_PATTERN.test(line)) {
+      entryLevel = classifyLogLine(line);
+    }
+    return entryLevel;
+  });
+}
+
+/**
+ * Create a filter choosing which log levels are shown
+ * @returns {Object} Level filter, initially showing every level
+ */
+function createLevelFilter() {
+  const enabled = new Set(LOG_LEVELS.map(level => level.name));
+
+  return {
+    /**
+     * Show only the levels at or above a severity
+     * @param {number} severity - Minimum severity (0 shows everything)
+     */
+    setMinimum(severity) {
+      enabled.clear();
+      LOG_LEVELS.filter(level => level.severity >= severity).forEach(level => enabled.add(level.name));
+    },
+
+    /**
+     * Show or hide one level
+     * @param {string} name - Level name
+     */
+    toggle(name) {
+      if (enabled.has(name)) {
+        enabled.delete(name);
+      } else {
+        enabled.add(name);
+      }
+    },
+
+    /**
+     * @param {string} name - Level name
+     * @returns {boolean} True if lines of the level are shown
+     */
+    accepts(name) {
+      return enabled.has(name);
+    },
+
+    /**
+     * @returns {boolean} True if some levels are hidden
+     */
+    isActive() {
+      return enabled.size < LOG_LEVELS.length;
+    },
+
+    /**
+     * @returns {string} Names of the shown levels, such as "error, warning"
+     */
+    describe() {
+      const shown = LOG_LEVELS.filter(level => enabled.has(level.name)).map(level => level.name);
+      return shown.length > 0 ? shown.join(', ') : 'none';
+    }
+  };
+}
+
+module.exports = { LOG_LEVELS, LEVEL_STYLES, MINIMUM_SEVERITIES, classifyLogLine, assignLogLevels, createLevelFilter };
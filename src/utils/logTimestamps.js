@@ -0,0 +1,54 @@
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Timestamps are searched at the beginning of lines only, so dates in messages are not taken for them
+const TIMESTAMP_SEARCH_LENGTH = 80;
+
+// ISO 8601 and similar: 2024-01-31T08:00:00.123Z, 2024-01-31 08:00:00,123 +01:00
+const ISO_TIMESTAMP = /(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2}):(\d{2})(?:[.,](\d{1,9}))?\s?(Z|[+-]\d{2}:?\d{2})?/;
+
+// Common log format: 31/Jan/2024:08:00:00 +0000
+const COMMON_LOG_TIMESTAMP = /(\d{2})\/([A-Za-z]{3})\/(\d{4}):(\d{2}):(\d{2}):(\d{2})(?: ([+-]\d{4}))?/;
+
+/**
+ * Parse the timestamp at the beginning of a log line. Timestamps without a time zone are read as UTC,
+ * so that lines of files written by the same application compare consistently.
+ * @param {string} line - Log line
+ * @returns {number|null} Time in milliseconds since the epoch, or null if the line has no timestamp
+ */
+function parseLogTimestamp(line) {
+  const head = line.slice(0, TIMESTAMP_SEARCH_LENGTH);
+
+  let match = ISO_TIMESTAMP.exec(head);
+  if (match) {
+    const [, year, month, day, hours, minutes, seconds, fraction, zone] = match;
+    const milliseconds = fraction ? Number(fraction.slice(0, 3).padEnd(3, '0')) : 0;
+    return Date.UTC(year, month - 1, day, hours, minutes, seconds, milliseconds) - zoneOffset(zone);
+  }
+
+  match = COMMON_LOG_TIMESTAMP.exec(head);
+  if (match) {
+    const [, day, monthName, year, hours, minutes, seconds, zone] = match;
+    const month = MONTHS.indexOf(monthName.toLowerCase());
+    if (month >= 0) {
+      return Date.UTC(year, month, day, hours, minutes, seconds) - zoneOffset(zone);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the offset of a time zone designator from UTC
+ * @param {string} zone - "Z", "+01:00", "-0500", or undefined
+ * @returns {number} Offset in milliseconds
+ */
+function zoneOffset(zone) {
+  if (!zone || zone === 'Z') {
+    return 0;
+  }
+  const digits = zone.replace(':', '');
+  const minutes = Number(digits.slice(1, 3)) * 60 + Number(digits.slice(3, 5));
+  return (digits[0] === '-' ? -1 : 1) * minutes * 60 * 1000;
+}
+
+module.exports = { parseLogTimestamp };
@@ -0,0 +1,167 @@
+// Fields tried, in order, for the default timestamp, level and message columns
+const TIMESTAMP_FIELDS = ['timestamp', '@timestamp', 'time', 'ts', 'datetime', 'date', '@t'];
+const LEVEL_FIELDS = ['level', 'severity', 'loglevel', 'lvl', '@l'];
+const MESSAGE_FIELDS = ['message', 'msg', '@m', '@mt', 'text'];
+
+// Number of lines of a sample checked to detect JSON lines
+const NDJSON_SAMPLE_LINES = 20;
+
+// Terms of a filter expression: field=value, field!=value, field~text (values may be quoted), or free text
+const FILTER_TERM_PATTERN = /([^\s=!~"]+)(!=|=|~)(?:"([^"]*)"|(\S*))|"([^"]*)"|(\S+)/g;
+
+/**
+ * Parse a line of a JSON-lines file
+ * @param {string} line - Line of text
+ * @returns {Object|null} The JSON object, or null if the line is not a JSON object
+ */
+function parseNdjsonLine(line) {
+  const trimmed = line.trim();
+  if (!trimmed.startsWith('{')) {
+    return null;
+  }
+
+  try {
+    const record = JSON.parse(trimmed);
+    return record && typeof record === 'object' && !Array.isArray(record) ? record : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Detect if content is JSON lines (one JSON object per line)
+ * @param {string} sample - Content from the beginning of the file
+ * @param {string} fileName - Name of the file
+ * @param {boolean} truncated - Whether the sample stops before the end of the file, so its last line may be cut
+ * @returns {boolean} True if the content appears to be JSON lines
+ */
+function isNdjsonContent(sample, fileName, truncated) {
+  if (/\.(ndjson|jsonl)$/i.test(fileName)) {
+    return true;
+  }
+
+  let lines = sample.split('\n');
+  if (truncated) {
+    lines.pop();
+  }
+  lines = lines.filter(line => line.trim().length > 0).slice(0, NDJSON_SAMPLE_LINES);
+
+  return lines.length >= 2 && lines.every(line => parseNdjsonLine(line) !== null);
+}
+
+/**
+ * Get a field of a record, by name or by dotted path (e.g. "request.userId")
+ * @param {Object} record - JSON object
+ * @param {string} field - Field name or path
+ * @returns {*} Value of the field, or undefined if it is missing
+ */
+function getField(record, field) {
+  if (Object.prototype.hasOwnProperty.call(record, field)) {
+    return record[field];
+  }
+
+  return field.split('.').reduce((value, key) => {
+    return value !== null && typeof value === 'object' ? value[key] : undefined;
+  }, record);
+}
+
+/**
+ * Find the field of records matching one of the candidate names, ignoring case
+ * @param {Array<Object>} records - JSON objects
+ * @param {Array<string>} candidates - Candidate field names, in order of preference
+ * @returns {string|null} Field name as written in the records, or null if none matches
+ */
+function findField(records, candidates) {
+  for (const candidate of candidates) {
+    for (const record of records) {
+      const key = Object.keys(record).find(key => key.toLowerCase() === candidate);
+      if (key) {
+        return key;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Choose the default columns for records: their timestamp, level and message fields,
+ * or their first fields when none of these is found
+ * @param {Array<Object>} records - JSON objects
+ * @returns {{columns: Array<string>, levelField: string|null}} Column fields, and the field holding the log level
+ */
+function detectColumns(records) {
+  const levelField = findField(records, LEVEL_FIELDS);
+  const columns = [findField(records, TIMESTAMP_FIELDS), levelField, findField(records, MESSAGE_FIELDS)]
+    .filter(field => field !== null);
+
+  if (columns.length === 0 && records.length > 0) {
+    columns.push(...Object.keys(records[0]).slice(0, 3));
+  }
+
+  return { columns, levelField };
+}
+
+/**
+ * Format a field value for a table cell, on a single line
+ * @param {*} value - Field value
+ * @returns {string} Text of the cell (empty for missing values)
+ */
+function formatCell(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text.replace(/\s*[\r\n]+\s*/g, ' ');
+}
+
+/**
+ * Parse a filter expression such as "level=error userId=123". All terms must match:
+ * "field=value" compares a field (ignoring case), "field!=value" excludes it,
+ * "field~text" matches fields containing a text, and other words are searched in the whole line.
+ * @param {string} expression - Filter expression
+ * @returns {Function|null} Function (record, line) returning true for matching lines, or null for an empty expression
+ */
+function parseRecordFilter(expression) {
+  const terms = [];
+  let match;
+
+  FILTER_TERM_PATTERN.lastIndex = 0;
+  while ((match = FILTER_TERM_PATTERN.exec(expression || '')) !== null) {
+    if (match[1]) {
+      const value = match[3] !== undefined ? match[3] : match[4];
+      terms.push({ field: match[1], operator: match[2], value: value.toLowerCase() });
+    } else {
+      terms.push({ text: (match[5] !== undefined ? match[5] : match[6]).toLowerCase() });
+    }
+  }
+
+  if (terms.length === 0) {
+    return null;
+  }
+
+  return (record, line) => terms.every(term => {
+    if (term.text !== undefined) {
+      return line.toLowerCase().includes(term.text);
+    }
+
+    const value = record ? getField(record, term.field) : undefined;
+    const text = formatCell(value).toLowerCase();
+    if (term.operator === '!=') {
+      return value === undefined || text !== term.value;
+    }
+    if (value === undefined) {
+      return false;
+    }
+    return term.operator === '~' ? text.includes(term.value) : text === term.value;
+  });
+}
+
+module.exports = {
+  parseNdjsonLine,
+  isNdjsonContent,
+  getField,
+  detectColumns,
+  formatCell,
+  parseRecordFilter
+};
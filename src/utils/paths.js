@@ -0,0 +1,71 @@
+const os = require('os');
+const path = require('path');
+
+// Separator between a share name and a snapshot timestamp, as in "logs@2024-01-31T08:00:00.0000000Z"
+// (share names cannot contain it)
+const SNAPSHOT_SEPARATOR = '@';
+
+/**
+ * Split a "<share>/<path>" argument into its share name and path parts
+ * @param {string} sharePath - Share name optionally followed by a path
+ * @returns {{shareName: string, path: string}} Share name and path within the share
+ */
+function splitSharePath(sharePath) {
+  const parts = (sharePath || '').split('/').filter(part => part.length > 0);
+  const shareName = parts.shift() || '';
+  return { shareName, path: parts.join('/') };
+}
+
+/**
+ * Split a share reference into its share name and snapshot timestamp
+ * @param {string} shareName - Share name, optionally followed by "@<snapshot>"
+ * @returns {{name: string, snapshot: string}} Share name and snapshot timestamp (empty for the live share)
+ */
+function splitShareSnapshot(shareName) {
+  const index = shareName.indexOf(SNAPSHOT_SEPARATOR);
+  if (index === -1) {
+    return { name: shareName, snapshot: '' };
+  }
+  return { name: shareName.slice(0, index), snapshot: shareName.slice(index + 1) };
+}
+
+/**
+ * Build a reference to a share snapshot, usable wherever a share name is expected
+ * @param {string} name - Share name
+ * @param {string} snapshot - Snapshot timestamp (empty for the live share)
+ * @returns {string} Share reference such as "logs@2024-01-31T08:00:00.0000000Z"
+ */
+function joinShareSnapshot(name, snapshot) {
+  return snapshot ? `${name}${SNAPSHOT_SEPARATOR}${snapshot}` : name;
+}
+
+/**
+ * Join a directory path and an item name
+ * @param {string} directory - Directory path (empty for the root directory)
+ * @param {string} name - Name of the file or directory
+ * @returns {string} Path of the item within the share
+ */
+function joinPath(directory, name) {
+  return directory ? `${directory}/${name}` : name;
+}
+
+/**
+ * Get the parent directory of a path
+ * @param {string} itemPath - Path within the share
+ * @returns {string} Parent directory path (empty for the root directory)
+ */
+function parentPath(itemPath) {
+  return itemPath.split('/').slice(0, -1).join('/');
+}
+
+/**
+ * Resolve a local path entered by the user, expanding a leading "~" to the home directory
+ * @param {string} localPath - Local path, absolute or relative to the working directory
+ * @returns {string} Absolute local path
+ */
+function resolveLocalPath(localPath) {
+  const expanded = localPath.replace(/^~(?=$|[\\/])/, os.homedir());
+  return path.resolve(expanded);
+}
+
+module.exports = { splitSharePath, splitShareSnapshot, joinShareSnapshot, joinPath, parentPath, resolveLocalPath };
@@ -0,0 +1,19 @@
+/**
+ * Convert a glob pattern (supporting * and ?) into a case-insensitive regular expression
+ * @param {string} glob - Glob pattern such as "*.log" or "app-??.json"
+ * @returns {RegExp} Regular expression matching whole names
+ */
+function globToRegExp(glob) {
+  const source = glob
+    .split('')
+    .map(char => {
+      if (char === '*') return '[^/]*';
+      if (char === '?') return '[^/]';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  
+  return new RegExp(`^${source}$`, 'i');
+}
+
+module.exports = { globToRegExp };
\ No newline at end of file
@@ -0,0 +1,69 @@
+const chalk = require('chalk');
+const { formatBytes } = require('./formatting');
+
+// Minimum delay between two redraws of the progress line
+const PROGRESS_REDRAW_INTERVAL = 100;
+
+// Width of the progress bars, in characters
+const PROGRESS_BAR_WIDTH = 20;
+
+/**
+ * Render a progress bar
+ * @param {number} done - Amount done
+ * @param {number} total - Total amount
+ * @returns {string} Bar such as "[########------------]  40%"
+ */
+function renderBar(done, total) {
+  const ratio = total > 0 ? Math.min(done / total, 1) : 1;
+  const filled = Math.round(ratio * PROGRESS_BAR_WIDTH);
+  const percent = `${Math.floor(ratio * 100)}%`.padStart(4);
+  return `[${'#'.repeat(filled)}${'-'.repeat(PROGRESS_BAR_WIDTH - filled)}] ${percent}`;
+}
+
+/**
+ * Describe a transfer progress event on one line: the progress of the current file and of the whole transfer
+ * @param {Object} progress - Progress event from a transfer
+ * @returns {string} Line such as "app.log [####----]  50% | total 1/4 files 2 MB/8 MB [##------]  25%"
+ */
+function describeProgress(progress) {
+  const fileName = progress.file.split('/').pop();
+  return `${fileName} ${renderBar(progress.fileBytes, progress.fileSize)} ` +
+    chalk.dim(`| total ${progress.filesDone}/${progress.fileCount} files ` +
+      `${formatBytes(progress.totalBytes)}/${formatBytes(progress.totalSize)} ${renderBar(progress.totalBytes, progress.totalSize)}`);
+}
+
+/**
+ * Create a printer for transfer progress events, redrawing a single status line
+ * showing the progress of the current file and of the whole transfer
+ * @param {WritableStream} stream - Stream to draw on (defaults to stdout)
+ * @returns {{update: Function, done: Function}} Progress printer
+ */
+function createProgressPrinter(stream = process.stdout) {
+  let lastDraw = 0;
+
+  return {
+    /**
+     * Draw a progress event, at most every PROGRESS_REDRAW_INTERVAL ms
+     * @param {Object} progress - Progress event from a transfer
+     * @param {boolean} force - Draw even if the last draw was too recent
+     */
+    update(progress, force = false) {
+      const now = Date.now();
+      if (!force && now - lastDraw < PROGRESS_REDRAW_INTERVAL) {
+        return;
+      }
+      lastDraw = now;
+
+      stream.write(`\r\x1b[K${describeProgress(progress)}`);
+    },
+
+    /**
+     * Clear the progress line
+     */
+    done() {
+      stream.write('\r\x1b[K');
+    }
+  };
+}
+
+module.exports = { describeProgress, createProgressPrinter };
@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Version of the vault file format
+const VAULT_VERSION = 1;
+
+// Key derivation cost; stored in each vault so that it can be raised without breaking older vaults
+const SCRYPT_OPTIONS = { N: 2 ** 15, r: 8, p: 1 };
+
+// scrypt needs 128 * N * r bytes, above Node's default limit of 32 MiB for these options
+const SCRYPT_MAX_MEMORY = 64 * 1024 * 1024;
+
+const KEY_LENGTH = 32;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+
+/**
+ * Open a vault file, decrypting the secrets it holds
+ * @param {string} filePath - Path of the vault file
+ * @param {string} passphrase - Passphrase the vault was created with
+ * @returns {Promise<Object>} Vault, with its secrets and save() to encrypt new secrets with the same passphrase
+ */
+async function openVault(filePath, passphrase) {
+  let stored;
+  try {
+    stored = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read the vault ${filePath}: ${error.message}`);
+  }
+
+  if (stored.version !== VAULT_VERSION || !stored.kdf || !stored.data) {
+    throw new Error(`The vault ${filePath} is not in a supported format`);
+  }
+
+  const { N, r, p, salt } = stored.kdf;
+  const key = await deriveKey(passphrase, Buffer.from(salt, 'base64'), { N, r, p });
+
+  let secrets;
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(stored.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(stored.tag, 'base64'));
+    const data = Buffer.concat([decipher.update(Buffer.from(stored.data, 'base64')), decipher.final()]);
+    secrets = JSON.parse(data.toString('utf8'));
+  } catch (error) {
+    // The authentication tag does not match: wrong passphrase, or the file was modified
+    throw new Error(`Cannot unlock the vault ${filePath}: wrong passphrase or damaged file`);
+  }
+
+  return createVaultHandle(filePath, key, stored.kdf, secrets);
+}
+
+/**
+ * Create a new, empty vault protected by a passphrase. The file is written by the first save().
+ * @param {string} filePath - Path of the vault file
+ * @param {string} passphrase - Passphrase protecting the vault
+ * @returns {Promise<Object>} Vault, with its secrets and save()
+ */
+async function createVault(filePath, passphrase) {
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const key = await deriveKey(passphrase, salt, SCRYPT_OPTIONS);
+  return createVaultHandle(filePath, key, { ...SCRYPT_OPTIONS, salt: salt.toString('base64') }, {});
+}
+
+/**
+ * Derive the encryption key of a vault from its passphrase
+ * @param {string} passphrase - Passphrase
+ * @param {Buffer} salt - Salt of the vault
+ * @param {Object} options - scrypt cost options (N, r, p)
+ * @returns {Promise<Buffer>} Key for aes-256-gcm
+ */
+function deriveKey(passphrase, salt, options) {
+  return scrypt(passphrase, salt, KEY_LENGTH, { ...options, maxmem: SCRYPT_MAX_MEMORY });
+}
+
+/**
+ * Wrap an unlocked vault. The derived key is kept so that secrets can be saved again synchronously,
+ * without asking for the passphrase.
+ * @param {string} filePath - Path of the vault file
+ * @param {Buffer} key - Derived encryption key
+ * @param {Object} kdf - Key derivation options and salt, written with the data
+ * @param {Object} secrets - Decrypted secrets
+ * @returns {Object} Vault, with its path, its secrets and save()
+ */
+function createVaultHandle(filePath, key, kdf, secrets) {
+  return {
+    filePath,
+    secrets,
+
+    /**
+     * Encrypt secrets into the vault file, with a new IV
+     * @param {Object} newSecrets - Secrets to keep in the vault
+     */
+    save(newSecrets) {
+      const iv = crypto.randomBytes(IV_LENGTH);
+      const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+      const data = Buffer.concat([cipher.update(JSON.stringify(newSecrets), 'utf8'), cipher.final()]);
+
+      fs.writeFileSync(filePath, JSON.stringify({
+        version: VAULT_VERSION,
+        kdf,
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+      }, null, 2), { mode: 0o600 });
+      this.secrets = newSecrets;
+    }
+  };
+}
+
+module.exports = { openVault, createVault };